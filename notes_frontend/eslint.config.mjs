@@ -13,8 +13,16 @@ export default [
       globals: {
         document: true,
         window: true,
+        process: true,
+        Event: true,
         test: true,
-        expect: true
+        expect: true,
+        describe: true,
+        beforeAll: true,
+        beforeEach: true,
+        afterAll: true,
+        afterEach: true,
+        jest: true
       }
     },
     rules: {
@@ -23,6 +31,14 @@ export default [
 
     }
   },
+  {
+    files: ["src/service-worker.js"],
+    languageOptions: { globals: { self: true } }
+  },
+  {
+    files: ["scripts/**/*.js"],
+    languageOptions: { sourceType: "commonjs", globals: { require: true, module: true, console: true } }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
@@ -0,0 +1,174 @@
+// Relay for collaborative editing (see src/collab). Everyone editing a note
+// joins the note's room; the relay passes each message on to the others in
+// the room and keeps the room's edit operations, so someone joining late
+// (or coming back after losing the connection) catches up. Rooms are
+// forgotten when the last person leaves: saved notes live in the storage
+// backend, not here.
+//
+//   npm run collab-relay            listens on ws://localhost:1234
+//   PORT=4000 npm run collab-relay
+//
+// Messages are JSON. From a client:
+//   { type: "join", room, peer }    peer: { id, name, color }; must come first
+//   { type: "ops", ops }            edit operations
+//   { type: "presence", cursor, peer? }   where the caret is, and an updated name
+// To a client:
+//   { type: "welcome", ops, peers }  the room's operations and who is there
+//   { type: "ops", ops }, { type: "presence", peer, cursor }, { type: "leave", peerId }
+
+const DEFAULT_PORT = 1234;
+const MAX_MESSAGE_BYTES = 5 * 1024 * 1024;
+const MAX_NAME_LENGTH = 200;
+const MAX_ROOM_OPS = 100000; // a room keeps at most this many operations; later ones are dropped
+
+const isText = (value, max = MAX_NAME_LENGTH) => typeof value === "string" && value.length <= max;
+
+// Only the fields others need, so a client can't pass anything else along
+function validPeer(peer) {
+  if (!peer || typeof peer !== "object" || !isText(peer.id) || peer.id === "") return null;
+  if (!isText(peer.name) || !isText(peer.color, 50)) return null;
+  return { id: peer.id, name: peer.name, color: peer.color };
+}
+
+// { field, anchor } with anchor a character id or null; undefined if malformed
+function validCursor(cursor) {
+  if (cursor === undefined || cursor === null) return null;
+  if (typeof cursor !== "object" || !isText(cursor.field) || !(cursor.anchor === null || isText(cursor.anchor))) {
+    return undefined;
+  }
+  return { field: cursor.field, anchor: cursor.anchor };
+}
+
+// The shape of an edit operation (see src/collab/crdt.js). The relay doesn't
+// know the note's fields, so it only refuses names that aren't a note's own.
+function validOp(op) {
+  if (!op || typeof op !== "object" || !isText(op.field) || op.field in Object.prototype) return false;
+  if (op.type === "delete") return Array.isArray(op.ids) && op.ids.every(id => typeof id === "string");
+  if (op.type !== "insert") return false;
+  return (
+    typeof op.id === "string" &&
+    /^\d+@/.test(op.id) &&
+    (op.origin === null || typeof op.origin === "string") &&
+    typeof op.text === "string" &&
+    op.text !== ""
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The relay's rooms, independent of the network: connect(send) adds a
+ * client whose messages are delivered with `send(message)`, and returns
+ * { receive(message), close() } for what it sends and when it goes away.
+ * Malformed messages are dropped.
+ */
+function createRelay() {
+  const rooms = new Map(); // name -> { ops, members: Map(peer id -> member) }
+
+  return {
+    connect(send) {
+      let room = null;
+      let member = null;
+      const others = message =>
+        room.members.forEach(other => {
+          if (other !== member) other.send(message);
+        });
+
+      return {
+        receive(message) {
+          if (!message || typeof message !== "object") return;
+          if (message.type === "join" && !room) {
+            const peer = validPeer(message.peer);
+            if (!peer || !isText(message.room) || message.room === "") return;
+            room = rooms.get(message.room) || { ops: [], members: new Map() };
+            rooms.set(message.room, room);
+            member = { peer, cursor: null, send, name: message.room };
+            send({
+              type: "welcome",
+              ops: room.ops,
+              peers: [...room.members.values()].map(({ peer, cursor }) => ({ peer, cursor }))
+            });
+            room.members.set(peer.id, member); // a reconnect replaces the old connection
+            others({ type: "presence", peer: member.peer, cursor: null });
+          } else if (!room) {
+            // nothing before joining
+          } else if (message.type === "ops" && Array.isArray(message.ops)) {
+            // One at a time: spreading a huge array into push() overflows the stack
+            const ops = [];
+            for (const op of message.ops) {
+              if (room.ops.length >= MAX_ROOM_OPS) break;
+              if (!validOp(op)) continue;
+              room.ops.push(op);
+              ops.push(op);
+            }
+            if (ops.length) others({ type: "ops", ops });
+          } else if (message.type === "presence") {
+            const peer = message.peer === undefined ? member.peer : validPeer({ ...message.peer, id: member.peer.id });
+            const cursor = validCursor(message.cursor);
+            if (!peer || cursor === undefined) return;
+            member.peer = peer;
+            member.cursor = cursor;
+            others({ type: "presence", peer: member.peer, cursor: member.cursor });
+          }
+        },
+
+        close() {
+          if (!room || room.members.get(member.peer.id) !== member) return;
+          room.members.delete(member.peer.id);
+          others({ type: "leave", peerId: member.peer.id });
+          if (room.members.size === 0) rooms.delete(member.name);
+        }
+      };
+    },
+
+    rooms: () => [...rooms.keys()]
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serve a relay over WebSocket. Resolves to { port, close() } once listening
+ * (port 0 picks a free one).
+ */
+function startCollabRelay({ port = DEFAULT_PORT, host } = {}) {
+  const WebSocket = require("ws");
+  const relay = createRelay();
+  const server = new WebSocket.Server({ port, host, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on("connection", socket => {
+    const client = relay.connect(message => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    });
+    socket.on("message", data => {
+      let message;
+      try {
+        message = JSON.parse(String(data));
+      } catch {
+        return; // not ours
+      }
+      client.receive(message);
+    });
+    socket.on("close", () => client.close());
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.once("listening", () =>
+      resolve({
+        port: server.address().port,
+        close: () =>
+          new Promise(done => {
+            server.clients.forEach(socket => socket.terminate());
+            server.close(() => done());
+          })
+      })
+    );
+  });
+}
+
+module.exports = { createRelay, startCollabRelay };
+
+if (require.main === module) {
+  startCollabRelay({ port: Number(process.env.PORT) || DEFAULT_PORT }).then(({ port }) => {
+    console.log(`Collaboration relay listening on ws://localhost:${port}`);
+  });
+}
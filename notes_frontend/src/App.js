@@ -1,23 +1,218 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useCallback, useEffect, useRef, useState, useMemo } from "react";
 import "./App.css";
+import { createNotesStorage } from "./storage";
+import { useNotes } from "./storage/useNotes";
+import { useSyncState } from "./storage/useSyncState";
+import { createTabChannel } from "./storage/tabSync";
+import ConflictDialog from "./components/ConflictDialog";
+import Markdown from "./markdown/Markdown";
+import { toggleTask } from "./markdown/parser";
+import OrganizerTree from "./components/OrganizerTree";
+import {
+  collectTags,
+  matchesFilter,
+  notebookOf,
+  parseNotebook,
+  parseTags,
+  relabel,
+  tagsOf,
+  withTag
+} from "./organize/taxonomy";
+import { EMPTY_SELECTION, clickSelection } from "./organize/selection";
+import BulkActions from "./components/BulkActions";
+import { useNoteSearch } from "./search/useNoteSearch";
+import { highlightSegments, makeSnippet } from "./search/highlight";
+import HistoryPanel from "./components/HistoryPanel";
+import Backlinks from "./components/Backlinks";
+import { createHistoryPolicy, revisionsOf, withRevision } from "./history/revisions";
+import ImportReport from "./components/ImportReport";
+import { IMPORT_ACCEPT, importFiles } from "./transfer/importNotes";
+import { noteFileName, noteToMarkdown, notesToJson, notesToZip } from "./transfer/formats";
+import { downloadFile, readAsDataUrl } from "./transfer/files";
+import { notesToHtml, pageStyles } from "./transfer/html";
+import Toast from "./components/Toast";
+import { snapshotChange } from "./history/commands";
+import { useCommandHistory } from "./history/useCommandHistory";
+import { createTrashPolicy, expiredTrash, isTrashed, purgeDate } from "./organize/trash";
+import { isArchived, isFavorite, isPinned } from "./organize/flags";
+import { SORT_ORDERS, loadSortOrder, moveNote, saveSortOrder, sortNotes } from "./organize/sorting";
+import { NEW_NOTE_DRAFT, createDraftStore } from "./drafts/draftStore";
+import { useDraftAutosave } from "./drafts/useDraftAutosave";
+import ThemeToggle from "./components/ThemeToggle";
+import { useTheme } from "./theme/useTheme";
+import { formatRoute, parseLocation } from "./routing/routes";
+import CommandPalette from "./components/CommandPalette";
+import ShortcutHelp from "./components/ShortcutHelp";
+import { COMMANDS, comboFromEvent, commandForCombo, formatCombo, isTypingTarget } from "./shortcuts/keymap";
+import { useKeymap } from "./shortcuts/useKeymap";
+import { createTitleIndex, findBacklinks, normalizeTitle, renameLinks, resolveLink } from "./links/wikiLinks";
+import { useLinkAutocomplete } from "./links/useLinkAutocomplete";
+import AttachmentList from "./components/AttachmentList";
+import {
+  attachmentIdsIn,
+  attachmentMarkdown,
+  checkAttachments,
+  createAttachmentPolicy,
+  insertBlock,
+  namePastedFile,
+  removeAttachmentLinks
+} from "./attachments/attachments";
+import { createAttachmentStore } from "./attachments/attachmentStore";
+import { useAttachments } from "./attachments/useAttachments";
+import { createSharedAttachmentRefs } from "./attachments/sharedRefs";
+import ReminderAlerts from "./components/ReminderAlerts";
+import {
+  byDueDate,
+  describeDue,
+  formatDue,
+  fromLocalInput,
+  isOverdue,
+  REMINDER_LEADS,
+  scheduleFields,
+  toLocalInput
+} from "./reminders/reminders";
+import { requestNotificationPermission, showNotification } from "./reminders/notifications";
+import { useNow, useReminders } from "./reminders/useReminders";
+import { createReminderClaims } from "./reminders/claims";
+import TemplatePicker from "./components/TemplatePicker";
+import TemplateManager from "./components/TemplateManager";
+import { applyTemplate, createTemplateStore, templateFromNote } from "./templates/templates";
+import { useTemplates } from "./templates/useTemplates";
+import FormattingToolbar from "./components/FormattingToolbar";
+import { formatStats, textStats } from "./editor/formatting";
+import { useMarkdownEditor } from "./editor/useMarkdownEditor";
+import VaultDialog from "./components/VaultDialog";
+import LockedNote from "./components/LockedNote";
+import { VaultError, isPayload } from "./vault/crypto";
+import { SECRET_FIELDS, createVault } from "./vault/vault";
+import { useVault } from "./vault/useVault";
+import PwaBanner from "./components/PwaBanner";
+import { createServiceWorkerClient } from "./pwa/serviceWorker";
+import { usePwa } from "./pwa/usePwa";
+import LanguageSelect from "./components/LanguageSelect";
+import { useLocale } from "./i18n/useLocale";
+import CollabPresence from "./components/CollabPresence";
+import RemoteCursors from "./components/RemoteCursors";
+import { createCollabClient } from "./collab/client";
+import { createCollabPeer, renameCollabPeer } from "./collab/identity";
+import { useCollaboration } from "./collab/useCollaboration";
 
 // PUBLIC_INTERFACE
 /**
  * The main Notes application component.
  * Features: Sidebar nav, search, create/edit/delete note, responsive layout, modern minimal design.
+ * Notes are persisted through a storage adapter; pass `storage` to override the default
+ * (REST when REACT_APP_API_BASE_URL is set, in-memory otherwise).
+ * `historyPolicy` ({ maxRevisions, maxAgeDays }) controls how much revision history is kept,
+ * `trashPolicy` ({ retentionDays }) how long deleted notes stay in the Trash.
+ * Unsaved form contents are kept as drafts in `draftStore` (localStorage by default).
+ * Attached files are kept in `attachmentStore` (IndexedDB by default), within
+ * the size limits of `attachmentPolicy` ({ maxFileBytes, maxNoteBytes }).
+ * New notes can start from the templates in `templateStore` (localStorage by default).
+ * Saved changes are shared with the app's other tabs over `tabChannel`
+ * (see createTabChannel). Notes can be encrypted with a passphrase held by
+ * `vault` (see createVault). The service worker that makes the app work
+ * offline, and offers its updates, is `serviceWorker` (see createServiceWorkerClient).
+ * Text comes from the message catalog of the chosen language (see createI18n).
+ * Notes are edited together with others who have them open through the relay
+ * client `collab` (see createCollabClient; off unless REACT_APP_COLLAB_URL is set).
  */
-function App() {
-  // Simulated notes data (acts as a mock API/database for now)
-  const [notes, setNotes] = useState([]);
+function App({
+  storage,
+  historyPolicy,
+  trashPolicy,
+  draftStore,
+  attachmentStore,
+  attachmentPolicy,
+  templateStore,
+  tabChannel,
+  vault,
+  serviceWorker,
+  collab
+}) {
+  const [store] = useState(() => storage || createNotesStorage());
+  // Set up by the tab channel effect further down
+  const [channel, setChannel] = useState(null);
+  const reminderClaims = useRef(null);
+  const sharedAttachmentRefs = useRef(null);
+  const [policy] = useState(() => historyPolicy || createHistoryPolicy());
+  const [trash] = useState(() => trashPolicy || createTrashPolicy());
+  const [drafts] = useState(() => draftStore || createDraftStore());
+  const [fileStore] = useState(() => attachmentStore || createAttachmentStore());
+  const [attachmentLimits] = useState(() => attachmentPolicy || createAttachmentPolicy());
+  const [templateLibrary] = useState(() => templateStore || createTemplateStore());
+  const [noteVault] = useState(() => vault || createVault());
+  const [appWorker] = useState(() => serviceWorker || createServiceWorkerClient());
+  const [collabClient] = useState(() => collab || createCollabClient());
+  const pwa = usePwa(appWorker);
+  const { preference: localePreference, i18n, setPreference: setLocalePreference } = useLocale();
+  const [collabPeer, setCollabPeer] = useState(() => createCollabPeer(i18n));
+  const { t } = i18n;
+  const {
+    notes: storedNotes,
+    status,
+    saving,
+    error,
+    remoteChange,
+    reload,
+    clearError,
+    createNote: createStoredNote,
+    updateNote: updateStoredNote,
+    deleteNote
+  } = useNotes(store, channel);
+  // Encrypted notes are decrypted here while the vault is unlocked; everything
+  // below works on these readable (or locked) notes.
+  const {
+    unlocked: vaultUnlocked,
+    notes,
+    unlock: unlockVault,
+    lock: lockVault,
+    remember: rememberSecret
+  } = useVault(noteVault, storedNotes, {
+    onIdle: handleIdleLock,
+    lockedTitle: t("vault.lockedTitle")
+  });
+  const syncState = useSyncState(store);
   const [selectedNoteId, setSelectedNoteId] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(window.innerWidth > 768);
-  const [searchTerm, setSearchTerm] = useState("");
+  // Search and filter come straight from the URL; the page is applied once notes are loaded.
+  const [initialRoute] = useState(() => parseLocation(window.location));
+  const [searchTerm, setSearchTerm] = useState(initialRoute.q);
+  const [filter, setFilter] = useState(initialRoute.filter); // all | notebook | tag | favorites | upcoming | overdue | archive | trash
+  const [sortOrder, setSortOrder] = useState(() => loadSortOrder());
+  const [selection, setSelection] = useState(EMPTY_SELECTION); // notes picked for bulk actions
+  const [routeReady, setRouteReady] = useState(false);
   const [mode, setMode] = useState("view"); // view | create | edit
-  const [theme] = useState("light"); // theme toggling possible later
+  const { preference: themePreference, theme, setPreference: setThemePreference } = useTheme();
+  const [importReport, setImportReport] = useState(null);
+  const [toast, setToast] = useState(null);
+  const [overlay, setOverlay] = useState(null); // null | palette | help | templates | vault
+  const afterUnlock = useRef(null); // what to do once the vault dialog unlocks
+  const [firedReminders, setFiredReminders] = useState([]); // ids of notes whose reminder went off
+  const now = useNow();
+  const { keymap, setBinding, resetKeymap } = useKeymap();
+  const { templates, saveTemplate, removeTemplate, restoreBuiltIns } = useTemplates(templateLibrary);
+  const searchInput = useRef(null);
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // Undo/redo: every note mutation below records before/after snapshots.
+  const notesRef = useRef(notes);
+  notesRef.current = notes;
+  const commands = useCommandHistory(applySnapshots);
 
   // For editing/creating
   const [editTitle, setEditTitle] = useState("");
   const [editContent, setEditContent] = useState("");
+  const [editTags, setEditTags] = useState(""); // comma separated
+  const [editNotebook, setEditNotebook] = useState("");
+  const [editDue, setEditDue] = useState(""); // datetime-local value
+  const [editReminder, setEditReminder] = useState(""); // minutes before due, "" for none
+  const [formBase, setFormBase] = useState(EMPTY_FORM); // what the form started from
+  const [restoredDraftAt, setRestoredDraftAt] = useState(null);
+  const [remoteEdit, setRemoteEdit] = useState(null); // newer copy of the open note, saved in another tab
+  const { attachments, add: addAttachments, prune: pruneAttachments } = useAttachments(fileStore);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const pendingAttachments = useRef(new Set()); // added to the open form, maybe not saved yet
 
   // Responsive sidebar toggle
   useEffect(() => {
@@ -28,113 +223,1122 @@ function App() {
     return () => window.removeEventListener("resize", handleResize);
   }, []);
 
-  // Seed with a few dummy notes on first load
+  // Global shortcuts from the (remappable) keymap. They are paused while the
+  // palette or help overlay is open, and most leave text fields alone.
+  const shortcuts = useRef(null);
+  shortcuts.current = { keymap, overlay, run: runCommand };
   useEffect(() => {
-    if (notes.length === 0) {
-      setNotes([
-        {
-          id: "note1",
-          title: "Welcome to Note Organizer",
-          content: "This is your first note. Start organizing your thoughts!",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        },
-        {
-          id: "note2",
-          title: "Features",
-          content: "- Create, edit, delete notes\n- Search instantly\n- Beautiful, responsive UI",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ]);
-    }
-  }, [notes.length]);
+    const handleKeyDown = e => {
+      const { keymap, overlay, run } = shortcuts.current;
+      if (overlay || e.defaultPrevented || e.isComposing) return;
+      const combo = comboFromEvent(e);
+      const command = combo && commandForCombo(keymap, combo);
+      if (!command || (!command.inFields && isTypingTarget(e.target))) return;
+      e.preventDefault();
+      run(command.id);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
 
-  // Derived: Sorted and filtered notes
+  // Purge notes that have been in the Trash longer than the retention period.
+  const purging = useRef(new Set());
+  useEffect(() => {
+    if (status !== "ready") return;
+    expiredTrash(notes, trash).forEach(note => {
+      if (purging.current.has(note.id)) return;
+      purging.current.add(note.id);
+      deleteNote(note.id).catch(() => purging.current.delete(note.id));
+    });
+  }, [notes, status, trash, deleteNote]);
+
+  // Reminders fire while the app is open; fired ones stay listed until opened, snoozed or dismissed.
+  useReminders(notes, handleReminder);
+  const reminderActions = useRef(null);
+  reminderActions.current = { open: handleOpenReminder };
+  const alertedNotes = firedReminders.map(id => notes.find(n => n.id === id)).filter(Boolean);
+
+  // Derived: filtered notes, ranked by relevance while searching, else in the
+  // chosen sort order (soonest due first for Upcoming and Overdue). Locked
+  // notes can't be searched.
+  const searchableNotes = useMemo(() => notes.filter(note => !note.locked), [notes]);
+  const searchResults = useNoteSearch(searchableNotes, searchTerm);
   const filteredNotes = useMemo(() => {
-    if (!searchTerm) return notes.sort(sortByRecent);
-    return notes
-      .filter(
-        note =>
-          note.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          note.content.toLowerCase().includes(searchTerm.toLowerCase())
-      )
-      .sort(sortByRecent);
-  }, [notes, searchTerm]);
+    const matching = note => matchesFilter(note, filter, now);
+    if (searchResults) return searchResults.map(result => result.note).filter(matching);
+    if (DATED_VIEWS.includes(filter.type)) return notes.filter(matching).sort(byDueDate);
+    return sortNotes(notes.filter(matching), sortOrder);
+  }, [notes, searchResults, filter, sortOrder, now]);
+  const searchMatches = useMemo(
+    () => searchResults && new Map(searchResults.map(result => [result.note.id, result.terms])),
+    [searchResults]
+  );
 
+  const activeNotes = useMemo(() => notes.filter(note => !isTrashed(note)), [notes]);
+  const listedNotes = useMemo(() => activeNotes.filter(note => !isArchived(note)), [activeNotes]);
+  const readableNotes = useMemo(() => activeNotes.filter(note => !note.locked), [activeNotes]);
   const selectedNote = notes.find(n => n.id === selectedNoteId);
+  // [[Wiki links]] resolve by title among the readable notes that aren't in the Trash
+  const titleIndex = useMemo(() => createTitleIndex(readableNotes), [readableNotes]);
+  const backlinks = useMemo(
+    () => (selectedNote && !isTrashed(selectedNote) ? findBacklinks(readableNotes, selectedNote, titleIndex) : []),
+    [readableNotes, selectedNote, titleIndex]
+  );
+  const linkTitles = useMemo(
+    () => [...new Set([...readableNotes].sort(sortByRecent).filter(n => n.id !== selectedNoteId).map(n => n.title))],
+    [readableNotes, selectedNoteId]
+  );
+  const wikiLinks = {
+    resolve: target => {
+      const note = resolveLink(titleIndex, target);
+      return note && { href: formatRoute({ page: "note", noteId: note.id, q: searchTerm, filter }) };
+    },
+    open: handleOpenLink
+  };
+  const attachmentLinks = { resolve: id => attachments.get(id) || null };
+  const listAttachments = content => attachmentIdsIn(content).map(id => attachments.get(id) || { id, missing: true });
+  // Bulk selection only covers the notes in view, in list order; a new
+  // filter or search starts over.
+  const selectedNotes = filteredNotes.filter(note => selection.ids.includes(note.id));
+  useEffect(() => setSelection(EMPTY_SELECTION), [filter, searchTerm]);
+  // Drag-and-drop (and Alt+↑/↓) reordering works on the manually sorted list
+  const canReorder = sortOrder === "manual" && !searchResults && !["trash", ...DATED_VIEWS].includes(filter.type);
+
+  // What each shortcut / palette action does, and whether it applies right now.
+  const viewingNote = mode === "view" && selectedNote && !isTrashed(selectedNote);
+  const commandActions = {
+    palette: { run: () => setOverlay("palette") },
+    help: { run: () => setOverlay("help") },
+    newNote: { run: handleCreateNoteClick },
+    focusSearch: { run: handleFocusSearch },
+    nextNote: { run: () => handleStepNote(1), enabled: filteredNotes.length > 0 },
+    previousNote: { run: () => handleStepNote(-1), enabled: filteredNotes.length > 0 },
+    edit: { run: handleEditNoteClick, enabled: Boolean(viewingNote) && !selectedNote.locked },
+    save: { run: () => handleSaveNote(), enabled: formOpenFor(mode, selectedNote) },
+    delete: { run: () => handleDeleteNoteClick(selectedNoteId), enabled: Boolean(viewingNote) },
+    togglePin: { run: () => handleToggleFlag(selectedNote, "pinned"), enabled: Boolean(viewingNote) },
+    toggleFavorite: { run: () => handleToggleFlag(selectedNote, "favorite"), enabled: Boolean(viewingNote) },
+    toggleArchive: { run: () => handleToggleFlag(selectedNote, "archived"), enabled: Boolean(viewingNote) },
+    moveUp: { run: () => handleStepPosition(-1), enabled: canReorder && Boolean(viewingNote) },
+    moveDown: { run: () => handleStepPosition(1), enabled: canReorder && Boolean(viewingNote) },
+    toggleSidebar: { run: handleSidebarToggle },
+    undo: { run: handleUndo, enabled: Boolean(commands.nextUndo) },
+    redo: { run: handleRedo, enabled: Boolean(commands.nextRedo) }
+  };
+  const paletteItems = [
+    ...COMMANDS.filter(command => command.id !== "palette" && commandActions[command.id].enabled !== false).map(
+      command => ({
+        key: `action:${command.id}`,
+        label: i18n.label(`command.${command.id}`, command.label),
+        hint: keymap[command.id] && keymap[command.id][0] ? formatCombo(keymap[command.id][0]) : null,
+        section: t("palette.actions"),
+        run: commandActions[command.id].run
+      })
+    ),
+    ...templates.map(template => ({
+      key: `template:${template.id}`,
+      label: t("palette.newFromTemplate", { name: template.name || t("untitledTemplate") }),
+      section: t("palette.templates"),
+      run: () => handleCreateFromTemplate(template)
+    })),
+    {
+      key: "templates:manage",
+      label: t("palette.manageTemplates"),
+      section: t("palette.templates"),
+      run: () => setOverlay("templates")
+    },
+    ...(vaultUnlocked
+      ? [{ key: "vault:lock", label: t("vault.lock"), section: t("palette.actions"), run: handleLockVault }]
+      : []),
+    ...(pwa.updateReady
+      ? [{ key: "app:update", label: t("palette.update"), section: t("palette.actions"), run: pwa.applyUpdate }]
+      : []),
+    ...(pwa.canInstall
+      ? [{ key: "app:install", label: t("palette.install"), section: t("palette.actions"), run: pwa.install }]
+      : []),
+    ...[...readableNotes].sort(sortByRecent).map(note => ({
+      key: `note:${note.id}`,
+      label: note.title || t("untitled"),
+      detail: notebookOf(note),
+      section: t("palette.notes"),
+      run: () => handleSelectNote(note)
+    }))
+  ];
+
+  function runCommand(id) {
+    const action = commandActions[id];
+    if (action && action.enabled !== false) action.run();
+  }
+
+  // Unsaved changes: autosaved as a draft per note and guarded on the way out.
+  const formValues = {
+    title: editTitle,
+    content: editContent,
+    tags: editTags,
+    notebook: editNotebook,
+    due: editDue,
+    reminder: editReminder
+  };
+  const formOpen = formOpenFor(mode, selectedNote);
+  const draftKey = mode === "create" ? NEW_NOTE_DRAFT : selectedNoteId;
+  const dirty = formOpen && !sameForm(formValues, formBase);
+  // Drafts are stored in plain text, so encrypted notes don't get them
+  const editingSecret = formOpen && mode === "edit" && Boolean(selectedNote.encrypted);
+  const draftSavedAt = useDraftAutosave(drafts, formOpen && !editingSecret ? draftKey : null, formValues, {
+    dirty,
+    baseUpdatedAt: mode === "edit" && selectedNote ? selectedNote.updatedAt : null
+  });
+
+  useEffect(() => {
+    if (!dirty) return;
+    const warn = e => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", warn);
+    return () => window.removeEventListener("beforeunload", warn);
+  }, [dirty]);
+
+  // The note being edited was saved in another tab: refresh a clean form,
+  // and ask before touching one with unsaved changes.
+  const tabSync = useRef(null);
+  tabSync.current = handleRemoteChange;
+  useEffect(() => {
+    if (remoteChange) tabSync.current(remoteChange);
+  }, [remoteChange]);
+
+  // Attachments that only this tab knows are needed: those its open form and
+  // its undo/redo steps link to. Other tabs ask for them before a sweep.
+  const localAttachmentIds = useRef(null);
+  localAttachmentIds.current = () => {
+    const ids = [...attachmentIdsOf(commands.snapshots()), ...attachmentIdsIn(formOpen ? editContent : "")];
+    return formOpen ? [...ids, ...pendingAttachments.current] : ids;
+  };
+
+  // Open the tab channel, and listen on it for reminder claims and attachment
+  // questions, while mounted; unmounting closes what was opened here. A
+  // `tabChannel` passed in belongs to the caller and stays open.
+  useEffect(() => {
+    const tabs = tabChannel || createTabChannel();
+    const claims = createReminderClaims(tabs);
+    const refs = createSharedAttachmentRefs(tabs, () => localAttachmentIds.current());
+    reminderClaims.current = claims;
+    sharedAttachmentRefs.current = refs;
+    setChannel(tabs);
+    return () => {
+      claims.close();
+      refs.close();
+      if (!tabChannel) tabs.close();
+    };
+  }, [tabChannel]);
+
+  // Delete stored attachments that nothing can bring back: no note (Trash
+  // included), revision, draft, open form or undo/redo step in any tab links
+  // to them. Saved notes are read from storage, which may have some this tab
+  // hasn't loaded. Files added just now are left for the next sweep, in case
+  // another tab stored one after answering.
+  const attachmentSweep = useRef(null);
+  attachmentSweep.current = async () => {
+    const startedAt = Date.now();
+    try {
+      const [stored, elsewhere] = await Promise.all([store.list(), sharedAttachmentRefs.current.collect()]);
+      const drafted = drafts.list().map(draft => (draft.values && draft.values.content) || "");
+      const keep = new Set([
+        ...attachmentIdsOf([...stored, ...notes]),
+        ...drafted.flatMap(attachmentIdsIn),
+        ...localAttachmentIds.current(),
+        ...elsewhere
+      ]);
+      await pruneAttachments(keep, new Date(startedAt - ATTACHMENT_SWEEP_GRACE));
+    } catch {
+      // nothing is deleted; the next sweep tries again
+    }
+  };
+  const undoTop = commands.nextUndo;
+  const redoTop = commands.nextRedo;
+  useEffect(() => {
+    if (status !== "ready") return;
+    const timer = window.setTimeout(() => attachmentSweep.current(), ATTACHMENT_SWEEP_DELAY);
+    return () => window.clearTimeout(timer);
+  }, [status, notes, formOpen, undoTop, redoTop]);
+
+  // Once notes have loaded, show the page the URL asks for. Without one, reopen
+  // the most recent draft after a reload. Drafts of notes that are gone are dropped.
+  // The installed app's "New note" shortcut (?launch=new-note) goes straight
+  // to a new note.
+  const routing = useRef(null);
+  routing.current = { applyRoute, openForm, handlePopState, createNote: handleCreateNoteClick };
+  useEffect(() => {
+    if (status !== "ready" || routeReady) return;
+    const editable = key => key === NEW_NOTE_DRAFT || notes.some(n => n.id === key && !isTrashed(n));
+    const saved = drafts.list();
+    saved.filter(draft => !editable(draft.key)).forEach(draft => drafts.remove(draft.key));
+    const latest = saved.filter(draft => editable(draft.key)).sort((a, b) => b.savedAt.localeCompare(a.savedAt))[0];
+    const note = latest && notes.find(n => n.id === latest.key);
+    if (initialRoute.launch === "new-note") {
+      window.history.replaceState(null, "", formatRoute({ ...initialRoute, page: "home" }));
+      routing.current.createNote();
+    } else if (initialRoute.page === "home" && latest) {
+      setSelectedNoteId(note ? note.id : null);
+      routing.current.openForm(note ? "edit" : "create", latest.key, note ? formFromNote(note) : EMPTY_FORM, note);
+    } else {
+      routing.current.applyRoute(initialRoute);
+    }
+    setRouteReady(true);
+  }, [status, notes, drafts, initialRoute, routeReady]);
+
+  // Keep the URL in step with what is on screen. Moving to another page adds a
+  // history entry; search and filter changes replace the current one.
+  const currentUrl = formatRoute({
+    page: mode === "create" ? "new" : selectedNoteId ? (mode === "edit" ? "edit" : "note") : "home",
+    noteId: selectedNoteId,
+    q: searchTerm,
+    filter
+  });
+  useEffect(() => {
+    if (!routeReady) return;
+    const { pathname, search } = window.location;
+    if (currentUrl === pathname + search) return;
+    const samePage = currentUrl.split("?")[0] === pathname;
+    window.history[samePage ? "replaceState" : "pushState"](null, "", currentUrl);
+  }, [routeReady, currentUrl]);
+
+  useEffect(() => {
+    const onPopState = () => routing.current.handlePopState();
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // Show a route: the page, search and filter it describes.
+  function applyRoute(route) {
+    setSearchTerm(route.q);
+    setFilter(route.filter);
+    const note = route.noteId && notes.find(n => n.id === route.noteId);
+    if (route.page === "new") {
+      setSelectedNoteId(null);
+      openForm("create", NEW_NOTE_DRAFT, newNoteForm(route.filter));
+    } else if (route.page === "edit" && note && !isTrashed(note) && !note.locked) {
+      setSelectedNoteId(note.id);
+      openForm("edit", note.id, formFromNote(note), note);
+    } else {
+      // Missing notes get a not-found view; unknown paths fall back to the note list
+      setSelectedNoteId(route.noteId);
+      setMode("view");
+      if (route.page === "unknown") window.history.replaceState(null, "", formatRoute({ ...route, page: "home" }));
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  function handlePopState() {
+    if (!routeReady) return;
+    const route = parseLocation(window.location);
+    const leavingForm = formOpen && currentUrl.split("?")[0] !== formatRoute({ ...route, q: "", filter: null });
+    if (leavingForm && !confirmLeaveForm()) {
+      window.history.pushState(null, "", currentUrl); // stay on the form
+      return;
+    }
+    applyRoute(route);
+  }
+
+  function fillForm(values) {
+    setEditTitle(values.title);
+    setEditContent(values.content);
+    setEditTags(values.tags);
+    setEditNotebook(values.notebook);
+    setEditDue(values.due);
+    setEditReminder(values.reminder);
+  }
+
+  // Open the form on `base`, or on the saved draft for `key` if there is one.
+  // A draft of `note` made before its last save (here, in another tab or on
+  // another device) is restored with the same choice as a remote edit:
+  // load the saved version or keep the draft.
+  function openForm(nextMode, key, base, note = null) {
+    const draft = drafts.get(key);
+    const outdated = Boolean(draft && note && draft.baseUpdatedAt && draft.baseUpdatedAt !== note.updatedAt);
+    setFormBase(base);
+    fillForm(draft ? { ...base, ...draft.values } : base);
+    setRestoredDraftAt(draft ? draft.savedAt : null);
+    setRemoteEdit(outdated ? note : null);
+    setAttachmentError(null);
+    pendingAttachments.current = new Set();
+    setMode(nextMode);
+  }
+
+  // Ask before throwing away unsaved changes. Returns false to stay put.
+  function confirmLeaveForm() {
+    if (!formOpen) return true;
+    if (dirty && !window.confirm(t("form.confirmDiscard"))) return false;
+    drafts.remove(draftKey);
+    return true;
+  }
+
+  // PUBLIC_INTERFACE
+  function handleDiscardDraft() {
+    drafts.remove(draftKey);
+    fillForm(formBase);
+    setRestoredDraftAt(null);
+  }
+
+  function handleRemoteChange(change) {
+    const id = change.type === "put" ? change.note.id : change.id;
+    if (mode !== "edit" || id !== selectedNoteId) return;
+    if (change.type === "remove") {
+      setToast({ message: t("note.deletedElsewhere", { title: formBase.title }) });
+    } else if (collabClient.enabled && !change.note.encrypted) {
+      // Edited together: someone saved, and the form already has their text
+      setFormBase(formFromNote(change.note));
+    } else if (dirty || change.note.encrypted) {
+      // (an encrypted note's new version is only readable once it's decrypted)
+      setRemoteEdit(change.note);
+    } else {
+      openForm("edit", id, formFromNote(change.note), change.note);
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  function handleReloadRemoteEdit() {
+    drafts.remove(selectedNoteId);
+    if (selectedNote.locked) setMode("view");
+    else openForm("edit", selectedNoteId, formFromNote(selectedNote));
+  }
+
+  // PUBLIC_INTERFACE
+  function handleCancelEdit() {
+    if (!confirmLeaveForm()) return;
+    setMode("view");
+  }
+
+  function record(label, changes) {
+    return commands.record({ label, changes });
+  }
+
+  // Save a note as shown here. Encrypted notes are sealed again with their
+  // new title, content and history; a locked one can only have its other
+  // fields changed. Resolves to the saved note, readable.
+  async function updateNote(note, changes, options) {
+    if (note.locked && SECRET_FIELDS.some(field => field in changes)) {
+      throw new VaultError(t("vault.unlockFirst"), { code: "locked" });
+    }
+    const { stored, secret } = await sealNote({ ...note, ...changes });
+    return readable(await updateStoredNote(stored, {}, options), secret);
+  }
+
+  async function createNote(fields) {
+    const { stored, secret } = await sealNote(fields);
+    return readable(await createStoredNote(stored), secret);
+  }
+
+  // The stored form of a note: without the readable fields when it's
+  // encrypted (a truthy `encrypted` asks for it to be encrypted).
+  async function sealNote(note) {
+    const { locked, attachmentRefs, encrypted } = note;
+    const fields = withoutVaultFields(note);
+    if (!encrypted) return { stored: fields, secret: null };
+    if (locked) return { stored: { ...fields, ...HIDDEN_FIELDS, encrypted, attachmentRefs }, secret: null };
+    const secret = Object.fromEntries(SECRET_FIELDS.map(field => [field, fields[field]]));
+    const contents = [secret.content, ...revisionsOf(secret).map(revision => revision.content)];
+    return {
+      stored: {
+        ...fields,
+        ...HIDDEN_FIELDS,
+        encrypted: await noteVault.seal(secret, fields.id),
+        attachmentRefs: [...new Set(contents.flatMap(attachmentIdsIn))]
+      },
+      secret
+    };
+  }
+
+  function readable(saved, secret) {
+    if (!saved.encrypted) return saved;
+    if (!secret) return { ...saved, title: t("vault.lockedTitle"), locked: true, lockError: null };
+    rememberSecret(saved, secret);
+    return { ...saved, ...secret, locked: false };
+  }
+
+  // Write one side of a command's snapshots back to storage.
+  async function applySnapshots(changes, direction) {
+    for (const { id, before, after } of changes) {
+      const target = direction === "undo" ? before : after;
+      const current = notesRef.current.find(n => n.id === id);
+      if (!target) {
+        if (current) await deleteNote(id);
+      } else if (current) {
+        await updateNote(target, {});
+      } else {
+        await createNote(target);
+      }
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleUndo() {
+    try {
+      const command = await commands.undo();
+      if (command) {
+        setToast({ message: t("undo.undone", { label: command.label }), actionLabel: t("undo.redo"), onAction: handleRedo });
+      }
+    } catch {
+      // error is surfaced by MainContent
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleRedo() {
+    try {
+      const command = await commands.redo();
+      if (command) {
+        setToast({ message: t("undo.redone", { label: command.label }), actionLabel: t("undo.undo"), onAction: handleUndo });
+      }
+    } catch {
+      // error is surfaced by MainContent
+    }
+  }
 
   // PUBLIC_INTERFACE
   function handleSelectNote(note) {
+    if (!confirmLeaveForm()) return;
     setSelectedNoteId(note.id);
     setMode("view");
-    // Autofill for edit
-    setEditTitle(note.title);
-    setEditContent(note.content);
+    setSelection(EMPTY_SELECTION);
   }
 
+  // PUBLIC_INTERFACE
+  function handleMultiSelect(id, { range = false, add = false, withOpenNote = false } = {}) {
+    const ids = filteredNotes.map(note => note.id);
+    setSelection(current => {
+      // Ctrl/Shift-clicking from an open note starts the selection with it
+      const start =
+        current.ids.length === 0 && withOpenNote && ids.includes(selectedNoteId)
+          ? { ids: [selectedNoteId], anchor: selectedNoteId }
+          : current;
+      return clickSelection(start, ids, id, { range, add });
+    });
+  }
+
+  // Apply `changesFor(note)` (null to leave a note alone) to every note in
+  // `list`, recorded as one undo step. Returns the command, or null.
+  async function bulkUpdate(label, list, changesFor) {
+    const done = [];
+    try {
+      for (const note of list) {
+        const changes = changesFor(note);
+        if (changes) done.push(snapshotChange(note, await updateNote(note, changes)));
+      }
+    } catch {
+      // error is surfaced by MainContent; what was changed can still be undone
+    }
+    return record(label, done);
+  }
+
+  function undoToast(message, command) {
+    if (!command) return;
+    setToast({ message, actionLabel: t("undo.undo"), onAction: () => commands.nextUndo === command && handleUndo() });
+  }
+
+  const bulkActions = {
+    selectAll: () => setSelection({ ids: filteredNotes.map(note => note.id), anchor: null }),
+    clear: () => setSelection(EMPTY_SELECTION),
+
+    async delete() {
+      const list = selectedNotes;
+      const count = list.length;
+      // One question, which also covers unsaved changes to the open note
+      const closesForm = formOpen && list.some(note => note.id === selectedNoteId);
+      const question = closesForm && dirty ? "bulk.confirmTrashDiscarding" : "bulk.confirmTrash";
+      if (!window.confirm(t(question, { count }))) return;
+      if (closesForm) drafts.remove(draftKey);
+      const deletedAt = new Date().toISOString();
+      const command = await bulkUpdate(t("bulk.trash", { count }), list, () => ({ deletedAt }));
+      setSelection(EMPTY_SELECTION);
+      if (list.some(note => note.id === selectedNoteId)) {
+        setSelectedNoteId(null);
+        setMode("view");
+      }
+      undoToast(t("bulk.trashed", { count }), command);
+    },
+
+    async archive() {
+      const archived = filter.type !== "archive";
+      const list = selectedNotes;
+      const count = list.length;
+      const label = t(archived ? "bulk.archive" : "bulk.unarchive", { count });
+      const command = await bulkUpdate(label, list, note => (isArchived(note) === archived ? null : { archived }));
+      setSelection(EMPTY_SELECTION);
+      undoToast(t(archived ? "bulk.archived" : "bulk.unarchived", { count }), command);
+    },
+
+    async addTag() {
+      const list = selectedNotes;
+      const count = list.length;
+      const input = window.prompt(t("bulk.addTagPrompt", { count }));
+      const tag = parseTags(input)[0];
+      if (!tag) return;
+      const command = await bulkUpdate(t("bulk.tag", { count }), list, note => withTag(note, tag));
+      setSelection(EMPTY_SELECTION);
+      undoToast(t("bulk.tagged", { count, tag }), command);
+    },
+
+    async removeTag() {
+      const list = selectedNotes;
+      const used = collectTags(list).map(entry => entry.name);
+      if (used.length === 0) {
+        window.alert(t("bulk.noTags"));
+        return;
+      }
+      const count = list.length;
+      const input = window.prompt(t("bulk.removeTagPrompt", { count, tags: used.join(", ") }), used[0]);
+      const tag = parseTags(input)[0];
+      if (!tag) return;
+      const command = await bulkUpdate(t("bulk.untag", { count }), list, note => relabel(note, "tag", tag, null));
+      setSelection(EMPTY_SELECTION);
+      undoToast(t("bulk.untagged", { count, tag }), command);
+    },
+
+    async move() {
+      const list = selectedNotes;
+      const current = [...new Set(list.map(notebookOf))];
+      const count = list.length;
+      const input = window.prompt(t("bulk.movePrompt", { count }), current.length === 1 && current[0] ? current[0] : "");
+      if (input === null) return;
+      const notebook = parseNotebook(input);
+      const command = await bulkUpdate(t("bulk.move", { count }), list, note =>
+        notebookOf(note) === notebook ? null : { notebook }
+      );
+      setSelection(EMPTY_SELECTION);
+      undoToast(t(notebook ? "bulk.moved" : "bulk.movedOut", { count, notebook }), command);
+    },
+
+    export: () => handleExport("zip", selectedNotes, "notes-selection"),
+
+    exportHtml: () => handleExport("html", selectedNotes, "notes-selection"),
+
+    async restore() {
+      const list = selectedNotes;
+      const count = list.length;
+      const command = await bulkUpdate(t("bulk.restore", { count }), list, () => ({ deletedAt: null }));
+      setSelection(EMPTY_SELECTION);
+      undoToast(t("bulk.restored", { count }), command);
+    },
+
+    async deleteForever() {
+      const list = selectedNotes;
+      const count = list.length;
+      if (!window.confirm(t("bulk.confirmDeleteForever", { count }))) return;
+      const command = await deleteForever(list, t("bulk.deleteForever", { count }));
+      setSelection(EMPTY_SELECTION);
+      undoToast(t("bulk.deletedForever", { count }), command);
+    }
+  };
+
   // PUBLIC_INTERFACE
   function handleCreateNoteClick() {
-    setMode("create");
-    setEditTitle("");
-    setEditContent("");
+    if (!confirmLeaveForm()) return;
+    openForm("create", NEW_NOTE_DRAFT, newNoteForm(filter));
+    setSelectedNoteId(null);
+    if (window.innerWidth <= 768) setSidebarOpen(false);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleCreateFromTemplate(template) {
+    if (!confirmLeaveForm()) return;
+    const base = newNoteForm(filter);
+    openForm("create", NEW_NOTE_DRAFT, base);
+    fillForm(withTemplate(base, template));
     setSelectedNoteId(null);
     if (window.innerWidth <= 768) setSidebarOpen(false);
   }
 
+  // PUBLIC_INTERFACE
+  function handleApplyTemplate(template) {
+    fillForm(withTemplate(formValues, template));
+  }
+
+  // PUBLIC_INTERFACE
+  function handleSaveAsTemplate(note) {
+    const name = window.prompt(t("template.namePrompt"), note.title || t("untitled"));
+    if (name === null) return;
+    const saved = saveTemplate({ ...templateFromNote(note), name: name.trim() || note.title || t("untitled") });
+    setToast({ message: t("template.saved", { name: saved.name }) });
+  }
+
+  // PUBLIC_INTERFACE
+  function handleDeleteTemplate(template) {
+    removeTemplate(template.id);
+    setToast({
+      message: t("template.deleted", { name: template.name }),
+      actionLabel: t("undo.undo"),
+      onAction: () => saveTemplate(template)
+    });
+  }
+
   // PUBLIC_INTERFACE
   function handleEditNoteClick() {
-    if (!selectedNote) return;
-    setMode("edit");
-    setEditTitle(selectedNote.title);
-    setEditContent(selectedNote.content);
+    if (!selectedNote || selectedNote.locked) return;
+    openForm("edit", selectedNote.id, formFromNote(selectedNote), selectedNote);
+  }
+
+  // Ask for the passphrase, then carry on with `then` (if given).
+  function requestUnlock(then = null) {
+    afterUnlock.current = then;
+    setOverlay("vault");
   }
 
   // PUBLIC_INTERFACE
-  function handleDeleteNoteClick(noteId) {
-    if (window.confirm("Are you sure you want to delete this note?")) {
-      setNotes(notes.filter(n => n.id !== noteId));
-      setSelectedNoteId(null);
+  async function handleUnlockVault(passphrase) {
+    await unlockVault(passphrase); // rejects with the reason; the dialog shows it
+    setOverlay(null);
+    const then = afterUnlock.current;
+    afterUnlock.current = null;
+    if (then) then();
+  }
+
+  // PUBLIC_INTERFACE
+  function handleLockVault() {
+    if (editingSecret) {
+      if (!confirmLeaveForm()) return;
       setMode("view");
     }
+    lockVault();
+    commands.clear(); // undo steps hold decrypted copies
+  }
+
+  // Locks the vault after a while without activity (see useVault). Changes
+  // to an encrypted note being edited are saved first.
+  async function handleIdleLock() {
+    if (editingSecret) {
+      if (dirty) await handleSaveNote();
+      setMode("view");
+    }
+    commands.clear();
+    setToast({ message: t("vault.idleLocked") });
   }
 
   // PUBLIC_INTERFACE
-  function handleSaveNote(e) {
-    e.preventDefault();
+  function handleEncryptNote(note) {
+    if (noteVault.isUnlocked()) encryptNote(note);
+    else requestUnlock(() => encryptNote(note));
+  }
+
+  async function encryptNote(note) {
+    // Attachment files can't be encrypted (see handleAttachFiles)
+    if (attachmentIdsOf([note]).length > 0) {
+      setToast({ message: t("vault.hasAttachments", { title: note.title }) });
+      return;
+    }
+    let saved;
+    try {
+      saved = await updateNote(note, { encrypted: true });
+    } catch (err) {
+      if (err instanceof VaultError) setToast({ message: i18n.errorMessage(err) });
+      return; // other errors are surfaced by MainContent
+    }
+    drafts.remove(note.id); // drafts are plain text
+    const command = record(t("history.encrypt"), [snapshotChange(note, saved)]);
+    undoToast(t("vault.encrypted", { title: saved.title }), command);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleDecryptNote(note) {
+    if (!window.confirm(t("vault.confirmDecrypt", { title: note.title }))) return;
+    try {
+      const saved = await updateNote(note, { encrypted: null });
+      record(t("history.decrypt"), [snapshotChange(note, saved)]);
+    } catch {
+      // error is surfaced by MainContent
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleDeleteNoteClick(noteId) {
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return;
+    let trashed;
+    try {
+      trashed = await updateNote(note, { deletedAt: new Date().toISOString() });
+    } catch {
+      return; // error is surfaced by MainContent
+    }
+    const command = record(t("history.trash"), [snapshotChange(note, trashed)]);
+    setSelectedNoteId(null);
+    setMode("view");
+    setToast({
+      message: t("note.trashed", { title: note.title }),
+      actionLabel: t("undo.undo"),
+      // Only while nothing else has been done since
+      onAction: () => commands.nextUndo === command && handleUndo()
+    });
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleToggleFlag(note, flag) {
+    const on = !note[flag];
+    let saved;
+    try {
+      saved = await updateNote(note, { [flag]: on });
+    } catch {
+      return; // error is surfaced by MainContent
+    }
+    const command = record(t(FLAG_HISTORY[flag][on ? 0 : 1]), [snapshotChange(note, saved)]);
+    if (flag === "archived") {
+      setToast({
+        message: t(on ? "note.archived" : "note.unarchived", { title: note.title }),
+        actionLabel: t("undo.undo"),
+        onAction: () => commands.nextUndo === command && handleUndo()
+      });
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  function handleSortChange(order) {
+    saveSortOrder(order);
+    setSortOrder(order);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleMoveNote(noteId, toIndex) {
+    const done = [];
+    try {
+      for (const { note, position } of moveNote(filteredNotes, noteId, toIndex)) {
+        done.push(snapshotChange(note, await updateNote(note, { position })));
+      }
+    } catch {
+      // error is surfaced by MainContent; what was moved can still be undone
+    }
+    record(t("history.reorder"), done);
+  }
+
+  function handleStepPosition(step) {
+    const index = filteredNotes.findIndex(note => note.id === selectedNoteId);
+    if (index !== -1) handleMoveNote(selectedNoteId, index + step);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleRestoreFromTrash(note) {
+    try {
+      const restored = await updateNote(note, { deletedAt: null });
+      record(t("history.restoreFromTrash"), [snapshotChange(note, restored)]);
+    } catch {
+      // error is surfaced by MainContent
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleDeleteForever(note) {
+    if (!window.confirm(t("note.confirmDeleteForever", { title: note.title }))) return;
+    try {
+      await deleteNote(note.id);
+    } catch {
+      return; // error is surfaced by MainContent
+    }
+    record(t("history.deleteForever"), [snapshotChange(note, null)]);
+    setSelectedNoteId(null);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleEmptyTrash() {
+    const trashed = notes.filter(isTrashed);
+    if (trashed.length === 0) return;
+    if (!window.confirm(t("trash.confirmEmpty", { count: trashed.length }))) return;
+    await deleteForever(trashed, t("history.emptyTrash"));
+  }
+
+  // Delete every note in `list` for good, as one undo step.
+  async function deleteForever(list, label) {
+    const changes = [];
+    try {
+      for (const note of list) {
+        await deleteNote(note.id);
+        changes.push(snapshotChange(note, null));
+      }
+    } catch {
+      // error is surfaced by MainContent; what was deleted can still be undone
+    }
+    if (list.some(note => note.id === selectedNoteId)) setSelectedNoteId(null);
+    return record(label, changes);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleSaveNote(e) {
+    if (e) e.preventDefault();
     if (!editTitle.trim()) {
-      alert("Note title cannot be empty");
+      window.alert(t("form.titleRequired"));
       return;
     }
 
-    if (mode === "edit" && selectedNote) {
-      setNotes(notes =>
-        notes.map(n =>
-          n.id === selectedNote.id
-            ? {
-                ...n,
-                title: editTitle,
-                content: editContent,
-                updatedAt: new Date().toISOString()
-              }
-            : n
-        )
-      );
-      setSelectedNoteId(selectedNote.id);
-    } else if (mode === "create") {
-      const newNote = {
-        id: "note_" + Date.now(),
-        title: editTitle,
-        content: editContent,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      setNotes([newNote, ...notes]);
-      setSelectedNoteId(newNote.id);
+    // The reminder is only rescheduled when the due date or lead changes, so
+    // one that has already fired (or been snoozed) is left alone.
+    const rescheduled = editDue !== formBase.due || editReminder !== formBase.reminder;
+    const fields = {
+      title: editTitle,
+      content: editContent,
+      tags: parseTags(editTags),
+      notebook: parseNotebook(editNotebook),
+      ...(rescheduled ? scheduleFields(fromLocalInput(editDue), editReminder === "" ? null : Number(editReminder)) : {})
+    };
+    if (fields.remindAt) requestNotificationPermission(); // while the click still counts as a user action
+    try {
+      if (mode === "edit" && selectedNote) {
+        const saved = await updateNote(selectedNote, withRevision(selectedNote, fields, policy));
+        const changes = [snapshotChange(selectedNote, saved)];
+        const relinked = await relinkNotes(selectedNote, saved.title, changes);
+        const command = record(t("history.edit"), changes);
+        drafts.remove(selectedNote.id);
+        setSelectedNoteId(selectedNote.id);
+        if (relinked) {
+          setToast({
+            message: t("note.linksUpdated", { count: relinked }),
+            actionLabel: t("undo.undo"),
+            onAction: () => commands.nextUndo === command && handleUndo()
+          });
+        }
+      } else if (mode === "create") {
+        const newNote = await createNote(withRevision(null, fields, policy));
+        record(t("history.create"), [snapshotChange(null, newNote)]);
+        drafts.remove(NEW_NOTE_DRAFT);
+        setSelectedNoteId(newNote.id);
+      }
+    } catch {
+      return; // keep the form open so nothing typed is lost
     }
     setMode("view");
   }
 
+  // Point [[links]] at a renamed note's new title. Adds the snapshots to
+  // `changes` and returns how many notes were updated.
+  async function relinkNotes(note, title, changes) {
+    if (normalizeTitle(note.title) === normalizeTitle(title) || resolveLink(titleIndex, note.title) !== note) return 0;
+    let count = 0;
+    try {
+      for (const other of notes) {
+        if (other.id === note.id) continue;
+        const content = renameLinks(other.content, note.title, title);
+        if (content === other.content) continue;
+        changes.push(snapshotChange(other, await updateNote(other, { content })));
+        count++;
+      }
+    } catch {
+      // error is surfaced by MainContent; links updated so far are kept
+    }
+    return count;
+  }
+
+  // PUBLIC_INTERFACE
+  function handleOpenLink(target) {
+    const note = resolveLink(titleIndex, target);
+    if (note) {
+      handleSelectNote(note);
+      return;
+    }
+    if (!window.confirm(t("note.confirmCreateLink", { title: target }))) return;
+    if (!confirmLeaveForm()) return;
+    openForm("create", NEW_NOTE_DRAFT, { ...newNoteForm(filter), title: target });
+    setSelectedNoteId(null);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleAttachFiles(files, caret, { pasted = false } = {}) {
+    // Files are stored as they are, so encrypted notes don't get them
+    if (editingSecret) {
+      setAttachmentError(t("attachments.encryptedNote"));
+      return;
+    }
+    const incoming = pasted ? files.map(file => namePastedFile(file)) : files;
+    const usedBytes = listAttachments(editContent).reduce((total, attachment) => total + (attachment.size || 0), 0);
+    const { accepted, errors } = checkAttachments(incoming, usedBytes, attachmentLimits, i18n);
+    setAttachmentError(errors.length ? errors.join(" ") : null);
+    if (accepted.length === 0) return;
+    let added;
+    try {
+      added = await addAttachments(accepted, attachment => pendingAttachments.current.add(attachment.id));
+    } catch (err) {
+      setAttachmentError(i18n.errorMessage(err));
+      return;
+    }
+    const block = added.map(attachmentMarkdown).join("\n");
+    setEditContent(content => insertBlock(content, Math.min(caret, content.length), block).text);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleRemoveAttachment(note, id) {
+    const content = removeAttachmentLinks(note.content, id);
+    try {
+      const saved = await updateNote(note, withRevision(note, { content }, policy));
+      record(t("history.removeAttachment"), [snapshotChange(note, saved)]);
+    } catch {
+      // error is surfaced by MainContent
+    }
+  }
+
+  async function handleReminder(note) {
+    // Every tab schedules the reminder; one of them handles it
+    if (!(await reminderClaims.current.claim(`${note.id}@${note.remindAt}`))) return;
+    setFiredReminders(ids => (ids.includes(note.id) ? ids : [...ids, note.id]));
+    showNotification(`⏰ ${note.title || t("untitled")}`, {
+      body: describeDue(note, i18n) || t("note.reminder"),
+      tag: `reminder-${note.id}`,
+      onClick: () => reminderActions.current.open(note)
+    });
+    // Fired: clear it so it doesn't go off again after a reload. That isn't
+    // an edit, so the note keeps its updatedAt (and its place in the list).
+    const current = notesRef.current.find(n => n.id === note.id) || note;
+    updateNote(current, { remindAt: null }, { touch: false }).catch(() => {});
+  }
+
+  function dropReminder(note) {
+    setFiredReminders(ids => ids.filter(id => id !== note.id));
+  }
+
+  // PUBLIC_INTERFACE
+  function handleOpenReminder(note) {
+    dropReminder(note);
+    handleSelectNote(note);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleSnoozeReminder(note, minutes) {
+    dropReminder(note);
+    try {
+      const remindAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+      await updateNote(note, { remindAt }, { touch: false });
+    } catch {
+      // error is surfaced by MainContent
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleMarkDone(note) {
+    dropReminder(note);
+    try {
+      const saved = await updateNote(note, scheduleFields(null));
+      record(t("history.markDone"), [snapshotChange(note, saved)]);
+    } catch {
+      // error is surfaced by MainContent
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  function handleToggleTask(note, line) {
+    updateNote(note, withRevision(note, { content: toggleTask(note.content, line) }, policy))
+      .then(saved => record(t("history.toggleTask"), [snapshotChange(note, saved)]))
+      .catch(() => {
+        // error is surfaced by MainContent
+      });
+  }
+
+  // PUBLIC_INTERFACE
+  function handleRestoreRevision(note, revision) {
+    const changes = { title: revision.title, content: revision.content };
+    updateNote(note, withRevision(note, changes, policy, { restoredFrom: revision.id }))
+      .then(saved => record(t("history.restoreRevision"), [snapshotChange(note, saved)]))
+      .catch(() => {
+        // error is surfaced by MainContent
+      });
+  }
+
+  async function relabelNotes(kind, from, to) {
+    const done = [];
+    let ok = true;
+    try {
+      for (const note of notes) {
+        const changes = relabel(note, kind, from, to);
+        if (changes) done.push(snapshotChange(note, await updateNote(note, changes)));
+      }
+    } catch {
+      ok = false; // error is surfaced by MainContent
+    }
+    record(t(`history.${to ? "rename" : "remove"}.${kind}`), done);
+    return ok;
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleRenameLabel(kind, name) {
+    const input = window.prompt(t(`labels.renamePrompt.${kind}`, { name }), name);
+    if (input === null) return;
+    const to = kind === "tag" ? parseTags(input)[0] : parseNotebook(input);
+    if (!to || to === name) return;
+    if ((await relabelNotes(kind, name, to)) && filter.type === kind && filter.value === name) {
+      setFilter({ type: kind, value: to });
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleDeleteLabel(kind, name) {
+    if (!window.confirm(t(`labels.confirmRemove.${kind}`, { name }))) return;
+    if ((await relabelNotes(kind, name, null)) && filter.type === kind && filter.value === name) {
+      setFilter({ type: "all" });
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleImport(files) {
+    const { notes: incoming, report } = await importFiles(files, notes);
+    const imported = [];
+    const changes = [];
+    for (const [i, note] of incoming.entries()) {
+      try {
+        changes.push(snapshotChange(null, await createNote(note)));
+        imported.push(report.imported[i]);
+      } catch (err) {
+        report.errors.push({ source: report.imported[i].source, error: err });
+      }
+    }
+    record(t("history.import", { count: changes.length }), changes);
+    clearError(); // failures are listed in the report instead
+    setImportReport({ ...report, imported });
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleExport(format, list = notes, name = "notes") {
+    const stamp = new Date().toISOString().slice(0, 10);
+    // Locked notes are left out; unlocked ones are exported as plain text
+    const exported = list.filter(note => !note.locked).map(withoutVaultFields);
+    if (format === "zip") downloadFile(`${name}-${stamp}.zip`, notesToZip(exported), "application/zip");
+    else if (format === "html") downloadFile(`${name}-${stamp}.html`, await publishNotes(exported), "text/html");
+    else downloadFile(`${name}-${stamp}.json`, notesToJson(exported), "application/json");
+    const skipped = list.length - exported.length;
+    if (skipped) setToast({ message: t("transfer.skipped", { count: skipped }) });
+  }
+
+  // PUBLIC_INTERFACE
+  function handleExportNote(note) {
+    downloadFile(noteFileName(note), noteToMarkdown(withoutVaultFields(note)), "text/markdown");
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleExportNoteHtml(note) {
+    downloadFile(noteFileName(note, ".html"), await publishNotes([withoutVaultFields(note)]), "text/html");
+  }
+
+  // Notes as one web page, with the app's styles and their attachments embedded
+  async function publishNotes(list) {
+    const attachments = new Map();
+    for (const id of new Set(list.flatMap(note => attachmentIdsIn(note.content)))) {
+      try {
+        const record = await fileStore.get(id);
+        if (record) attachments.set(id, { name: record.name, url: await readAsDataUrl(record.blob) });
+      } catch {
+        // shown as a missing attachment
+      }
+    }
+    return notesToHtml(list, { css: pageStyles(), i18n, attachments });
+  }
+
+  // PUBLIC_INTERFACE
+  function handleStepNote(step) {
+    const index = filteredNotes.findIndex(note => note.id === selectedNoteId);
+    const next = index === -1 ? (step > 0 ? 0 : filteredNotes.length - 1) : index + step;
+    const note = filteredNotes[Math.max(0, Math.min(filteredNotes.length - 1, next))];
+    if (note && note.id !== selectedNoteId) handleSelectNote(note);
+  }
+
+  // PUBLIC_INTERFACE
+  function handleFocusSearch() {
+    setSidebarOpen(true);
+    searchInput.current.focus();
+    searchInput.current.select();
+  }
+
   // PUBLIC_INTERFACE
   function handleSidebarToggle() {
     setSidebarOpen(open => !open);
@@ -146,35 +1350,177 @@ function App() {
   }
 
   return (
-    <div className={`NotesApp theme--${theme}`}>
+    <div className={`NotesApp theme--${theme}`} lang={i18n.locale} dir={i18n.dir}>
       <Sidebar
+        i18n={i18n}
         open={sidebarOpen}
         onToggle={handleSidebarToggle}
+        themePreference={themePreference}
+        onThemeChange={setThemePreference}
+        localePreference={localePreference}
+        onLocaleChange={setLocalePreference}
+        onShowShortcuts={() => setOverlay("help")}
+        vaultUnlocked={vaultUnlocked}
+        onLockVault={handleLockVault}
         notes={filteredNotes}
+        searchMatches={searchMatches}
+        allNotes={listedNotes}
+        archiveCount={activeNotes.length - listedNotes.length}
+        now={now}
+        trashCount={notes.length - activeNotes.length}
+        trashPolicy={trash}
+        onEmptyTrash={handleEmptyTrash}
+        filter={filter}
+        onFilterChange={setFilter}
+        sortOrder={sortOrder}
+        onSortChange={handleSortChange}
+        searching={Boolean(searchResults)}
+        onMoveNote={canReorder ? handleMoveNote : null}
+        onRenameLabel={handleRenameLabel}
+        onDeleteLabel={handleDeleteLabel}
+        status={status}
+        loadError={status === "error" ? error : null}
+        onRetry={reload}
+        syncState={syncState}
         selectedNoteId={selectedNoteId}
         onSelectNote={handleSelectNote}
         onCreateNote={handleCreateNoteClick}
+        onImport={handleImport}
+        onExport={handleExport}
+        selectedIds={selection.ids}
+        onMultiSelect={handleMultiSelect}
+        bulkToolbar={
+          selectedNotes.length > 0 && (
+            <BulkActions
+              i18n={i18n}
+              count={selectedNotes.length}
+              total={filteredNotes.length}
+              view={filter.type}
+              actions={bulkActions}
+              disabled={saving}
+            />
+          )
+        }
         searchTerm={searchTerm}
+        searchInputRef={searchInput}
         onSearchChange={handleSearchChange}
       />
       <MainContent
+        i18n={i18n}
         mode={mode}
         note={selectedNote}
+        missingNoteId={selectedNote ? null : selectedNoteId}
+        onShowAllNotes={() => setSelectedNoteId(null)}
+        loading={status === "loading"}
+        saving={saving}
+        error={status === "error" ? null : error}
+        onDismissError={clearError}
         editTitle={editTitle}
         editContent={editContent}
         setEditTitle={setEditTitle}
         setEditContent={setEditContent}
+        editTags={editTags}
+        editNotebook={editNotebook}
+        setEditTags={setEditTags}
+        setEditNotebook={setEditNotebook}
+        editDue={editDue}
+        editReminder={editReminder}
+        setEditDue={setEditDue}
+        setEditReminder={setEditReminder}
+        now={now}
+        notebooks={[...new Set(activeNotes.map(notebookOf).filter(Boolean))].sort()}
+        wikiLinks={wikiLinks}
+        backlinks={backlinks}
+        linkTitles={linkTitles}
+        onOpenNote={handleSelectNote}
+        attachmentLinks={attachmentLinks}
+        listAttachments={listAttachments}
+        attachmentError={attachmentError}
+        canAttach={!editingSecret}
+        onAttachFiles={handleAttachFiles}
+        onRemoveAttachment={handleRemoveAttachment}
+        trashPolicy={trash}
         onEdit={handleEditNoteClick}
         onDelete={handleDeleteNoteClick}
+        onToggleFlag={handleToggleFlag}
+        onMarkDone={handleMarkDone}
+        onToggleTask={handleToggleTask}
+        onRestoreRevision={handleRestoreRevision}
+        onExportNote={handleExportNote}
+        onExportNoteHtml={handleExportNoteHtml}
+        onSaveAsTemplate={handleSaveAsTemplate}
+        templates={templates}
+        onApplyTemplate={handleApplyTemplate}
+        onManageTemplates={() => setOverlay("templates")}
+        onRestoreFromTrash={handleRestoreFromTrash}
+        onDeleteForever={handleDeleteForever}
+        vaultUnlocked={vaultUnlocked}
+        onUnlock={() => requestUnlock()}
+        onEncrypt={handleEncryptNote}
+        onDecrypt={handleDecryptNote}
+        dirty={dirty}
+        draftSavedAt={draftSavedAt}
+        restoredDraftAt={restoredDraftAt}
+        onDiscardDraft={handleDiscardDraft}
+        remoteEdit={remoteEdit}
+        onReloadRemoteEdit={handleReloadRemoteEdit}
+        onKeepMine={() => setRemoteEdit(null)}
+        collab={collabClient}
+        collabPeer={collabPeer}
+        onRenameCollabPeer={name => setCollabPeer(peer => renameCollabPeer(peer, name))}
         onSave={handleSaveNote}
-        onCancel={() => setMode("view")}
+        onCancel={handleCancelEdit}
+      />
+      <ConflictDialog
+        i18n={i18n}
+        conflicts={syncState && syncState.conflicts}
+        onResolve={(id, keep) => store.resolveConflict(id, keep)}
+      />
+      <ImportReport i18n={i18n} report={importReport} onClose={() => setImportReport(null)} />
+      <Toast i18n={i18n} toast={toast} onDismiss={dismissToast} />
+      <PwaBanner i18n={i18n} pwa={pwa} />
+      <ReminderAlerts
+        i18n={i18n}
+        notes={alertedNotes}
+        now={now}
+        onOpen={handleOpenReminder}
+        onSnooze={handleSnoozeReminder}
+        onDismiss={dropReminder}
+      />
+      <CommandPalette i18n={i18n} open={overlay === "palette"} items={paletteItems} onClose={() => setOverlay(null)} />
+      <ShortcutHelp
+        i18n={i18n}
+        open={overlay === "help"}
+        keymap={keymap}
+        onRemap={setBinding}
+        onReset={resetKeymap}
+        onClose={() => setOverlay(null)}
+      />
+      <TemplateManager
+        i18n={i18n}
+        open={overlay === "templates"}
+        templates={templates}
+        onSave={saveTemplate}
+        onDelete={handleDeleteTemplate}
+        onRestoreBuiltIns={restoreBuiltIns}
+        onClose={() => setOverlay(null)}
+      />
+      <VaultDialog
+        i18n={i18n}
+        open={overlay === "vault"}
+        creating={!storedNotes.some(note => isPayload(note.encrypted))}
+        onSubmit={handleUnlockVault}
+        onClose={() => {
+          afterUnlock.current = null;
+          setOverlay(null);
+        }}
       />
       {/* Sidebar overlay (mobile) */}
       {!sidebarOpen && (
         <button
           className="sidebar-fab"
-          title="Open navigation"
-          aria-label="Open navigation"
+          title={t("sidebar.open")}
+          aria-label={t("sidebar.open")}
           data-testid="sidebar-fab"
           onClick={handleSidebarToggle}
         >
@@ -186,34 +1532,218 @@ function App() {
 }
 
 // Utilities
+const ATTACHMENT_SWEEP_DELAY = 1000;
+const ATTACHMENT_SWEEP_GRACE = 500; // ms; longer than storing a file takes
+const DATED_VIEWS = ["upcoming", "overdue"]; // listed soonest due first
+
+// Undo step names for turning each flag on and off
+const FLAG_HISTORY = {
+  pinned: ["history.pin", "history.unpin"],
+  favorite: ["history.favorite", "history.unfavorite"],
+  archived: ["history.archive", "history.unarchive"]
+};
+
+const EMPTY_FORM = { title: "", content: "", tags: "", notebook: "", due: "", reminder: "" };
+
+// What an encrypted note stores in place of its readable fields
+const HIDDEN_FIELDS = { title: "", content: "", revisions: [] };
+const VAULT_FIELDS = ["encrypted", "attachmentRefs", "locked", "lockError"];
+
+function withoutVaultFields(note) {
+  return Object.fromEntries(Object.entries(note).filter(([key]) => !VAULT_FIELDS.includes(key)));
+}
+
+// The attachments `notes` link to, in their content or history. Encrypted
+// notes list theirs in attachmentRefs.
+function attachmentIdsOf(notes) {
+  return notes.flatMap(note => [
+    ...[note.content, ...revisionsOf(note).map(revision => revision.content)].flatMap(attachmentIdsIn),
+    ...(note.attachmentRefs || [])
+  ]);
+}
+
+function formFromNote(note) {
+  return {
+    title: note.title,
+    content: note.content,
+    tags: tagsOf(note).join(", "),
+    notebook: notebookOf(note) || "",
+    due: toLocalInput(note.dueAt),
+    reminder: note.dueAt && typeof note.reminder === "number" ? String(note.reminder) : ""
+  };
+}
+
+// Start new notes in the notebook/tag currently being browsed
+function newNoteForm(filter) {
+  return {
+    ...EMPTY_FORM,
+    tags: filter.type === "tag" ? filter.value : "",
+    notebook: filter.type === "notebook" ? filter.value : ""
+  };
+}
+
+// Fill a form from a template. A title already typed is kept (and used for
+// {{title}}); the template's tags are added to any already there.
+function withTemplate(form, template) {
+  const filled = applyTemplate(template, { title: form.title.trim() });
+  return {
+    ...form,
+    title: filled.title,
+    content: filled.content,
+    tags: parseTags([...parseTags(form.tags), ...filled.tags]).join(", "),
+    notebook: filled.notebook || form.notebook
+  };
+}
+
+function formOpenFor(mode, note) {
+  return mode === "create" || (mode === "edit" && Boolean(note));
+}
+
+function sameForm(a, b) {
+  return Object.keys(EMPTY_FORM).every(field => a[field] === b[field]);
+}
+
 function sortByRecent(a, b) {
   return new Date(b.updatedAt) - new Date(a.updatedAt);
 }
 
+function describeSync({ status, pending, error }, i18n) {
+  const { t } = i18n;
+  const changes = t("sync.pending", { count: pending });
+  switch (status) {
+    case "local":
+      return t("sync.local");
+    case "syncing":
+      return t("sync.syncing");
+    case "offline":
+      return pending ? t("sync.offlinePending", { changes }) : t("sync.offline");
+    case "error":
+      return t("sync.failed", { message: error ? i18n.errorMessage(error) : t("sync.unknownError") });
+    default:
+      return pending ? changes : t("sync.synced");
+  }
+}
+
+// A message with a placeholder filled by an element, e.g. a <code> or <time>
+function withElement(text, placeholder, element) {
+  const at = text.indexOf(placeholder);
+  if (at === -1) return text;
+  return (
+    <>
+      {text.slice(0, at)}
+      {element}
+      {text.slice(at + placeholder.length)}
+    </>
+  );
+}
+
+// A date shown relative to `now` ("5 minutes ago"), with the full date on hover
+function RelativeTime({ iso, now, i18n }) {
+  return (
+    <time dateTime={iso} title={i18n.formatDateTime(iso)}>
+      {i18n.formatRelative(iso, now)}
+    </time>
+  );
+}
+
+function Highlighted({ segments }) {
+  return segments.map((segment, i) =>
+    segment.match ? <mark key={i}>{segment.text}</mark> : <React.Fragment key={i}>{segment.text}</React.Fragment>
+  );
+}
+
 // --- Sidebar component ---
 // PUBLIC_INTERFACE
 function Sidebar({
+  i18n,
   open,
   onToggle,
+  themePreference,
+  onThemeChange,
+  localePreference,
+  onLocaleChange,
+  onShowShortcuts,
+  vaultUnlocked,
+  onLockVault,
   notes,
+  searchMatches,
+  allNotes,
+  archiveCount,
+  trashCount,
+  now,
+  trashPolicy,
+  onEmptyTrash,
+  filter,
+  onFilterChange,
+  sortOrder,
+  onSortChange,
+  searching,
+  onMoveNote,
+  onRenameLabel,
+  onDeleteLabel,
+  status,
+  loadError,
+  onRetry,
+  syncState,
   selectedNoteId,
   onSelectNote,
   onCreateNote,
+  onImport,
+  onExport,
+  selectedIds,
+  onMultiSelect,
+  bulkToolbar,
   searchTerm,
+  searchInputRef,
   onSearchChange
 }) {
+  const { t } = i18n;
+  const fileInput = useRef(null);
+  const [drag, setDrag] = useState(null); // { id, overId, after }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    if (drag && drag.overId && drag.overId !== drag.id) {
+      const rest = notes.filter(note => note.id !== drag.id);
+      const index = rest.findIndex(note => note.id === drag.overId) + (drag.after ? 1 : 0);
+      onMoveNote(drag.id, index);
+    }
+    setDrag(null);
+  }
+
   return (
     <nav className={`Sidebar${open ? " open" : ""}`}>
       <div className="Sidebar-header">
-        <span className="Sidebar-title">📝 Notes</span>
+        <span className="Sidebar-title">{t("sidebar.title")}</span>
+        <ThemeToggle i18n={i18n} preference={themePreference} onChange={onThemeChange} />
+        {vaultUnlocked && (
+          <button
+            className="Sidebar-toggle"
+            onClick={onLockVault}
+            title={t("vault.lock")}
+            aria-label={t("vault.lock")}
+            data-testid="vault-lock-btn"
+          >
+            🔒
+          </button>
+        )}
+        <button
+          className="Sidebar-toggle"
+          onClick={onShowShortcuts}
+          title={t("sidebar.shortcutsTitle")}
+          aria-label={t("sidebar.shortcuts")}
+          data-testid="shortcuts-btn"
+        >
+          ⌨
+        </button>
         <button
           className="Sidebar-toggle"
           onClick={onToggle}
-          title={open ? "Close navigation" : "Open navigation"}
-          aria-label={open ? "Close navigation" : "Open navigation"}
+          title={t(open ? "sidebar.close" : "sidebar.open")}
+          aria-label={t(open ? "sidebar.close" : "sidebar.open")}
           data-testid="sidebar-toggle"
         >
-          {open ? "←" : "☰"}
+          {open ? (i18n.dir === "rtl" ? "→" : "←") : "☰"}
         </button>
       </div>
       <div className="Sidebar-controls">
@@ -221,47 +1751,240 @@ function Sidebar({
           className="btn btn-accent"
           onClick={onCreateNote}
           data-testid="create-note-btn"
-          aria-label="Add new note"
+          aria-label={t("sidebar.newNoteLabel")}
         >
-          + New Note
+          {t("sidebar.newNote")}
         </button>
         <input
           className="Sidebar-search"
           type="search"
-          placeholder="Search notes..."
+          placeholder={t("search.placeholder")}
+          title={t("search.tips")}
           value={searchTerm}
           onChange={onSearchChange}
-          aria-label="Search notes"
+          ref={searchInputRef}
+          aria-label={t("search.label")}
           data-testid="sidebar-searchbox"
         />
+        <div className="Sidebar-transfer">
+          <button
+            className="btn btn-outline"
+            onClick={() => fileInput.current.click()}
+            disabled={status !== "ready"}
+            title={t("transfer.importTitle")}
+            data-testid="import-btn"
+          >
+            {t("transfer.import")}
+          </button>
+          <button
+            className="btn btn-outline"
+            onClick={() => onExport("json")}
+            disabled={status !== "ready"}
+            title={t("transfer.exportJsonTitle")}
+            data-testid="export-json-btn"
+          >
+            {t("transfer.exportJson")}
+          </button>
+          <button
+            className="btn btn-outline"
+            onClick={() => onExport("zip")}
+            disabled={status !== "ready"}
+            title={t("transfer.exportZipTitle")}
+            data-testid="export-zip-btn"
+          >
+            {t("transfer.exportZip")}
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept={IMPORT_ACCEPT}
+            multiple
+            hidden
+            onChange={e => {
+              const files = Array.from(e.target.files);
+              e.target.value = "";
+              if (files.length) onImport(files);
+            }}
+            data-testid="import-input"
+          />
+        </div>
+      </div>
+      <OrganizerTree
+        i18n={i18n}
+        notes={allNotes}
+        archiveCount={archiveCount}
+        trashCount={trashCount}
+        now={now}
+        filter={filter}
+        onFilterChange={onFilterChange}
+        onRename={onRenameLabel}
+        onDelete={onDeleteLabel}
+      />
+      {filter.type === "trash" && (
+        <div className="Sidebar-trash-info" data-testid="trash-info">
+          <span>
+            {trashPolicy.retentionDays > 0
+              ? t("trash.retention", { count: trashPolicy.retentionDays })
+              : t("trash.keep")}
+          </span>
+          {trashCount > 0 && (
+            <button className="btn btn-outline" onClick={onEmptyTrash} data-testid="empty-trash-btn">
+              {t("trash.empty")}
+            </button>
+          )}
+        </div>
+      )}
+      <div className="Sidebar-sort">
+        <label htmlFor="sidebar-sort">{t("sort.label")}</label>
+        <select
+          id="sidebar-sort"
+          value={sortOrder}
+          onChange={e => onSortChange(e.target.value)}
+          disabled={searching}
+          title={searching ? t("sort.searching") : undefined}
+          data-testid="sort-select"
+        >
+          {SORT_ORDERS.map(order => (
+            <option key={order.id} value={order.id}>
+              {i18n.label(`sort.${order.id}`, order.label)}
+            </option>
+          ))}
+        </select>
+        {onMoveNote && <span className="Sidebar-sort-hint">{t("sort.dragHint")}</span>}
       </div>
+      {bulkToolbar}
       <ul className="Sidebar-notes-list" data-testid="sidebar-notes-list">
-        {notes.length === 0 && (
+        {status === "loading" && (
+          <li className="Sidebar-status" data-testid="sidebar-loading" aria-live="polite">
+            <span>{t("notes.loading")}</span>
+          </li>
+        )}
+        {loadError && (
+          <li className="Sidebar-status Sidebar-status--error" data-testid="sidebar-error" role="alert">
+            <span>{t("sidebar.loadError", { message: i18n.errorMessage(loadError) })}</span>
+            <button className="btn btn-secondary" onClick={onRetry} data-testid="sidebar-retry-btn">
+              {t("sidebar.retry")}
+            </button>
+          </li>
+        )}
+        {status === "ready" && notes.length === 0 && (
           <li className="Sidebar-note-empty" data-testid="sidebar-note-empty">
-            <span>No notes found.</span>
+            <span>{t("sidebar.empty")}</span>
           </li>
         )}
         {notes.map(note => (
           <li
             className={
               "Sidebar-note" +
-              (note.id === selectedNoteId ? " Sidebar-note--selected" : "")
+              (note.id === selectedNoteId ? " Sidebar-note--selected" : "") +
+              (selectedIds.includes(note.id) ? " Sidebar-note--checked" : "") +
+              (drag && drag.id === note.id ? " Sidebar-note--dragging" : "") +
+              (drag && drag.overId === note.id && drag.id !== note.id
+                ? ` Sidebar-note--drop-${drag.after ? "after" : "before"}`
+                : "")
             }
             key={note.id}
-            onClick={() => onSelectNote(note)}
+            onClick={e => {
+              const add = e.ctrlKey || e.metaKey;
+              if (add || e.shiftKey) onMultiSelect(note.id, { range: e.shiftKey, add, withOpenNote: true });
+              else onSelectNote(note);
+            }}
+            draggable={Boolean(onMoveNote)}
+            onDragStart={
+              onMoveNote
+                ? e => {
+                    e.dataTransfer.effectAllowed = "move";
+                    e.dataTransfer.setData("text/plain", note.id);
+                    setDrag({ id: note.id, overId: null, after: false });
+                  }
+                : undefined
+            }
+            onDragOver={
+              onMoveNote
+                ? e => {
+                    if (!drag) return;
+                    e.preventDefault();
+                    const rect = e.currentTarget.getBoundingClientRect();
+                    const after = e.clientY > rect.top + rect.height / 2;
+                    if (drag.overId !== note.id || drag.after !== after) setDrag({ ...drag, overId: note.id, after });
+                  }
+                : undefined
+            }
+            onDrop={onMoveNote ? handleDrop : undefined}
+            onDragEnd={onMoveNote ? () => setDrag(null) : undefined}
             data-testid={`sidebar-note-${note.id}`}
           >
-            <div className="Sidebar-note-title" data-testid={`sidebar-note-title-${note.id}`}>{note.title}</div>
-            <div className="Sidebar-note-date">
-              {new Date(note.updatedAt).toLocaleDateString()}{" "}
-              {new Date(note.updatedAt).toLocaleTimeString([], {
-                hour: "2-digit",
-                minute: "2-digit"
-              })}
+            <button
+              type="button"
+              role="checkbox"
+              className="Sidebar-note-check"
+              aria-checked={selectedIds.includes(note.id)}
+              aria-label={t("sidebar.select", { title: note.title })}
+              onClick={e => {
+                e.stopPropagation();
+                onMultiSelect(note.id, { range: e.shiftKey, add: true });
+              }}
+              data-testid={`select-${note.id}`}
+            >
+              {selectedIds.includes(note.id) ? "✓" : ""}
+            </button>
+            <div
+              className={"Sidebar-note-title" + (note.locked ? " Sidebar-note-title--locked" : "")}
+              data-testid={`sidebar-note-title-${note.id}`}
+            >
+              {(isPinned(note) || isFavorite(note) || note.encrypted) && (
+                <span className="Sidebar-note-flags">
+                  {note.encrypted && (
+                    <span
+                      title={t(note.locked ? "flags.encryptedLocked" : "flags.encrypted")}
+                      aria-label={t(note.locked ? "flags.encryptedLocked" : "flags.encrypted")}
+                      data-testid={`lock-${note.id}`}
+                    >
+                      {note.locked ? "🔒" : "🔓"}
+                    </span>
+                  )}
+                  {isPinned(note) && (
+                    <span title={t("flags.pinned")} aria-label={t("flags.pinned")}>
+                      📌
+                    </span>
+                  )}
+                  {isFavorite(note) && (
+                    <span title={t("flags.favorite")} aria-label={t("flags.favorite")}>
+                      ★
+                    </span>
+                  )}
+                </span>
+              )}
+              {searchMatches ? <Highlighted segments={highlightSegments(note.title, searchMatches.get(note.id))} /> : note.title}
+            </div>
+            {searchMatches && note.content && (
+              <div className="Sidebar-note-snippet" data-testid={`snippet-${note.id}`}>
+                <Highlighted segments={makeSnippet(note.content, searchMatches.get(note.id))} />
+              </div>
+            )}
+            {note.dueAt && (
+              <div
+                className={"Sidebar-note-due" + (isOverdue(note, now) ? " Sidebar-note-due--overdue" : "")}
+                data-testid={`due-${note.id}`}
+              >
+                ⏰ {describeDue(note, i18n, now)}
+              </div>
+            )}
+            <div className="Sidebar-note-date" data-testid={`date-${note.id}`}>
+              <RelativeTime iso={note.updatedAt} now={now} i18n={i18n} />
             </div>
           </li>
         ))}
       </ul>
+      {syncState && (
+        <div
+          className={`Sidebar-sync Sidebar-sync--${syncState.status}`}
+          data-testid="sidebar-sync-status"
+          aria-live="polite"
+        >
+          {describeSync(syncState, i18n)}
+        </div>
+      )}
       <div className="Sidebar-footer">
         <span>
           <a
@@ -271,9 +1994,10 @@ function Sidebar({
             className="Sidebar-link"
             data-testid="sidebar-footer-link"
           >
-            React Notes App
+            {t("sidebar.footer")}
           </a>
         </span>
+        <LanguageSelect preference={localePreference} onChange={onLocaleChange} i18n={i18n} />
       </div>
     </nav>
   );
@@ -282,48 +2006,387 @@ function Sidebar({
 // --- Main Content component ---
 // PUBLIC_INTERFACE
 function MainContent({
+  i18n,
   mode,
   note,
+  missingNoteId,
+  onShowAllNotes,
+  loading,
+  saving,
+  error,
+  onDismissError,
   editTitle,
   editContent,
   setEditTitle,
   setEditContent,
+  editTags,
+  editNotebook,
+  setEditTags,
+  setEditNotebook,
+  editDue,
+  editReminder,
+  setEditDue,
+  setEditReminder,
+  now,
+  notebooks,
+  wikiLinks,
+  backlinks,
+  linkTitles,
+  onOpenNote,
+  attachmentLinks,
+  listAttachments,
+  attachmentError,
+  canAttach,
+  onAttachFiles,
+  onRemoveAttachment,
+  trashPolicy,
   onEdit,
   onDelete,
+  onToggleFlag,
+  onMarkDone,
+  onToggleTask,
+  onRestoreRevision,
+  onExportNote,
+  onExportNoteHtml,
+  onSaveAsTemplate,
+  templates,
+  onApplyTemplate,
+  onManageTemplates,
+  onRestoreFromTrash,
+  onDeleteForever,
+  vaultUnlocked,
+  onUnlock,
+  onEncrypt,
+  onDecrypt,
+  dirty,
+  draftSavedAt,
+  restoredDraftAt,
+  onDiscardDraft,
+  remoteEdit,
+  onReloadRemoteEdit,
+  onKeepMine,
+  collab,
+  collabPeer,
+  onRenameCollabPeer,
   onSave,
   onCancel
 }) {
+  const { t, formatTime } = i18n;
+  const [editorView, setEditorView] = useState("write"); // write | split | preview
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const titleInput = useRef(null);
+  const contentInput = useRef(null);
+  // Notes are edited together while open in the form; encrypted ones never leave this device
+  const collaboration = useCollaboration({
+    client: collab,
+    room: mode === "edit" && note && !note.encrypted ? `note:${note.id}` : null,
+    peer: collabPeer,
+    base: note ? { title: note.title, content: note.content } : null,
+    baseTag: note ? note.updatedAt : null,
+    values: { title: editTitle, content: editContent },
+    setters: { title: setEditTitle, content: setEditContent },
+    inputs: { title: titleInput, content: contentInput }
+  });
+  const linkAutocomplete = useLinkAutocomplete({
+    textareaRef: contentInput,
+    value: editContent,
+    onChange: setEditContent,
+    titles: linkTitles
+  });
+  const editor = useMarkdownEditor({ textareaRef: contentInput, value: editContent, onChange: setEditContent, i18n });
+  const stats = useMemo(() => textStats(editContent), [editContent]);
+  const previewLinks = { resolve: wikiLinks.resolve }; // shown, but not followed while editing
+  const fileInput = useRef(null);
+  const [dropping, setDropping] = useState(false);
+  const caret = () => (contentInput.current ? contentInput.current.selectionStart : editContent.length);
+  const hasFiles = e => Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes("Files");
+
+  const errorBanner = error && (
+    <div className="MainContent-error" role="alert" data-testid="main-error">
+      <span>{i18n.errorMessage(error)}</span>
+      <button className="MainContent-error-dismiss" onClick={onDismissError} aria-label={t("main.dismissError")}>
+        ×
+      </button>
+    </div>
+  );
+
   if (mode === "create" || (mode === "edit" && note)) {
     return (
       <main className="MainContent" data-testid="main-content">
-        <form className="NoteForm" onSubmit={onSave} autoComplete="off" data-testid="note-form">
-          <h2 data-testid="note-form-heading">{mode === "create" ? "Create Note" : "Edit Note"}</h2>
+        {errorBanner}
+        <form
+          className={`NoteForm NoteForm--${editorView}`}
+          onSubmit={onSave}
+          autoComplete="off"
+          data-testid="note-form"
+        >
+          <div className="NoteForm-header">
+            <h2 data-testid="note-form-heading">{t(mode === "create" ? "form.create" : "form.edit")}</h2>
+            <span
+              className={"NoteForm-status" + (dirty ? " NoteForm-status--dirty" : "")}
+              aria-live="polite"
+              data-testid="note-dirty-indicator"
+            >
+              {!dirty
+                ? t("form.clean")
+                : draftSavedAt
+                  ? t("form.draftSaved", { time: formatTime(draftSavedAt) })
+                  : t("form.unsaved")}
+            </span>
+            {collaboration.status && (
+              <CollabPresence
+                status={collaboration.status}
+                peers={collaboration.peers}
+                self={collabPeer}
+                onRename={onRenameCollabPeer}
+                i18n={i18n}
+              />
+            )}
+          </div>
+          {restoredDraftAt && dirty && (
+            <div className="NoteForm-draft" role="note" data-testid="note-draft-restored">
+              <span>{t("form.draftRestored", { time: formatTime(restoredDraftAt) })}</span>
+              <button type="button" className="btn btn-outline" onClick={onDiscardDraft} data-testid="note-draft-discard">
+                {t("form.discardDraft")}
+              </button>
+            </div>
+          )}
+          {remoteEdit && (
+            <div className="NoteForm-draft NoteForm-remote" role="alert" data-testid="note-remote-changed">
+              <span>
+                {t(restoredDraftAt ? "form.draftOutdated" : "form.remoteChanged", { time: formatTime(remoteEdit.updatedAt) })}
+              </span>
+              <span className="NoteForm-remote-actions">
+                <button type="button" className="btn btn-outline" onClick={onReloadRemoteEdit} data-testid="note-remote-reload">
+                  {t("form.loadTheirs")}
+                </button>
+                <button type="button" className="btn btn-outline" onClick={onKeepMine} data-testid="note-remote-keep">
+                  {t("form.keepMine")}
+                </button>
+              </span>
+            </div>
+          )}
+          {mode === "create" && !editContent && templates.length > 0 && (
+            <TemplatePicker i18n={i18n} templates={templates} onApply={onApplyTemplate} onManage={onManageTemplates} />
+          )}
           <input
             className="NoteForm-title"
             type="text"
-            placeholder="Title"
+            placeholder={t("form.title")}
             value={editTitle}
             onChange={e => setEditTitle(e.target.value)}
+            ref={titleInput}
+            onSelect={() => collaboration.reportCursor("title")}
+            onBlur={() => collaboration.reportCursor(null)}
             required
             autoFocus
             data-testid="note-title-input"
-            aria-label="Note title input"
+            aria-label={t("form.titleLabel")}
           />
-          <textarea
-            className="NoteForm-content"
-            rows="10"
-            placeholder="Write your note here..."
-            value={editContent}
-            onChange={e => setEditContent(e.target.value)}
-            data-testid="note-content-input"
-            aria-label="Note content input"
+          <div className="NoteForm-organize">
+            <input
+              className="NoteForm-notebook"
+              type="text"
+              placeholder={t("form.notebook")}
+              value={editNotebook}
+              onChange={e => setEditNotebook(e.target.value)}
+              list="notebook-options"
+              data-testid="note-notebook-input"
+              aria-label={t("form.notebook")}
+            />
+            <datalist id="notebook-options">
+              {notebooks.map(name => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+            <input
+              className="NoteForm-tags"
+              type="text"
+              placeholder={t("form.tags")}
+              value={editTags}
+              onChange={e => setEditTags(e.target.value)}
+              data-testid="note-tags-input"
+              aria-label={t("form.tagsLabel")}
+            />
+          </div>
+          <div className="NoteForm-schedule">
+            <label className="NoteForm-field">
+              <span>{t("form.due")}</span>
+              <input type="datetime-local" value={editDue} onChange={e => setEditDue(e.target.value)} data-testid="note-due-input" />
+            </label>
+            <label className="NoteForm-field">
+              <span>{t("form.remind")}</span>
+              <select
+                value={editDue ? editReminder : ""}
+                onChange={e => setEditReminder(e.target.value)}
+                disabled={!editDue}
+                title={editDue ? undefined : t("form.dueFirst")}
+                data-testid="note-reminder-select"
+              >
+                <option value="">{t("form.noReminder")}</option>
+                {REMINDER_LEADS.map(lead => (
+                  <option key={lead.minutes} value={String(lead.minutes)}>
+                    {i18n.label(`reminder.${lead.minutes}`, lead.label)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="NoteForm-views" role="group" aria-label={t("form.editorView")}>
+            {["write", "split", "preview"].map(view => (
+              <button
+                key={view}
+                type="button"
+                className={"NoteForm-view" + (editorView === view ? " NoteForm-view--active" : "")}
+                aria-pressed={editorView === view}
+                onClick={() => setEditorView(view)}
+                data-testid={`note-view-${view}`}
+              >
+                {t(`form.view.${view}`)}
+              </button>
+            ))}
+          </div>
+          <div className="NoteForm-body">
+            {editorView !== "preview" && (
+              <div
+                className={"NoteForm-editor" + (dropping ? " NoteForm-editor--dropping" : "")}
+                onDragOver={e => {
+                  if (!hasFiles(e)) return;
+                  e.preventDefault();
+                  setDropping(true);
+                }}
+                onDragLeave={() => setDropping(false)}
+                onDrop={e => {
+                  if (!hasFiles(e)) return;
+                  e.preventDefault();
+                  setDropping(false);
+                  onAttachFiles(Array.from(e.dataTransfer.files), caret());
+                }}
+              >
+                <FormattingToolbar i18n={i18n} onFormat={editor.format} controls="note-content" disabled={saving} />
+                <textarea
+                  id="note-content"
+                  className="NoteForm-content"
+                  rows="10"
+                  placeholder={t("form.content")}
+                  value={editContent}
+                  ref={contentInput}
+                  {...linkAutocomplete.textareaProps}
+                  onKeyDown={e => {
+                    linkAutocomplete.textareaProps.onKeyDown(e);
+                    editor.onKeyDown(e);
+                  }}
+                  onSelect={() => collaboration.reportCursor("content")}
+                  onBlur={() => {
+                    linkAutocomplete.textareaProps.onBlur();
+                    collaboration.reportCursor(null);
+                  }}
+                  aria-describedby="note-stats note-editor-keys"
+                  onPaste={e => {
+                    const files = Array.from((e.clipboardData && e.clipboardData.files) || []);
+                    if (files.length === 0) return;
+                    e.preventDefault();
+                    onAttachFiles(files, caret(), { pasted: true });
+                  }}
+                  data-testid="note-content-input"
+                  aria-label={t("form.contentLabel")}
+                />
+                {collaboration.peers.some(peer => peer.field === "content") && (
+                  <RemoteCursors
+                    textareaRef={contentInput}
+                    text={editContent}
+                    cursors={collaboration.peers.filter(peer => peer.field === "content")}
+                  />
+                )}
+                {linkAutocomplete.suggestions.length > 0 && (
+                  <ul className="LinkSuggestions" id={linkAutocomplete.listId} role="listbox" aria-label={t("form.linkSuggestions")} data-testid="link-suggestions">
+                    {linkAutocomplete.suggestions.map((title, i) => (
+                      <li
+                        key={title}
+                        id={`${linkAutocomplete.listId}-${i}`}
+                        className={"LinkSuggestions-option" + (i === linkAutocomplete.active ? " LinkSuggestions-option--active" : "")}
+                        role="option"
+                        aria-selected={i === linkAutocomplete.active}
+                        onMouseDown={e => {
+                          e.preventDefault();
+                          linkAutocomplete.accept(title);
+                        }}
+                        data-testid="link-suggestion"
+                      >
+                        {title}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+            {editorView !== "write" && (
+              <Markdown
+                i18n={i18n}
+                className="NoteForm-preview"
+                source={editContent}
+                onToggleTask={line => setEditContent(toggleTask(editContent, line))}
+                wikiLinks={previewLinks}
+                attachments={attachmentLinks}
+                aria-label={t("form.view.preview")}
+                data-testid="note-preview"
+              />
+            )}
+          </div>
+          <div className="NoteForm-stats">
+            <span id="note-stats" data-testid="note-stats">
+              {formatStats(stats, i18n)}
+            </span>
+            <span id="note-editor-keys" className="visually-hidden">
+              {t("form.editorKeys")}
+            </span>
+            <span className="visually-hidden" role="status" aria-live="polite" data-testid="editor-announcement">
+              {editor.announcement}
+            </span>
+          </div>
+          <div className="NoteForm-files">
+            <button
+              type="button"
+              className="btn btn-outline"
+              onClick={() => fileInput.current.click()}
+              disabled={!canAttach}
+              aria-describedby="note-attach-hint"
+              data-testid="attach-btn"
+            >
+              {t("form.attach")}
+            </button>
+            <span id="note-attach-hint" className="NoteForm-files-hint" data-testid="attach-hint">
+              {t(canAttach ? "form.attachHint" : "attachments.encryptedNote")}
+            </span>
+            <input
+              ref={fileInput}
+              type="file"
+              multiple
+              hidden
+              onChange={e => {
+                const files = Array.from(e.target.files);
+                e.target.value = "";
+                if (files.length) onAttachFiles(files, caret());
+              }}
+              data-testid="attach-input"
+            />
+          </div>
+          {attachmentError && (
+            <div className="NoteForm-files-error" role="alert" data-testid="attachment-error">
+              {attachmentError}
+            </div>
+          )}
+          <AttachmentList
+            attachments={listAttachments(editContent)}
+            onRemove={id => setEditContent(content => removeAttachmentLinks(content, id))}
+            i18n={i18n}
           />
           <div className="NoteForm-actions">
-            <button className="btn btn-primary" type="submit" data-testid="note-save-btn">
-              Save
+            <button className="btn btn-primary" type="submit" disabled={saving} data-testid="note-save-btn">
+              {t(saving ? "form.saving" : "form.save")}
             </button>
-            <button className="btn btn-secondary" type="button" onClick={onCancel} data-testid="note-cancel-btn">
-              Cancel
+            <button className="btn btn-secondary" type="button" onClick={onCancel} disabled={saving} data-testid="note-cancel-btn">
+              {t("form.cancel")}
             </button>
           </div>
         </form>
@@ -331,11 +2394,90 @@ function MainContent({
     );
   }
 
+  if (loading) {
+    return (
+      <main className="MainContent MainContent--empty" data-testid="main-content" aria-busy="true">
+        <p data-testid="main-loading">{t("notes.loading")}</p>
+      </main>
+    );
+  }
+
+  if (!note && missingNoteId) {
+    return (
+      <main className="MainContent MainContent--empty" data-testid="main-content">
+        {errorBanner}
+        <div className="NotFound" data-testid="note-not-found">
+          <h2>{t("main.notFoundTitle")}</h2>
+          <p>{withElement(t("main.notFoundBody"), "{id}", <code>{missingNoteId}</code>)}</p>
+          <button className="btn btn-primary" onClick={onShowAllNotes} data-testid="not-found-back-btn">
+            {t("main.showAll")}
+          </button>
+        </div>
+      </main>
+    );
+  }
+
   if (!note) {
     return (
       <main className="MainContent MainContent--empty" data-testid="main-content">
-        <h2>Get Started</h2>
-        <p>Select a note or create a new one.</p>
+        {errorBanner}
+        <h2>{t("main.emptyTitle")}</h2>
+        <p>{t("main.emptyBody")}</p>
+      </main>
+    );
+  }
+
+  if (note.locked) {
+    return (
+      <main className="MainContent" data-testid="main-content">
+        {errorBanner}
+        <LockedNote i18n={i18n} note={note} unlocked={vaultUnlocked} onUnlock={onUnlock}>
+          {isTrashed(note) ? (
+            <>
+              <button className="btn btn-outline" onClick={() => onRestoreFromTrash(note)} disabled={saving} data-testid="note-restore-btn">
+                {t("note.restore")}
+              </button>
+              <button className="btn btn-secondary" onClick={() => onDeleteForever(note)} disabled={saving} data-testid="note-delete-forever-btn">
+                {t("note.deleteForever")}
+              </button>
+            </>
+          ) : (
+            <button className="btn btn-secondary" onClick={() => onDelete(note.id)} disabled={saving} data-testid="note-delete-btn">
+              {t("note.delete")}
+            </button>
+          )}
+        </LockedNote>
+      </main>
+    );
+  }
+
+  if (isTrashed(note)) {
+    const purgeOn = purgeDate(note, trashPolicy);
+    return (
+      <main className="MainContent" data-testid="main-content">
+        {errorBanner}
+        <div className="NoteDisplay NoteDisplay--trashed" data-testid="note-display">
+          <div className="NoteDisplay-trash" role="note" data-testid="note-trash-banner">
+            {purgeOn ? t("note.inTrashUntil", { date: i18n.formatDate(purgeOn) }) : t("note.inTrash")}
+          </div>
+          <h2 className="NoteDisplay-title" data-testid="note-display-title">{note.title}</h2>
+          <Markdown
+            i18n={i18n}
+            className="NoteDisplay-content"
+            source={note.content}
+            wikiLinks={previewLinks}
+            attachments={attachmentLinks}
+            data-testid="note-display-content"
+          />
+          <div className="NoteDisplay-actions">
+            <button className="btn btn-primary" onClick={() => onRestoreFromTrash(note)} disabled={saving} data-testid="note-restore-btn">
+              {t("note.restore")}
+            </button>
+            <button className="btn btn-secondary" onClick={() => onDeleteForever(note)} disabled={saving} data-testid="note-delete-forever-btn">
+              {t("note.deleteForever")}
+            </button>
+          </div>
+        </div>
       </main>
     );
   }
@@ -343,27 +2485,165 @@ function MainContent({
   // Default: display selected note
   return (
     <main className="MainContent" data-testid="main-content">
+      {errorBanner}
       <div className="NoteDisplay" data-testid="note-display">
+        {isArchived(note) && (
+          <div className="NoteDisplay-archived" role="note" data-testid="note-archived-banner">
+            <span>{t("note.archivedBanner")}</span>
+            <button className="btn btn-outline" onClick={() => onToggleFlag(note, "archived")} disabled={saving} data-testid="note-unarchive-btn">
+              {t("note.unarchive")}
+            </button>
+          </div>
+        )}
         <div className="NoteDisplay-meta">
           <div className="NoteDisplay-date" data-testid="note-display-date">
-            Last updated:{" "}
-            {new Date(note.updatedAt).toLocaleDateString()}{" "}
-            {new Date(note.updatedAt).toLocaleTimeString([], {
-              hour: "2-digit",
-              minute: "2-digit"
-            })}
+            {t("note.lastUpdated")} <RelativeTime iso={note.updatedAt} now={now} i18n={i18n} />
           </div>
+          {(notebookOf(note) || tagsOf(note).length > 0) && (
+            <div className="NoteDisplay-labels" data-testid="note-display-labels">
+              {notebookOf(note) && (
+                <span className="NoteDisplay-notebook" data-testid="note-display-notebook">
+                  📁 {notebookOf(note)}
+                </span>
+              )}
+              {tagsOf(note).map(tag => (
+                <span className="Tag" key={tag}>
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
+          {note.dueAt && (
+            <div
+              className={"NoteDisplay-due" + (isOverdue(note, now) ? " NoteDisplay-due--overdue" : "")}
+              data-testid="note-display-due"
+            >
+              <span>⏰ {describeDue(note, i18n, now)}</span>
+              {note.remindAt && (
+                <span className="NoteDisplay-reminder" data-testid="note-display-reminder">
+                  {t("note.reminderAt", { when: formatDue(note.remindAt, i18n, now) })}
+                </span>
+              )}
+              <button
+                className="NoteDisplay-flag"
+                onClick={() => onMarkDone(note)}
+                disabled={saving}
+                title={t("note.doneTitle")}
+                data-testid="note-done-btn"
+              >
+                {t("note.done")}
+              </button>
+            </div>
+          )}
         </div>
         <h2 className="NoteDisplay-title" data-testid="note-display-title">{note.title}</h2>
-        <pre className="NoteDisplay-content" data-testid="note-display-content">{note.content}</pre>
+        <Markdown
+          i18n={i18n}
+          className="NoteDisplay-content"
+          source={note.content}
+          onToggleTask={saving ? undefined : line => onToggleTask(note, line)}
+          wikiLinks={wikiLinks}
+          attachments={attachmentLinks}
+          data-testid="note-display-content"
+        />
+        <AttachmentList
+          attachments={listAttachments(note.content)}
+          onRemove={id => onRemoveAttachment(note, id)}
+          disabled={saving}
+          i18n={i18n}
+        />
         <div className="NoteDisplay-actions">
-          <button className="btn btn-primary" onClick={onEdit} data-testid="note-edit-btn">
-            Edit
+          <button className="btn btn-primary" onClick={onEdit} disabled={saving} data-testid="note-edit-btn">
+            {t("note.edit")}
+          </button>
+          <button className="btn btn-secondary" onClick={() => onDelete(note.id)} disabled={saving} data-testid="note-delete-btn">
+            {t("note.delete")}
           </button>
-          <button className="btn btn-secondary" onClick={() => onDelete(note.id)} data-testid="note-delete-btn">
-            Delete
+          <button
+            className="btn btn-outline"
+            onClick={() => setHistoryOpen(open => !open)}
+            aria-expanded={historyOpen}
+            data-testid="note-history-btn"
+          >
+            {t("note.history", { count: revisionsOf(note).length })}
           </button>
+          <button className="btn btn-outline" onClick={() => onExportNote(note)} data-testid="note-export-btn">
+            {t("note.exportMarkdown")}
+          </button>
+          <button
+            className="btn btn-outline"
+            onClick={() => onExportNoteHtml(note)}
+            title={t("note.exportHtmlTitle")}
+            data-testid="note-export-html-btn"
+          >
+            {t("note.exportHtml")}
+          </button>
+          <button className="btn btn-outline" onClick={() => window.print()} data-testid="note-print-btn">
+            {t("note.print")}
+          </button>
+          <button className="btn btn-outline" onClick={() => onSaveAsTemplate(note)} data-testid="note-save-template-btn">
+            {t("note.saveAsTemplate")}
+          </button>
+          {note.encrypted ? (
+            <button className="btn btn-outline" onClick={() => onDecrypt(note)} disabled={saving} data-testid="note-decrypt-btn">
+              {t("note.decrypt")}
+            </button>
+          ) : (
+            <button
+              className="btn btn-outline"
+              onClick={() => onEncrypt(note)}
+              disabled={saving}
+              title={t("note.encryptTitle")}
+              data-testid="note-encrypt-btn"
+            >
+              {t("note.encrypt")}
+            </button>
+          )}
+          <div className="NoteDisplay-flags" role="group" aria-label={t("note.flags")}>
+            <button
+              className={"NoteDisplay-flag" + (isPinned(note) ? " NoteDisplay-flag--on" : "")}
+              onClick={() => onToggleFlag(note, "pinned")}
+              disabled={saving}
+              aria-pressed={isPinned(note)}
+              title={t(isPinned(note) ? "note.unpinTitle" : "note.pinTitle")}
+              data-testid="note-pin-btn"
+            >
+              📌 {t(isPinned(note) ? "flags.pinned" : "note.pin")}
+            </button>
+            <button
+              className={"NoteDisplay-flag" + (isFavorite(note) ? " NoteDisplay-flag--on" : "")}
+              onClick={() => onToggleFlag(note, "favorite")}
+              disabled={saving}
+              aria-pressed={isFavorite(note)}
+              title={t(isFavorite(note) ? "note.unfavoriteTitle" : "note.favoriteTitle")}
+              data-testid="note-favorite-btn"
+            >
+              {isFavorite(note) ? "★" : "☆"} {t("flags.favorite")}
+            </button>
+            {!isArchived(note) && (
+              <button
+                className="NoteDisplay-flag"
+                onClick={() => onToggleFlag(note, "archived")}
+                disabled={saving}
+                title={t("note.archiveTitle")}
+                data-testid="note-archive-btn"
+              >
+                {t("note.archive")}
+              </button>
+            )}
+          </div>
         </div>
+        {historyOpen && (
+          <HistoryPanel
+            i18n={i18n}
+            key={`${note.id}:${revisionsOf(note).length}`}
+            note={note}
+            disabled={saving}
+            onRestore={revision => onRestoreRevision(note, revision)}
+            onClose={() => setHistoryOpen(false)}
+          />
+        )}
+        <Backlinks i18n={i18n} notes={backlinks} onOpen={onOpenNote} />
       </div>
     </main>
   );
@@ -1,17 +1,37 @@
 import React from "react";
-import { render, screen, within, waitFor } from "@testing-library/react";
+import { act, fireEvent, render, screen, within, waitFor } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import App from "./App";
+import {
+  createMemoryAdapter,
+  createOfflineAdapter,
+  createRestAdapter,
+  createSampleNotes,
+  StorageError
+} from "./storage";
+import { createMockNotesServer } from "./storage/mockNotesServer";
+import { createMemoryObjectStore } from "./storage/idb";
+import { createAttachmentStore } from "./attachments/attachmentStore";
+import { createTabChannel } from "./storage/tabSync";
+import { createVault } from "./vault/vault";
+import { readAsText } from "./transfer/files";
+import { createCollabClient } from "./collab/client";
+import { createCollabDoc } from "./collab/crdt";
+import { createRelay } from "../scripts/collab-relay";
 
 /**
  * Utilities to get robust references to all key UI parts of the app.
  * Now uses data-testid for unambiguous selection.
+ * Resolves once the storage adapter has finished its initial load.
  */
-function setup() {
-  render(<App />);
+async function setup({ storage = createMemoryAdapter(createSampleNotes()) } = {}) {
+  const utils = render(<App storage={storage} />);
+  await waitFor(() =>
+    expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument()
+  );
   const getSidebar = () => screen.getByRole("navigation");
   const getSidebarNotes = () => (
-    within(getSidebar()).queryAllByTestId(/^sidebar-note-/)
+    within(getSidebar()).queryAllByTestId(/^sidebar-note-(?!title-)/)
   );
   const getCreateButton = () =>
     screen.getByTestId("create-note-btn");
@@ -34,6 +54,7 @@ function setup() {
   const getSidebarFab = () =>
     screen.queryByTestId("sidebar-fab");
   return {
+    ...utils,
     getSidebar,
     getSidebarNotes,
     getCreateButton,
@@ -50,9 +71,12 @@ function setup() {
 }
 
 // Helper to confirm window.confirm and window.alert
-beforeAll(() => {
+// (beforeEach: CRA's jest config resets mock implementations between tests)
+beforeEach(() => {
   window.confirm = jest.fn(() => true);
   window.alert = jest.fn();
+  window.localStorage.clear(); // drafts
+  window.history.replaceState(null, "", "/");
 });
 afterEach(() => {
   jest.clearAllMocks();
@@ -60,7 +84,7 @@ afterEach(() => {
 
 describe("Notes App UI", () => {
   test("Sidebar renders, initial notes displayed and correct nav", async () => {
-    const { getSidebar, getSidebarNotes } = setup();
+    const { getSidebar, getSidebarNotes } = await setup();
     expect(getSidebar()).toBeInTheDocument();
     // Wait for notes to seed
     await waitFor(() => {
@@ -75,8 +99,24 @@ describe("Notes App UI", () => {
     ).toHaveTextContent("Features");
   });
 
+  test("The app starts when the browser blocks localStorage", async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(window, "localStorage");
+    Object.defineProperty(window, "localStorage", {
+      configurable: true,
+      get() {
+        throw new Error("SecurityError");
+      }
+    });
+    try {
+      const { getSidebarNotes } = await setup();
+      expect(getSidebarNotes()).toHaveLength(2);
+    } finally {
+      Object.defineProperty(window, "localStorage", descriptor);
+    }
+  });
+
   test("Selecting a note shows the note in main content", async () => {
-    const { getSidebarNotes, getMainContent, getEditButton, getDeleteButton } = setup();
+    const { getSidebarNotes, getMainContent, getEditButton, getDeleteButton } = await setup();
     const user = userEvent.setup();
     const notes = getSidebarNotes();
     // Select the second "Features" note
@@ -97,7 +137,7 @@ describe("Notes App UI", () => {
       getNoteContentInput,
       getSaveButton,
       getSidebarNotes,
-    } = setup();
+    } = await setup();
     const user = userEvent.setup();
 
     await user.click(getCreateButton());
@@ -119,7 +159,7 @@ describe("Notes App UI", () => {
   });
 
   test("Create note - empty title triggers alert, does not save", async () => {
-    const { getCreateButton, getNoteTitleInput, getSaveButton } = setup();
+    const { getCreateButton, getNoteTitleInput, getSaveButton } = await setup();
     const user = userEvent.setup();
 
     await user.click(getCreateButton());
@@ -137,7 +177,7 @@ describe("Notes App UI", () => {
       getNoteTitleInput,
       getNoteContentInput,
       getSaveButton,
-    } = setup();
+    } = await setup();
     const user = userEvent.setup();
 
     // Select note 0
@@ -145,7 +185,7 @@ describe("Notes App UI", () => {
     await user.click(getEditButton());
     // Should see edit form prefilled
     expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Edit Note");
-    expect(getNoteTitleInput()).toHaveValue(expect.stringContaining("Welcome"));
+    expect(getNoteTitleInput()).toHaveValue("Welcome to Note Organizer");
 
     // Edit title and content
     await user.clear(getNoteTitleInput());
@@ -169,14 +209,15 @@ describe("Notes App UI", () => {
       getSidebarNotes,
       getDeleteButton,
       getSidebar,
-    } = setup();
+    } = await setup();
     const user = userEvent.setup();
 
     // Select a note
     await user.click(getSidebarNotes()[0]);
     await user.click(getDeleteButton());
-    // window.confirm was called
-    expect(window.confirm).toBeCalledWith(expect.stringMatching(/delete this note/i));
+    // Deleting moves the note to the Trash and offers an undo instead of asking first
+    expect(window.confirm).not.toHaveBeenCalled();
+    expect(await screen.findByTestId("toast")).toHaveTextContent(/moved .*welcome to note organizer.* to trash/i);
     // Note gone from sidebar and main returns to empty state or shows next note
     await waitFor(() =>
       expect(getSidebar()).not.toHaveTextContent(/welcome to note organizer/i)
@@ -186,7 +227,7 @@ describe("Notes App UI", () => {
   });
 
   test("Sidebar search filters notes live", async () => {
-    const { getSearchInput, getSidebarNotes, getCreateButton, getNoteTitleInput, getSaveButton } = setup();
+    const { getSearchInput, getSidebarNotes, getCreateButton, getNoteTitleInput, getSaveButton } = await setup();
     const user = userEvent.setup();
 
     // Add one more note for clear difference
@@ -226,7 +267,7 @@ describe("Notes App UI", () => {
     // Set window innerWidth <= 768 for mobile sidebar state
     Object.defineProperty(window, "innerWidth", { writable: true, configurable: true, value: 500});
     window.dispatchEvent(new Event("resize"));
-    const { getSidebar, getSidebarFab } = setup();
+    const { getSidebar, getSidebarFab } = await setup();
     const user = userEvent.setup();
 
     // Sidebar starts closed
@@ -255,7 +296,7 @@ describe("Notes App UI", () => {
       getEditButton,
       getMainContent,
       getSidebarNotes,
-    } = setup();
+    } = await setup();
     const user = userEvent.setup();
 
     // Test create cancel
@@ -277,7 +318,7 @@ describe("Notes App UI", () => {
   });
 
   test("Clicking 'React Notes App' footer link opens correct URL", async () => {
-    setup();
+    await setup();
     // Link in sidebar footer
     const footerLink = screen.getByTestId("sidebar-footer-link");
     expect(footerLink).toHaveAttribute("href", "https://reactjs.org/");
@@ -287,7 +328,7 @@ describe("Notes App UI", () => {
   });
 
   test("Dates displayed in human-readable format", async () => {
-    const { getSidebarNotes } = setup();
+    const { getSidebarNotes } = await setup();
     const user = userEvent.setup();
 
     // All sidebar notes show a date in format MM/DD/YYYY or similar
@@ -296,15 +337,2084 @@ describe("Notes App UI", () => {
       expect(notes.length).toBeGreaterThan(0);
     });
     const notes = getSidebarNotes();
+    const year = String(new Date().getFullYear());
     for (let li of notes) {
-      // Should have something like: 4/12/2024 10:43
-      expect(
-        within(li).getByText(/\d{1,2}\/\d{1,2}\/\d{2,4}/)
-      ).toBeInTheDocument();
+      // Relative to now ("just now", "5 minutes ago"), with the full date on hover
+      const time = within(li).getByText("just now");
+      expect(time.tagName).toBe("TIME");
+      expect(time).toHaveAttribute("title", expect.stringContaining(year));
     }
 
     // Main view date format
     await user.click(notes[0]);
-    expect(screen.getByTestId("note-display-date").textContent).toMatch(/\d{1,2}\/\d{1,2}\/\d{2,4}/);
+    const date = screen.getByTestId("note-display-date");
+    expect(date).toHaveTextContent("Last updated: just now");
+    expect(date.querySelector("time")).toHaveAttribute("title", expect.stringContaining(year));
+  });
+});
+
+describe("Markdown notes", () => {
+  const checklist = {
+    id: "todo",
+    title: "Checklist",
+    content: "# Groceries\n\n- [ ] Milk\n- [x] Eggs",
+    createdAt: "2024-01-01T00:00:00.000Z",
+    updatedAt: "2024-01-01T00:00:00.000Z"
+  };
+
+  test("Note content is rendered as markdown and task checkboxes save back", async () => {
+    const storage = createMemoryAdapter([checklist]);
+    const { getSidebarNotes } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    const content = screen.getByTestId("note-display-content");
+    expect(within(content).getByRole("heading", { level: 1 })).toHaveTextContent("Groceries");
+
+    await user.click(within(content).getAllByRole("checkbox")[0]);
+    await waitFor(() => expect(within(content).getAllByRole("checkbox")[0]).toBeChecked());
+    expect((await storage.list())[0].content).toBe("# Groceries\n\n- [x] Milk\n- [x] Eggs");
+  });
+
+  test("Split view shows a live preview next to the editor", async () => {
+    const { getCreateButton, getNoteContentInput } = await setup();
+    const user = userEvent.setup();
+
+    await user.click(getCreateButton());
+    expect(screen.queryByTestId("note-preview")).not.toBeInTheDocument();
+    await user.click(screen.getByTestId("note-view-split"));
+    await user.type(getNoteContentInput(), "**bold** move");
+    expect(within(screen.getByTestId("note-preview")).getByText("bold").tagName).toBe("STRONG");
+
+    await user.click(screen.getByTestId("note-view-preview"));
+    expect(screen.queryByTestId("note-content-input")).not.toBeInTheDocument();
+    expect(screen.getByTestId("note-preview")).toHaveTextContent("bold move");
+  });
+
+  test("The toolbar and shortcuts format the selection, lists continue and Tab indents", async () => {
+    const { getCreateButton, getNoteContentInput } = await setup();
+    const user = userEvent.setup();
+    await user.click(getCreateButton());
+    const content = getNoteContentInput();
+    const announcement = screen.getByTestId("editor-announcement");
+
+    await user.type(content, "Buy milk");
+    content.setSelectionRange(4, 8);
+    await user.click(screen.getByTestId("format-bold"));
+    expect(content).toHaveValue("Buy **milk**");
+    expect(announcement).toHaveTextContent("Bold applied");
+    expect([content.selectionStart, content.selectionEnd]).toEqual([6, 10]);
+    await user.keyboard("{Control>}b{/Control}");
+    expect(content).toHaveValue("Buy milk");
+    expect(announcement).toHaveTextContent("Bold removed");
+
+    await user.click(screen.getByTestId("format-checklist"));
+    expect(content).toHaveValue("- [ ] Buy milk");
+    content.setSelectionRange(14, 14);
+    await user.keyboard("{Enter}eggs{Tab}");
+    expect(content).toHaveValue("- [ ] Buy milk\n  - [ ] eggs");
+    expect(announcement).toHaveTextContent("Indented");
+    await user.keyboard("{Shift>}{Tab}{/Shift}{Enter}{Enter}Done");
+    expect(content).toHaveValue("- [ ] Buy milk\n- [ ] eggs\nDone");
+    expect(announcement).toHaveTextContent("List ended");
+    expect(screen.getByTestId("note-stats")).toHaveTextContent("4 words · 30 characters · 1 min read");
+
+    // Escape hands Tab back to the browser; the toolbar is a single Tab stop with arrow keys
+    await user.keyboard("{Escape}{Shift>}{Tab}{/Shift}");
+    expect(content).not.toHaveFocus();
+    expect(content).toHaveValue("- [ ] Buy milk\n- [ ] eggs\nDone");
+    expect(screen.getByTestId("format-checklist")).toHaveFocus(); // the last button used
+    await user.keyboard("{ArrowRight}");
+    expect(screen.getByTestId("format-code")).toHaveFocus();
+    await user.keyboard("{Home}{ArrowLeft}");
+    expect(screen.getByTestId("format-link")).toHaveFocus();
+  });
+});
+
+describe("Tags and notebooks", () => {
+  const organized = () => [
+    {
+      id: "n1",
+      title: "Sprint plan",
+      content: "",
+      tags: ["work", "planning"],
+      notebook: "Projects",
+      createdAt: "2024-01-01T00:00:00.000Z",
+      updatedAt: "2024-01-03T00:00:00.000Z"
+    },
+    {
+      id: "n2",
+      title: "Groceries",
+      content: "",
+      tags: ["home"],
+      notebook: "Personal",
+      createdAt: "2024-01-01T00:00:00.000Z",
+      updatedAt: "2024-01-02T00:00:00.000Z"
+    },
+    {
+      id: "n3",
+      title: "Retro notes",
+      content: "",
+      tags: ["work"],
+      notebook: "Projects",
+      createdAt: "2024-01-01T00:00:00.000Z",
+      updatedAt: "2024-01-01T00:00:00.000Z"
+    }
+  ];
+  const titles = notes => notes.map(li => within(li).getByTestId(/^sidebar-note-title-/).textContent);
+
+  test("Notes get a notebook and tags from the form", async () => {
+    const { getCreateButton, getNoteTitleInput, getSaveButton } = await setup();
+    const user = userEvent.setup();
+
+    await user.click(getCreateButton());
+    await user.type(getNoteTitleInput(), "Tagged");
+    await user.type(screen.getByTestId("note-notebook-input"), "Projects");
+    await user.type(screen.getByTestId("note-tags-input"), "work, #urgent, Work");
+    await user.click(getSaveButton());
+
+    const labels = await screen.findByTestId("note-display-labels");
+    expect(labels).toHaveTextContent("📁 Projects");
+    expect(labels).toHaveTextContent("#work#urgent");
+    expect(screen.getByTestId("tree-notebook-Projects")).toHaveTextContent("1");
+    expect(screen.getByTestId("tree-tag-urgent")).toBeInTheDocument();
+  });
+
+  test("The notebook/tag tree filters the note list and collapses", async () => {
+    const { getSidebarNotes } = await setup({ storage: createMemoryAdapter(organized()) });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("tree-notebook-Projects"));
+    expect(titles(getSidebarNotes())).toEqual(["Sprint plan", "Retro notes"]);
+    await user.click(screen.getByTestId("tree-tag-home"));
+    expect(titles(getSidebarNotes())).toEqual(["Groceries"]);
+    await user.click(screen.getByTestId("tree-all"));
+    expect(getSidebarNotes()).toHaveLength(3);
+
+    await user.click(screen.getByTestId("tree-tag-toggle"));
+    expect(screen.getByTestId("tree-tag-toggle")).toHaveAttribute("aria-expanded", "false");
+    expect(screen.queryByTestId("tree-tag-home")).not.toBeInTheDocument();
+  });
+
+  test("Renaming or deleting a tag or notebook updates every note that uses it", async () => {
+    const storage = createMemoryAdapter(organized());
+    const { getSidebarNotes } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("tree-tag-work"));
+    window.prompt = jest.fn(() => "job");
+    await user.click(screen.getByTestId("tree-tag-work-rename"));
+    await waitFor(() => expect(screen.getByTestId("tree-tag-job")).toHaveTextContent("2"));
+    expect(screen.getByTestId("tree-tag-job")).toHaveAttribute("aria-pressed", "true");
+    expect(titles(getSidebarNotes()).sort()).toEqual(["Retro notes", "Sprint plan"]);
+
+    await user.click(screen.getByTestId("tree-notebook-Projects-delete"));
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringMatching(/notes themselves are kept/i));
+    await waitFor(() => expect(screen.queryByTestId("tree-notebook-Projects")).not.toBeInTheDocument());
+
+    const saved = await storage.list();
+    expect(saved.filter(n => n.tags.includes("job")).map(n => n.id).sort()).toEqual(["n1", "n3"]);
+    expect(saved.some(n => n.tags.includes("work"))).toBe(false);
+    expect(saved.map(n => n.notebook).sort()).toEqual(["Personal", null, null]);
+  });
+});
+
+describe("Search", () => {
+  test("Results are ranked, highlighted and show a snippet; operators narrow them", async () => {
+    const at = day => new Date(2024, 0, day).toISOString();
+    const storage = createMemoryAdapter([
+      { id: "s1", title: "Weekly groceries", content: "Buy **bread** and milk", tags: ["home"], createdAt: at(1), updatedAt: at(3) },
+      { id: "s2", title: "Bread recipe", content: "Flour, water, salt", tags: ["cooking"], createdAt: at(1), updatedAt: at(1) },
+      { id: "s3", title: "Old bread thoughts", content: "stale", tags: ["cooking"], createdAt: at(1), updatedAt: at(2) }
+    ]);
+    const { getSearchInput, getSidebarNotes } = await setup({ storage });
+    const user = userEvent.setup();
+    const titles = () => getSidebarNotes().map(li => within(li).getByTestId(/^sidebar-note-title-/).textContent);
+
+    await user.type(getSearchInput(), "bred");
+    await waitFor(() => expect(getSidebarNotes()).toHaveLength(3));
+    // Title hits first (most recent first among equals), body-only hit last
+    expect(titles()).toEqual(["Old bread thoughts", "Bread recipe", "Weekly groceries"]);
+    expect(within(getSidebarNotes()[1]).getByText("Bread", { selector: "mark" })).toBeInTheDocument();
+    const snippet = screen.getByTestId("snippet-s1");
+    expect(snippet).toHaveTextContent("Buy bread and milk");
+    expect(within(snippet).getByText("bread", { selector: "mark" })).toBeInTheDocument();
+
+    await user.clear(getSearchInput());
+    await user.type(getSearchInput(), "bread tag:cooking -stale");
+    await waitFor(() => expect(titles()).toEqual(["Bread recipe"]));
+  });
+});
+
+describe("Version history", () => {
+  async function editContent(user, text) {
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.clear(screen.getByTestId("note-content-input"));
+    await user.type(screen.getByTestId("note-content-input"), text);
+    await user.click(screen.getByTestId("note-save-btn"));
+    await screen.findByTestId("note-display");
+  }
+
+  test("Saves are listed in History with a diff and can be restored as a new revision", async () => {
+    const storage = createMemoryAdapter(createSampleNotes());
+    const { getSidebarNotes } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    await editContent(user, "Second draft");
+    await editContent(user, "Third draft");
+    expect(screen.getByTestId("note-history-btn")).toHaveTextContent("History (3)");
+
+    await user.click(screen.getByTestId("note-history-btn"));
+    const panel = screen.getByTestId("history-panel");
+    expect(within(panel).getByTestId("history-item-0")).toHaveTextContent("Current");
+    const diff = within(panel).getByTestId("history-diff");
+    expect(diff.querySelector(".HistoryPanel-line--removed")).toHaveTextContent("Second draft");
+    expect(diff.querySelector(".HistoryPanel-line--added")).toHaveTextContent("Third draft");
+
+    // Restore the original version
+    await user.click(within(panel).getByTestId("history-restore-2"));
+    await waitFor(() =>
+      expect(screen.getByTestId("note-display-content")).toHaveTextContent("This is your first note")
+    );
+    expect(screen.getByTestId("note-history-btn")).toHaveTextContent("History (4)");
+    const saved = (await storage.list()).find(n => n.id === "note1");
+    expect(saved.revisions.map(r => r.content)).toEqual([
+      "This is your first note. Start organizing your thoughts!",
+      "Second draft",
+      "Third draft",
+      "This is your first note. Start organizing your thoughts!"
+    ]);
+  });
+
+  test("History is pruned by the configured policy", async () => {
+    const user = userEvent.setup();
+    render(<App storage={createMemoryAdapter(createSampleNotes())} historyPolicy={{ maxRevisions: 2, maxAgeDays: 0 }} />);
+    await user.click(await screen.findByText("Features"));
+    await editContent(user, "v2");
+    await editContent(user, "v3");
+    expect(screen.getByTestId("note-history-btn")).toHaveTextContent("History (2)");
+  });
+});
+
+describe("Undo, redo and Trash", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  async function editContent(user, text) {
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.clear(screen.getByTestId("note-content-input"));
+    await user.type(screen.getByTestId("note-content-input"), text);
+    await user.click(screen.getByTestId("note-save-btn"));
+    await screen.findByTestId("note-display");
+  }
+
+  test("Undo in the delete toast brings the note back", async () => {
+    const storage = createMemoryAdapter(createSampleNotes());
+    const { getSidebarNotes, getSidebar } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-delete-btn"));
+    await waitFor(() => expect(getSidebar()).not.toHaveTextContent("Welcome to Note Organizer"));
+    expect(screen.getByTestId("tree-trash")).toHaveTextContent("1");
+
+    await user.click(screen.getByTestId("toast-action"));
+    await waitFor(() => expect(getSidebar()).toHaveTextContent("Welcome to Note Organizer"));
+    expect(screen.getByTestId("tree-trash")).toHaveTextContent("0");
+    expect((await storage.get("note1")).deletedAt).toBeFalsy();
+  });
+
+  test("Ctrl+Z and Ctrl+Shift+Z undo and redo edits outside text fields", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    await editContent(user, "Changed");
+    expect(screen.getByTestId("note-display-content")).toHaveTextContent("Changed");
+
+    await user.keyboard("{Control>}z{/Control}");
+    await waitFor(() =>
+      expect(screen.getByTestId("note-display-content")).toHaveTextContent("This is your first note")
+    );
+    expect(screen.getByTestId("toast")).toHaveTextContent("Undone: Edit note");
+
+    await user.keyboard("{Control>}{Shift>}z{/Shift}{/Control}");
+    await waitFor(() => expect(screen.getByTestId("note-display-content")).toHaveTextContent("Changed"));
+
+    // Inside a text field the browser's own undo applies
+    await user.click(screen.getByTestId("sidebar-searchbox"));
+    await user.keyboard("{Control>}z{/Control}");
+    expect(screen.getByTestId("note-display-content")).toHaveTextContent("Changed");
+  });
+
+  test("Trash lists deleted notes, which can be restored or deleted for good", async () => {
+    const storage = createMemoryAdapter(createSampleNotes());
+    const { getSidebarNotes } = await setup({ storage });
+    const user = userEvent.setup();
+
+    for (const title of ["Welcome to Note Organizer", "Features"]) {
+      await user.click(screen.getByText(title, { selector: ".Sidebar-note-title" }));
+      await user.click(screen.getByTestId("note-delete-btn"));
+      await waitFor(() => expect(screen.queryByText(title, { selector: ".Sidebar-note-title" })).toBeNull());
+    }
+    expect(screen.getByTestId("sidebar-note-empty")).toBeInTheDocument();
+
+    await user.click(screen.getByTestId("tree-trash"));
+    expect(screen.getByTestId("trash-info")).toHaveTextContent("after 30 days");
+    expect(getSidebarNotes()).toHaveLength(2);
+
+    await user.click(screen.getByText("Features", { selector: ".Sidebar-note-title" }));
+    expect(screen.getByTestId("note-trash-banner")).toHaveTextContent("In the Trash");
+    expect(screen.queryByTestId("note-edit-btn")).toBeNull();
+    await user.click(screen.getByTestId("note-restore-btn"));
+    await waitFor(() => expect(getSidebarNotes()).toHaveLength(1));
+
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-delete-forever-btn"));
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringMatching(/permanently/));
+    await waitFor(() => expect(screen.getByTestId("tree-trash")).toHaveTextContent("0"));
+    expect((await storage.list()).map(n => n.title)).toEqual(["Features"]);
+
+    // Even a permanent delete can be undone while the app is open
+    await user.keyboard("{Control>}z{/Control}");
+    await waitFor(() => expect(screen.getByTestId("tree-trash")).toHaveTextContent("1"));
+  });
+
+  test("Notes past the retention period are purged from the Trash", async () => {
+    const now = Date.now();
+    const storage = createMemoryAdapter([
+      ...createSampleNotes(),
+      { id: "old", title: "Old", content: "", createdAt: "2020-01-01T00:00:00.000Z", updatedAt: "2020-01-01T00:00:00.000Z", deletedAt: new Date(now - 8 * DAY).toISOString() },
+      { id: "recent", title: "Recent", content: "", createdAt: "2020-01-01T00:00:00.000Z", updatedAt: "2020-01-01T00:00:00.000Z", deletedAt: new Date(now - 2 * DAY).toISOString() }
+    ]);
+    render(<App storage={storage} trashPolicy={{ retentionDays: 7 }} />);
+    await waitFor(async () => expect((await storage.list()).map(n => n.id).sort()).toEqual(["note1", "note2", "recent"]));
+    expect(screen.getByTestId("tree-trash")).toHaveTextContent("1");
+  });
+});
+
+describe("Drafts and unsaved changes", () => {
+  const savedDrafts = () => JSON.parse(window.localStorage.getItem("note-organizer:drafts") || "{}");
+  const draftSaved = () =>
+    waitFor(() => expect(screen.getByTestId("note-dirty-indicator")).toHaveTextContent("draft saved"), { timeout: 3000 });
+
+  test("Leaving a dirty form asks first and keeps the form when declined", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-edit-btn"));
+    expect(screen.getByTestId("note-dirty-indicator")).toHaveTextContent("No unsaved changes");
+    await user.type(screen.getByTestId("note-content-input"), " more");
+    expect(screen.getByTestId("note-dirty-indicator")).toHaveTextContent("Unsaved changes");
+
+    window.confirm.mockReturnValueOnce(false);
+    await user.click(getSidebarNotes()[1]);
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringMatching(/unsaved changes/i));
+    expect(screen.getByTestId("note-content-input").value).toMatch(/ more$/);
+
+    window.confirm.mockReturnValueOnce(false);
+    await user.click(screen.getByTestId("note-cancel-btn"));
+    window.confirm.mockReturnValueOnce(false);
+    await user.click(screen.getByTestId("create-note-btn"));
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Edit Note");
+
+    await user.click(screen.getByTestId("note-cancel-btn"));
+    expect(screen.getByTestId("note-display")).toBeInTheDocument();
+    expect(savedDrafts()).toEqual({});
+  });
+
+  test("A clean form is left without a prompt", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.click(getSidebarNotes()[1]);
+    expect(window.confirm).not.toHaveBeenCalled();
+    expect(screen.getByTestId("note-display")).toBeInTheDocument();
+  });
+
+  test("An autosaved edit draft is restored after a reload and can be discarded", async () => {
+    const storage = createMemoryAdapter(createSampleNotes());
+    const { getSidebarNotes, unmount } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.clear(screen.getByTestId("note-content-input"));
+    await user.type(screen.getByTestId("note-content-input"), "Half-written thought");
+    await draftSaved();
+    unmount();
+
+    await setup({ storage });
+    expect(await screen.findByTestId("note-draft-restored")).toBeInTheDocument();
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Edit Note");
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Half-written thought");
+
+    await user.click(screen.getByTestId("note-draft-discard"));
+    expect(screen.getByTestId("note-content-input")).toHaveValue(
+      "This is your first note. Start organizing your thoughts!"
+    );
+    expect(screen.getByTestId("note-dirty-indicator")).toHaveTextContent("No unsaved changes");
+  });
+
+  test("A draft of an older version of the note asks before it replaces the newer one", async () => {
+    const storage = createMemoryAdapter(createSampleNotes());
+    const { getSidebarNotes, unmount } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.clear(screen.getByTestId("note-content-input"));
+    await user.type(screen.getByTestId("note-content-input"), "Half-written thought");
+    await draftSaved();
+    unmount();
+
+    // Meanwhile the note is saved somewhere else
+    const saved = (await storage.list()).find(note => note.content.startsWith("This is your first note"));
+    await storage.update({ ...saved, content: "Saved elsewhere", updatedAt: new Date(Date.now() + 60000).toISOString() });
+
+    await setup({ storage });
+    expect(await screen.findByTestId("note-remote-changed")).toHaveTextContent("saved again");
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Half-written thought");
+
+    await user.click(screen.getByTestId("note-remote-reload"));
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Saved elsewhere");
+    expect(screen.queryByTestId("note-remote-changed")).not.toBeInTheDocument();
+  });
+
+  test("An unsaved new note survives a reload and saving clears the draft", async () => {
+    const { getCreateButton, getNoteTitleInput, unmount } = await setup();
+    const user = userEvent.setup();
+
+    await user.click(getCreateButton());
+    await user.type(getNoteTitleInput(), "Not yet saved");
+    await draftSaved();
+    unmount();
+
+    await setup();
+    expect(await screen.findByTestId("note-form-heading")).toHaveTextContent("Create Note");
+    expect(getNoteTitleInput()).toHaveValue("Not yet saved");
+    await user.click(screen.getByTestId("note-save-btn"));
+    await screen.findByTestId("note-display");
+    expect(savedDrafts()).toEqual({});
+  });
+
+  test("Closing the tab with unsaved changes asks the browser to confirm", async () => {
+    const { getCreateButton, getNoteTitleInput } = await setup();
+    const user = userEvent.setup();
+    const closeTab = () => {
+      const event = new Event("beforeunload", { cancelable: true });
+      window.dispatchEvent(event);
+      return event.defaultPrevented;
+    };
+
+    expect(closeTab()).toBe(false);
+    await user.click(getCreateButton());
+    await user.type(getNoteTitleInput(), "x");
+    expect(closeTab()).toBe(true);
+  });
+});
+
+describe("Themes", () => {
+  let schemeListeners;
+  let prefersDark;
+
+  beforeEach(() => {
+    schemeListeners = [];
+    prefersDark = false;
+    window.matchMedia = jest.fn(query => ({
+      media: query,
+      get matches() {
+        return query === "(prefers-color-scheme: dark)" && prefersDark;
+      },
+      addEventListener: (_, listener) => schemeListeners.push(listener),
+      removeEventListener: () => {}
+    }));
+  });
+
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  const appRoot = () => screen.getByTestId("main-content").parentElement;
+
+  test("Without a saved choice the theme follows prefers-color-scheme", async () => {
+    prefersDark = true;
+    await setup();
+    expect(appRoot()).toHaveClass("theme--dark");
+    expect(screen.getByTestId("theme-select")).toHaveValue("system");
+
+    prefersDark = false;
+    act(() => schemeListeners.forEach(listener => listener()));
+    expect(appRoot()).toHaveClass("theme--light");
+  });
+
+  test("The theme picked in the sidebar header is applied and remembered", async () => {
+    const { unmount } = await setup();
+    const user = userEvent.setup();
+
+    await user.selectOptions(screen.getByTestId("theme-select"), "high-contrast");
+    expect(appRoot()).toHaveClass("theme--high-contrast");
+    expect(appRoot()).not.toHaveClass("theme--light");
+    unmount();
+
+    prefersDark = true;
+    await setup();
+    expect(appRoot()).toHaveClass("theme--high-contrast");
+    expect(screen.getByTestId("theme-select")).toHaveValue("high-contrast");
+  });
+});
+
+describe("Wiki links", () => {
+  const linkedNotes = () => {
+    const at = "2024-03-01T10:00:00.000Z";
+    return [
+      { id: "plan", title: "Project plan", content: "See [[Meeting notes]] and [[Budget|the budget]].", createdAt: at, updatedAt: at },
+      { id: "meet", title: "Meeting notes", content: "Agenda", createdAt: at, updatedAt: at },
+      { id: "todo", title: "Todo", content: "- [ ] prepare [[meeting notes]]", createdAt: at, updatedAt: at }
+    ];
+  };
+
+  test("Links open their note, backlinks lead back and missing notes can be created", async () => {
+    await setup({ storage: createMemoryAdapter(linkedNotes()) });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("sidebar-note-plan"));
+    expect(within(screen.getByTestId("note-backlinks")).getByText("No other notes link here yet.")).toBeInTheDocument();
+    await user.click(screen.getByTestId("wikilink"));
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Meeting notes");
+    expect(window.location.pathname).toBe("/notes/meet");
+
+    const backlinks = screen.getByTestId("note-backlinks");
+    expect(within(backlinks).getAllByRole("button").map(b => b.textContent)).toEqual(["Project plan", "Todo"]);
+    await user.click(screen.getByTestId("backlink-plan"));
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Project plan");
+
+    window.confirm.mockReturnValueOnce(false);
+    await user.click(screen.getByTestId("wikilink-missing"));
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining("“Budget”"));
+    expect(screen.queryByTestId("note-form")).toBeNull();
+
+    await user.click(screen.getByTestId("wikilink-missing"));
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Create Note");
+    expect(screen.getByTestId("note-title-input")).toHaveValue("Budget");
+  });
+
+  test("Renaming a note updates the links to it, undone in one step", async () => {
+    const storage = createMemoryAdapter(linkedNotes());
+    await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("sidebar-note-meet"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.clear(screen.getByTestId("note-title-input"));
+    await user.type(screen.getByTestId("note-title-input"), "Weekly sync");
+    await user.click(screen.getByTestId("note-save-btn"));
+
+    expect(await screen.findByTestId("toast")).toHaveTextContent("Updated links in 2 notes");
+    const stored = async id => (await storage.list()).find(n => n.id === id).content;
+    expect(await stored("plan")).toBe("See [[Weekly sync]] and [[Budget|the budget]].");
+    expect(await stored("todo")).toBe("- [ ] prepare [[Weekly sync]]");
+    expect(within(screen.getByTestId("note-backlinks")).getAllByRole("button")).toHaveLength(2);
+
+    await user.click(screen.getByTestId("toast-action"));
+    await waitFor(() => expect(screen.getByTestId("note-display-title")).toHaveTextContent("Meeting notes"));
+    expect(await stored("plan")).toBe("See [[Meeting notes]] and [[Budget|the budget]].");
+  });
+
+  test("Typing [[ suggests note titles to link to", async () => {
+    await setup({ storage: createMemoryAdapter(linkedNotes()) });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("create-note-btn"));
+    const content = screen.getByTestId("note-content-input");
+    await user.type(content, "About [[[[mtg");
+    expect(screen.getAllByTestId("link-suggestion").map(o => o.textContent)).toEqual(["Meeting notes"]);
+    await user.keyboard("{Enter}");
+    expect(content).toHaveValue("About [[Meeting notes]]");
+    expect(screen.queryByTestId("link-suggestions")).toBeNull();
+
+    await user.type(content, " and [[[[p");
+    await user.keyboard("{Escape}");
+    expect(screen.queryByTestId("link-suggestions")).toBeNull();
+    await user.type(content, "r");
+    await user.pointer({ keys: "[MouseLeft]", target: screen.getAllByTestId("link-suggestion")[0] });
+    expect(content).toHaveValue("About [[Meeting notes]] and [[Project plan]]");
+  });
+});
+
+describe("Pins, favorites, archive and sorting", () => {
+  const titles = getSidebarNotes => getSidebarNotes().map(item => within(item).getByTestId(/^sidebar-note-title-/).textContent);
+
+  test("Pinned notes stay on top and favorites get their own view", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+    expect(titles(getSidebarNotes)).toEqual(["Welcome to Note Organizer", "Features"]);
+
+    await user.click(screen.getByTestId("sidebar-note-note2"));
+    await user.click(screen.getByTestId("note-pin-btn"));
+    expect(screen.getByTestId("note-pin-btn")).toHaveAttribute("aria-pressed", "true");
+    expect(titles(getSidebarNotes)).toEqual(["📌Features", "Welcome to Note Organizer"]);
+
+    await user.click(screen.getByTestId("note-favorite-btn"));
+    expect(screen.getByTestId("tree-favorites")).toHaveTextContent("1");
+    await user.click(screen.getByTestId("tree-favorites"));
+    expect(getSidebarNotes()).toHaveLength(1);
+
+    await user.keyboard("{Control>}z{/Control}");
+    expect(screen.getByTestId("toast")).toHaveTextContent("Undone: Add to Favorites");
+    expect(screen.getByTestId("sidebar-note-empty")).toBeInTheDocument();
+  });
+
+  test("Archived notes leave the list but stay reachable from the Archive", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("sidebar-note-note1"));
+    await user.click(screen.getByTestId("note-archive-btn"));
+    expect(screen.getByTestId("toast")).toHaveTextContent("Archived “Welcome to Note Organizer”");
+    expect(screen.getByTestId("note-archived-banner")).toBeInTheDocument();
+    expect(getSidebarNotes().map(item => item.dataset.testid)).toEqual(["sidebar-note-note2"]);
+    expect(screen.getByTestId("tree-all")).toHaveTextContent("1");
+
+    await user.click(screen.getByTestId("tree-archive"));
+    expect(window.location.search).toBe("?archive");
+    expect(getSidebarNotes().map(item => item.dataset.testid)).toEqual(["sidebar-note-note1"]);
+
+    await user.click(screen.getByTestId("note-unarchive-btn"));
+    expect(screen.queryByTestId("note-archived-banner")).toBeNull();
+    expect(screen.getByTestId("sidebar-note-empty")).toBeInTheDocument();
+    expect(screen.getByTestId("tree-all")).toHaveTextContent("2");
+  });
+
+  test("The chosen sort order applies and is remembered", async () => {
+    const { getSidebarNotes, unmount } = await setup();
+    const user = userEvent.setup();
+
+    await user.selectOptions(screen.getByTestId("sort-select"), "title");
+    expect(titles(getSidebarNotes)).toEqual(["Features", "Welcome to Note Organizer"]);
+    unmount();
+
+    const again = await setup();
+    expect(screen.getByTestId("sort-select")).toHaveValue("title");
+    expect(titles(again.getSidebarNotes)).toEqual(["Features", "Welcome to Note Organizer"]);
+  });
+
+  test("Manual order is set by drag and drop or Alt+arrows, and undoes in one step", async () => {
+    const { getSidebarNotes, getSearchInput } = await setup();
+    const user = userEvent.setup();
+    await user.selectOptions(screen.getByTestId("sort-select"), "manual");
+    expect(screen.getByTestId("sidebar-note-note1")).toHaveAttribute("draggable", "true");
+
+    const dataTransfer = { setData: jest.fn(), effectAllowed: "" };
+    fireEvent.dragStart(screen.getByTestId("sidebar-note-note2"), { dataTransfer });
+    fireEvent.dragOver(screen.getByTestId("sidebar-note-note1"), { dataTransfer });
+    fireEvent.drop(screen.getByTestId("sidebar-note-note1"), { dataTransfer });
+    await waitFor(() => expect(titles(getSidebarNotes)).toEqual(["Features", "Welcome to Note Organizer"]));
+
+    act(() => screen.getByTestId("sort-select").blur()); // shortcuts leave a focused select alone
+    await user.keyboard("{Control>}z{/Control}");
+    expect(screen.getByTestId("toast")).toHaveTextContent("Undone: Reorder notes");
+    expect(titles(getSidebarNotes)).toEqual(["Welcome to Note Organizer", "Features"]);
+
+    await user.click(screen.getByTestId("sidebar-note-note1"));
+    await user.keyboard("{Alt>}{ArrowDown}{/Alt}");
+    expect(titles(getSidebarNotes)).toEqual(["Features", "Welcome to Note Organizer"]);
+
+    // Search results keep their relevance order
+    await user.type(getSearchInput(), "note");
+    expect(screen.getByTestId("sort-select")).toBeDisabled();
+    expect(screen.getByTestId("sidebar-note-note1")).toHaveAttribute("draggable", "false");
+  });
+});
+
+describe("Keyboard shortcuts and command palette", () => {
+  test("Single-key shortcuts move through the list, edit, save and delete", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+
+    await user.keyboard("j");
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Welcome to Note Organizer");
+    await user.keyboard("j");
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Features");
+    await user.keyboard("k");
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Welcome to Note Organizer");
+
+    await user.keyboard("e");
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Edit Note");
+    // Typing in a field types; Ctrl+S still saves
+    await user.type(screen.getByTestId("note-title-input"), " jk");
+    expect(screen.getByTestId("note-title-input")).toHaveValue("Welcome to Note Organizer jk");
+    await user.keyboard("{Control>}s{/Control}");
+    expect(await screen.findByTestId("note-display-title")).toHaveTextContent("Welcome to Note Organizer jk");
+
+    await user.keyboard("{Delete}");
+    expect(screen.getByTestId("toast")).toHaveTextContent(/Moved .* to Trash/);
+    expect(getSidebarNotes()).toHaveLength(1);
+  });
+
+  test("N starts a note, / focuses search and Ctrl+\\ toggles the sidebar", async () => {
+    const { getSearchInput } = await setup();
+    const user = userEvent.setup();
+
+    await user.keyboard("n");
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Create Note");
+    await user.click(screen.getByTestId("note-cancel-btn"));
+
+    await user.keyboard("/");
+    expect(getSearchInput()).toHaveFocus();
+    expect(getSearchInput()).toHaveValue("");
+
+    const sidebar = screen.getByRole("navigation");
+    const wasOpen = sidebar.classList.contains("open");
+    await user.keyboard("{Control>}\\{/Control}");
+    expect(sidebar.classList.contains("open")).toBe(!wasOpen);
+  });
+
+  test("Ctrl+K palette fuzzy-finds notes and actions", async () => {
+    await setup();
+    const user = userEvent.setup();
+
+    await user.keyboard("{Control>}k{/Control}");
+    const input = screen.getByTestId("command-palette-input");
+    expect(input).toHaveFocus();
+    expect(screen.getAllByTestId("command-palette-option").map(o => o.textContent)).toEqual(
+      expect.arrayContaining([expect.stringContaining("New note"), expect.stringContaining("Features")])
+    );
+
+    await user.type(input, "ftrs");
+    expect(screen.getAllByTestId("command-palette-option")[0]).toHaveTextContent("Features");
+    await user.keyboard("{Enter}");
+    expect(screen.queryByTestId("command-palette")).toBeNull();
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Features");
+
+    await user.keyboard("{Control>}k{/Control}");
+    await user.type(screen.getByTestId("command-palette-input"), "zzzz");
+    expect(screen.getByTestId("command-palette-empty")).toBeInTheDocument();
+    await user.clear(screen.getByTestId("command-palette-input"));
+    await user.type(screen.getByTestId("command-palette-input"), "edit");
+    await user.keyboard("{ArrowDown}{ArrowUp}{Enter}");
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Edit Note");
+
+    await user.keyboard("{Control>}k{/Control}{Escape}");
+    expect(screen.queryByTestId("command-palette")).toBeNull();
+  });
+
+  test("Shortcuts can be remapped from the help overlay and are remembered", async () => {
+    const { unmount } = await setup();
+    const user = userEvent.setup();
+
+    await user.keyboard("?");
+    expect(screen.getByTestId("shortcut-help")).toBeInTheDocument();
+    expect(screen.getByTestId("shortcut-keys-palette")).toHaveTextContent("Ctrl+K");
+
+    await user.click(screen.getByTestId("shortcut-change-newNote"));
+    await user.keyboard("j");
+    expect(screen.getByTestId("shortcut-conflict")).toHaveTextContent("Next note");
+    await user.keyboard("{Alt>}n{/Alt}");
+    expect(screen.getByTestId("shortcut-keys-newNote")).toHaveTextContent("Alt+N");
+    await user.click(screen.getByTestId("shortcut-help-close"));
+
+    await user.keyboard("n");
+    expect(screen.queryByTestId("note-form")).toBeNull();
+    await user.keyboard("{Alt>}n{/Alt}");
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Create Note");
+    unmount();
+
+    await setup();
+    await user.click(screen.getByTestId("shortcuts-btn"));
+    expect(screen.getByTestId("shortcut-keys-newNote")).toHaveTextContent("Alt+N");
+    await user.click(screen.getByTestId("shortcut-reset-btn"));
+    expect(screen.getByTestId("shortcut-keys-newNote")).toHaveTextContent("N");
+    expect(window.localStorage.getItem("note-organizer:shortcuts")).toBeNull();
+  });
+});
+
+describe("URL routing", () => {
+  const path = () => window.location.pathname + window.location.search;
+  const visit = url => window.history.replaceState(null, "", url);
+  const goBack = async () => {
+    await act(async () => {
+      window.history.back();
+      await new Promise(resolve => window.addEventListener("popstate", resolve, { once: true }));
+    });
+  };
+
+  test("Deep links open a note, its editor or a new note", async () => {
+    visit("/notes/note2");
+    const { unmount } = await setup();
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Features");
+    unmount();
+
+    visit("/notes/note1/edit");
+    const second = await setup();
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Edit Note");
+    expect(screen.getByTestId("note-title-input")).toHaveValue("Welcome to Note Organizer");
+    second.unmount();
+
+    visit("/new?notebook=Work");
+    await setup();
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Create Note");
+    expect(screen.getByTestId("note-notebook-input")).toHaveValue("Work");
+  });
+
+  test("The search box and the URL follow each other", async () => {
+    visit("/?q=features");
+    const { getSidebarNotes, getSearchInput } = await setup();
+    const user = userEvent.setup();
+    expect(getSearchInput()).toHaveValue("features");
+    expect(getSidebarNotes()).toHaveLength(1);
+
+    await user.clear(getSearchInput());
+    await user.type(getSearchInput(), "welcome");
+    expect(path()).toBe("/?q=welcome");
+  });
+
+  test("Selecting, editing and creating push history entries that Back and Forward revisit", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    expect(path()).toBe("/notes/note1");
+    await user.click(screen.getByTestId("note-edit-btn"));
+    expect(path()).toBe("/notes/note1/edit");
+    await user.click(screen.getByTestId("note-cancel-btn"));
+    await user.click(screen.getByTestId("create-note-btn"));
+    expect(path()).toBe("/new");
+
+    await goBack();
+    expect(path()).toBe("/notes/note1");
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Welcome to Note Organizer");
+
+    await goBack();
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Edit Note");
+
+    await act(async () => {
+      window.history.forward();
+      await new Promise(resolve => window.addEventListener("popstate", resolve, { once: true }));
+    });
+    expect(screen.getByTestId("note-display")).toBeInTheDocument();
+  });
+
+  test("Back from a dirty form asks first and stays when declined", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.type(screen.getByTestId("note-content-input"), " edited");
+
+    window.confirm.mockReturnValueOnce(false);
+    await goBack();
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringMatching(/unsaved changes/i));
+    expect(path()).toBe("/notes/note1/edit");
+    expect(screen.getByTestId("note-content-input").value).toMatch(/ edited$/);
+  });
+
+  test("A link to a missing note shows a not-found view", async () => {
+    visit("/notes/does-not-exist");
+    await setup();
+    expect(screen.getByTestId("note-not-found")).toHaveTextContent("does-not-exist");
+
+    await userEvent.setup().click(screen.getByTestId("not-found-back-btn"));
+    expect(screen.queryByTestId("note-not-found")).toBeNull();
+    expect(path()).toBe("/");
+  });
+
+  test("Unknown paths fall back to the note list", async () => {
+    visit("/some/where?q=features");
+    const { getSidebarNotes } = await setup();
+    expect(path()).toBe("/?q=features");
+    expect(getSidebarNotes()).toHaveLength(1);
+  });
+});
+
+describe("Import and export", () => {
+  let downloads;
+
+  beforeEach(() => {
+    downloads = [];
+    window.URL.createObjectURL = jest.fn(blob => {
+      downloads.push(blob);
+      return "blob:download";
+    });
+    window.URL.revokeObjectURL = jest.fn();
+    jest.spyOn(window.HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      downloads[downloads.length - 1].fileName = this.download;
+    });
+  });
+
+  afterEach(() => {
+    delete window.URL.createObjectURL;
+    delete window.URL.revokeObjectURL;
+  });
+
+  test("A JSON export imported into an empty app reproduces the notes", async () => {
+    const original = createMemoryAdapter(createSampleNotes());
+    const { unmount } = await setup({ storage: original });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("export-json-btn"));
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0].fileName).toMatch(/^notes-\d{4}-\d{2}-\d{2}\.json$/);
+    const file = new window.File([downloads[0]], downloads[0].fileName, { type: "application/json" });
+    unmount();
+
+    const restored = createMemoryAdapter([]);
+    await setup({ storage: restored });
+    await user.upload(screen.getByTestId("import-input"), file);
+    expect(await screen.findByTestId("import-summary")).toHaveTextContent(
+      "2 notes imported, 0 duplicates skipped, 0 errors."
+    );
+    const byId = (a, b) => a.id.localeCompare(b.id);
+    expect((await restored.list()).sort(byId)).toEqual((await original.list()).sort(byId));
+
+    // Importing the same file again only finds duplicates
+    await user.click(screen.getByTestId("import-report-close"));
+    await user.upload(screen.getByTestId("import-input"), file);
+    expect(await screen.findByTestId("import-summary")).toHaveTextContent("0 notes imported, 2 duplicates skipped");
+    expect(screen.getByTestId("import-duplicates")).toHaveTextContent("Welcome to Note Organizer");
+  });
+
+  test("Malformed files are listed in the import report", async () => {
+    await setup();
+    const user = userEvent.setup();
+    const files = [
+      new window.File(["---\ntitle: broken"], "broken.md"),
+      new window.File(["# Fresh idea\nWorth keeping"], "idea.md")
+    ];
+    await user.upload(screen.getByTestId("import-input"), files);
+    expect(await screen.findByTestId("import-summary")).toHaveTextContent("1 note imported, 0 duplicates skipped, 1 error.");
+    expect(screen.getByTestId("import-errors")).toHaveTextContent("broken.md: Front-matter is not closed with '---'");
+    expect(screen.getByRole("navigation")).toHaveTextContent("Fresh idea");
+  });
+
+  test("A single note downloads as Markdown with front-matter", async () => {
+    const { getSidebarNotes } = await setup();
+    const user = userEvent.setup();
+    await user.click(getSidebarNotes()[0]);
+    await user.click(screen.getByTestId("note-export-btn"));
+    expect(downloads[0].fileName).toMatch(/\.md$/);
+    expect(downloads[0].type).toBe("text/markdown");
+  });
+
+  test("A note prints, and downloads as a web page with its attachments embedded", async () => {
+    window.print = jest.fn();
+    const files = createAttachmentStore(createMemoryObjectStore());
+    const image = await files.add(new window.File(["png"], "dot.png", { type: "image/png" }));
+    const note = {
+      id: "trip",
+      title: "Trip",
+      content: `# Day 1\n![dot](attachment:${image.id})`,
+      createdAt: "2024-01-01T00:00:00.000Z",
+      updatedAt: "2024-01-01T00:00:00.000Z"
+    };
+    render(<App storage={createMemoryAdapter([note])} attachmentStore={files} />);
+    await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+    const user = userEvent.setup();
+    await user.click(screen.getByTestId("sidebar-note-trip"));
+
+    await user.click(screen.getByTestId("note-print-btn"));
+    expect(window.print).toHaveBeenCalledTimes(1);
+
+    await user.click(screen.getByTestId("note-export-html-btn"));
+    await waitFor(() => expect(downloads[downloads.length - 1].fileName).toBe("Trip.html"));
+    const page = downloads[downloads.length - 1];
+    expect(page.type).toBe("text/html");
+    const html = await readAsText(page);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<a href="#note-1-1">Day 1</a>');
+    expect(html).toContain('src="data:image/png;base64,');
+  });
+});
+
+describe("Notes storage", () => {
+  const sample = () => createSampleNotes();
+
+  test("Notes created through the REST backend survive a reload", async () => {
+    const server = createMockNotesServer({ notes: sample() });
+    const storage = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch });
+    const { getCreateButton, getNoteTitleInput, getSaveButton, unmount } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getCreateButton());
+    await user.type(getNoteTitleInput(), "Persisted note");
+    await user.click(getSaveButton());
+    await waitFor(() =>
+      expect(screen.getByTestId("note-display-title")).toHaveTextContent("Persisted note")
+    );
+    expect(server.notes.map(n => n.title)).toContain("Persisted note");
+
+    unmount();
+    const { getSidebar } = await setup({
+      storage: createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch })
+    });
+    expect(getSidebar()).toHaveTextContent("Persisted note");
+  });
+
+  test("Load failure shows an error in the sidebar with a working retry", async () => {
+    const server = createMockNotesServer({ notes: sample() });
+    server.failNext(500);
+    const storage = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch });
+    const { getSidebar } = await setup({ storage });
+    const user = userEvent.setup();
+
+    expect(screen.getByTestId("sidebar-error")).toHaveTextContent(/couldn't load notes/i);
+    await user.click(screen.getByTestId("sidebar-retry-btn"));
+    await waitFor(() => expect(getSidebar()).toHaveTextContent("Features"));
+    expect(screen.queryByTestId("sidebar-error")).not.toBeInTheDocument();
+  });
+
+  test("Failed save keeps the form open and shows the error", async () => {
+    const server = createMockNotesServer({ notes: sample() });
+    const storage = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch });
+    const { getCreateButton, getNoteTitleInput, getSaveButton } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getCreateButton());
+    await user.type(getNoteTitleInput(), "Doomed");
+    server.setOffline(true);
+    await user.click(getSaveButton());
+
+    expect(await screen.findByTestId("main-error")).toHaveTextContent(/could not reach/i);
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Create Note");
+    expect(getNoteTitleInput()).toHaveValue("Doomed");
+  });
+
+  test("A failed background refresh is shown instead of being lost", async () => {
+    const listeners = new Set();
+    const storage = {
+      ...createMemoryAdapter(sample()),
+      subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      }
+    };
+    await setup({ storage });
+
+    storage.list = () => Promise.reject(new StorageError("Could not access local note storage", { code: "local-storage" }));
+    act(() => listeners.forEach(listener => listener("notes")));
+    expect(await screen.findByTestId("main-error")).toHaveTextContent("Could not access local note storage");
+  });
+
+  test("Offline edits show as pending and conflicts let the user pick a version", async () => {
+    const original = createSampleNotes()[0];
+    const server = createMockNotesServer({ notes: [original] });
+    const remote = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch });
+    const storage = createOfflineAdapter({ local: createMemoryAdapter([original]), remote });
+    server.setOffline(true);
+    const { getSidebarNotes, getEditButton, getNoteTitleInput, getSaveButton } = await setup({ storage });
+    const user = userEvent.setup();
+
+    await user.click(getSidebarNotes()[0]);
+    await user.click(getEditButton());
+    await user.clear(getNoteTitleInput());
+    await user.type(getNoteTitleInput(), "Edited offline");
+    await user.click(getSaveButton());
+    await waitFor(() =>
+      expect(screen.getByTestId("sidebar-sync-status")).toHaveTextContent("Offline · 1 change pending")
+    );
+
+    server.setOffline(false);
+    await remote.update({ ...original, title: "Edited elsewhere", updatedAt: "2030-01-01T00:00:00.000Z" });
+    await act(() => storage.sync());
+
+    const dialog = await screen.findByTestId("conflict-dialog");
+    expect(within(dialog).getByTestId("conflict-local")).toHaveTextContent("Edited offline");
+    expect(within(dialog).getByTestId("conflict-remote")).toHaveTextContent("Edited elsewhere");
+
+    await user.click(screen.getByTestId("conflict-remote-keep"));
+    await waitFor(() => expect(screen.queryByTestId("conflict-dialog")).not.toBeInTheDocument());
+    await waitFor(() =>
+      expect(screen.getByTestId("note-display-title")).toHaveTextContent("Edited elsewhere")
+    );
+    expect(server.notes[0].title).toBe("Edited elsewhere");
+  });
+});
+
+describe("Attachments", () => {
+  const png = (name = "photo.png", bytes = 4) => new window.File(["x".repeat(bytes)], name, { type: "image/png" });
+  let urls;
+
+  beforeEach(() => {
+    urls = 0;
+    window.URL.createObjectURL = jest.fn(() => `blob:file-${++urls}`);
+    window.URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    delete window.URL.createObjectURL;
+    delete window.URL.revokeObjectURL;
+  });
+
+  async function renderWithFiles(policy = { maxFileBytes: 100, maxNoteBytes: 150 }) {
+    const store = createAttachmentStore(createMemoryObjectStore());
+    render(<App storage={createMemoryAdapter(createSampleNotes())} attachmentStore={store} attachmentPolicy={policy} />);
+    await screen.findByText("Features");
+    return store;
+  }
+
+  test("Uploaded and pasted images are stored and shown inline, oversize files are refused", async () => {
+    const store = await renderWithFiles();
+    const user = userEvent.setup();
+    await user.click(screen.getByTestId("create-note-btn"));
+    await user.type(screen.getByTestId("note-title-input"), "Trip");
+    await user.type(screen.getByTestId("note-content-input"), "Day one");
+
+    await user.upload(screen.getByTestId("attach-input"), [png("beach.png"), png("huge.png", 120)]);
+    expect(await screen.findByTestId("attachment-error")).toHaveTextContent("“huge.png” is 120 B; files can be up to 100 B.");
+    const content = screen.getByTestId("note-content-input");
+    await waitFor(() => expect(content.value).toMatch(/^Day one\n!\[beach\.png\]\(attachment:att_\w+\)$/));
+
+    fireEvent.paste(content, { clipboardData: { files: [png("image.png")] } });
+    await waitFor(() => expect(content.value).toMatch(/!\[Pasted image \d{4}-\d\d-\d\d \d\d-\d\d\.png\]/));
+    expect(within(screen.getByTestId("note-attachments")).getAllByRole("listitem")).toHaveLength(2);
+
+    await user.click(screen.getByTestId("note-save-btn"));
+    const shown = within(screen.getByTestId("note-display-content")).getAllByRole("img");
+    expect(shown.map(img => img.getAttribute("src"))).toEqual(["blob:file-1", "blob:file-2"]);
+    expect(await store.list()).toHaveLength(2);
+  });
+
+  test("Attachments of a discarded note are deleted, removed ones only once undo can't bring them back", async () => {
+    const store = await renderWithFiles();
+    const user = userEvent.setup();
+    await user.click(screen.getByTestId("create-note-btn"));
+    await user.upload(screen.getByTestId("attach-input"), png());
+    await screen.findByTestId("note-attachments");
+    await user.click(screen.getByTestId("note-cancel-btn"));
+    await waitFor(async () => expect(await store.list()).toHaveLength(0), { timeout: 3000 });
+
+    await user.click(screen.getByText("Features"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.upload(screen.getByTestId("attach-input"), png());
+    await screen.findByTestId("note-attachments");
+    await user.click(screen.getByTestId("note-save-btn"));
+    const [attachment] = await store.list();
+
+    await user.click(screen.getByTestId(`attachment-remove-${attachment.id}`));
+    await waitFor(() => expect(screen.queryByTestId("note-attachments")).not.toBeInTheDocument());
+    await act(() => new Promise(resolve => window.setTimeout(resolve, 1200)));
+    expect(await store.list()).toHaveLength(1);
+
+    await user.keyboard("{Control>}z{/Control}");
+    expect(await screen.findByTestId(`attachment-${attachment.id}`)).toHaveTextContent("photo.png");
+  });
+
+  test("Files still used by another tab, or by notes this tab hasn't loaded, are kept", async () => {
+    const files = createAttachmentStore(createMemoryObjectStore());
+    const before = new Date("2024-01-01T00:00:00.000Z");
+    const inOtherTab = await files.add(png("a.png"), before);
+    const inUnloadedNote = await files.add(png("b.png"), before);
+    const unused = await files.add(png("c.png"), before);
+    const storage = createMemoryAdapter(createSampleNotes());
+    const listeners = new Set();
+    const tabChannel = {
+      // The other tab answers when asked which files its form and undo history use
+      post(message) {
+        if (message.type !== "attachment-refs-request") return;
+        const answer = { type: "attachment-refs", request: message.request, ids: [inOtherTab.id] };
+        window.setTimeout(() => listeners.forEach(listener => listener(answer)), 0);
+      },
+      subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      close() {}
+    };
+    render(<App storage={storage} tabChannel={tabChannel} attachmentStore={files} />);
+    await screen.findByText("Features");
+    await storage.create({
+      id: "elsewhere",
+      title: "Saved elsewhere",
+      content: `![b](attachment:${inUnloadedNote.id})`,
+      createdAt: before.toISOString(),
+      updatedAt: before.toISOString()
+    });
+
+    const stored = async () => (await files.list()).map(record => record.id);
+    await waitFor(async () => expect(await stored()).not.toContain(unused.id), { timeout: 3000 });
+    expect((await stored()).sort()).toEqual([inOtherTab.id, inUnloadedNote.id].sort());
+  });
+
+  test("The attachments list says files stay in this browser", async () => {
+    await renderWithFiles();
+    const user = userEvent.setup();
+    await user.click(screen.getByTestId("create-note-btn"));
+    await user.upload(screen.getByTestId("attach-input"), png());
+    expect(await screen.findByTestId("attachments-device-note")).toHaveTextContent(/kept in this browser only/);
+  });
+});
+
+describe("Reminders and due dates", () => {
+  const MINUTE = 60 * 1000;
+  const iso = offset => new Date(Date.now() + offset).toISOString();
+  const datedNotes = () => {
+    const at = "2024-03-01T10:00:00.000Z";
+    return [
+      { id: "late", title: "Pay rent", content: "", dueAt: iso(-60 * MINUTE), createdAt: at, updatedAt: at },
+      { id: "soon", title: "Call Sam", content: "", dueAt: iso(2 * 24 * 60 * MINUTE), createdAt: at, updatedAt: at },
+      { id: "later", title: "Book flights", content: "", dueAt: iso(24 * 60 * MINUTE), createdAt: at, updatedAt: at },
+      { id: "plain", title: "Ideas", content: "", createdAt: at, updatedAt: at }
+    ];
+  };
+
+  test("Due dates are set in the form, shown with the note and listed under Upcoming and Overdue", async () => {
+    const { getSidebarNotes } = await setup({ storage: createMemoryAdapter(datedNotes()) });
+    const user = userEvent.setup();
+    const ids = () => getSidebarNotes().map(item => item.getAttribute("data-testid").replace("sidebar-note-", ""));
+
+    expect(screen.getByTestId("due-late")).toHaveTextContent(/Overdue · due today|Overdue · due yesterday/);
+    expect(screen.getByTestId("due-later")).toHaveTextContent(/^⏰ Due tomorrow/);
+    expect(screen.getByTestId("tree-upcoming")).toHaveTextContent("2");
+    await user.click(screen.getByTestId("tree-upcoming"));
+    expect(ids()).toEqual(["later", "soon"]);
+    expect(window.location.search).toBe("?upcoming");
+    await user.click(screen.getByTestId("tree-overdue"));
+    expect(ids()).toEqual(["late"]);
+
+    await user.click(screen.getByTestId("sidebar-note-late"));
+    expect(screen.getByTestId("note-display-due")).toHaveClass("NoteDisplay-due--overdue");
+    await user.click(screen.getByTestId("note-done-btn"));
+    expect(screen.getByTestId("sidebar-note-empty")).toBeInTheDocument();
+    await user.keyboard("{Control>}z{/Control}");
+    expect(await screen.findByTestId("sidebar-note-late")).toBeInTheDocument();
+
+    await user.click(screen.getByTestId("tree-all"));
+    await user.click(screen.getByTestId("sidebar-note-plain"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    expect(screen.getByTestId("note-reminder-select")).toBeDisabled();
+    fireEvent.change(screen.getByTestId("note-due-input"), { target: { value: "2099-05-04T09:30" } });
+    await user.selectOptions(screen.getByTestId("note-reminder-select"), "60");
+    await user.click(screen.getByTestId("note-save-btn"));
+    expect(screen.getByTestId("note-display-due")).toHaveTextContent(/Due May 4, 2099/);
+    expect(screen.getByTestId("note-display-reminder")).toHaveTextContent(/Reminder May 4, 2099, 8:30 AM/);
+
+    await user.click(screen.getByTestId("note-edit-btn"));
+    expect(screen.getByTestId("note-due-input")).toHaveValue("2099-05-04T09:30");
+    expect(screen.getByTestId("note-reminder-select")).toHaveValue("60");
+  });
+
+  describe("with fake timers", () => {
+    let shown;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      shown = [];
+      window.Notification = jest.fn(function (title, options) {
+        this.close = jest.fn();
+        shown.push({ title, ...options, notification: this });
+      });
+      window.Notification.permission = "granted";
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      delete window.Notification;
+    });
+
+    test("Reminders fire on time, notify, and can be snoozed or opened", async () => {
+      const at = "2024-03-01T10:00:00.000Z";
+      const storage = createMemoryAdapter([
+        { id: "call", title: "Call Sam", content: "", dueAt: iso(15 * MINUTE), reminder: 10, remindAt: iso(5 * MINUTE), createdAt: at, updatedAt: at },
+        { id: "plain", title: "Ideas", content: "", createdAt: at, updatedAt: at }
+      ]);
+      await setup({ storage });
+      const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
+
+      act(() => jest.advanceTimersByTime(5 * MINUTE - 1000));
+      expect(screen.queryByTestId("reminder-alert-call")).not.toBeInTheDocument();
+      act(() => jest.advanceTimersByTime(1000));
+      expect(await screen.findByTestId("reminder-alert-call")).toHaveTextContent("Call Sam");
+      expect(shown).toEqual([expect.objectContaining({ title: "⏰ Call Sam", tag: "reminder-call" })]);
+      await waitFor(async () => expect((await storage.list()).find(n => n.id === "call").remindAt).toBeNull());
+
+      await user.click(screen.getByTestId("reminder-snooze-call-10"));
+      expect(screen.queryByTestId("reminder-alert-call")).not.toBeInTheDocument();
+      await waitFor(async () => expect((await storage.list()).find(n => n.id === "call").remindAt).not.toBeNull());
+      act(() => jest.advanceTimersByTime(10 * MINUTE));
+      expect(await screen.findByTestId("reminder-alert-call")).toBeInTheDocument();
+      expect(shown).toHaveLength(2);
+
+      await user.click(screen.getByTestId("reminder-open-call"));
+      expect(screen.queryByTestId("reminder-alert-call")).not.toBeInTheDocument();
+      expect(screen.getByTestId("note-display-title")).toHaveTextContent("Call Sam");
+      expect(screen.getByTestId("note-display-due")).toHaveTextContent(/^⏰ (Overdue|Due)/);
+    });
+
+    test("Only one tab handles a reminder, and handling it doesn't count as an edit", async () => {
+      const at = "2024-03-01T10:00:00.000Z";
+      const reminded = { content: "", dueAt: iso(60 * MINUTE), reminder: 10, createdAt: at, updatedAt: at };
+      const storage = createMemoryAdapter([
+        { ...reminded, id: "call", title: "Call Sam", remindAt: iso(5 * MINUTE) },
+        { ...reminded, id: "pay", title: "Pay rent", remindAt: iso(6 * MINUTE) }
+      ]);
+      const stored = async id => (await storage.list()).find(n => n.id === id);
+      const listeners = new Set();
+      const posted = [];
+      const tabChannel = {
+        post: message => posted.push(message),
+        subscribe(listener) {
+          listeners.add(listener);
+          return () => listeners.delete(listener);
+        },
+        close() {}
+      };
+      render(<App storage={storage} tabChannel={tabChannel} />);
+      await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+      const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
+
+      // Another tab got to the first reminder already
+      const call = await stored("call");
+      act(() => listeners.forEach(listener => listener({ type: "reminder-claim", key: `call@${call.remindAt}`, tab: "tab_0" })));
+      act(() => jest.advanceTimersByTime(5 * MINUTE + 1000));
+      expect(screen.queryByTestId("reminder-alert-call")).not.toBeInTheDocument();
+      expect(shown).toEqual([]);
+      expect((await stored("call")).remindAt).toBe(call.remindAt);
+
+      // This tab handles the second one
+      act(() => jest.advanceTimersByTime(MINUTE));
+      expect(posted).toContainEqual(expect.objectContaining({ type: "reminder-claim", key: expect.stringMatching(/^pay@/) }));
+      expect(await screen.findByTestId("reminder-alert-pay")).toBeInTheDocument();
+      expect(shown).toHaveLength(1);
+      await waitFor(async () => expect((await stored("pay")).remindAt).toBeNull());
+      expect((await stored("pay")).updatedAt).toBe(at);
+
+      await user.click(screen.getByTestId("reminder-snooze-pay-10"));
+      await waitFor(async () => expect((await stored("pay")).remindAt).not.toBeNull());
+      expect((await stored("pay")).updatedAt).toBe(at);
+    });
+  });
+});
+
+describe("Bulk actions", () => {
+  const manyNotes = () =>
+    ["One", "Two", "Three", "Four"].map((title, i) => ({
+      id: `n${i + 1}`,
+      title,
+      content: `${title} body`,
+      tags: i % 2 ? ["odd"] : [],
+      notebook: "Inbox",
+      createdAt: "2024-03-01T10:00:00.000Z",
+      updatedAt: `2024-03-0${i + 1}T10:00:00.000Z` // n4 is newest, listed first
+    }));
+  const ids = getSidebarNotes => getSidebarNotes().map(item => item.getAttribute("data-testid").replace("sidebar-note-", ""));
+
+  test("Ctrl- and Shift-click select notes; one confirmation trashes them and one undo restores them", async () => {
+    const { getSidebarNotes } = await setup({ storage: createMemoryAdapter(manyNotes()) });
+    const user = userEvent.setup();
+    expect(ids(getSidebarNotes)).toEqual(["n4", "n3", "n2", "n1"]);
+
+    await user.click(screen.getByTestId("sidebar-note-n4"));
+    await user.keyboard("{Control>}");
+    await user.click(screen.getByTestId("sidebar-note-n2"));
+    await user.keyboard("{/Control}");
+    expect(screen.getByTestId("bulk-count")).toHaveTextContent("2 of 4 selected");
+    await user.keyboard("{Shift>}");
+    await user.click(screen.getByTestId("sidebar-note-n1"));
+    await user.keyboard("{/Shift}");
+    expect(screen.getByTestId("bulk-count")).toHaveTextContent("2 of 4 selected");
+    expect(screen.getByTestId("select-n1")).toHaveAttribute("aria-checked", "true");
+    expect(screen.getByTestId("select-n4")).toHaveAttribute("aria-checked", "false");
+    await user.click(screen.getByTestId("select-n4"));
+    expect(screen.getByTestId("bulk-count")).toHaveTextContent("3 of 4 selected");
+
+    await user.click(screen.getByTestId("bulk-delete"));
+    expect(window.confirm).toHaveBeenCalledTimes(1);
+    expect(window.confirm).toHaveBeenCalledWith("Move 3 notes to the Trash?");
+    expect(ids(getSidebarNotes)).toEqual(["n3"]);
+    expect(screen.queryByTestId("bulk-toolbar")).not.toBeInTheDocument();
+    expect(screen.getByTestId("toast")).toHaveTextContent("Moved 3 notes to Trash");
+    expect(screen.getByTestId("tree-trash")).toHaveTextContent("3");
+
+    await user.click(screen.getByTestId("toast-action"));
+    await waitFor(() => expect(ids(getSidebarNotes).sort()).toEqual(["n1", "n2", "n3", "n4"]));
+    expect(screen.getByTestId("tree-trash")).toHaveTextContent("0");
+  });
+
+  test("Selected notes can be tagged, untagged, moved, archived and exported", async () => {
+    const storage = createMemoryAdapter(manyNotes());
+    const { getSidebarNotes } = await setup({ storage });
+    const user = userEvent.setup();
+    const stored = async () => Object.fromEntries((await storage.list()).map(note => [note.id, note]));
+    const selectAll = async () => {
+      await user.click(screen.getByTestId("select-n3"));
+      await user.click(screen.getByTestId("bulk-select-all"));
+      expect(screen.getByTestId("bulk-count")).toHaveTextContent("4 of 4 selected");
+    };
+
+    // Each action clears the selection and offers to undo it
+    await selectAll();
+    window.prompt = jest.fn(() => "#urgent");
+    await user.click(screen.getByTestId("bulk-add-tag"));
+    await waitFor(() => expect(screen.getByTestId("tree-tag-urgent")).toHaveTextContent("4"));
+    expect(screen.queryByTestId("bulk-toolbar")).not.toBeInTheDocument();
+    expect(screen.getByTestId("toast")).toHaveTextContent("Tagged 4 notes #urgent");
+
+    await selectAll();
+    window.prompt = jest.fn(() => "odd");
+    await user.click(screen.getByTestId("bulk-remove-tag"));
+    expect(window.prompt).toHaveBeenCalledWith("Tag to remove from 4 notes (odd, urgent):", "odd");
+    await waitFor(() => expect(screen.queryByTestId("tree-tag-odd")).not.toBeInTheDocument());
+    expect(screen.getByTestId("toast")).toHaveTextContent("Removed #odd from 4 notes");
+
+    await selectAll();
+    window.prompt = jest.fn(() => "Work");
+    await user.click(screen.getByTestId("bulk-move"));
+    expect(window.prompt).toHaveBeenCalledWith("Move 4 notes to notebook (leave empty for none):", "Inbox");
+    await waitFor(() => expect(screen.getByTestId("tree-notebook-Work")).toHaveTextContent("4"));
+    expect(screen.queryByTestId("bulk-toolbar")).not.toBeInTheDocument();
+    const notes = await stored();
+    expect(Object.values(notes).map(note => [note.notebook, note.tags])).toEqual(
+      Array(4).fill(["Work", ["urgent"]])
+    );
+
+    // Each bulk edit is a single undo step
+    await user.click(screen.getByTestId("toast-action"));
+    await waitFor(() => expect(screen.getByTestId("tree-notebook-Inbox")).toHaveTextContent("4"));
+    await selectAll();
+
+    window.URL.createObjectURL = jest.fn(() => "blob:download");
+    window.URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(window.HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    await user.click(screen.getByTestId("bulk-export"));
+    expect(click.mock.instances[0].download).toMatch(/^notes-selection-\d{4}-\d{2}-\d{2}\.zip$/);
+    delete window.URL.createObjectURL;
+    delete window.URL.revokeObjectURL;
+
+    await user.click(screen.getByTestId("bulk-clear"));
+    await user.click(screen.getByTestId("select-n1"));
+    await user.click(screen.getByTestId("select-n2"));
+    await user.click(screen.getByTestId("bulk-archive"));
+    expect(ids(getSidebarNotes).sort()).toEqual(["n3", "n4"]);
+    expect(screen.getByTestId("toast")).toHaveTextContent("Archived 2 notes");
+    expect(window.confirm).not.toHaveBeenCalled();
+  });
+
+  test("In the Trash, selected notes are restored or deleted for good", async () => {
+    const trashed = manyNotes().map(note => ({ ...note, deletedAt: new Date().toISOString() }));
+    const { getSidebarNotes } = await setup({ storage: createMemoryAdapter(trashed) });
+    const user = userEvent.setup();
+    await user.click(screen.getByTestId("tree-trash"));
+
+    await user.click(screen.getByTestId("select-n4"));
+    await user.keyboard("{Shift>}");
+    await user.click(screen.getByTestId("select-n2"));
+    await user.keyboard("{/Shift}");
+    expect(screen.queryByTestId("bulk-delete")).not.toBeInTheDocument();
+    await user.click(screen.getByTestId("bulk-restore"));
+    expect(ids(getSidebarNotes)).toEqual(["n1"]);
+    expect(screen.getByTestId("toast")).toHaveTextContent("Restored 3 notes");
+
+    await user.click(screen.getByTestId("select-n1"));
+    await user.click(screen.getByTestId("bulk-delete-forever"));
+    expect(window.confirm).toHaveBeenCalledWith("Permanently delete 1 note?");
+    expect(screen.getByTestId("sidebar-note-empty")).toBeInTheDocument();
+    expect(screen.getByTestId("toast")).toHaveTextContent("Deleted 1 note permanently");
+  });
+
+  test("Trashing the note being edited asks once, mentioning the unsaved changes", async () => {
+    const { getSidebarNotes, getEditButton, getNoteTitleInput } = await setup({ storage: createMemoryAdapter(manyNotes()) });
+    const user = userEvent.setup();
+    await user.click(screen.getByTestId("sidebar-note-n4"));
+    await user.click(getEditButton());
+    await user.type(getNoteTitleInput(), " changed");
+
+    await user.click(screen.getByTestId("select-n4"));
+    await user.click(screen.getByTestId("select-n3"));
+    await user.click(screen.getByTestId("bulk-delete"));
+    expect(window.confirm).toHaveBeenCalledTimes(1);
+    expect(window.confirm).toHaveBeenCalledWith(
+      "Move 2 notes to the Trash? Your unsaved changes to the open note will be lost."
+    );
+    expect(ids(getSidebarNotes)).toEqual(["n2", "n1"]);
+    expect(screen.queryByTestId("note-title-input")).not.toBeInTheDocument();
+  });
+});
+
+describe("Templates", () => {
+  test("A new note starts from a template with its placeholders filled in", async () => {
+    const { getCreateButton, getNoteTitleInput, getNoteContentInput, getSaveButton } = await setup();
+    const user = userEvent.setup();
+    await user.click(getCreateButton());
+    expect(screen.getByTestId("template-picker")).toBeInTheDocument();
+
+    await user.type(getNoteTitleInput(), "Kickoff");
+    await user.click(screen.getByTestId("template-option-builtin-meeting"));
+    expect(getNoteTitleInput()).toHaveValue("Kickoff");
+    expect(getNoteContentInput().value).toMatch(/^# Kickoff\n\n\*\*When:\*\* \w+day \d{4}-\d\d-\d\d, \d\d:\d\d/);
+    expect(screen.getByTestId("note-tags-input")).toHaveValue("meeting");
+    expect(screen.queryByTestId("template-picker")).not.toBeInTheDocument();
+
+    await user.click(getSaveButton());
+    await waitFor(() => expect(screen.getByTestId("note-display-title")).toHaveTextContent("Kickoff"));
+    expect(screen.getByTestId("tree-tag-meeting")).toHaveTextContent("1");
+  });
+
+  test("A note saved as a template is offered in the palette and can be edited and deleted", async () => {
+    const { getSidebarNotes, getNoteTitleInput, getNoteContentInput } = await setup();
+    const user = userEvent.setup();
+    await user.click(getSidebarNotes()[0]);
+    const source = screen.getByTestId("note-display-title").textContent;
+
+    window.prompt = jest.fn(() => "Weekly");
+    await user.click(screen.getByTestId("note-save-template-btn"));
+    expect(window.prompt).toHaveBeenCalledWith("Template name:", source);
+    expect(screen.getByTestId("toast")).toHaveTextContent("Saved template “Weekly”");
+
+    await user.click(screen.getByTestId("create-note-btn"));
+    await user.click(screen.getByTestId("templates-manage-btn"));
+    const manager = screen.getByTestId("template-manager");
+    const row = within(manager).getByText("Weekly").closest("li");
+    const id = row.getAttribute("data-testid").replace("template-row-", "");
+    await user.click(screen.getByTestId(`template-edit-${id}`));
+    await user.clear(screen.getByTestId("template-title-input"));
+    await user.type(screen.getByTestId("template-title-input"), "Week of {{{{date}}");
+    await user.clear(screen.getByTestId("template-content-input"));
+    await user.type(screen.getByTestId("template-content-input"), "Notes for {{{{title}}");
+    await user.click(screen.getByTestId("template-save-btn"));
+
+    await user.click(screen.getByTestId("template-delete-builtin-bug"));
+    expect(screen.queryByTestId("template-row-builtin-bug")).not.toBeInTheDocument();
+    expect(screen.getByTestId("toast")).toHaveTextContent("Deleted template “Bug report”");
+    await user.click(screen.getByTestId("toast-action"));
+    expect(screen.getByTestId("template-row-builtin-bug")).toBeInTheDocument();
+    await user.click(screen.getByTestId("template-delete-builtin-standup"));
+    await user.click(screen.getByTestId("templates-restore-btn"));
+    expect(screen.getByTestId("template-row-builtin-standup")).toBeInTheDocument();
+    await user.click(screen.getByTestId("template-manager-close"));
+    expect(screen.queryByTestId("template-manager")).not.toBeInTheDocument();
+
+    await user.keyboard("{Control>}k{/Control}");
+    await user.type(screen.getByTestId("command-palette-input"), "from weekly");
+    await user.keyboard("{Enter}");
+    expect(getNoteTitleInput().value).toMatch(/^Week of \d{4}-\d\d-\d\d$/);
+    expect(getNoteContentInput()).toHaveValue(`Notes for ${getNoteTitleInput().value}`);
+  });
+});
+
+describe("Tabs", () => {
+  // Two channels on the same name reach each other, like tabs over BroadcastChannel.
+  class FakeBroadcastChannel {
+    static open = new Set();
+    constructor(name) {
+      this.name = name;
+      FakeBroadcastChannel.open.add(this);
+    }
+    postMessage(data) {
+      FakeBroadcastChannel.open.forEach(other => {
+        if (other !== this && other.name === this.name) other.onmessage({ data: JSON.parse(JSON.stringify(data)) });
+      });
+    }
+    close() {
+      FakeBroadcastChannel.open.delete(this);
+    }
+  }
+
+  const base = {
+    id: "shared",
+    title: "Shared",
+    content: "Original",
+    createdAt: "2024-01-01T00:00:00.000Z",
+    updatedAt: "2024-01-01T00:00:00.000Z"
+  };
+  let otherTab;
+  let received;
+
+  async function setupTabs() {
+    otherTab = createTabChannel({ BroadcastChannelImpl: FakeBroadcastChannel });
+    received = [];
+    otherTab.subscribe(message => received.push(message));
+    render(
+      <App
+        storage={createMemoryAdapter([base])}
+        tabChannel={createTabChannel({ BroadcastChannelImpl: FakeBroadcastChannel })}
+      />
+    );
+    await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+  }
+  const fromOtherTab = message => act(() => otherTab.post(message));
+
+  afterEach(() => {
+    FakeBroadcastChannel.open.forEach(channel => channel.close());
+  });
+
+  test("Notes created, edited and deleted in one tab show up in the other", async () => {
+    await setupTabs();
+    const user = userEvent.setup();
+
+    fromOtherTab({ type: "put", note: { ...base, id: "theirs", title: "From the other tab" } });
+    expect(screen.getByTestId("sidebar-note-theirs")).toHaveTextContent("From the other tab");
+    fromOtherTab({ type: "put", note: { ...base, title: "Renamed there", updatedAt: "2024-02-01T00:00:00.000Z" } });
+    expect(screen.getByTestId("sidebar-note-shared")).toHaveTextContent("Renamed there");
+    // An older copy arriving late is ignored
+    fromOtherTab({ type: "put", note: { ...base, title: "Stale" } });
+    expect(screen.getByTestId("sidebar-note-shared")).toHaveTextContent("Renamed there");
+    fromOtherTab({ type: "remove", id: "shared" });
+    expect(screen.queryByTestId("sidebar-note-shared")).not.toBeInTheDocument();
+
+    // A note that arrived from the other tab can be edited here, and the edit goes back
+    await user.click(screen.getByTestId("sidebar-note-theirs"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.type(screen.getByTestId("note-content-input"), " and here");
+    await user.click(screen.getByTestId("note-save-btn"));
+    await waitFor(() => expect(received).toHaveLength(1));
+    expect(received[0]).toMatchObject({ type: "put", note: { id: "theirs", content: "Original and here" } });
+  });
+
+  test("Editing a note changed in another tab warns before replacing unsaved changes", async () => {
+    await setupTabs();
+    const user = userEvent.setup();
+    const theirs = (content, day) => ({ type: "put", note: { ...base, content, updatedAt: `2024-02-0${day}T00:00:00.000Z` } });
+
+    await user.click(screen.getByTestId("sidebar-note-shared"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    // Without unsaved changes the form just follows along
+    fromOtherTab(theirs("Their first edit", 1));
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Their first edit");
+    expect(screen.queryByTestId("note-remote-changed")).not.toBeInTheDocument();
+
+    await user.type(screen.getByTestId("note-content-input"), " + mine");
+    fromOtherTab(theirs("Their second edit", 2));
+    expect(screen.getByTestId("note-remote-changed")).toHaveTextContent("changed in another tab");
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Their first edit + mine");
+    await user.click(screen.getByTestId("note-remote-reload"));
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Their second edit");
+    expect(screen.queryByTestId("note-remote-changed")).not.toBeInTheDocument();
+
+    await user.type(screen.getByTestId("note-content-input"), " + mine");
+    fromOtherTab(theirs("Their third edit", 3));
+    await user.click(screen.getByTestId("note-remote-keep"));
+    expect(screen.queryByTestId("note-remote-changed")).not.toBeInTheDocument();
+    await user.click(screen.getByTestId("note-save-btn"));
+    await waitFor(() => expect(screen.getByTestId("note-display-content")).toHaveTextContent("Their second edit + mine"));
+    expect(received[received.length - 1].note.content).toBe("Their second edit + mine");
+  });
+
+  test("The app's own tab channel is closed when it unmounts, also under StrictMode", async () => {
+    const saved = window.BroadcastChannel;
+    window.BroadcastChannel = FakeBroadcastChannel;
+    try {
+      const { unmount } = render(
+        <React.StrictMode>
+          <App storage={createMemoryAdapter([base])} />
+        </React.StrictMode>
+      );
+      await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+      expect(FakeBroadcastChannel.open.size).toBe(1);
+      unmount();
+      expect(FakeBroadcastChannel.open.size).toBe(0);
+    } finally {
+      window.BroadcastChannel = saved;
+    }
+  });
+});
+
+describe("Encrypted notes", () => {
+  const PASSPHRASE = "correct horse";
+  // Few PBKDF2 rounds keep the tests fast
+  const testVault = (options = {}) => createVault({ iterations: 1000, ...options });
+
+  async function setupVault({ storage = createMemoryAdapter(createSampleNotes()), vault = testVault() } = {}) {
+    render(<App storage={storage} vault={vault} />);
+    await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+    return storage;
+  }
+
+  // Notes encrypted beforehand with PASSPHRASE; the second one's ciphertext is then altered.
+  async function encryptedNotes() {
+    const vault = testVault();
+    await vault.unlock(PASSPHRASE);
+    const at = "2024-01-01T00:00:00.000Z";
+    const sealed = async (id, title, content) => ({
+      id,
+      title: "",
+      content: "",
+      revisions: [],
+      tags: ["private"],
+      createdAt: at,
+      updatedAt: at,
+      encrypted: await vault.seal({ title, content, revisions: [] }, id)
+    });
+    const diary = await sealed("diary", "Diary", "Dear diary");
+    const broken = await sealed("broken", "Broken", "Never shown");
+    const bytes = window.atob(broken.encrypted.data);
+    broken.encrypted.data = window.btoa(String.fromCharCode(bytes.charCodeAt(0) ^ 1) + bytes.slice(1));
+    return [diary, broken];
+  }
+
+  async function enterPassphrase(user, passphrase, confirm) {
+    await user.type(screen.getByTestId("vault-passphrase-input"), passphrase);
+    if (confirm !== undefined) await user.type(screen.getByTestId("vault-confirm-input"), confirm);
+    await user.click(screen.getByTestId("vault-submit-btn"));
+  }
+
+  test("Encrypting a note stores only ciphertext; locked, it is hidden from the list and search", async () => {
+    const storage = await setupVault();
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("sidebar-note-note1"));
+    await user.click(screen.getByTestId("note-encrypt-btn"));
+    // A first passphrase is typed twice and must be long enough
+    await enterPassphrase(user, "short", "short");
+    expect(screen.getByTestId("vault-error")).toHaveTextContent("at least 8 characters");
+    await user.clear(screen.getByTestId("vault-passphrase-input"));
+    await user.clear(screen.getByTestId("vault-confirm-input"));
+    await enterPassphrase(user, PASSPHRASE, "correct hors");
+    expect(screen.getByTestId("vault-error")).toHaveTextContent("don't match");
+    await user.type(screen.getByTestId("vault-confirm-input"), "e");
+    await user.click(screen.getByTestId("vault-submit-btn"));
+
+    await waitFor(() => expect(screen.getByTestId("lock-note1")).toHaveTextContent("🔓"));
+    expect(screen.queryByTestId("vault-dialog")).not.toBeInTheDocument();
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Welcome to Note Organizer");
+    const stored = await storage.get("note1");
+    expect(stored).toMatchObject({ title: "", content: "", encrypted: expect.objectContaining({ v: 1 }) });
+    expect(JSON.stringify(stored)).not.toMatch(/Welcome|first note/);
+
+    await user.click(screen.getByTestId("vault-lock-btn"));
+    expect(screen.getByTestId("lock-note1")).toHaveTextContent("🔒");
+    expect(screen.getByTestId("sidebar-note-title-note1")).toHaveTextContent("Locked note");
+    expect(screen.getByTestId("note-locked")).toHaveTextContent("This note is encrypted");
+    expect(screen.queryByTestId("note-display-content")).not.toBeInTheDocument();
+    await user.type(screen.getByTestId("sidebar-searchbox"), "first note");
+    expect(screen.queryByTestId("sidebar-note-note1")).not.toBeInTheDocument();
+    await user.clear(screen.getByTestId("sidebar-searchbox"));
+
+    // Unlocking again: the note can be read, and its encryption removed
+    await user.click(screen.getByTestId("note-unlock-btn"));
+    await enterPassphrase(user, PASSPHRASE);
+    await waitFor(() => expect(screen.getByTestId("note-display-title")).toHaveTextContent("Welcome to Note Organizer"));
+    await user.click(screen.getByTestId("note-decrypt-btn"));
+    await waitFor(() => expect(screen.queryByTestId("lock-note1")).not.toBeInTheDocument());
+    expect(await storage.get("note1")).toMatchObject({ title: "Welcome to Note Organizer" });
+    expect((await storage.get("note1")).encrypted).toBeUndefined();
+  });
+
+  test("Encrypted notes don't take attachments, which would be stored unencrypted", async () => {
+    const at = "2024-01-01T00:00:00.000Z";
+    const note = (id, title, content) => ({ id, title, content, createdAt: at, updatedAt: at });
+    const storage = await setupVault({
+      storage: createMemoryAdapter([note("photo", "Photo", "![a](attachment:att_1)"), note("plain", "Plain", "Text")])
+    });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("sidebar-note-photo"));
+    await user.click(screen.getByTestId("note-encrypt-btn"));
+    await enterPassphrase(user, PASSPHRASE, PASSPHRASE);
+    expect(await screen.findByTestId("toast")).toHaveTextContent("“Photo” has attachments, which can't be encrypted");
+    expect((await storage.get("photo")).encrypted).toBeUndefined();
+
+    await user.click(screen.getByTestId("sidebar-note-plain"));
+    await user.click(screen.getByTestId("note-encrypt-btn"));
+    await waitFor(() => expect(screen.getByTestId("lock-plain")).toHaveTextContent("🔓"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    expect(screen.getByTestId("attach-btn")).toBeDisabled();
+    expect(screen.getByTestId("attach-hint")).toHaveTextContent("Encrypted notes can't have attachments");
+    const files = [new window.File(["x"], "image.png", { type: "image/png" })];
+    fireEvent.paste(screen.getByTestId("note-content-input"), { clipboardData: { files } });
+    expect(await screen.findByTestId("attachment-error")).toHaveTextContent("Encrypted notes can't have attachments");
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Text");
+  });
+
+  test("A wrong passphrase or tampered note gives a clear error and leaves the note as it was", async () => {
+    const notes = await encryptedNotes();
+    const storage = await setupVault({ storage: createMemoryAdapter(notes) });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("sidebar-note-diary"));
+    await user.click(screen.getByTestId("note-unlock-btn"));
+    expect(screen.queryByTestId("vault-confirm-input")).not.toBeInTheDocument();
+    await enterPassphrase(user, "battery staple");
+    await waitFor(() => expect(screen.getByTestId("vault-error")).toHaveTextContent("Wrong passphrase"));
+    expect(screen.getByTestId("sidebar-note-title-diary")).toHaveTextContent("Locked note");
+
+    await user.clear(screen.getByTestId("vault-passphrase-input"));
+    await enterPassphrase(user, PASSPHRASE);
+    await waitFor(() => expect(screen.getByTestId("note-display-content")).toHaveTextContent("Dear diary"));
+
+    await user.click(screen.getByTestId("sidebar-note-broken"));
+    expect(screen.getByTestId("note-locked-error")).toHaveTextContent("changed or damaged");
+    expect(screen.queryByTestId("note-edit-btn")).not.toBeInTheDocument();
+    expect(await storage.get("broken")).toEqual(notes[1]);
+
+    // Editing a readable encrypted note saves it encrypted again, with no plain-text draft
+    await user.click(screen.getByTestId("sidebar-note-diary"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await user.type(screen.getByTestId("note-content-input"), ", again");
+    expect(window.localStorage.getItem("note-organizer:drafts") || "").not.toContain("again");
+    await user.click(screen.getByTestId("note-save-btn"));
+    await waitFor(() => expect(screen.getByTestId("note-display-content")).toHaveTextContent("Dear diary, again"));
+    const saved = await storage.get("diary");
+    expect(saved.encrypted.iv).not.toBe(notes[0].encrypted.iv);
+    expect(JSON.stringify(saved)).not.toContain("again");
+  });
+
+  test("The vault locks itself after a while without activity", async () => {
+    await setupVault({ storage: createMemoryAdapter(await encryptedNotes()), vault: testVault({ idleMinutes: 0.005 }) });
+    const user = userEvent.setup();
+
+    await user.click(screen.getByTestId("sidebar-note-diary"));
+    await user.click(screen.getByTestId("note-unlock-btn"));
+    await enterPassphrase(user, PASSPHRASE);
+    await waitFor(() => expect(screen.getByTestId("note-display-content")).toHaveTextContent("Dear diary"));
+
+    await waitFor(() => expect(screen.getByTestId("note-locked")).toBeInTheDocument(), { timeout: 3000 });
+    expect(screen.getByTestId("sidebar-note-title-diary")).toHaveTextContent("Locked note");
+    expect(screen.getByText(/locked after a while without activity/)).toBeInTheDocument();
+  });
+});
+
+describe("Installable app", () => {
+  // Stands in for createServiceWorkerClient: update() plays "a new version is waiting".
+  function fakeServiceWorker() {
+    let onUpdate = null;
+    return {
+      register: jest.fn(listener => {
+        onUpdate = listener;
+        return () => {};
+      }),
+      applyUpdate: jest.fn(),
+      update: () => act(() => onUpdate())
+    };
+  }
+
+  async function setupPwa(serviceWorker = fakeServiceWorker()) {
+    render(<App storage={createMemoryAdapter(createSampleNotes())} serviceWorker={serviceWorker} />);
+    await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+    return serviceWorker;
+  }
+
+  function offerInstall() {
+    const event = new window.Event("beforeinstallprompt", { cancelable: true });
+    event.prompt = jest.fn();
+    event.userChoice = Promise.resolve({ outcome: "accepted" });
+    act(() => {
+      window.dispatchEvent(event);
+    });
+    return event;
+  }
+
+  test("A downloaded update is offered and reloads into the new version", async () => {
+    const serviceWorker = await setupPwa();
+    const user = userEvent.setup();
+    expect(screen.queryByTestId("update-banner")).not.toBeInTheDocument();
+
+    serviceWorker.update();
+    expect(screen.getByTestId("update-banner")).toHaveTextContent("new version");
+    await user.click(screen.getByTestId("update-later-btn"));
+    expect(screen.queryByTestId("update-banner")).not.toBeInTheDocument();
+
+    serviceWorker.update();
+    await user.click(screen.getByTestId("update-reload-btn"));
+    expect(serviceWorker.applyUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test("The browser's install prompt is offered in the app, and Not now is remembered", async () => {
+    await setupPwa();
+    const user = userEvent.setup();
+
+    const event = offerInstall();
+    expect(event.defaultPrevented).toBe(true);
+    await user.click(screen.getByTestId("install-btn"));
+    expect(event.prompt).toHaveBeenCalled();
+    expect(screen.queryByTestId("install-prompt")).not.toBeInTheDocument();
+
+    offerInstall();
+    await user.click(screen.getByTestId("install-dismiss-btn"));
+    offerInstall();
+    expect(screen.queryByTestId("install-prompt")).not.toBeInTheDocument();
+  });
+
+  test("The New note shortcut opens the app on a new note", async () => {
+    window.history.replaceState(null, "", "/?launch=new-note&tag=work");
+    await setupPwa();
+
+    expect(screen.getByTestId("note-form-heading")).toHaveTextContent("Create Note");
+    expect(screen.getByTestId("note-tags-input")).toHaveValue("work");
+    await waitFor(() => expect(window.location.pathname + window.location.search).toBe("/new?tag=work"));
+  });
+});
+
+describe("Languages", () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  const dated = [
+    { id: "recent", title: "Recent", content: "", createdAt: minutesAgo(5), updatedAt: minutesAgo(5) },
+    { id: "older", title: "Older", content: "", createdAt: minutesAgo(3 * 24 * 60), updatedAt: minutesAgo(3 * 24 * 60) },
+    { id: "old", title: "Old", content: "", createdAt: "2020-01-15T12:00:00.000Z", updatedAt: "2020-01-15T12:00:00.000Z" }
+  ];
+
+  test("Notes show when they were updated relative to now, and older ones as dates", async () => {
+    await setup({ storage: createMemoryAdapter(dated) });
+    expect(screen.getByTestId("date-recent")).toHaveTextContent("5 minutes ago");
+    expect(screen.getByTestId("date-older")).toHaveTextContent("3 days ago");
+    expect(screen.getByTestId("date-old")).toHaveTextContent("Jan 15, 2020");
+
+    await userEvent.setup().click(screen.getByTestId("sidebar-note-recent"));
+    expect(screen.getByTestId("note-display-date")).toHaveTextContent("Last updated: 5 minutes ago");
+  });
+
+  test("Switching to Arabic translates the app, lays it out right to left and is remembered", async () => {
+    const user = userEvent.setup();
+    const { unmount } = await setup({ storage: createMemoryAdapter(dated) });
+    expect(document.documentElement).toHaveAttribute("dir", "ltr");
+
+    await user.selectOptions(screen.getByTestId("language-select"), "ar");
+    expect(screen.getByTestId("create-note-btn")).toHaveTextContent("+ ملاحظة جديدة");
+    expect(screen.getByTestId("sidebar-searchbox")).toHaveAttribute("placeholder", "ابحث في الملاحظات...");
+    expect(screen.getByTestId("date-recent")).toHaveTextContent(/^قبل (5|٥) دقائق$/);
+    expect(document.documentElement).toHaveAttribute("dir", "rtl");
+    expect(document.documentElement).toHaveAttribute("lang", "ar");
+    expect(screen.getByRole("navigation").parentElement).toHaveAttribute("dir", "rtl");
+
+    // Plurals follow Arabic's rules (a separate form for two)
+    await user.click(screen.getByTestId("select-recent"));
+    await user.click(screen.getByTestId("select-older"));
+    expect(screen.getByTestId("bulk-count")).toHaveTextContent(/^حُددت ملاحظتان من (3|٣)$/);
+    await user.click(screen.getByTestId("bulk-delete"));
+    expect(window.confirm).toHaveBeenCalledWith("نقل ملاحظتين إلى سلة المهملات؟");
+    expect(screen.getByTestId("tree-all")).toHaveTextContent("كل الملاحظات");
+
+    // Dialogs are translated too, down to the labels that come from the keymap
+    await user.click(screen.getByTestId("shortcuts-btn"));
+    expect(screen.getByRole("heading", { name: "اختصارات لوحة المفاتيح" })).toBeInTheDocument();
+    expect(screen.getByTestId("shortcut-row-newNote")).toHaveTextContent("ملاحظة جديدة");
+    expect(screen.getByTestId("shortcut-help-close")).toHaveTextContent("إغلاق");
+    await user.click(screen.getByTestId("shortcut-help-close"));
+
+    unmount();
+    await setup({ storage: createMemoryAdapter(dated) });
+    expect(screen.getByTestId("language-select")).toHaveValue("ar");
+    expect(screen.getByTestId("main-content")).toHaveTextContent("لنبدأ");
+
+    await user.selectOptions(screen.getByTestId("language-select"), "auto");
+    expect(screen.getByTestId("create-note-btn")).toHaveTextContent("+ New Note");
+    expect(document.documentElement).toHaveAttribute("dir", "ltr");
+  });
+});
+
+describe("Editing together", () => {
+  // Sockets connected straight to an in-memory relay, as if over the network
+  class FakeWebSocket {
+    static relay = null;
+    static open = new Set();
+    constructor(url) {
+      this.url = url;
+      this.connection = FakeWebSocket.relay.connect(message => this.onmessage({ data: JSON.stringify(message) }));
+      FakeWebSocket.open.add(this);
+      Promise.resolve().then(() => FakeWebSocket.open.has(this) && this.onopen());
+    }
+    send(data) {
+      const message = JSON.parse(data);
+      if (message.type === "join") this.peerId = message.peer.id;
+      this.connection.receive(message);
+    }
+    close() {
+      this.drop();
+    }
+    drop() {
+      if (!FakeWebSocket.open.delete(this)) return;
+      this.connection.close();
+      this.onclose();
+    }
+  }
+
+  const base = {
+    id: "shared",
+    title: "Shared",
+    content: "Original",
+    createdAt: "2024-01-01T00:00:00.000Z",
+    updatedAt: "2024-01-01T00:00:00.000Z"
+  };
+  const client = () => createCollabClient({ url: "ws://relay.test", WebSocketImpl: FakeWebSocket, retryMs: 200 });
+  let bob;
+
+  // Someone else with the note open in their editor
+  function joinAsBob() {
+    const doc = createCollabDoc({ site: "bob" });
+    doc.seed(base, base.updatedAt);
+    const session = client().join("note:shared", { id: "bob", name: "Bob Lee", color: "#2563eb" }, {
+      onMessage(message) {
+        if (message.type === "welcome") {
+          doc.apply(message.ops);
+          session.send({ type: "ops", ops: doc.state() });
+        } else if (message.type === "ops") {
+          doc.apply(message.ops);
+        } else if (message.type === "presence") {
+          bob.seen = message.peer;
+        }
+      }
+    });
+    return {
+      doc,
+      leave: () => session.leave(),
+      edit: (field, text) => act(() => session.send({ type: "ops", ops: doc.change(field, text) })),
+      moveCaret: index => act(() => session.send({ type: "presence", cursor: { field: "content", anchor: doc.anchorAt("content", index) } }))
+    };
+  }
+
+  beforeEach(() => {
+    FakeWebSocket.relay = createRelay();
+  });
+  afterEach(() => {
+    act(() => {
+      if (bob) bob.leave();
+      FakeWebSocket.open.forEach(socket => socket.drop());
+    });
+    bob = null;
+  });
+
+  test("Changes from both sides merge, with the others' avatars and carets shown", async () => {
+    window.prompt = jest.fn(() => "Ann");
+    render(<App storage={createMemoryAdapter([base])} collab={client()} />);
+    await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+    const user = userEvent.setup();
+    bob = joinAsBob();
+    await waitFor(() => expect(FakeWebSocket.open.size).toBe(1));
+
+    await user.click(screen.getByTestId("sidebar-note-shared"));
+    expect(screen.queryByTestId("collab-presence")).not.toBeInTheDocument(); // only while editing
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await waitFor(() => expect(screen.getByTestId("collab-status")).toHaveTextContent("Live"));
+    expect(screen.getByTestId("collab-avatar-bob")).toHaveTextContent("BL");
+
+    const content = screen.getByTestId("note-content-input");
+    await user.type(content, " + mine");
+    bob.edit("content", "Bob: " + bob.doc.text("content"));
+    expect(content).toHaveValue("Bob: Original + mine");
+    expect(bob.doc.text("content")).toBe("Bob: Original + mine");
+    bob.moveCaret(3);
+    expect(screen.getByTestId("remote-cursor-bob")).toBeInTheDocument();
+    expect(screen.getByTestId("collab-avatar-bob")).toHaveAttribute("title", "Bob Lee — editing the note");
+
+    await user.click(screen.getByTestId("collab-avatar-self"));
+    expect(bob.seen.name).toBe("Ann");
+  });
+
+  test("Edits made while disconnected merge once the connection is back", async () => {
+    render(<App storage={createMemoryAdapter([base])} collab={client()} />);
+    await waitFor(() => expect(screen.queryByTestId("sidebar-loading")).not.toBeInTheDocument());
+    const user = userEvent.setup();
+    await user.click(screen.getByTestId("sidebar-note-shared"));
+    await user.click(screen.getByTestId("note-edit-btn"));
+    await waitFor(() => expect(screen.getByTestId("collab-status")).toHaveTextContent("Live"));
+    bob = joinAsBob();
+    await waitFor(() => expect(screen.getByTestId("collab-avatar-bob")).toBeInTheDocument());
+
+    const appSocket = [...FakeWebSocket.open].find(socket => socket.peerId !== "bob");
+    act(() => appSocket.drop());
+    expect(screen.getByTestId("collab-status")).toHaveTextContent("Offline");
+    bob.edit("content", "Original, edited by Bob");
+    await user.type(screen.getByTestId("note-title-input"), " notes");
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Original");
+
+    await waitFor(() => expect(screen.getByTestId("collab-status")).toHaveTextContent("Live"));
+    expect(screen.getByTestId("note-content-input")).toHaveValue("Original, edited by Bob");
+    expect(bob.doc.text("title")).toBe("Shared notes");
+
+    // Saving keeps what both wrote
+    await user.click(screen.getByTestId("note-save-btn"));
+    await waitFor(() => expect(screen.getByTestId("note-display-content")).toHaveTextContent("Original, edited by Bob"));
+    expect(screen.getByTestId("note-display-title")).toHaveTextContent("Shared notes");
   });
 });
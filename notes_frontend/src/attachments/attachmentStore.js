@@ -0,0 +1,59 @@
+import { StorageError } from "../storage/errors";
+import { ATTACHMENTS_STORE, createMemoryObjectStore, createObjectStore, openNotesDatabase } from "../storage/idb";
+
+function newId() {
+  return `att_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Where attachment files are kept: the app's IndexedDB database when the
+ * browser has one, memory otherwise. Records are
+ * { id, name, type, size, createdAt, blob }.
+ * `objects` is an object store as made by createObjectStore().
+ */
+export function createAttachmentStore(objects = defaultObjects()) {
+  async function guard([message, code, values], operation) {
+    try {
+      return await operation();
+    } catch (err) {
+      throw new StorageError(message, { cause: err, code, values });
+    }
+  }
+
+  const list = () => guard(["Could not read attachments", "attachments-read"], () => objects.getAll());
+  const remove = id => guard(["Could not delete the attachment", "attachment-delete"], () => objects.delete(id));
+
+  return {
+    async add(file, now = new Date()) {
+      const record = {
+        id: newId(),
+        name: file.name || "attachment",
+        type: file.type || "application/octet-stream",
+        size: file.size,
+        createdAt: now.toISOString(),
+        blob: file
+      };
+      await guard([`Could not save “${record.name}”`, "attachment-save", { name: record.name }], () =>
+        objects.put(record)
+      );
+      return record;
+    },
+    list,
+    get: id => guard(["Could not read the attachment", "attachment-read"], () => objects.get(id)),
+    remove,
+    // Delete every attachment whose id is not in `keep`, leaving those added
+    // at or after `addedBefore` (a Date) if given; returns the ids removed.
+    async prune(keep, addedBefore = null) {
+      const old = record => !addedBefore || Date.parse(record.createdAt) < addedBefore.getTime();
+      const removed = (await list()).filter(record => !keep.has(record.id) && old(record)).map(record => record.id);
+      for (const id of removed) await remove(id);
+      return removed;
+    }
+  };
+}
+
+function defaultObjects() {
+  if (!window.indexedDB) return createMemoryObjectStore();
+  return createObjectStore(openNotesDatabase(), ATTACHMENTS_STORE);
+}
@@ -0,0 +1,124 @@
+// Files attached to notes. The files themselves live in an attachment store
+// (see attachmentStore.js); notes refer to them from their content with
+// markdown links to `attachment:<id>`:
+//   ![screenshot.png](attachment:att_…)   shown inline (images)
+//   [📎 report.pdf](attachment:att_…)     a download link
+// An attachment can be linked from several notes; it is deleted once nothing
+// refers to it any more.
+
+export const ATTACHMENT_SCHEME = "attachment:";
+
+const MB = 1024 * 1024;
+const LINK = /!?\[[^\]\n]*\]\(attachment:([A-Za-z0-9_-]+)\)/g;
+
+// PUBLIC_INTERFACE
+/**
+ * Default size limits; override with REACT_APP_ATTACHMENT_MAX_MB (per file)
+ * and REACT_APP_NOTE_ATTACHMENTS_MAX_MB (all attachments of one note), or the
+ * `attachmentPolicy` prop on App.
+ */
+export function createAttachmentPolicy(env = process.env) {
+  const megabytes = (value, fallback) =>
+    value === undefined || value === "" || !(Number(value) > 0) ? fallback : Number(value);
+  return {
+    maxFileBytes: megabytes(env.REACT_APP_ATTACHMENT_MAX_MB, 5) * MB,
+    maxNoteBytes: megabytes(env.REACT_APP_NOTE_ATTACHMENTS_MAX_MB, 20) * MB
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "820 KB", "1.5 MB"…
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < MB) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / MB).toFixed(1).replace(/\.0$/, "")} MB`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split `files` into the ones that fit the policy and readable errors for the
+ * rest, in the language of `i18n`. `currentBytes` is what the note's
+ * attachments already take up. Returns { accepted: File[], errors: string[] }.
+ */
+export function checkAttachments(files, currentBytes, policy, { t }) {
+  const accepted = [];
+  const errors = [];
+  let total = currentBytes;
+  files.forEach(file => {
+    if (file.size > policy.maxFileBytes) {
+      errors.push(
+        t("attachments.tooBig", { name: file.name, size: formatBytes(file.size), max: formatBytes(policy.maxFileBytes) })
+      );
+    } else if (total + file.size > policy.maxNoteBytes) {
+      errors.push(t("attachments.noteFull", { name: file.name, max: formatBytes(policy.maxNoteBytes) }));
+    } else {
+      accepted.push(file);
+      total += file.size;
+    }
+  });
+  return { accepted, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Ids of the attachments linked from `content`, in order, without repeats.
+ */
+export function attachmentIdsIn(content) {
+  return [...new Set([...String(content || "").matchAll(LINK)].map(m => m[1]))];
+}
+
+export function isImage(attachment) {
+  return /^image\//.test(attachment.type || "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The markdown that links an attachment into a note.
+ */
+export function attachmentMarkdown(attachment) {
+  const label = attachment.name.replace(/[[\]\\\n]/g, "");
+  return isImage(attachment)
+    ? `![${label}](${ATTACHMENT_SCHEME}${attachment.id})`
+    : `[📎 ${label}](${ATTACHMENT_SCHEME}${attachment.id})`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Insert `block` at `caret` on lines of its own. Returns the new text and
+ * the caret position after the block.
+ */
+export function insertBlock(text, caret, block) {
+  const before = text.slice(0, caret);
+  const after = text.slice(caret);
+  const lead = before && !before.endsWith("\n") ? "\n" : "";
+  const trail = after && !after.startsWith("\n") ? "\n" : "";
+  const inserted = lead + block + trail;
+  return { text: before + inserted + after, caret: caret + lead.length + block.length };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * `content` without its links to attachment `id` (and the lines they leave empty).
+ */
+export function removeAttachmentLinks(content, id) {
+  return String(content || "")
+    .split("\n")
+    .map(line => {
+      const stripped = line.replace(LINK, (link, linked) => (linked === id ? "" : link));
+      return stripped !== line && !stripped.trim() ? null : stripped;
+    })
+    .filter(line => line !== null)
+    .join("\n");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Clipboard images all arrive as "image.png"; give them a name worth keeping.
+ */
+export function namePastedFile(file, now = new Date()) {
+  if (!/^image\.\w+$/.test(file.name)) return file;
+  const stamp = now.toISOString().slice(0, 16).replace("T", " ").replace(":", "-");
+  return new window.File([file], `Pasted image ${stamp}${file.name.slice(5)}`, { type: file.type });
+}
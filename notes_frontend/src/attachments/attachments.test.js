@@ -0,0 +1,109 @@
+import {
+  attachmentIdsIn,
+  attachmentMarkdown,
+  checkAttachments,
+  createAttachmentPolicy,
+  formatBytes,
+  insertBlock,
+  namePastedFile,
+  removeAttachmentLinks
+} from "./attachments";
+import { createAttachmentStore } from "./attachmentStore";
+import { createSharedAttachmentRefs } from "./sharedRefs";
+import { createMemoryObjectStore } from "../storage/idb";
+import { createI18n } from "../i18n/i18n";
+
+const MB = 1024 * 1024;
+const file = (name, size, type = "application/pdf") => ({ name, size, type });
+
+test("size limits come from the environment, with defaults", () => {
+  expect(createAttachmentPolicy({})).toEqual({ maxFileBytes: 5 * MB, maxNoteBytes: 20 * MB });
+  expect(createAttachmentPolicy({ REACT_APP_ATTACHMENT_MAX_MB: "1", REACT_APP_NOTE_ATTACHMENTS_MAX_MB: "nope" })).toEqual({
+    maxFileBytes: MB,
+    maxNoteBytes: 20 * MB
+  });
+  expect([formatBytes(512), formatBytes(2048), formatBytes(1.5 * MB), formatBytes(2 * MB)]).toEqual([
+    "512 B",
+    "2 KB",
+    "1.5 MB",
+    "2 MB"
+  ]);
+});
+
+test("files over the per-file or per-note limit are refused with a reason", () => {
+  const policy = { maxFileBytes: 2 * MB, maxNoteBytes: 3 * MB };
+  const { accepted, errors } = checkAttachments(
+    [file("a.pdf", MB), file("huge.mov", 2.5 * MB), file("b.pdf", 1.5 * MB), file("c.pdf", 0.5 * MB)],
+    MB,
+    policy,
+    createI18n("en")
+  );
+  expect(accepted.map(f => f.name)).toEqual(["a.pdf", "c.pdf"]);
+  expect(errors).toEqual([
+    "“huge.mov” is 2.5 MB; files can be up to 2 MB.",
+    "“b.pdf” would take this note's attachments over 3 MB."
+  ]);
+});
+
+test("attachments are linked as images or downloads and found again in content", () => {
+  const image = attachmentMarkdown({ id: "att_1", name: "shot [1].png", type: "image/png" });
+  const pdf = attachmentMarkdown({ id: "att_2", name: "report.pdf", type: "application/pdf" });
+  expect(image).toBe("![shot 1.png](attachment:att_1)");
+  expect(pdf).toBe("[📎 report.pdf](attachment:att_2)");
+  expect(attachmentIdsIn(`${image}\n${pdf} and again ${image}`)).toEqual(["att_1", "att_2"]);
+  expect(attachmentIdsIn(undefined)).toEqual([]);
+});
+
+test("blocks are inserted on their own lines and links removed cleanly", () => {
+  expect(insertBlock("before after", 7, "X")).toEqual({ text: "before \nX\nafter", caret: 9 });
+  expect(insertBlock("line\n", 5, "X")).toEqual({ text: "line\nX", caret: 6 });
+  const content = "Intro\n![a](attachment:att_1)\nSee [📎 b](attachment:att_2) here";
+  expect(removeAttachmentLinks(content, "att_1")).toBe("Intro\nSee [📎 b](attachment:att_2) here");
+  expect(removeAttachmentLinks(content, "att_2")).toBe("Intro\n![a](attachment:att_1)\nSee  here");
+});
+
+test("pasted clipboard images get a dated name", () => {
+  const pasted = new window.File(["x"], "image.png", { type: "image/png" });
+  const named = namePastedFile(pasted, new Date("2024-05-06T07:08:09.000Z"));
+  expect(named.name).toBe("Pasted image 2024-05-06 07-08.png");
+  expect(named.type).toBe("image/png");
+  const kept = new window.File(["x"], "diagram.png", { type: "image/png" });
+  expect(namePastedFile(kept)).toBe(kept);
+});
+
+test("the store keeps files and prunes the ones nothing refers to", async () => {
+  const store = createAttachmentStore(createMemoryObjectStore());
+  const kept = await store.add(new window.File(["hello"], "a.txt", { type: "text/plain" }));
+  const dropped = await store.add(new window.File(["bye"], "b.txt", { type: "text/plain" }));
+  expect(kept).toMatchObject({ name: "a.txt", type: "text/plain", size: 5 });
+
+  expect(await store.prune(new Set([kept.id]))).toEqual([dropped.id]);
+  expect((await store.list()).map(record => record.id)).toEqual([kept.id]);
+  expect(await store.get(dropped.id)).toBeFalsy();
+
+  // Files added from the given time on are left alone
+  const recent = await store.add(new window.File(["new"], "c.txt"), new Date("2100-01-01T00:00:00.000Z"));
+  expect(await store.prune(new Set(), new Date("2100-01-01T00:00:00.000Z"))).toEqual([kept.id]);
+  expect((await store.list()).map(record => record.id)).toEqual([recent.id]);
+});
+
+test("tabs tell each other which attachments only they still need", async () => {
+  jest.useFakeTimers();
+  const listeners = [new Set(), new Set(), new Set()];
+  const channels = listeners.map(own => ({
+    post: message => listeners.forEach(other => other !== own && other.forEach(listener => listener(message))),
+    subscribe(listener) {
+      own.add(listener);
+      return () => own.delete(listener);
+    }
+  }));
+  const asking = createSharedAttachmentRefs(channels[0], () => ["mine"]);
+  createSharedAttachmentRefs(channels[1], () => ["att_1", "att_2"]);
+  const closed = createSharedAttachmentRefs(channels[2], () => ["att_3"]);
+  closed.close();
+
+  const collected = asking.collect();
+  jest.advanceTimersByTime(250);
+  expect([...(await collected)].sort()).toEqual(["att_1", "att_2"]);
+  jest.useRealTimers();
+});
@@ -0,0 +1,44 @@
+// Attachment files are kept in this device's IndexedDB, which every tab of
+// the app shares. Saved notes and drafts are shared too, but some links to
+// attachments are known only to the tab that has them: its open form (files
+// attached there may not be saved yet) and its undo history. Before deleting
+// unused attachments, a tab asks the others over the tab channel (see
+// createTabChannel) which ones they still need.
+
+const ANSWER_WAIT = 250; // ms; long enough for the other tabs to answer
+
+// PUBLIC_INTERFACE
+/**
+ * Attachment links shared with the app's other tabs over `channel`.
+ * `localIds()` returns the attachment ids only this tab knows it needs; it
+ * is what other tabs are told when they ask. collect() resolves to the ids
+ * the other tabs need (a Set), and close() stops answering.
+ */
+export function createSharedAttachmentRefs(channel, localIds, { wait = ANSWER_WAIT } = {}) {
+  const requests = new Map(); // request id -> Set of ids in the answers so far
+
+  const unsubscribe = channel.subscribe(message => {
+    if (!message) return;
+    if (message.type === "attachment-refs-request") {
+      channel.post({ type: "attachment-refs", request: message.request, ids: [...localIds()] });
+    } else if (message.type === "attachment-refs" && requests.has(message.request) && Array.isArray(message.ids)) {
+      message.ids.forEach(id => requests.get(message.request).add(id));
+    }
+  });
+
+  return {
+    collect() {
+      const request = `refs_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      requests.set(request, new Set());
+      channel.post({ type: "attachment-refs-request", request });
+      return new Promise(resolve =>
+        window.setTimeout(() => {
+          const ids = requests.get(request);
+          requests.delete(request);
+          resolve(ids);
+        }, wait)
+      );
+    },
+    close: unsubscribe
+  };
+}
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+function objectUrl(blob) {
+  return blob && typeof window.URL.createObjectURL === "function" ? window.URL.createObjectURL(blob) : null;
+}
+
+function revoke(attachment) {
+  if (attachment.url && typeof window.URL.revokeObjectURL === "function") window.URL.revokeObjectURL(attachment.url);
+}
+
+function withUrl({ blob, ...meta }) {
+  return { ...meta, url: objectUrl(blob) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The attachments in `store`, each with an object URL for display and
+ * download. Returns { attachments: Map(id → { id, name, type, size, url }),
+ * add(files, onStored), prune(keepIds, addedBefore) }; `add` resolves to the
+ * new attachments, and calls `onStored(attachment)` as soon as each is saved.
+ */
+export function useAttachments(store) {
+  const [attachments, setAttachments] = useState(() => new Map());
+  const current = useRef(attachments);
+  current.current = attachments;
+
+  useEffect(() => {
+    let cancelled = false;
+    store
+      .list()
+      .then(records => {
+        if (cancelled) return;
+        const loaded = new Map(records.map(record => [record.id, withUrl(record)]));
+        setAttachments(added => new Map([...loaded, ...added]));
+      })
+      .catch(() => {
+        // Nothing to show; links to attachments render as missing.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [store]);
+
+  useEffect(() => () => current.current.forEach(revoke), []);
+
+  const add = useCallback(
+    async (files, onStored = () => {}) => {
+      const added = [];
+      for (const file of files) {
+        const attachment = withUrl(await store.add(file));
+        onStored(attachment);
+        added.push(attachment);
+      }
+      setAttachments(map => new Map([...map, ...added.map(attachment => [attachment.id, attachment])]));
+      return added;
+    },
+    [store]
+  );
+
+  const prune = useCallback(
+    async (keep, addedBefore) => {
+      const removed = await store.prune(keep, addedBefore);
+      if (removed.length) {
+        removed.forEach(id => current.current.has(id) && revoke(current.current.get(id)));
+        setAttachments(map => new Map([...map].filter(([id]) => !removed.includes(id))));
+      }
+      return removed;
+    },
+    [store]
+  );
+
+  return { attachments, add, prune };
+}
@@ -0,0 +1,93 @@
+// Connection to the collaboration relay (scripts/collab-relay.js), which is
+// what lets several people edit a note at once. Messages are JSON; see the
+// relay for what they are.
+
+const RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * The relay at `url` (REACT_APP_COLLAB_URL by default). `enabled` is false
+ * without one, and join() then does nothing.
+ *
+ * join(room, peer, { onMessage, onStatus }) connects to `room` as `peer`
+ * ({ id, name, color }) and returns { send(message), leave() }. onStatus
+ * reports "connecting", "online" (joined) or "offline"; a lost connection is
+ * retried, waiting longer each time. Messages sent while offline are
+ * dropped: on joining again the relay welcomes the client with the room's
+ * operations, and the client sends all of its own.
+ */
+export function createCollabClient({
+  url = process.env.REACT_APP_COLLAB_URL,
+  WebSocketImpl = window.WebSocket,
+  retryMs = RETRY_MS,
+  maxRetryMs = MAX_RETRY_MS
+} = {}) {
+  const enabled = Boolean(url && WebSocketImpl);
+
+  return {
+    enabled,
+
+    join(room, peer, { onMessage, onStatus = () => {} }) {
+      if (!enabled) return { send() {}, leave() {} };
+      let socket = null;
+      let timer = null;
+      let left = false;
+      let delay = retryMs;
+      let joined = false;
+
+      function connect() {
+        onStatus("connecting");
+        try {
+          socket = new WebSocketImpl(url);
+        } catch {
+          retry();
+          return;
+        }
+        socket.onopen = () => {
+          socket.send(JSON.stringify({ type: "join", room, peer }));
+        };
+        socket.onmessage = e => {
+          if (left) return;
+          let message;
+          try {
+            message = JSON.parse(e.data);
+          } catch {
+            return;
+          }
+          if (message.type === "welcome") {
+            joined = true;
+            delay = retryMs;
+            onStatus("online");
+          }
+          onMessage(message);
+        };
+        socket.onclose = () => {
+          joined = false;
+          if (!left) retry();
+        };
+      }
+
+      function retry() {
+        onStatus("offline");
+        timer = window.setTimeout(connect, delay);
+        delay = Math.min(delay * 2, maxRetryMs);
+      }
+
+      connect();
+      return {
+        send(message) {
+          if (!joined) return false;
+          socket.send(JSON.stringify(message));
+          return true;
+        },
+        leave() {
+          left = true;
+          joined = false;
+          window.clearTimeout(timer);
+          if (socket) socket.close();
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,227 @@
+import WebSocket from "ws";
+import { createCollabDoc } from "./crdt";
+import { createCollabClient } from "./client";
+import { colorFor, createCollabPeer, renameCollabPeer } from "./identity";
+import { createRelay, startCollabRelay } from "../../scripts/collab-relay";
+import { createI18n } from "../i18n/i18n";
+
+function seeded(site, values = { title: "Plan", content: "one two" }) {
+  const doc = createCollabDoc({ site });
+  doc.seed(values, "v1");
+  return doc;
+}
+
+test("concurrent edits converge whatever order they arrive in", () => {
+  const a = seeded("a");
+  const b = seeded("b");
+  const c = seeded("c");
+  const fromA = [...a.change("content", "one and two"), ...a.change("title", "Plans")];
+  const fromB = b.change("content", "one two three");
+  const fromC = c.change("content", "two");
+
+  a.apply([...fromB, ...fromC]);
+  b.apply([...fromC, ...fromA]);
+  c.apply([...fromA, ...fromB]);
+  expect(a.text("content")).toBe("and two three");
+  expect(b.text("content")).toBe(a.text("content"));
+  expect(c.text("content")).toBe(a.text("content"));
+  expect([a.text("title"), b.text("title"), c.text("title")]).toEqual(["Plans", "Plans", "Plans"]);
+});
+
+test("operations are idempotent, and wait for the ones they depend on", () => {
+  const a = seeded("a");
+  const b = seeded("b");
+  const first = a.change("content", "one two!");
+  const second = a.change("content", "one two!?");
+  const third = a.change("content", "one two?");
+
+  expect(b.apply([...third, ...second])).toEqual([]);
+  expect(b.text("content")).toBe("one two");
+  expect(b.apply(first)).toEqual(["content"]);
+  expect(b.apply([...first, ...second, ...third])).toEqual([]);
+  expect(b.text("content")).toBe("one two?");
+});
+
+test("edits made apart merge when the replicas exchange their state", () => {
+  const a = seeded("a");
+  const b = seeded("b");
+  a.change("content", "one, two");
+  b.change("content", "one two.");
+  b.change("title", "");
+
+  a.apply(b.state());
+  b.apply(a.state());
+  expect(a.text("content")).toBe("one, two.");
+  expect(b.text("content")).toBe("one, two.");
+  expect(a.text("title")).toBe("");
+
+  const late = createCollabDoc({ site: "late" });
+  late.apply(a.state());
+  expect(late.text("content")).toBe("one, two.");
+  expect(late.seededWith("v1")).toBe(true);
+  expect(late.seededWith("v2")).toBe(false);
+});
+
+test("carets anchored to the text stay put when others edit before them", () => {
+  const a = seeded("a");
+  const b = seeded("b");
+  const anchor = a.anchorAt("content", 4); // before "two"
+  a.apply(b.change("content", "and one two"));
+  expect(a.indexOf("content", anchor)).toBe(8);
+  expect(a.indexOf("content", null)).toBe(0);
+  expect(a.anchorAt("content", 99)).toBe(a.anchorAt("content", a.text("content").length));
+});
+
+test("peers get a name that is remembered and a colour from their id", () => {
+  window.localStorage.clear();
+  const guest = createCollabPeer(createI18n("en"));
+  expect(guest.name).toMatch(/^Guest \d{4}$/);
+  expect(createCollabPeer(createI18n("ar")).name).toMatch(/^ضيف \d{4}$/);
+  expect(guest.color).toBe(colorFor(guest.id));
+  const renamed = renameCollabPeer(guest, "Sam");
+  expect(renamed).toEqual({ ...guest, name: "Sam" });
+  expect(createCollabPeer(createI18n("en")).name).toBe("Sam");
+});
+
+test("the relay welcomes late joiners with the room's operations and who is there", () => {
+  const relay = createRelay();
+  const inbox = { ann: [], bob: [] };
+  const ann = relay.connect(message => inbox.ann.push(message));
+  const bob = relay.connect(message => inbox.bob.push(message));
+  const annPeer = { id: "ann", name: "Ann", color: "#000" };
+
+  const op = (id, text) => ({ type: "insert", field: "content", id, origin: null, text });
+  ann.receive({ type: "ops", ops: [op("1@x", "ignored before joining")] });
+  ann.receive({ type: "join", room: "note:1", peer: annPeer });
+  ann.receive({ type: "ops", ops: [op("1@ann", "a"), op("2@ann", "b")] });
+  ann.receive({ type: "presence", cursor: { field: "content", anchor: null } });
+  bob.receive({ type: "join", room: "note:1", peer: { id: "bob", name: "Bob", color: "#fff" } });
+  expect(inbox.bob).toEqual([
+    { type: "welcome", ops: [op("1@ann", "a"), op("2@ann", "b")], peers: [{ peer: annPeer, cursor: { field: "content", anchor: null } }] }
+  ]);
+
+  bob.receive({ type: "ops", ops: [op("1@bob", "c")] });
+  expect(inbox.ann.slice(1)).toEqual([
+    { type: "presence", peer: { id: "bob", name: "Bob", color: "#fff" }, cursor: null },
+    { type: "ops", ops: [op("1@bob", "c")] }
+  ]);
+  bob.close();
+  expect(inbox.ann[inbox.ann.length - 1]).toEqual({ type: "leave", peerId: "bob" });
+  ann.close();
+  expect(relay.rooms()).toEqual([]);
+});
+
+test("the relay drops malformed joins and presence, and passes on only a peer's id, name and colour", () => {
+  const relay = createRelay();
+  const inbox = [];
+  const ann = relay.connect(message => inbox.push(message));
+  const mallory = relay.connect(() => {});
+
+  [
+    { type: "join", room: "note:1" },
+    { type: "join", room: "note:1", peer: "mallory" },
+    { type: "join", room: "note:1", peer: { name: "Mallory", color: "#000" } },
+    { type: "join", room: "note:1", peer: { id: "", name: "Mallory", color: "#000" } },
+    { type: "join", room: "note:1", peer: { id: 7, name: "Mallory", color: "#000" } },
+    { type: "join", room: 1, peer: { id: "mallory", name: "Mallory", color: "#000" } }
+  ].forEach(message => mallory.receive(message));
+  expect(relay.rooms()).toEqual([]);
+
+  ann.receive({ type: "join", room: "note:1", peer: { id: "ann", name: "Ann", color: "#000" } });
+  mallory.receive({ type: "join", room: "note:1", peer: { id: "mallory", name: "Mallory", color: "#fff", admin: true } });
+  expect(inbox[1]).toEqual({ type: "presence", peer: { id: "mallory", name: "Mallory", color: "#fff" }, cursor: null });
+
+  mallory.receive({ type: "presence", peer: { name: ["M"] }, cursor: null });
+  mallory.receive({ type: "presence", cursor: { field: 1, anchor: null } });
+  mallory.receive({ type: "presence", cursor: "content" });
+  expect(inbox).toHaveLength(2);
+  mallory.receive({ type: "presence", peer: { id: "ann", name: "M", color: "#f00" }, cursor: { field: "content", anchor: "x" } });
+  expect(inbox[2]).toEqual({
+    type: "presence",
+    peer: { id: "mallory", name: "M", color: "#f00" },
+    cursor: { field: "content", anchor: "x" }
+  });
+});
+
+test("malformed operations are dropped by the relay and skipped by documents", () => {
+  const good = { type: "insert", field: "content", id: "1@ann", origin: null, text: "hi" };
+  const bad = [
+    null,
+    { type: "insert", field: "content", id: "2@ann", origin: null, text: 5 },
+    { type: "insert", field: "toString", id: "3@ann", origin: null, text: "x" },
+    { type: "insert", field: "content", id: "nope", origin: null, text: "x" },
+    { type: "delete", field: "content", ids: "nope" },
+    { type: "move", field: "content" }
+  ];
+
+  const relay = createRelay();
+  const inbox = [];
+  const ann = relay.connect(() => {});
+  const bob = relay.connect(message => inbox.push(message));
+  ann.receive({ type: "join", room: "note:1", peer: { id: "ann", name: "Ann", color: "#000" } });
+  bob.receive({ type: "join", room: "note:1", peer: { id: "bob", name: "Bob", color: "#fff" } });
+  ann.receive({ type: "ops", ops: [...bad, good] });
+  ann.receive({ type: "ops", ops: bad });
+  // Far more operations than fit in one call's arguments
+  expect(() => ann.receive({ type: "ops", ops: new Array(1000000).fill(null) })).not.toThrow();
+  expect(inbox.slice(1)).toEqual([{ type: "ops", ops: [good] }]);
+
+  const doc = createCollabDoc({ site: "bob" });
+  expect(() => doc.apply([...bad, good])).not.toThrow();
+  expect(doc.text("content")).toBe("hi");
+});
+
+describe("over a local relay", () => {
+  let server;
+  const sessions = [];
+
+  beforeAll(async () => {
+    server = await startCollabRelay({ port: 0, host: "127.0.0.1" });
+  });
+
+  afterAll(async () => {
+    sessions.forEach(session => session.leave());
+    await server.close();
+  });
+
+  function join(site) {
+    const client = createCollabClient({ url: `ws://127.0.0.1:${server.port}`, WebSocketImpl: WebSocket });
+    const doc = seeded(site);
+    const statuses = [];
+    const session = client.join("note:1", { id: site, name: site, color: "#000" }, {
+      onStatus: status => statuses.push(status),
+      onMessage(message) {
+        if (message.type === "welcome") {
+          doc.apply(message.ops);
+          session.send({ type: "ops", ops: doc.state() });
+        } else if (message.type === "ops") {
+          doc.apply(message.ops);
+        }
+      }
+    });
+    sessions.push(session);
+    return { doc, session, statuses, edit: (field, text) => session.send({ type: "ops", ops: doc.change(field, text) }) };
+  }
+
+  const until = async check => {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => window.setTimeout(resolve, 20));
+    expect(check()).toBe(true);
+  };
+
+  test("replicas converge, including edits made while one was away", async () => {
+    const ann = join("ann");
+    const bob = join("bob");
+    await until(() => ann.statuses.includes("online") && bob.statuses.includes("online"));
+
+    ann.edit("content", "one, two");
+    bob.edit("title", "Plan B");
+    await until(() => bob.doc.text("content") === "one, two" && ann.doc.text("title") === "Plan B");
+
+    bob.session.leave();
+    bob.doc.change("content", "one, two, three"); // offline
+    ann.edit("content", "zero, one, two");
+    const back = join("bob");
+    back.doc.apply(bob.doc.state());
+    await until(() => ann.doc.text("content") === "zero, one, two, three" && back.doc.text("content") === ann.doc.text("content"));
+  });
+});
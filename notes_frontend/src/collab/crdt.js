@@ -0,0 +1,224 @@
+// A text CRDT (RGA) for editing a note's fields together. Every character
+// ever typed is an item with a unique id `counter@site`, placed after the
+// item that was to its left when it was typed (its origin). Deleting only
+// marks an item; it stays as a tombstone so later edits can still refer to
+// it. Replicas that have seen the same operations, in any order and any
+// number of times, hold the same text.
+//
+// Operations (JSON, so they can go over the wire):
+//   { type: "insert", field, id, origin, text }  characters of `text` get ids
+//       counter@site, counter+1@site, …, each after the one before it
+//   { type: "delete", field, ids }
+
+const SEED_SITE = "seed";
+
+function parseId(id) {
+  const at = id.indexOf("@");
+  return { counter: Number(id.slice(0, at)), site: id.slice(at + 1) };
+}
+
+const makeId = (counter, site) => `${counter}@${site}`;
+
+// Later edits sort first among items with the same origin; the site breaks ties
+function newer(a, b) {
+  return a.counter !== b.counter ? a.counter > b.counter : a.site > b.site;
+}
+
+// Operations come from other people; anything malformed is skipped
+function isValidOp(op, data) {
+  if (!op || typeof op !== "object" || !Object.prototype.hasOwnProperty.call(data, op.field)) return false;
+  if (op.type === "delete") return Array.isArray(op.ids) && op.ids.every(id => typeof id === "string");
+  return (
+    op.type === "insert" &&
+    typeof op.id === "string" &&
+    /^\d+@/.test(op.id) &&
+    (op.origin === null || typeof op.origin === "string") &&
+    typeof op.text === "string"
+  );
+}
+
+function createField() {
+  return { items: [], byId: new Map(), last: -1 };
+}
+
+function indexOfItem(field, item) {
+  // Runs of typing insert each character right after the previous one
+  if (field.items[field.last] === item) return field.last;
+  return field.items.indexOf(item);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A collaborative document with the text fields `fields`, edited by this
+ * replica as `site` (unique per editing session).
+ *
+ * seed(values, tag)      start from saved `values` ({ field: text }). Every
+ *                        replica seeding the same values with the same `tag`
+ *                        (e.g. the note's updatedAt) gets identical items.
+ * seededWith(tag)        whether the document was started from that seed
+ * text(field)            the current text
+ * change(field, text)    make the field read `text`; returns the operations
+ * apply(ops)             merge operations from elsewhere; returns the names
+ *                        of the fields whose text changed. Operations that
+ *                        arrive before what they depend on wait for it;
+ *                        malformed ones are skipped.
+ * state()                operations that rebuild the whole document
+ * anchorAt(field, index) a caret position that survives other edits (the id
+ *                        of the character before it, or null at the start)
+ * indexOf(field, anchor) where that caret is now
+ */
+export function createCollabDoc({ site, fields = ["title", "content"] }) {
+  const data = Object.fromEntries(fields.map(name => [name, createField()]));
+  let clock = 0;
+  let pending = [];
+
+  const visible = name => data[name].items.filter(item => !item.deleted);
+
+  function tick(counter) {
+    clock = Math.max(clock, counter);
+  }
+
+  function place(field, item, originItem) {
+    const { items } = field;
+    let i = originItem ? indexOfItem(field, originItem) + 1 : 0;
+    while (i < items.length && newer(items[i], item)) i++;
+    items.splice(i, 0, item);
+    field.byId.set(item.id, item);
+    field.last = i;
+  }
+
+  // Returns false when the operation has to wait for one it depends on
+  function integrate(op) {
+    const field = data[op.field];
+    if (op.type === "delete") {
+      const targets = op.ids.map(id => field.byId.get(id));
+      if (targets.some(item => !item)) return false;
+      let changed = false;
+      targets.forEach(item => {
+        changed = changed || !item.deleted;
+        item.deleted = true;
+      });
+      return changed ? "changed" : true;
+    }
+    const { counter, site: from } = parseId(op.id);
+    let origin = op.origin === null ? null : field.byId.get(op.origin);
+    if (op.origin !== null && !origin) return false;
+    let changed = false;
+    // One item per UTF-16 code unit, the same units as input selections
+    op.text.split("").forEach((ch, k) => {
+      const id = makeId(counter + k, from);
+      const known = field.byId.get(id);
+      if (!known) {
+        const item = { id, counter: counter + k, site: from, origin: origin ? origin.id : null, ch, deleted: false };
+        place(field, item, origin);
+        tick(counter + k);
+        changed = true;
+      }
+      origin = known || field.byId.get(id);
+    });
+    return changed ? "changed" : true;
+  }
+
+  function apply(ops) {
+    const changed = new Set();
+    let queue = [...pending, ...(Array.isArray(ops) ? ops : []).filter(op => isValidOp(op, data))];
+    let progress = true;
+    while (progress && queue.length) {
+      progress = false;
+      const waiting = [];
+      for (const op of queue) {
+        const result = integrate(op);
+        if (!result) waiting.push(op);
+        else {
+          progress = true;
+          if (result === "changed") changed.add(op.field);
+        }
+      }
+      queue = waiting;
+    }
+    pending = queue;
+    return [...changed];
+  }
+
+  return {
+    seed(values, tag) {
+      return apply(
+        fields
+          .filter(name => values[name])
+          .map(name => ({ type: "insert", field: name, id: makeId(1, `${SEED_SITE}~${tag}`), origin: null, text: values[name] }))
+      );
+    },
+
+    seededWith(tag) {
+      const seedSite = `${SEED_SITE}~${tag}`;
+      return fields.every(name => data[name].items.every(item => !item.site.startsWith(SEED_SITE) || item.site === seedSite));
+    },
+
+    text: name => visible(name).map(item => item.ch).join(""),
+
+    change(name, text) {
+      const chars = visible(name);
+      const current = chars.map(item => item.ch).join("");
+      if (current === text) return [];
+      let start = 0;
+      while (start < current.length && start < text.length && current[start] === text[start]) start++;
+      let end = 0;
+      while (
+        end < current.length - start &&
+        end < text.length - start &&
+        current[current.length - 1 - end] === text[text.length - 1 - end]
+      ) {
+        end++;
+      }
+      const ops = [];
+      const removed = chars.slice(start, chars.length - end);
+      if (removed.length) ops.push({ type: "delete", field: name, ids: removed.map(item => item.id) });
+      const inserted = text.slice(start, text.length - end);
+      if (inserted) {
+        const origin = start > 0 ? chars[start - 1].id : null;
+        ops.push({ type: "insert", field: name, id: makeId(clock + 1, site), origin, text: inserted });
+      }
+      apply(ops);
+      return ops;
+    },
+
+    apply,
+
+    state() {
+      const ops = [];
+      fields.forEach(name => {
+        let run = null;
+        const deleted = [];
+        data[name].items.forEach(item => {
+          const continues = run && item.site === run.site && item.counter === run.next && item.origin === run.lastId;
+          if (continues) {
+            run.op.text += item.ch;
+          } else {
+            run = { site: item.site, op: { type: "insert", field: name, id: item.id, origin: item.origin, text: item.ch } };
+            ops.push(run.op);
+          }
+          run.next = item.counter + 1;
+          run.lastId = item.id;
+          if (item.deleted) deleted.push(item.id);
+        });
+        if (deleted.length) ops.push({ type: "delete", field: name, ids: deleted });
+      });
+      return ops;
+    },
+
+    anchorAt(name, index) {
+      const chars = visible(name);
+      const before = Math.min(index, chars.length);
+      return before > 0 ? chars[before - 1].id : null;
+    },
+
+    indexOf(name, anchor) {
+      if (anchor === null) return 0;
+      const field = data[name];
+      const item = field.byId.get(anchor);
+      if (!item) return 0;
+      const at = indexOfItem(field, item);
+      return field.items.slice(0, at + 1).filter(other => !other.deleted).length;
+    }
+  };
+}
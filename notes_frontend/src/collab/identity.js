@@ -0,0 +1,43 @@
+// Who you are to the other people editing a note: a name (remembered on this
+// device) and a colour for your avatar and caret. The id is new for every
+// session, so two tabs of the same person are two editors.
+
+import { loadPreference, savePreference } from "../storage/preferences";
+
+const STORAGE_KEY = "note-organizer:collab-name";
+const COLORS = ["#e11d48", "#d97706", "#16a34a", "#0891b2", "#2563eb", "#7c3aed", "#c026d3", "#64748b"];
+
+function newId() {
+  return `peer_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The colour for a peer id, the same on every screen.
+ */
+export function colorFor(id) {
+  let hash = 0;
+  for (const ch of String(id)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return COLORS[hash % COLORS.length];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A peer ({ id, name, color }) for this session, with the saved name or a
+ * new "Guest 1234" one in the language of `i18n`.
+ */
+export function createCollabPeer(i18n, storage) {
+  const id = newId();
+  const name = loadPreference(STORAGE_KEY, saved => saved.trim() !== "", null, storage);
+  const number = String(Math.floor(Math.random() * 10000)).padStart(4, "0");
+  return { id, name: name || i18n.t("collab.guest", { number }), color: colorFor(id) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * `peer` renamed to `name`, which is remembered for next time.
+ */
+export function renameCollabPeer(peer, name, storage) {
+  savePreference(STORAGE_KEY, name, null, storage);
+  return { ...peer, name };
+}
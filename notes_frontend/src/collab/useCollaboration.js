@@ -0,0 +1,168 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { createCollabDoc } from "./crdt";
+
+const FIELDS = ["title", "content"];
+
+// PUBLIC_INTERFACE
+/**
+ * Edits the title and content of a note together with everyone else who has
+ * it open in `room` (null when not collaborating), through `client` (see
+ * createCollabClient) as `peer`.
+ *
+ * `base` is the saved note ({ title, content }) and `baseTag` its version
+ * (updatedAt): everyone who opened the same version starts from the same
+ * text, so changes made before joining merge too. When the room started
+ * from another version, the room's text wins. `values` are the form's
+ * current { title, content }, `setters` their setters and `inputs` refs to
+ * the title input and content textarea; remote changes keep the caret where
+ * it was relative to the text around it.
+ *
+ * Returns { status, peers, reportCursor(field) }: status is null (not
+ * collaborating), "connecting", "online" or "offline"; peers are the others
+ * in the room as { id, name, color, field, index } (the field and index of
+ * their caret, if they are in one). Call reportCursor when the caret moves
+ * in a field, and with null when it leaves.
+ */
+export function useCollaboration({ client, room, peer, base, baseTag, values, setters, inputs }) {
+  const [status, setStatus] = useState(null);
+  const [others, setOthers] = useState({}); // peer id -> { peer, cursor: { field, anchor } | null }
+  const docRef = useRef(null);
+  const sessionRef = useRef(null);
+  const carets = useRef(null); // to restore after merging remote changes
+  const cursorRef = useRef(null);
+  const latest = useRef();
+  latest.current = { peer, base, baseTag, values, setters, inputs };
+  const peerId = peer.id;
+
+  useEffect(() => {
+    if (!room || !client || !client.enabled) return;
+    const site = `${latest.current.peer.id}~${Math.random().toString(36).slice(2, 8)}`;
+    let doc = null;
+    let session = null;
+    const send = ops => ops.length > 0 && session.send({ type: "ops", ops });
+
+    // Fold in what was typed here since the last change was sent
+    function syncLocal() {
+      send(FIELDS.flatMap(field => doc.change(field, latest.current.values[field])));
+    }
+
+    function merge(ops) {
+      syncLocal();
+      const { inputs, setters } = latest.current;
+      const anchors = FIELDS.filter(field => inputs[field].current && document.activeElement === inputs[field].current).map(
+        field => {
+          const input = inputs[field].current;
+          return { field, start: doc.anchorAt(field, input.selectionStart), end: doc.anchorAt(field, input.selectionEnd) };
+        }
+      );
+      const changed = doc.apply(ops);
+      if (changed.length === 0) return;
+      carets.current = anchors
+        .filter(({ field }) => changed.includes(field))
+        .map(({ field, start, end }) => ({ field, start: doc.indexOf(field, start), end: doc.indexOf(field, end) }));
+      changed.forEach(field => setters[field](doc.text(field)));
+    }
+
+    function welcome(message) {
+      if (!doc) {
+        const { base, baseTag, values, setters } = latest.current;
+        doc = createCollabDoc({ site });
+        doc.seed(base, baseTag);
+        let local = FIELDS.flatMap(field => doc.change(field, values[field]));
+        doc.apply(message.ops);
+        if (!doc.seededWith(baseTag)) {
+          // The others started from another version of the note: theirs it is
+          doc = createCollabDoc({ site });
+          doc.apply(message.ops);
+          local = [];
+        }
+        docRef.current = doc;
+        FIELDS.forEach(field => {
+          if (doc.text(field) !== values[field]) setters[field](doc.text(field));
+        });
+        send(message.ops.length > 0 ? local : doc.state());
+      } else {
+        // Back after losing the connection: catch up both ways
+        merge(message.ops);
+        send(doc.state());
+      }
+      setOthers(Object.fromEntries(message.peers.map(other => [other.peer.id, other])));
+      if (cursorRef.current) session.send({ type: "presence", cursor: cursorRef.current });
+    }
+
+    session = client.join(room, latest.current.peer, {
+      onStatus: setStatus,
+      onMessage(message) {
+        if (message.type === "welcome") welcome(message);
+        else if (!doc) return;
+        else if (message.type === "ops") merge(message.ops);
+        else if (message.type === "presence") {
+          setOthers(current => ({ ...current, [message.peer.id]: { peer: message.peer, cursor: message.cursor } }));
+        } else if (message.type === "leave") {
+          setOthers(current => {
+            const rest = { ...current };
+            delete rest[message.peerId];
+            return rest;
+          });
+        }
+      }
+    });
+    sessionRef.current = session;
+
+    return () => {
+      session.leave();
+      sessionRef.current = null;
+      docRef.current = null;
+      cursorRef.current = null;
+      setOthers({});
+      setStatus(null);
+    };
+  }, [client, room, peerId]);
+
+  // Changes typed here
+  const { title, content } = values;
+  useEffect(() => {
+    const doc = docRef.current;
+    if (!doc) return;
+    const ops = [...doc.change("title", title), ...doc.change("content", content)];
+    if (ops.length > 0) sessionRef.current.send({ type: "ops", ops });
+  }, [title, content]);
+
+  // A new name or colour
+  const { name, color } = peer;
+  useEffect(() => {
+    if (sessionRef.current) sessionRef.current.send({ type: "presence", peer: { id: peerId, name, color }, cursor: cursorRef.current });
+  }, [peerId, name, color]);
+
+  useLayoutEffect(() => {
+    if (!carets.current) return;
+    carets.current.forEach(({ field, start, end }) => {
+      const input = latest.current.inputs[field].current;
+      if (input && document.activeElement === input) input.setSelectionRange(start, end);
+    });
+    carets.current = null;
+  });
+
+  function reportCursor(field) {
+    const doc = docRef.current;
+    const session = sessionRef.current;
+    if (!doc || !session) return;
+    const input = field && inputs[field].current;
+    const cursor = input ? { field, anchor: doc.anchorAt(field, input.selectionStart) } : null;
+    const previous = cursorRef.current;
+    if (previous === cursor || (previous && cursor && previous.field === cursor.field && previous.anchor === cursor.anchor)) {
+      return;
+    }
+    cursorRef.current = cursor;
+    session.send({ type: "presence", cursor });
+  }
+
+  const doc = docRef.current;
+  const peers = Object.values(others).map(({ peer: other, cursor }) => ({
+    ...other,
+    field: cursor ? cursor.field : null,
+    index: cursor && doc ? doc.indexOf(cursor.field, cursor.anchor) : null
+  }));
+
+  return { status, peers, reportCursor };
+}
@@ -0,0 +1,58 @@
+import React from "react";
+import { formatBytes, isImage } from "../attachments/attachments";
+
+// PUBLIC_INTERFACE
+/**
+ * The files a note links to, with their size, a download link and (when
+ * `onRemove` is given) a button that removes them from the note. Says that
+ * the files stay in this browser, since they aren't synced or exported.
+ * attachments: [{ id, name, size, type, url } | { id, missing: true }]
+ */
+function AttachmentList({ attachments, onRemove, disabled, i18n }) {
+  const { t } = i18n;
+  if (attachments.length === 0) return null;
+  return (
+    <section className="AttachmentList" aria-labelledby="attachments-heading" data-testid="note-attachments">
+      <h3 id="attachments-heading">{t("attachments.heading")}</h3>
+      <ul>
+        {attachments.map(attachment => (
+          <li key={attachment.id} className="AttachmentList-item" data-testid={`attachment-${attachment.id}`}>
+            <span className="AttachmentList-icon" aria-hidden="true">
+              {attachment.missing ? "⚠" : isImage(attachment) ? "🖼" : "📎"}
+            </span>
+            {attachment.missing ? (
+              <span className="AttachmentList-name AttachmentList-name--missing">{t("attachments.missing")}</span>
+            ) : (
+              <>
+                <span className="AttachmentList-name">{attachment.name}</span>
+                <span className="AttachmentList-size">{formatBytes(attachment.size)}</span>
+                {attachment.url && (
+                  <a className="btn btn-outline" href={attachment.url} download={attachment.name} data-testid={`attachment-download-${attachment.id}`}>
+                    {t("attachments.download")}
+                  </a>
+                )}
+              </>
+            )}
+            {onRemove && (
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={() => onRemove(attachment.id)}
+                disabled={disabled}
+                aria-label={attachment.missing ? t("attachments.removeMissing") : t("attachments.removeNamed", { name: attachment.name })}
+                data-testid={`attachment-remove-${attachment.id}`}
+              >
+                {t("attachments.remove")}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <p className="AttachmentList-note" data-testid="attachments-device-note">
+        {t("attachments.deviceOnly")}
+      </p>
+    </section>
+  );
+}
+
+export default AttachmentList;
@@ -0,0 +1,30 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * "Linked from" panel under a note: the notes whose content links to it
+ * with [[Note title]]. Selecting one opens it.
+ */
+function Backlinks({ notes, onOpen, i18n }) {
+  const { t } = i18n;
+  return (
+    <section className="Backlinks" aria-labelledby="backlinks-heading" data-testid="note-backlinks">
+      <h3 id="backlinks-heading">{t("backlinks.heading")}</h3>
+      {notes.length === 0 ? (
+        <p className="Backlinks-empty">{t("backlinks.empty")}</p>
+      ) : (
+        <ul className="Backlinks-list">
+          {notes.map(note => (
+            <li key={note.id}>
+              <button className="Backlinks-link" onClick={() => onOpen(note)} data-testid={`backlink-${note.id}`}>
+                {note.title}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default Backlinks;
@@ -0,0 +1,55 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Toolbar above the note list while several notes are selected. In the Trash
+ * it offers Restore and Delete forever; elsewhere delete, (un)archive,
+ * tagging, moving to a notebook and export. `actions` maps each action to
+ * its handler: { selectAll, clear, delete, archive, addTag, removeTag, move,
+ * export, exportHtml, restore, deleteForever }.
+ */
+function BulkActions({ count, total, view, actions, disabled, i18n }) {
+  const { t } = i18n;
+  const button = (action, testId, label, title) => (
+    <button className="btn btn-outline" onClick={actions[action]} disabled={disabled} title={title} data-testid={testId}>
+      {label}
+    </button>
+  );
+  return (
+    <div className="BulkActions" role="toolbar" aria-label={t("bulk.toolbar")} data-testid="bulk-toolbar">
+      <div className="BulkActions-summary">
+        <span aria-live="polite" data-testid="bulk-count">
+          {t("bulk.count", { count, total })}
+        </span>
+        {count < total && (
+          <button className="BulkActions-link" onClick={actions.selectAll} data-testid="bulk-select-all">
+            {t("bulk.selectAll")}
+          </button>
+        )}
+        <button className="BulkActions-link" onClick={actions.clear} data-testid="bulk-clear">
+          {t("bulk.clear")}
+        </button>
+      </div>
+      <div className="BulkActions-buttons">
+        {view === "trash" ? (
+          <>
+            {button("restore", "bulk-restore", t("note.restore"))}
+            {button("deleteForever", "bulk-delete-forever", t("note.deleteForever"))}
+          </>
+        ) : (
+          <>
+            {button("delete", "bulk-delete", t("note.delete"), t("bulk.deleteTitle"))}
+            {button("archive", "bulk-archive", t(view === "archive" ? "note.unarchive" : "bulk.archiveButton"))}
+            {button("addTag", "bulk-add-tag", t("bulk.addTag"), t("bulk.addTagTitle"))}
+            {button("removeTag", "bulk-remove-tag", t("bulk.removeTag"), t("bulk.removeTagTitle"))}
+            {button("move", "bulk-move", t("bulk.moveButton"), t("bulk.moveTitle"))}
+            {button("export", "bulk-export", t("bulk.export"), t("bulk.exportTitle"))}
+            {button("exportHtml", "bulk-export-html", t("bulk.exportHtml"), t("bulk.exportHtmlTitle"))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BulkActions;
@@ -0,0 +1,69 @@
+import React from "react";
+
+const initials = name =>
+  String(name)
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map(word => Array.from(word)[0])
+    .join("")
+    .toUpperCase() || "?";
+
+function Avatar({ peer, title, onClick, testId }) {
+  const props = {
+    className: "CollabPresence-avatar",
+    style: { "--avatar-color": peer.color },
+    title,
+    "aria-label": title,
+    "data-testid": testId
+  };
+  if (onClick) {
+    return (
+      <button type="button" {...props} onClick={onClick}>
+        {initials(peer.name)}
+      </button>
+    );
+  }
+  return (
+    <span role="img" {...props}>
+      {initials(peer.name)}
+    </span>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Who is editing the note (you first; click your avatar to change your
+ * name) and the state of the connection to the others.
+ */
+function CollabPresence({ status, peers, self, onRename, i18n }) {
+  const { t } = i18n;
+  return (
+    <div className="CollabPresence" data-testid="collab-presence">
+      <span className={`CollabPresence-status CollabPresence-status--${status}`} role="status" data-testid="collab-status">
+        {t(`collab.${status}`)}
+      </span>
+      <span className="CollabPresence-avatars">
+        <Avatar
+          peer={self}
+          title={t("collab.you", { name: self.name })}
+          onClick={() => {
+            const name = window.prompt(t("collab.namePrompt"), self.name);
+            if (name && name.trim()) onRename(name.trim());
+          }}
+          testId="collab-avatar-self"
+        />
+        {peers.map(peer => (
+          <Avatar
+            key={peer.id}
+            peer={peer}
+            title={peer.field ? t(`collab.editing.${peer.field}`, { name: peer.name }) : peer.name}
+            testId={`collab-avatar-${peer.id}`}
+          />
+        ))}
+      </span>
+    </div>
+  );
+}
+
+export default CollabPresence;
@@ -0,0 +1,118 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { fuzzyFilter, fuzzySegments } from "../shortcuts/fuzzy";
+
+const MAX_RESULTS = 50;
+
+function Segments({ text, indices }) {
+  return fuzzySegments(text, indices).map((segment, i) =>
+    segment.match ? <mark key={i}>{segment.text}</mark> : <React.Fragment key={i}>{segment.text}</React.Fragment>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Ctrl+K palette: type to fuzzy-search `items` by label, ↑/↓ to move,
+ * Enter to run, Escape to close.
+ * items: [{ key, label, detail?, hint?, section, run() }], where `section`
+ * is the translated "palette.*" heading.
+ */
+function CommandPalette({ open, items, onClose, i18n }) {
+  const { t } = i18n;
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const returnFocus = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    returnFocus.current = document.activeElement;
+    setQuery("");
+    setActive(0);
+  }, [open]);
+
+  const results = useMemo(
+    () => fuzzyFilter(items, query, item => item.label).slice(0, MAX_RESULTS),
+    [items, query]
+  );
+
+  if (!open) return null;
+
+  function close() {
+    onClose();
+    if (returnFocus.current && returnFocus.current.focus) returnFocus.current.focus();
+  }
+
+  function run(result) {
+    onClose();
+    result.item.run();
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive(index => (results.length ? (index + step + results.length) % results.length : 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (results[active]) run(results[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+  }
+
+  return (
+    <div className="Dialog-backdrop CommandPalette-backdrop" onMouseDown={e => e.target === e.currentTarget && close()}>
+      <div className="Dialog CommandPalette" role="dialog" aria-modal="true" aria-label={t("palette.label")} data-testid="command-palette">
+        <input
+          className="CommandPalette-input"
+          type="text"
+          placeholder={t("palette.placeholder")}
+          value={query}
+          onChange={e => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={handleKeyDown}
+          autoFocus
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-list"
+          aria-activedescendant={results[active] ? `command-palette-option-${active}` : undefined}
+          aria-label={t("palette.search")}
+          data-testid="command-palette-input"
+        />
+        <ul className="CommandPalette-list" id="command-palette-list" role="listbox" aria-label={t("palette.results")}>
+          {results.length === 0 && (
+            <li className="CommandPalette-empty" data-testid="command-palette-empty">
+              {t("palette.empty", { query })}
+            </li>
+          )}
+          {results.map((result, i) => {
+            const { item } = result;
+            return (
+              <li
+                key={item.key}
+                id={`command-palette-option-${i}`}
+                className={"CommandPalette-option" + (i === active ? " CommandPalette-option--active" : "")}
+                role="option"
+                aria-selected={i === active}
+                onMouseMove={() => setActive(i)}
+                onClick={() => run(result)}
+                data-testid="command-palette-option"
+              >
+                <span className="CommandPalette-kind">{item.section === t("palette.notes") ? "📄" : "›"}</span>
+                <span className="CommandPalette-label">
+                  <Segments text={item.label} indices={result.indices} />
+                </span>
+                {item.detail && <span className="CommandPalette-detail">{item.detail}</span>}
+                {item.hint && <kbd className="CommandPalette-hint">{item.hint}</kbd>}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
@@ -0,0 +1,70 @@
+import React from "react";
+
+function ConflictVersion({ label, note, testId, onKeep, i18n }) {
+  const { t } = i18n;
+  return (
+    <section className="ConflictDialog-version" data-testid={testId}>
+      <h3>{label}</h3>
+      {note ? (
+        <>
+          <div className="ConflictDialog-date">{t("conflict.updated", { time: i18n.formatDateTime(note.updatedAt) })}</div>
+          <div className="ConflictDialog-title">{note.title}</div>
+          <pre className="ConflictDialog-content">{note.content}</pre>
+        </>
+      ) : (
+        <p className="ConflictDialog-deleted">{t("conflict.deleted")}</p>
+      )}
+      <button className="btn btn-primary" onClick={onKeep} data-testid={`${testId}-keep`}>
+        {t("conflict.keep")}
+      </button>
+    </section>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Modal shown while sync conflicts are open. Presents the first conflict
+ * side by side and lets the user choose which version to keep.
+ */
+function ConflictDialog({ conflicts, onResolve, i18n }) {
+  const { t } = i18n;
+  if (!conflicts || conflicts.length === 0) return null;
+  const conflict = conflicts[0];
+  const title = (conflict.local || conflict.remote).title;
+
+  return (
+    <div className="Dialog-backdrop">
+      <div
+        className="Dialog ConflictDialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflict-dialog-heading"
+        data-testid="conflict-dialog"
+      >
+        <h2 id="conflict-dialog-heading">{t("conflict.heading", { title })}</h2>
+        <p>
+          {t("conflict.body")}
+          {conflicts.length > 1 && ` ${t("conflict.more", { count: conflicts.length - 1 })}`}
+        </p>
+        <div className="ConflictDialog-versions">
+          <ConflictVersion
+            label={t("conflict.local")}
+            note={conflict.local}
+            testId="conflict-local"
+            onKeep={() => onResolve(conflict.id, "local")}
+            i18n={i18n}
+          />
+          <ConflictVersion
+            label={t("conflict.remote")}
+            note={conflict.remote}
+            testId="conflict-remote"
+            onKeep={() => onResolve(conflict.id, "remote")}
+            i18n={i18n}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
@@ -0,0 +1,64 @@
+import React, { useRef, useState } from "react";
+import { FORMATS } from "../editor/formatting";
+import { formatCombo } from "../shortcuts/keymap";
+
+// "Mod+B" → "Control+B Meta+B" for aria-keyshortcuts
+const ariaKeys = combo => ["Control", "Meta"].map(modifier => combo.replace("Mod", modifier)).join(" ");
+
+// PUBLIC_INTERFACE
+/**
+ * Markdown formatting buttons above the note textarea. It is one Tab stop:
+ * ←/→ (and Home/End) move between the buttons. Buttons keep the textarea's
+ * selection by not taking focus on mousedown.
+ */
+function FormattingToolbar({ onFormat, controls, disabled, i18n }) {
+  const [active, setActive] = useState(0);
+  const buttons = useRef([]);
+
+  function handleKeyDown(e) {
+    const moves = { ArrowRight: active + 1, ArrowLeft: active - 1, Home: 0, End: FORMATS.length - 1 };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    const next = (moves[e.key] + FORMATS.length) % FORMATS.length;
+    setActive(next);
+    buttons.current[next].focus();
+  }
+
+  return (
+    <div
+      className="FormattingToolbar"
+      role="toolbar"
+      aria-label={i18n.t("format.toolbar")}
+      aria-controls={controls}
+      onKeyDown={handleKeyDown}
+      data-testid="formatting-toolbar"
+    >
+      {FORMATS.map((format, i) => {
+        const label = i18n.label(`format.${format.id}`, format.label);
+        return (
+          <button
+            key={format.id}
+            ref={el => (buttons.current[i] = el)}
+            type="button"
+            className={`FormattingToolbar-button FormattingToolbar-button--${format.id}`}
+            tabIndex={i === active ? 0 : -1}
+            onMouseDown={e => e.preventDefault()}
+            onClick={() => {
+              setActive(i);
+              onFormat(format.id);
+            }}
+            disabled={disabled}
+            aria-label={label}
+            aria-keyshortcuts={format.keys ? ariaKeys(format.keys) : undefined}
+            title={format.keys ? `${label} (${formatCombo(format.keys)})` : label}
+            data-testid={`format-${format.id}`}
+          >
+            {format.icon}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default FormattingToolbar;
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { diffLines } from "../history/diff";
+import { revisionsOf } from "../history/revisions";
+
+const DIFF_MARK = { same: " ", added: "+", removed: "−" };
+
+function RevisionDiff({ from, to, t }) {
+  const lines = diffLines(from.content, to.content);
+  const unchanged = from.title === to.title && lines.every(line => line.type === "same");
+  return (
+    <div className="HistoryPanel-diff" data-testid="history-diff">
+      {unchanged && <p className="HistoryPanel-muted">{t("revisions.noDifferences")}</p>}
+      {from.title !== to.title && (
+        <div className="HistoryPanel-diff-title">
+          {t("revisions.titleChange")} <del>{from.title}</del> → <ins>{to.title}</ins>
+        </div>
+      )}
+      {!unchanged && (
+        <pre className="HistoryPanel-diff-lines">
+          {lines.map((line, i) => (
+            <div key={i} className={`HistoryPanel-line HistoryPanel-line--${line.type}`}>
+              <span className="HistoryPanel-line-mark" aria-hidden="true">{DIFF_MARK[line.type]}</span>
+              {line.type !== "same" && <span className="visually-hidden">{t(`revisions.line.${line.type}`)} </span>}
+              {line.text || " "}
+            </div>
+          ))}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Revision list for a note with a line diff between any two revisions and
+ * a restore action. Restoring saves the old version as a new revision.
+ */
+function HistoryPanel({ note, disabled, onRestore, onClose, i18n }) {
+  const { t, formatDateTime } = i18n;
+  const revisions = revisionsOf(note).slice().reverse(); // newest first
+  const [fromId, setFromId] = useState(revisions[1] ? revisions[1].id : null);
+  const [toId, setToId] = useState(revisions[0] ? revisions[0].id : null);
+  const byId = id => revisions.find(rev => rev.id === id);
+  const from = byId(fromId) || revisions[1];
+  const to = byId(toId) || revisions[0];
+  const current = revisions[0];
+
+  const label = rev => `${formatDateTime(rev.savedAt)} — ${rev.title}`;
+
+  return (
+    <section className="HistoryPanel" aria-label={t("revisions.panel")} data-testid="history-panel">
+      <div className="HistoryPanel-header">
+        <h3>{t("revisions.heading")}</h3>
+        <button className="HistoryPanel-close" onClick={onClose} aria-label={t("revisions.close")}>
+          ×
+        </button>
+      </div>
+      {revisions.length === 0 ? (
+        <p className="HistoryPanel-muted">{t("revisions.empty")}</p>
+      ) : (
+        <ol className="HistoryPanel-list">
+          {revisions.map((rev, i) => (
+            <li key={rev.id} className="HistoryPanel-item" data-testid={`history-item-${i}`}>
+              <div>
+                <div className="HistoryPanel-date">{formatDateTime(rev.savedAt)}</div>
+                <div className="HistoryPanel-title">
+                  {rev.title}
+                  {rev.restoredFrom && <span className="HistoryPanel-muted"> {t("revisions.restored")}</span>}
+                </div>
+              </div>
+              {rev === current ? (
+                <span className="HistoryPanel-current">{t("revisions.current")}</span>
+              ) : (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => onRestore(rev)}
+                  disabled={disabled}
+                  data-testid={`history-restore-${i}`}
+                >
+                  {t("note.restore")}
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      {revisions.length > 1 && from && to && (
+        <div className="HistoryPanel-compare">
+          <div className="HistoryPanel-pickers">
+            <label>
+              {t("revisions.compare")}
+              <select value={from.id} onChange={e => setFromId(e.target.value)} data-testid="history-from">
+                {revisions.map(rev => (
+                  <option key={rev.id} value={rev.id}>
+                    {label(rev)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              {t("revisions.with")}
+              <select value={to.id} onChange={e => setToId(e.target.value)} data-testid="history-to">
+                {revisions.map(rev => (
+                  <option key={rev.id} value={rev.id}>
+                    {label(rev)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <RevisionDiff from={from} to={to} t={t} />
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default HistoryPanel;
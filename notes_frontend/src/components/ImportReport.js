@@ -0,0 +1,74 @@
+import React from "react";
+
+function ReportSection({ title, items, testId, render }) {
+  if (items.length === 0) return null;
+  return (
+    <section className="ImportReport-section" data-testid={testId}>
+      <h3>{title}</h3>
+      <ul>
+        {items.map((item, i) => (
+          <li key={i}>{render(item)}</li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Summary shown after an import: which notes were added, which were skipped
+ * as duplicates and which files could not be read.
+ */
+function ImportReport({ report, onClose, i18n }) {
+  const { t } = i18n;
+  if (!report) return null;
+  const { imported, duplicates, errors } = report;
+
+  return (
+    <div className="Dialog-backdrop">
+      <div
+        className="Dialog ImportReport"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-report-heading"
+        data-testid="import-report"
+      >
+        <h2 id="import-report-heading">{t("import.heading")}</h2>
+        <p data-testid="import-summary">
+          {t("import.summary", {
+            imported: t("import.imported", { count: imported.length }),
+            duplicates: t("import.duplicates", { count: duplicates.length }),
+            errors: t("import.errors", { count: errors.length })
+          })}
+        </p>
+        <ReportSection
+          title={t("import.duplicatesHeading")}
+          items={duplicates}
+          testId="import-duplicates"
+          render={item => (
+            <>
+              {item.title} <span className="ImportReport-source">{item.source}</span>
+            </>
+          )}
+        />
+        <ReportSection
+          title={t("import.errorsHeading")}
+          items={errors}
+          testId="import-errors"
+          render={item => (
+            <>
+              <span className="ImportReport-source">{item.source}</span>: {i18n.errorMessage(item.error)}
+            </>
+          )}
+        />
+        <div className="Dialog-actions">
+          <button className="btn btn-primary" onClick={onClose} autoFocus data-testid="import-report-close">
+            {t("dialog.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportReport;
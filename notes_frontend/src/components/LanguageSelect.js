@@ -0,0 +1,31 @@
+import React from "react";
+import { LANGUAGES } from "../i18n/i18n";
+
+// PUBLIC_INTERFACE
+/**
+ * Language picker for the Sidebar footer: the browser's language, or one
+ * of the app's languages (each listed in its own language).
+ */
+function LanguageSelect({ preference, onChange, i18n }) {
+  return (
+    <label className="LanguageSelect">
+      <span aria-hidden="true">🌐</span>
+      <select
+        value={preference}
+        onChange={e => onChange(e.target.value)}
+        aria-label={i18n.t("language.label")}
+        title={i18n.t("language.label")}
+        data-testid="language-select"
+      >
+        <option value="auto">{i18n.t("language.auto")}</option>
+        {LANGUAGES.map(language => (
+          <option key={language.id} value={language.id} lang={language.id}>
+            {language.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSelect;
@@ -0,0 +1,42 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Stands in for an encrypted note that hasn't been decrypted: asks to unlock,
+ * or explains why the note can't be read. The note's contents are never
+ * shown or changed here. `children` holds extra actions (e.g. the Trash's).
+ */
+function LockedNote({ note, unlocked, onUnlock, children, i18n }) {
+  const { t } = i18n;
+  const error = note.lockError;
+  return (
+    <div className="NoteDisplay LockedNote" data-testid="note-locked">
+      <div className="LockedNote-icon" aria-hidden="true">
+        🔒
+      </div>
+      <h2 className="NoteDisplay-title">{t("locked.heading")}</h2>
+      {error ? (
+        <p className="LockedNote-error" role="alert" data-testid="note-locked-error">
+          {error.code === "wrong-passphrase"
+            ? t("locked.wrongPassphrase")
+            : i18n.errorMessage(error)}{" "}
+          {t("locked.unchanged")}
+        </p>
+      ) : unlocked ? (
+        <p aria-live="polite">{t("locked.decrypting")}</p>
+      ) : (
+        <p>{t("locked.prompt")}</p>
+      )}
+      <div className="NoteDisplay-actions">
+        {!unlocked && (
+          <button className="btn btn-primary" onClick={onUnlock} data-testid="note-unlock-btn">
+            {t("locked.unlock")}
+          </button>
+        )}
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default LockedNote;
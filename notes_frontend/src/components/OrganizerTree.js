@@ -0,0 +1,133 @@
+import React, { useState } from "react";
+import { isFavorite } from "../organize/flags";
+import { collectNotebooks, collectTags } from "../organize/taxonomy";
+import { isOverdue, isUpcoming } from "../reminders/reminders";
+
+function TreeSection({ kind, title, items, filter, onFilterChange, onRename, onDelete, t }) {
+  const [open, setOpen] = useState(true);
+
+  return (
+    <div className="OrganizerTree-section">
+      <button
+        className="OrganizerTree-heading"
+        onClick={() => setOpen(o => !o)}
+        aria-expanded={open}
+        data-testid={`tree-${kind}-toggle`}
+      >
+        <span className="OrganizerTree-caret" aria-hidden="true">{open ? "▾" : "▸"}</span>
+        {title}
+      </button>
+      {open && (
+        <ul className="OrganizerTree-items">
+          {items.length === 0 && <li className="OrganizerTree-empty">{t(`tree.empty.${kind}`)}</li>}
+          {items.map(({ name, count }) => {
+            const active = filter.type === kind && filter.value === name;
+            return (
+              <li key={name} className={"OrganizerTree-item" + (active ? " OrganizerTree-item--active" : "")}>
+                <button
+                  className="OrganizerTree-select"
+                  onClick={() => onFilterChange(active ? { type: "all" } : { type: kind, value: name })}
+                  aria-pressed={active}
+                  data-testid={`tree-${kind}-${name}`}
+                >
+                  {kind === "tag" ? `#${name}` : name}
+                  <span className="OrganizerTree-count">{count}</span>
+                </button>
+                <button
+                  className="OrganizerTree-action"
+                  onClick={() => onRename(kind, name)}
+                  aria-label={t(`tree.renameNamed.${kind}`, { name })}
+                  title={t(`tree.rename.${kind}`)}
+                  data-testid={`tree-${kind}-${name}-rename`}
+                >
+                  ✎
+                </button>
+                <button
+                  className="OrganizerTree-action"
+                  onClick={() => onDelete(kind, name)}
+                  aria-label={t(`tree.deleteNamed.${kind}`, { name })}
+                  title={t(`tree.delete.${kind}`)}
+                  data-testid={`tree-${kind}-${name}-delete`}
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// A whole-collection view (Favorites, Upcoming, Archive…); selecting it again goes back to all notes.
+function ViewEntry({ type, label, count, filter, onFilterChange }) {
+  const active = filter.type === type;
+  return (
+    <button
+      className={`OrganizerTree-all OrganizerTree-${type}` + (active ? " OrganizerTree-item--active" : "")}
+      onClick={() => onFilterChange(active ? { type: "all" } : { type })}
+      aria-pressed={active}
+      data-testid={`tree-${type}`}
+    >
+      {label}
+      <span className="OrganizerTree-count">{count}</span>
+    </button>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Collapsible notebook/tag tree for the Sidebar, with Favorites, Upcoming and
+ * Overdue at the top and the Archive and Trash at the bottom. Selecting an
+ * entry sets the list filter; selecting it again goes back to all notes.
+ * `notes` should not include archived or trashed notes; `now` (ms) decides
+ * what is overdue.
+ */
+function OrganizerTree({
+  notes,
+  archiveCount = 0,
+  trashCount = 0,
+  now = Date.now(),
+  filter,
+  onFilterChange,
+  onRename,
+  onDelete,
+  i18n
+}) {
+  const { t } = i18n;
+  const sectionProps = { filter, onFilterChange, onRename, onDelete, t };
+  const viewProps = { filter, onFilterChange };
+  return (
+    <div className="OrganizerTree" data-testid="organizer-tree">
+      <button
+        className={"OrganizerTree-all" + (filter.type === "all" ? " OrganizerTree-item--active" : "")}
+        onClick={() => onFilterChange({ type: "all" })}
+        aria-pressed={filter.type === "all"}
+        data-testid="tree-all"
+      >
+        {t("tree.all")}
+        <span className="OrganizerTree-count">{notes.length}</span>
+      </button>
+      <ViewEntry type="favorites" label={t("tree.favorites")} count={notes.filter(isFavorite).length} {...viewProps} />
+      <ViewEntry
+        type="upcoming"
+        label={t("tree.upcoming")}
+        count={notes.filter(note => isUpcoming(note, now)).length}
+        {...viewProps}
+      />
+      <ViewEntry
+        type="overdue"
+        label={t("tree.overdue")}
+        count={notes.filter(note => isOverdue(note, now)).length}
+        {...viewProps}
+      />
+      <TreeSection kind="notebook" title={t("tree.notebooks")} items={collectNotebooks(notes)} {...sectionProps} />
+      <TreeSection kind="tag" title={t("tree.tags")} items={collectTags(notes)} {...sectionProps} />
+      <ViewEntry type="archive" label={t("tree.archive")} count={archiveCount} {...viewProps} />
+      <ViewEntry type="trash" label={t("tree.trash")} count={trashCount} {...viewProps} />
+    </div>
+  );
+}
+
+export default OrganizerTree;
@@ -0,0 +1,40 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Offers from the installable app, in the corner of the screen: reload into
+ * a new version once it has been downloaded, and install the app when the
+ * browser allows it. `pwa` is the result of usePwa().
+ */
+function PwaBanner({ pwa, i18n }) {
+  const { t } = i18n;
+  if (!pwa.updateReady && !pwa.canInstall) return null;
+  return (
+    <div className="PwaBanner">
+      {pwa.updateReady && (
+        <div className="PwaBanner-item" role="status" data-testid="update-banner">
+          <span>{t("pwa.updateReady")}</span>
+          <button className="btn btn-primary" onClick={pwa.applyUpdate} data-testid="update-reload-btn">
+            {t("pwa.reload")}
+          </button>
+          <button className="btn btn-outline" onClick={pwa.dismissUpdate} data-testid="update-later-btn">
+            {t("pwa.later")}
+          </button>
+        </div>
+      )}
+      {pwa.canInstall && (
+        <div className="PwaBanner-item" role="region" aria-label={t("palette.install")} data-testid="install-prompt">
+          <span>{t("pwa.installPrompt")}</span>
+          <button className="btn btn-primary" onClick={pwa.install} data-testid="install-btn">
+            {t("pwa.install")}
+          </button>
+          <button className="btn btn-outline" onClick={pwa.dismissInstall} data-testid="install-dismiss-btn">
+            {t("pwa.notNow")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PwaBanner;
@@ -0,0 +1,53 @@
+import React from "react";
+import { describeDue, SNOOZE_OPTIONS } from "../reminders/reminders";
+
+// PUBLIC_INTERFACE
+/**
+ * Reminders that have fired and not been dealt with yet, stacked in the top
+ * corner. Each can open its note, be snoozed or be dismissed.
+ */
+function ReminderAlerts({ notes, now, onOpen, onSnooze, onDismiss, i18n }) {
+  const { t } = i18n;
+  if (notes.length === 0) return null;
+  return (
+    <section className="ReminderAlerts" aria-label={t("reminders.heading")} data-testid="reminder-alerts">
+      {notes.map(note => (
+        <div key={note.id} className="ReminderAlert" role="alert" data-testid={`reminder-alert-${note.id}`}>
+          <div className="ReminderAlert-text">
+            <span className="ReminderAlert-title">⏰ {note.title || t("untitled")}</span>
+            <span className="ReminderAlert-due">{describeDue(note, i18n, now)}</span>
+          </div>
+          <div className="ReminderAlert-actions">
+            <button className="btn btn-primary" onClick={() => onOpen(note)} data-testid={`reminder-open-${note.id}`}>
+              {t("reminders.open")}
+            </button>
+            {SNOOZE_OPTIONS.map(option => {
+              const label = i18n.label(`snooze.${option.minutes}`, option.label);
+              return (
+                <button
+                  key={option.minutes}
+                  className="btn btn-outline"
+                  onClick={() => onSnooze(note, option.minutes)}
+                  title={t("reminders.snoozeTitle", { label })}
+                  data-testid={`reminder-snooze-${note.id}-${option.minutes}`}
+                >
+                  {t("reminders.snooze", { label })}
+                </button>
+              );
+            })}
+            <button
+              className="ReminderAlert-dismiss"
+              onClick={() => onDismiss(note)}
+              aria-label={t("reminders.dismiss", { title: note.title || t("untitled") })}
+              data-testid={`reminder-dismiss-${note.id}`}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default ReminderAlerts;
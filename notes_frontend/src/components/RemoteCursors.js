@@ -0,0 +1,87 @@
+import React, { useEffect, useLayoutEffect, useRef } from "react";
+
+// What the overlay copies from the textarea so its text wraps the same way
+const MIRRORED = [
+  "fontFamily",
+  "fontSize",
+  "fontWeight",
+  "lineHeight",
+  "letterSpacing",
+  "tabSize",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "borderTopWidth",
+  "borderRightWidth",
+  "borderBottomWidth",
+  "borderLeftWidth",
+  "direction"
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Other people's carets in the note's textarea (`textareaRef`), drawn on an
+ * overlay that lays out `text` exactly like the textarea and scrolls with
+ * it. `cursors` are { id, name, color, index }.
+ */
+function RemoteCursors({ textareaRef, text, cursors }) {
+  const overlay = useRef(null);
+
+  useLayoutEffect(() => {
+    const area = textareaRef.current;
+    const box = overlay.current;
+    if (!area || !box) return;
+    const style = window.getComputedStyle(area);
+    MIRRORED.forEach(property => {
+      box.style[property] = style[property];
+    });
+    box.style.top = `${area.offsetTop}px`;
+    box.style.left = `${area.offsetLeft}px`;
+    box.style.width = `${area.offsetWidth}px`;
+    // The textarea's scrollbar narrows its text; the overlay has none
+    const borders = (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.borderRightWidth) || 0);
+    const scrollbar = Math.max(0, area.offsetWidth - area.clientWidth - borders);
+    box.style.paddingInlineEnd = `${(parseFloat(style.paddingRight) || 0) + scrollbar}px`;
+    box.style.height = `${area.offsetHeight}px`;
+    box.scrollTop = area.scrollTop;
+  });
+
+  useEffect(() => {
+    const area = textareaRef.current;
+    if (!area) return;
+    const follow = () => {
+      if (overlay.current) overlay.current.scrollTop = area.scrollTop;
+    };
+    area.addEventListener("scroll", follow);
+    return () => area.removeEventListener("scroll", follow);
+  }, [textareaRef]);
+
+  const placed = cursors.filter(cursor => cursor.index !== null).sort((a, b) => a.index - b.index);
+  const pieces = [];
+  let from = 0;
+  placed.forEach(cursor => {
+    const at = Math.min(cursor.index, text.length);
+    pieces.push(text.slice(from, at));
+    pieces.push(
+      <span
+        key={cursor.id}
+        className="RemoteCursor"
+        style={{ "--cursor-color": cursor.color }}
+        data-name={cursor.name}
+        data-testid={`remote-cursor-${cursor.id}`}
+      />
+    );
+    from = at;
+  });
+  // The trailing space keeps a final empty line as tall as in the textarea
+  pieces.push(text.slice(from) + " ");
+
+  return (
+    <div className="RemoteCursors" ref={overlay} aria-hidden="true">
+      {pieces}
+    </div>
+  );
+}
+
+export default RemoteCursors;
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { COMMANDS, comboFromEvent, commandForCombo, formatCombo } from "../shortcuts/keymap";
+
+// PUBLIC_INTERFACE
+/**
+ * Overlay listing every keyboard shortcut. "Change" records the next key
+ * combination for a command (Escape cancels); combinations already in use
+ * by another command are refused.
+ */
+function ShortcutHelp({ open, keymap, onRemap, onReset, onClose, i18n }) {
+  const { t } = i18n;
+  const labelOf = command => i18n.label(`command.${command.id}`, command.label);
+  const [recording, setRecording] = useState(null); // command id
+  const [conflict, setConflict] = useState(null);
+
+  if (!open) return null;
+
+  function startRecording(id) {
+    setRecording(id);
+    setConflict(null);
+  }
+
+  function stopRecording() {
+    setRecording(null);
+    setConflict(null);
+  }
+
+  function handleKeyDown(e) {
+    if (!recording) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        onClose();
+      }
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      stopRecording();
+      return;
+    }
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    const taken = commandForCombo(keymap, combo, recording);
+    if (taken) {
+      setConflict(t("shortcuts.conflict", { keys: formatCombo(combo), command: labelOf(taken) }));
+      return;
+    }
+    onRemap(recording, [combo]);
+    stopRecording();
+  }
+
+  return (
+    <div className="Dialog-backdrop" onMouseDown={e => e.target === e.currentTarget && onClose()}>
+      <div
+        className="Dialog ShortcutHelp"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-heading"
+        onKeyDown={handleKeyDown}
+        data-testid="shortcut-help"
+      >
+        <h2 id="shortcut-help-heading">{t("sidebar.shortcuts")}</h2>
+        <p className="ShortcutHelp-intro">{t("shortcuts.intro")}</p>
+        <table className="ShortcutHelp-table">
+          <tbody>
+            {COMMANDS.map(command => (
+              <tr key={command.id} data-testid={`shortcut-row-${command.id}`}>
+                <th scope="row">{labelOf(command)}</th>
+                <td data-testid={`shortcut-keys-${command.id}`}>
+                  {recording === command.id ? (
+                    <span className="ShortcutHelp-recording" aria-live="polite">
+                      {t("shortcuts.recording")}
+                    </span>
+                  ) : (
+                    (keymap[command.id] || []).map(combo => <kbd key={combo}>{formatCombo(combo)}</kbd>)
+                  )}
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="btn btn-outline"
+                    onClick={() => (recording === command.id ? stopRecording() : startRecording(command.id))}
+                    aria-label={t("shortcuts.changeFor", { command: labelOf(command) })}
+                    data-testid={`shortcut-change-${command.id}`}
+                  >
+                    {recording === command.id ? t("form.cancel") : t("shortcuts.change")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {conflict && (
+          <p className="ShortcutHelp-conflict" role="alert" data-testid="shortcut-conflict">
+            {conflict}
+          </p>
+        )}
+        <div className="Dialog-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => {
+              stopRecording();
+              onReset();
+            }}
+            data-testid="shortcut-reset-btn"
+          >
+            {t("shortcuts.reset")}
+          </button>
+          <button type="button" className="btn btn-primary" onClick={onClose} autoFocus data-testid="shortcut-help-close">
+            {t("dialog.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutHelp;
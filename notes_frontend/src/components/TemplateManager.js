@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import { parseTags } from "../organize/taxonomy";
+import { BUILT_IN_TEMPLATES } from "../templates/templates";
+
+const BLANK = { name: "", title: "", content: "", tags: "", notebook: "" };
+
+function formFromTemplate(template) {
+  return {
+    name: template.name || "",
+    title: template.title || "",
+    content: template.content || "",
+    tags: (template.tags || []).join(", "),
+    notebook: template.notebook || ""
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Dialog for the template library: edit, add and delete templates, and bring
+ * back deleted built-in ones. Placeholders such as {{date}} are kept as
+ * written; they are only filled in when a note is created.
+ */
+function TemplateManager({ open, templates, onSave, onDelete, onRestoreBuiltIns, onClose, i18n }) {
+  const { t } = i18n;
+  const [editing, setEditing] = useState(null); // template id, "new" or null
+  const [form, setForm] = useState(BLANK);
+
+  if (!open) return null;
+
+  function startEditing(template) {
+    setEditing(template ? template.id : "new");
+    setForm(template ? formFromTemplate(template) : BLANK);
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const existing = templates.find(template => template.id === editing);
+    onSave({
+      ...existing,
+      name: form.name.trim() || form.title.trim() || t("untitledTemplate"),
+      title: form.title,
+      content: form.content,
+      tags: parseTags(form.tags),
+      notebook: form.notebook.trim() || null
+    });
+    setEditing(null);
+  }
+
+  function handleKeyDown(e) {
+    if (e.key !== "Escape") return;
+    e.preventDefault();
+    if (editing) setEditing(null);
+    else onClose();
+  }
+
+  const field = name => ({
+    value: form[name],
+    onChange: e => setForm(current => ({ ...current, [name]: e.target.value }))
+  });
+  const builtInsMissing = BUILT_IN_TEMPLATES.some(builtIn => !templates.some(template => template.id === builtIn.id));
+
+  return (
+    <div className="Dialog-backdrop" onMouseDown={e => e.target === e.currentTarget && onClose()}>
+      <div
+        className="Dialog TemplateManager"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="template-manager-heading"
+        onKeyDown={handleKeyDown}
+        data-testid="template-manager"
+      >
+        <h2 id="template-manager-heading">{t("palette.templates")}</h2>
+        {editing ? (
+          <form className="TemplateManager-form" onSubmit={handleSubmit} data-testid="template-form">
+            <input
+              type="text"
+              placeholder={t("templates.name")}
+              aria-label={t("templates.name")}
+              autoFocus
+              {...field("name")}
+              data-testid="template-name-input"
+            />
+            <input
+              type="text"
+              placeholder={t("templates.noteTitle")}
+              aria-label={t("templates.noteTitle")}
+              {...field("title")}
+              data-testid="template-title-input"
+            />
+            <textarea
+              rows={10}
+              placeholder={t("templates.content")}
+              aria-label={t("templates.contentLabel")}
+              {...field("content")}
+              data-testid="template-content-input"
+            />
+            <div className="TemplateManager-organize">
+              <input
+                type="text"
+                placeholder={t("form.notebook")}
+                aria-label={t("form.notebook")}
+                {...field("notebook")}
+                data-testid="template-notebook-input"
+              />
+              <input
+                type="text"
+                placeholder={t("form.tags")}
+                aria-label={t("form.tagsLabel")}
+                {...field("tags")}
+                data-testid="template-tags-input"
+              />
+            </div>
+            <p className="TemplateManager-hint">
+              {t("templates.placeholders", { list: "{{date}}, {{time}}, {{datetime}}, {{weekday}}, {{title}}" })}
+            </p>
+            <div className="Dialog-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setEditing(null)}
+                data-testid="template-cancel-btn"
+              >
+                {t("form.cancel")}
+              </button>
+              <button type="submit" className="btn btn-primary" data-testid="template-save-btn">
+                {t("templates.save")}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            {templates.length === 0 ? (
+              <p className="TemplateManager-empty" data-testid="template-empty">
+                {t("templates.empty")}
+              </p>
+            ) : (
+              <ul className="TemplateManager-list">
+                {templates.map(template => (
+                  <li key={template.id} className="TemplateManager-row" data-testid={`template-row-${template.id}`}>
+                    <span className="TemplateManager-name">
+                      {template.name || t("untitledTemplate")}
+                      {template.builtIn && <span className="TemplateManager-badge">{t("templates.builtIn")}</span>}
+                    </span>
+                    <button
+                      type="button"
+                      className="btn btn-outline"
+                      onClick={() => startEditing(template)}
+                      aria-label={t("templates.editNamed", { name: template.name || t("untitledTemplate") })}
+                      data-testid={`template-edit-${template.id}`}
+                    >
+                      {t("note.edit")}
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-outline"
+                      onClick={() => onDelete(template)}
+                      aria-label={t("templates.deleteNamed", { name: template.name || t("untitledTemplate") })}
+                      data-testid={`template-delete-${template.id}`}
+                    >
+                      {t("note.delete")}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="Dialog-actions">
+              {builtInsMissing && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={onRestoreBuiltIns}
+                  data-testid="templates-restore-btn"
+                >
+                  {t("templates.restoreBuiltIns")}
+                </button>
+              )}
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => startEditing(null)}
+                data-testid="template-new-btn"
+              >
+                {t("templates.new")}
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={onClose}
+                autoFocus
+                data-testid="template-manager-close"
+              >
+                {t("dialog.close")}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TemplateManager;
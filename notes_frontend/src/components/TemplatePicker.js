@@ -0,0 +1,32 @@
+import React from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Row of templates offered while a new note is still empty. Choosing one
+ * fills the form; "Manage…" opens the template library.
+ */
+function TemplatePicker({ templates, onApply, onManage, disabled, i18n }) {
+  const { t } = i18n;
+  return (
+    <div className="TemplatePicker" role="group" aria-label={t("templates.pickerLabel")} data-testid="template-picker">
+      <span className="TemplatePicker-label">{t("templates.picker")}</span>
+      {templates.map(template => (
+        <button
+          key={template.id}
+          type="button"
+          className="btn btn-outline"
+          onClick={() => onApply(template)}
+          disabled={disabled}
+          data-testid={`template-option-${template.id}`}
+        >
+          {template.name || t("untitledTemplate")}
+        </button>
+      ))}
+      <button type="button" className="TemplatePicker-manage" onClick={onManage} data-testid="templates-manage-btn">
+        {t("templates.manage")}
+      </button>
+    </div>
+  );
+}
+
+export default TemplatePicker;
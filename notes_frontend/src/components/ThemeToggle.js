@@ -0,0 +1,35 @@
+import React from "react";
+import { THEMES } from "../theme/theme";
+
+const ICONS = { system: "🖥", light: "☀", dark: "☾", "high-contrast": "◐" };
+
+// PUBLIC_INTERFACE
+/**
+ * Theme picker for the Sidebar header: System (follows the OS), Light,
+ * Dark or High contrast.
+ */
+function ThemeToggle({ preference, onChange, i18n }) {
+  const { t } = i18n;
+  return (
+    <label className="ThemeToggle" title={t("theme.label")}>
+      <span className="ThemeToggle-icon" aria-hidden="true">
+        {ICONS[preference]}
+      </span>
+      <select
+        className="ThemeToggle-select"
+        value={preference}
+        onChange={e => onChange(e.target.value)}
+        aria-label={t("theme.label")}
+        data-testid="theme-select"
+      >
+        {THEMES.map(theme => (
+          <option key={theme.id} value={theme.id}>
+            {i18n.label(`theme.${theme.id}`, theme.label)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default ThemeToggle;
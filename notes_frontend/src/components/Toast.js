@@ -0,0 +1,40 @@
+import React, { useEffect } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Short-lived message at the bottom of the screen with an optional action
+ * button (e.g. "Undo"). Dismisses itself after `timeout` ms; a new `toast`
+ * object restarts the timer.
+ * toast: { message, actionLabel?, onAction? } | null
+ */
+function Toast({ toast, onDismiss, timeout = 6000, i18n }) {
+  useEffect(() => {
+    if (!toast) return;
+    const timer = window.setTimeout(onDismiss, timeout);
+    return () => window.clearTimeout(timer);
+  }, [toast, onDismiss, timeout]);
+
+  if (!toast) return null;
+  return (
+    <div className="Toast" role="status" aria-live="polite" data-testid="toast">
+      <span className="Toast-message">{toast.message}</span>
+      {toast.onAction && (
+        <button
+          className="Toast-action"
+          onClick={() => {
+            onDismiss();
+            toast.onAction();
+          }}
+          data-testid="toast-action"
+        >
+          {toast.actionLabel}
+        </button>
+      )}
+      <button className="Toast-close" onClick={onDismiss} aria-label={i18n.t("toast.dismiss")}>
+        ×
+      </button>
+    </div>
+  );
+}
+
+export default Toast;
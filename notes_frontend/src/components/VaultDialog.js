@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+
+const MIN_PASSPHRASE = 8;
+
+function VaultForm({ creating, onSubmit, onClose, i18n }) {
+  const { t } = i18n;
+  const [passphrase, setPassphrase] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (creating && passphrase.length < MIN_PASSPHRASE) {
+      setError(t("vault.tooShort", { count: MIN_PASSPHRASE }));
+      return;
+    }
+    if (creating && passphrase !== confirm) {
+      setError(t("vault.mismatch"));
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(passphrase);
+    } catch (err) {
+      setError(i18n.errorMessage(err));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="Dialog-backdrop" onMouseDown={e => e.target === e.currentTarget && !busy && onClose()}>
+      <form
+        className="Dialog VaultDialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="vault-dialog-heading"
+        aria-busy={busy}
+        onSubmit={handleSubmit}
+        onKeyDown={e => {
+          if (e.key !== "Escape" || busy) return;
+          e.preventDefault();
+          onClose();
+        }}
+        data-testid="vault-dialog"
+      >
+        <h2 id="vault-dialog-heading">{creating ? t("vault.createHeading") : t("vault.unlockHeading")}</h2>
+        <p className="VaultDialog-hint">
+          {creating ? t("vault.createHint") : t("vault.unlockHint")}
+        </p>
+        <input
+          type="password"
+          placeholder={t("vault.passphrase")}
+          aria-label={t("vault.passphrase")}
+          autoComplete={creating ? "new-password" : "current-password"}
+          autoFocus
+          value={passphrase}
+          onChange={e => setPassphrase(e.target.value)}
+          data-testid="vault-passphrase-input"
+        />
+        {creating && (
+          <input
+            type="password"
+            placeholder={t("vault.repeat")}
+            aria-label={t("vault.repeat")}
+            autoComplete="new-password"
+            value={confirm}
+            onChange={e => setConfirm(e.target.value)}
+            data-testid="vault-confirm-input"
+          />
+        )}
+        {error && (
+          <div className="VaultDialog-error" role="alert" data-testid="vault-error">
+            {error}
+          </div>
+        )}
+        <div className="Dialog-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose} disabled={busy} data-testid="vault-cancel-btn">
+            {t("form.cancel")}
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={busy || !passphrase} data-testid="vault-submit-btn">
+            {busy ? t("vault.checking") : creating ? t("vault.encrypt") : t("locked.unlock")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Asks for the passphrase of the encrypted notes. With `creating` (no note is
+ * encrypted yet) the passphrase is typed twice. `onSubmit(passphrase)` may
+ * reject; its message is shown and the dialog stays open.
+ */
+function VaultDialog({ open, ...props }) {
+  return open ? <VaultForm {...props} /> : null;
+}
+
+export default VaultDialog;
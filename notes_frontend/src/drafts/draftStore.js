@@ -0,0 +1,61 @@
+// Unsaved NoteForm contents, kept in localStorage so they survive a reload.
+// Drafts are keyed by note id, or "new" for a note that hasn't been created
+// yet:
+//   { [key]: { values: { title, content, tags, notebook, due, reminder }, baseUpdatedAt, savedAt } }
+// baseUpdatedAt is the note's updatedAt when editing began, so a draft of an
+// older version can be told apart when it is restored.
+
+import { browserStorage } from "../storage/preferences";
+
+export const NEW_NOTE_DRAFT = "new";
+const STORAGE_KEY = "note-organizer:drafts";
+
+// PUBLIC_INTERFACE
+/**
+ * Draft persistence: get(key), save(key, { values, baseUpdatedAt }) (returns
+ * the savedAt timestamp), remove(key) and list() ([{ key, ...draft }]).
+ * Drafts are best effort: storage errors never reach the caller; drafts are
+ * then kept in memory for the session.
+ */
+export function createDraftStore({ storage = browserStorage(), storageKey = STORAGE_KEY } = {}) {
+  let memory = null;
+
+  function read() {
+    if (memory) return memory;
+    try {
+      const data = storage && JSON.parse(storage.getItem(storageKey));
+      return data && typeof data === "object" ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function write(drafts) {
+    try {
+      storage.setItem(storageKey, JSON.stringify(drafts));
+      memory = null;
+    } catch {
+      memory = drafts; // quota exceeded or storage unavailable
+    }
+  }
+
+  return {
+    get(key) {
+      return read()[key] || null;
+    },
+    save(key, draft) {
+      const savedAt = new Date().toISOString();
+      write({ ...read(), [key]: { ...draft, savedAt } });
+      return savedAt;
+    },
+    remove(key) {
+      const drafts = read();
+      if (!(key in drafts)) return;
+      delete drafts[key];
+      write(drafts);
+    },
+    list() {
+      return Object.entries(read()).map(([key, draft]) => ({ key, ...draft }));
+    }
+  };
+}
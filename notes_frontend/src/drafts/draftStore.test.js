@@ -0,0 +1,33 @@
+import { createDraftStore } from "./draftStore";
+
+beforeEach(() => window.localStorage.clear());
+
+test("saves, lists and removes drafts per key", () => {
+  const store = createDraftStore();
+  const values = { title: "T", content: "C", tags: "", notebook: "" };
+  const savedAt = store.save("note1", { values, baseUpdatedAt: "2024-01-01T00:00:00.000Z" });
+  store.save("new", { values, baseUpdatedAt: null });
+
+  expect(store.get("note1")).toEqual({ values, baseUpdatedAt: "2024-01-01T00:00:00.000Z", savedAt });
+  expect(store.list().map(draft => draft.key)).toEqual(["note1", "new"]);
+  store.remove("note1");
+  expect(store.get("note1")).toBeNull();
+  expect(store.list()).toHaveLength(1);
+});
+
+test("corrupt or failing storage never throws", () => {
+  window.localStorage.setItem("note-organizer:drafts", "{not json");
+  const store = createDraftStore();
+  expect(store.list()).toEqual([]);
+
+  const setItem = jest.spyOn(window.Storage.prototype, "setItem").mockImplementation(() => {
+    throw new Error("QuotaExceededError");
+  });
+  expect(() => store.save("new", { values: {} })).not.toThrow();
+  expect(store.get("new")).toMatchObject({ values: {} }); // kept in memory meanwhile
+  setItem.mockRestore();
+
+  const withoutStorage = createDraftStore({ storage: null });
+  withoutStorage.save("new", { values: { title: "T" } });
+  expect(withoutStorage.list()).toEqual([expect.objectContaining({ key: "new", values: { title: "T" } })]);
+});
@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Save the form `values` as a draft under `key` once they have been left
+ * alone for `delay` ms, and right away when the page is being closed.
+ * A clean form (dirty false) removes the draft. Pass key null while no form
+ * is open. Returns when the current draft was last saved (ISO string), or
+ * null.
+ */
+export function useDraftAutosave(store, key, values, { dirty, baseUpdatedAt = null, delay = 800 }) {
+  const [savedAt, setSavedAt] = useState(null);
+  const latest = useRef(null);
+  latest.current = { key, values, dirty, baseUpdatedAt };
+  const { title, content, tags, notebook, due, reminder } = values;
+
+  useEffect(() => {
+    if (!key) return;
+    if (!dirty) {
+      store.remove(key);
+      setSavedAt(null);
+      return;
+    }
+    const timer = window.setTimeout(() => {
+      setSavedAt(store.save(key, { values: { title, content, tags, notebook, due, reminder }, baseUpdatedAt }));
+    }, delay);
+    return () => window.clearTimeout(timer);
+  }, [store, key, dirty, title, content, tags, notebook, due, reminder, baseUpdatedAt, delay]);
+
+  // Don't lose the last keystrokes to the debounce when the tab goes away.
+  useEffect(() => {
+    const flush = () => {
+      const current = latest.current;
+      if (current.key && current.dirty) {
+        store.save(current.key, { values: current.values, baseUpdatedAt: current.baseUpdatedAt });
+      }
+    };
+    window.addEventListener("pagehide", flush);
+    return () => window.removeEventListener("pagehide", flush);
+  }, [store]);
+
+  return savedAt;
+}
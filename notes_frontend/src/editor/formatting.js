@@ -0,0 +1,206 @@
+// Markdown editing helpers for the note textarea. Each works on an editor
+// state { text, start, end } (the value and its selection) and returns the
+// next state, or null when it doesn't apply and the browser should do its
+// default thing.
+
+const INDENT = "  ";
+const LIST_ITEM_RE = /^(\s*)([-*+]|(\d{1,9})([.)]))(\s+)(\[[ xX]\]\s+)?/;
+const BLOCK_MARKER_RE = /^(#{1,6}\s+|[-*+]\s+\[[ xX]\]\s+|[-*+]\s+|\d{1,9}[.)]\s+)/;
+const URL_RE = /^(https?:\/\/|mailto:)\S+$/i;
+const WORD_RE = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+const WORDS_PER_MINUTE = 200;
+
+function lineStart(text, index) {
+  return text.lastIndexOf("\n", index - 1) + 1;
+}
+
+function lineEnd(text, index) {
+  const end = text.indexOf("\n", index);
+  return end === -1 ? text.length : end;
+}
+
+function replace(state, from, to, insert) {
+  return { text: state.text.slice(0, from) + insert + state.text.slice(to) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Surround the selection with `marker` (e.g. "**"), or remove it when the
+ * selection is already surrounded. With nothing selected, `placeholder` is
+ * inserted and selected so it can be typed over.
+ */
+export function toggleWrap(state, marker, placeholder = "") {
+  const { text, start, end } = state;
+  const size = marker.length;
+  if (text.slice(start - size, start) === marker && text.slice(end, end + size) === marker) {
+    const next = replace(state, start - size, end + size, text.slice(start, end));
+    return { ...next, start: start - size, end: end - size };
+  }
+  const selected = text.slice(start, end);
+  if (selected.length >= size * 2 && selected.startsWith(marker) && selected.endsWith(marker)) {
+    const next = replace(state, start, end, selected.slice(size, -size));
+    return { ...next, start, end: end - size * 2 };
+  }
+  const inner = selected || placeholder;
+  const next = replace(state, start, end, marker + inner + marker);
+  return { ...next, start: start + size, end: start + size + inner.length };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Give every line touched by the selection the block `prefix` ("## ",
+ * "- ", "- [ ] "), replacing any other heading or list marker, or take it
+ * away when all of them already have it. Indentation is kept.
+ */
+export function toggleLinePrefix(state, prefix) {
+  const { text, start, end } = state;
+  const from = lineStart(text, start);
+  const to = lineEnd(text, end > start && text[end - 1] === "\n" ? end - 1 : end);
+  const lines = text.slice(from, to).split("\n");
+  const split = line => {
+    const indent = line.match(/^\s*/)[0];
+    const rest = line.slice(indent.length);
+    const marker = (rest.match(BLOCK_MARKER_RE) || [""])[0];
+    return { indent, marker, body: rest.slice(marker.length) };
+  };
+  const filled = lines.filter(line => line.trim());
+  const remove = filled.length > 0 && filled.every(line => split(line).marker === prefix);
+
+  const next = lines.map(line => {
+    const { indent, body } = split(line);
+    if (remove) return indent + body;
+    return line.trim() || lines.length === 1 ? indent + prefix + body : line;
+  });
+  const block = next.join("\n");
+  const caretFloor = from + split(lines[0]).indent.length + (remove ? 0 : prefix.length);
+  return {
+    ...replace(state, from, to, block),
+    start: Math.max(caretFloor, start + next[0].length - lines[0].length),
+    end: Math.max(caretFloor, end + block.length - (to - from))
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Inline code around the selection, or a fenced code block when the
+ * selection spans several lines.
+ */
+export function toggleCode(state) {
+  const { text, start, end } = state;
+  const selected = text.slice(start, end);
+  if (!selected.includes("\n")) return toggleWrap(state, "`", "code");
+  const before = start === lineStart(text, start) ? "" : "\n";
+  const after = text[end] === undefined || text[end] === "\n" ? "" : "\n";
+  const body = selected.replace(/\n$/, "");
+  const block = `${before}\`\`\`\n${body}\n\`\`\`${after}`;
+  const bodyStart = start + before.length + 4;
+  return { ...replace(state, start, end, block), start: bodyStart, end: bodyStart + body.length };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Turn the selection into a [text](url) link and select whichever part is
+ * still to be filled in: the URL, or the text when a URL (or nothing) was
+ * selected.
+ */
+export function insertLink(state) {
+  const { text, start, end } = state;
+  const selected = text.slice(start, end);
+  if (!selected || URL_RE.test(selected)) {
+    const label = "link text";
+    const link = `[${label}](${selected || "url"})`;
+    return { ...replace(state, start, end, link), start: start + 1, end: start + 1 + label.length };
+  }
+  const urlStart = start + selected.length + 3;
+  return { ...replace(state, start, end, `[${selected}](url)`), start: urlStart, end: urlStart + 3 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Enter inside a list item: start the next item with the same marker (the
+ * next number, an unticked box). Enter on an empty item ends the list
+ * instead. Returns null outside list items, so a plain newline is typed.
+ * The result carries `ended: true` when the list was ended.
+ */
+export function continueList(state) {
+  const { text, start, end } = state;
+  if (start !== end) return null;
+  const from = lineStart(text, start);
+  const line = text.slice(from, lineEnd(text, start));
+  const match = line.match(LIST_ITEM_RE);
+  if (!match || start < from + match[0].length) return null;
+
+  const [marker, indent, bullet, number, delimiter, space, box] = match;
+  if (!line.slice(marker.length).trim()) {
+    return { ...replace(state, from, from + line.length, ""), start: from, end: from, ended: true };
+  }
+  const nextBullet = number ? `${Number(number) + 1}${delimiter}` : bullet;
+  const insert = `\n${indent}${nextBullet}${space}${box ? "[ ] " : ""}`;
+  return { ...replace(state, start, end, insert), start: start + insert.length, end: start + insert.length };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tab and Shift+Tab. Indents (or outdents) every line the selection touches;
+ * with a plain caret outside a list, Tab just inserts spaces. Returns null
+ * when there is nothing to outdent.
+ */
+export function indentLines(state, outdent = false) {
+  const { text, start, end } = state;
+  const from = lineStart(text, start);
+  const collapsed = start === end;
+  if (!outdent && collapsed && !LIST_ITEM_RE.test(text.slice(from, lineEnd(text, start)))) {
+    return { ...replace(state, start, end, INDENT), start: start + INDENT.length, end: start + INDENT.length };
+  }
+  const to = lineEnd(text, !collapsed && text[end - 1] === "\n" ? end - 1 : end);
+  const lines = text.slice(from, to).split("\n");
+  const next = lines.map(line => {
+    if (!outdent) return INDENT + line;
+    const leading = line.match(/^( {1,2}|\t)?/)[0];
+    return line.slice(leading.length);
+  });
+  const block = next.join("\n");
+  if (block === text.slice(from, to)) return null;
+  const firstDelta = next[0].length - lines[0].length;
+  return {
+    ...replace(state, from, to, block),
+    start: Math.max(from, start + firstDelta),
+    end: Math.max(from, end + block.length - (to - from))
+  };
+}
+
+// Toolbar buttons, in order. `keys` is the shortcut (a keymap combo) that
+// applies the format while typing in the note.
+export const FORMATS = [
+  { id: "bold", label: "Bold", icon: "B", keys: "Mod+B", apply: state => toggleWrap(state, "**", "bold text") },
+  { id: "italic", label: "Italic", icon: "I", keys: "Mod+I", apply: state => toggleWrap(state, "_", "italic text") },
+  { id: "heading", label: "Heading", icon: "H", apply: state => toggleLinePrefix(state, "## ") },
+  { id: "list", label: "Bulleted list", icon: "•", apply: state => toggleLinePrefix(state, "- ") },
+  { id: "checklist", label: "Checklist", icon: "☑", apply: state => toggleLinePrefix(state, "- [ ] ") },
+  { id: "code", label: "Code", icon: "</>", keys: "Mod+E", apply: toggleCode },
+  { id: "link", label: "Link", icon: "🔗", keys: "Mod+Shift+K", apply: insertLink }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Word and character counts and an estimated reading time (in whole
+ * minutes, at 200 words a minute; 0 for an empty note).
+ */
+export function textStats(text) {
+  const words = (String(text || "").match(WORD_RE) || []).length;
+  return {
+    words,
+    characters: [...String(text || "")].length,
+    readingMinutes: words ? Math.max(1, Math.round(words / WORDS_PER_MINUTE)) : 0
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "12 words · 64 characters · 1 min read", in the language of `i18n`.
+ */
+export function formatStats({ words, characters, readingMinutes }, { t }) {
+  const parts = [t("stats.words", { count: words }), t("stats.characters", { count: characters })];
+  if (readingMinutes) parts.push(t("stats.reading", { count: readingMinutes }));
+  return parts.join(" · ");
+}
@@ -0,0 +1,84 @@
+import {
+  continueList,
+  formatStats,
+  indentLines,
+  insertLink,
+  textStats,
+  toggleCode,
+  toggleLinePrefix,
+  toggleWrap
+} from "./formatting";
+import { createI18n } from "../i18n/i18n";
+
+// "a«b»c" marks a selection; "a|c" a caret.
+function state(marked) {
+  if (marked.includes("|")) {
+    const caret = marked.indexOf("|");
+    return { text: marked.replace("|", ""), start: caret, end: caret };
+  }
+  const start = marked.indexOf("«");
+  return { text: marked.replace(/[«»]/g, ""), start, end: marked.indexOf("»") - 1 };
+}
+
+function show({ text, start, end }) {
+  if (start === end) return `${text.slice(0, start)}|${text.slice(start)}`;
+  return `${text.slice(0, start)}«${text.slice(start, end)}»${text.slice(end)}`;
+}
+
+describe("inline formats", () => {
+  test("wrap the selection, or a selected placeholder, and unwrap again", () => {
+    expect(show(toggleWrap(state("say «hi» now"), "**"))).toBe("say **«hi»** now");
+    expect(show(toggleWrap(state("say **«hi»** now"), "**"))).toBe("say «hi» now");
+    expect(show(toggleWrap(state("say «**hi**» now"), "**"))).toBe("say «hi» now");
+    expect(show(toggleWrap(state("say | now"), "_", "italic text"))).toBe("say _«italic text»_ now");
+  });
+
+  test("code is inline within a line and fenced across lines", () => {
+    expect(show(toggleCode(state("run «npm test» first")))).toBe("run `«npm test»` first");
+    expect(show(toggleCode(state("Intro\n«a = 1\nb = 2»\nEnd")))).toBe("Intro\n```\n«a = 1\nb = 2»\n```\nEnd");
+  });
+
+  test("links select the part still to fill in", () => {
+    expect(show(insertLink(state("see «docs»")))).toBe("see [docs](«url»)");
+    expect(show(insertLink(state("see «https://example.com»")))).toBe("see [«link text»](https://example.com)");
+    expect(show(insertLink(state("see |")))).toBe("see [«link text»](url)");
+  });
+});
+
+describe("line formats", () => {
+  test("headings, lists and checklists toggle on every selected line", () => {
+    expect(show(toggleLinePrefix(state("Ti|tle"), "## "))).toBe("## Ti|tle");
+    expect(show(toggleLinePrefix(state("## Ti|tle"), "## "))).toBe("Ti|tle");
+    expect(show(toggleLinePrefix(state("«one\n\ntwo»"), "- "))).toBe("- «one\n\n- two»");
+    expect(show(toggleLinePrefix(state("«- one\n- two»"), "- [ ] "))).toBe("- [ ] «one\n- [ ] two»");
+    expect(show(toggleLinePrefix(state("  - [ ] d|one"), "- [ ] "))).toBe("  d|one");
+  });
+
+  test("Enter continues bullets, numbers and checklists, and ends an empty item", () => {
+    expect(show(continueList(state("- milk|")))).toBe("- milk\n- |");
+    expect(show(continueList(state("  9. nine|")))).toBe("  9. nine\n  10. |");
+    expect(show(continueList(state("- [x] done|")))).toBe("- [x] done\n- [ ] |");
+    expect(show(continueList(state("- milk\n- |")))).toBe("- milk\n|");
+    expect(continueList(state("- milk\n- |")).ended).toBe(true);
+    expect(continueList(state("plain|"))).toBeNull();
+    expect(continueList(state("-| milk"))).toBeNull();
+  });
+
+  test("Tab indents list items and selected lines, Shift+Tab outdents", () => {
+    expect(show(indentLines(state("a|b")))).toBe("a  |b");
+    expect(show(indentLines(state("- it|em")))).toBe("  - it|em");
+    expect(show(indentLines(state("«a\nb»")))).toBe("  «a\n  b»");
+    expect(show(indentLines(state("  - it|em"), true))).toBe("- it|em");
+    expect(indentLines(state("- it|em"), true)).toBeNull();
+  });
+});
+
+test("stats count words, characters and reading time", () => {
+  expect(textStats("")).toEqual({ words: 0, characters: 0, readingMinutes: 0 });
+  expect(textStats("**Don't** panic — it's _fine_ 👍")).toEqual({ words: 4, characters: 31, readingMinutes: 1 });
+  expect(textStats(Array(1000).fill("word").join(" ")).readingMinutes).toBe(5);
+  const en = createI18n("en");
+  expect(formatStats({ words: 1, characters: 5, readingMinutes: 1 }, en)).toBe("1 word · 5 characters · 1 min read");
+  expect(formatStats(textStats(""), en)).toBe("0 words · 0 characters");
+  expect(formatStats({ words: 2, characters: 9, readingMinutes: 1 }, createI18n("ar"))).toMatch(/^كلمتان · /);
+});
@@ -0,0 +1,85 @@
+import { useLayoutEffect, useRef, useState } from "react";
+import { comboFromEvent } from "../shortcuts/keymap";
+import { FORMATS, continueList, indentLines } from "./formatting";
+
+// PUBLIC_INTERFACE
+/**
+ * Markdown editing for a textarea: `format(id)` applies one of FORMATS to the
+ * selection, and `onKeyDown` adds the format shortcuts, list continuation on
+ * Enter and indenting with Tab/Shift+Tab. Escape hands Tab back to the
+ * browser, so the next Tab leaves the textarea instead of indenting.
+ * `announcement` describes the last change for a live region, in the
+ * language of `i18n`. Returns { format, onKeyDown, announcement }.
+ */
+export function useMarkdownEditor({ textareaRef, value, onChange, i18n }) {
+  const { t } = i18n;
+  const [announcement, setAnnouncement] = useState("");
+  const pendingSelection = useRef(null);
+  const tabLeaves = useRef(false);
+
+  // Restore the selection once the new value is rendered
+  useLayoutEffect(() => {
+    if (!pendingSelection.current || !textareaRef.current) return;
+    const { start, end } = pendingSelection.current;
+    textareaRef.current.setSelectionRange(start, end);
+    pendingSelection.current = null;
+  });
+
+  function currentState() {
+    const el = textareaRef.current;
+    if (!el) return { text: value, start: value.length, end: value.length };
+    return { text: value, start: el.selectionStart, end: el.selectionEnd };
+  }
+
+  function commit(next, message) {
+    pendingSelection.current = { start: next.start, end: next.end };
+    onChange(next.text);
+    setAnnouncement(message);
+  }
+
+  function format(id) {
+    const entry = FORMATS.find(f => f.id === id);
+    if (!entry) return;
+    const state = currentState();
+    const next = entry.apply(state);
+    const label = i18n.label(`format.${entry.id}`, entry.label);
+    commit(next, t(next.text.length < state.text.length ? "editor.removed" : "editor.applied", { format: label }));
+    if (textareaRef.current) textareaRef.current.focus();
+  }
+
+  function onKeyDown(e) {
+    if (e.defaultPrevented || e.nativeEvent.isComposing) return;
+    if (e.key === "Escape") {
+      tabLeaves.current = true;
+      setAnnouncement(t("editor.tabLeaves"));
+      return;
+    }
+    const combo = comboFromEvent(e);
+    if (!combo) return; // a lone modifier, e.g. the Shift of Shift+Tab
+    const leaving = tabLeaves.current;
+    tabLeaves.current = false;
+    let next = null;
+    let message = "";
+    if (e.key === "Tab" && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      if (leaving) return;
+      e.preventDefault(); // even with nothing to outdent, focus stays put
+      next = indentLines(currentState(), e.shiftKey);
+      message = t(e.shiftKey ? "editor.outdented" : "editor.indented");
+    } else if (e.key === "Enter" && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      next = continueList(currentState());
+      message = next && t(next.ended ? "editor.listEnded" : "editor.listItem");
+    } else {
+      const entry = FORMATS.find(f => f.keys === combo);
+      if (entry) {
+        e.preventDefault();
+        format(entry.id);
+      }
+      return;
+    }
+    if (!next) return;
+    e.preventDefault();
+    commit(next, message);
+  }
+
+  return { format, onKeyDown, announcement };
+}
@@ -0,0 +1,89 @@
+// Undo/redo for note mutations. A command records the notes it touched as
+// before/after snapshots:
+//   { label, changes: [{ id, before: note | null, after: note | null }] }
+// (null meaning the note did not exist on that side). Undoing writes the
+// `before` snapshots back, redoing the `after` ones.
+
+// PUBLIC_INTERFACE
+/**
+ * One change entry for a command.
+ */
+export function snapshotChange(before, after) {
+  return { id: (before || after).id, before: before || null, after: after || null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Undo and redo stacks of commands.
+ *
+ * record(command) pushes a new command (ignoring ones without changes),
+ * clears redo and returns it. undo(apply) and redo(apply) pop a command and
+ * call `apply(changes, "undo" | "redo")`; if it rejects, the command goes
+ * back where it was and the error is rethrown. Only one undo/redo runs at a time; calls made meanwhile are
+ * ignored. subscribe(listener) is notified whenever the stacks change.
+ * snapshots() lists the notes that undo or redo could still bring back.
+ */
+export function createCommandHistory({ limit = 100 } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+  let running = false;
+  const listeners = new Set();
+  const notify = () => listeners.forEach(listener => listener());
+
+  function record(command) {
+    if (!command.changes.length) return null;
+    undoStack = [...undoStack, command].slice(-limit);
+    redoStack = [];
+    notify();
+    return command;
+  }
+
+  async function step(direction, apply) {
+    const from = direction === "undo" ? undoStack : redoStack;
+    if (running || from.length === 0) return null;
+    const command = from[from.length - 1];
+    running = true;
+    if (direction === "undo") undoStack = undoStack.slice(0, -1);
+    else redoStack = redoStack.slice(0, -1);
+    try {
+      await apply(command.changes, direction);
+      if (direction === "undo") redoStack = [...redoStack, command];
+      else undoStack = [...undoStack, command];
+      return command;
+    } catch (err) {
+      if (direction === "undo") undoStack = [...undoStack, command];
+      else redoStack = [...redoStack, command];
+      throw err;
+    } finally {
+      running = false;
+      notify();
+    }
+  }
+
+  return {
+    record,
+    undo: apply => step("undo", apply),
+    redo: apply => step("redo", apply),
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      notify();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    get nextUndo() {
+      return undoStack[undoStack.length - 1] || null;
+    },
+    get nextRedo() {
+      return redoStack[redoStack.length - 1] || null;
+    },
+    // Every note snapshot undo or redo could still write back
+    snapshots() {
+      return [...undoStack, ...redoStack].flatMap(command =>
+        command.changes.flatMap(change => [change.before, change.after].filter(Boolean))
+      );
+    }
+  };
+}
@@ -0,0 +1,49 @@
+import { createCommandHistory, snapshotChange } from "./commands";
+
+const note = (id, content) => ({ id, title: id, content });
+
+describe("createCommandHistory", () => {
+  test("undo and redo hand the command's changes to apply in order", async () => {
+    const history = createCommandHistory();
+    const apply = jest.fn(() => Promise.resolve());
+    const edit = history.record({ label: "Edit", changes: [snapshotChange(note("a", "1"), note("a", "2"))] });
+    history.record({ label: "Create", changes: [snapshotChange(null, note("b", ""))] });
+
+    expect(await history.undo(apply)).toMatchObject({ label: "Create" });
+    expect(apply).toHaveBeenLastCalledWith([{ id: "b", before: null, after: note("b", "") }], "undo");
+    expect(await history.undo(apply)).toBe(edit);
+    expect(await history.undo(apply)).toBeNull();
+    expect(history.nextRedo).toBe(edit);
+
+    expect(await history.redo(apply)).toBe(edit);
+    expect(apply).toHaveBeenLastCalledWith(edit.changes, "redo");
+    expect(history.nextUndo).toBe(edit);
+  });
+
+  test("recording clears redo, and empty commands are ignored", async () => {
+    const history = createCommandHistory();
+    history.record({ label: "One", changes: [snapshotChange(note("a", "1"), note("a", "2"))] });
+    await history.undo(() => Promise.resolve());
+    expect(history.record({ label: "Nothing", changes: [] })).toBeNull();
+    expect(history.nextRedo).not.toBeNull();
+    history.record({ label: "Two", changes: [snapshotChange(note("a", "1"), note("a", "3"))] });
+    expect(history.nextRedo).toBeNull();
+  });
+
+  test("a failed undo keeps the command so it can be retried", async () => {
+    const history = createCommandHistory();
+    const command = history.record({ label: "Edit", changes: [snapshotChange(note("a", "1"), note("a", "2"))] });
+    await expect(history.undo(() => Promise.reject(new Error("offline")))).rejects.toThrow("offline");
+    expect(history.nextUndo).toBe(command);
+    expect(history.nextRedo).toBeNull();
+  });
+
+  test("only the newest commands are kept, and listeners hear about changes", () => {
+    const history = createCommandHistory({ limit: 2 });
+    const listener = jest.fn();
+    history.subscribe(listener);
+    ["a", "b", "c"].forEach(id => history.record({ label: id, changes: [snapshotChange(null, note(id, ""))] }));
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect(history.nextUndo.label).toBe("c");
+  });
+});
@@ -0,0 +1,48 @@
+// PUBLIC_INTERFACE
+/**
+ * Line-level diff of two texts (longest common subsequence).
+ * Returns [{ type: "same" | "added" | "removed", text }] in reading order.
+ */
+export function diffLines(before, after) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+
+  // Common head and tail don't need the quadratic table.
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const x = a.slice(head, a.length - tail);
+  const y = b.slice(head, b.length - tail);
+  // lcs[i][j] = length of the LCS of x[i..] and y[j..]
+  const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) {
+      middle.push({ type: "same", text: x[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      middle.push({ type: "removed", text: x[i++] });
+    } else {
+      middle.push({ type: "added", text: y[j++] });
+    }
+  }
+  while (i < x.length) middle.push({ type: "removed", text: x[i++] });
+  while (j < y.length) middle.push({ type: "added", text: y[j++] });
+
+  return [
+    ...a.slice(0, head).map(text => ({ type: "same", text })),
+    ...middle,
+    ...a.slice(a.length - tail).map(text => ({ type: "same", text }))
+  ];
+}
@@ -0,0 +1,70 @@
+// Note revision history. Each note carries `revisions`, oldest first:
+//   [{ id, title, content, savedAt, restoredFrom? }]
+// The last entry always matches the note's current title and content.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Default pruning policy; override with REACT_APP_HISTORY_MAX_REVISIONS and
+ * REACT_APP_HISTORY_MAX_AGE_DAYS, or the `historyPolicy` prop on App.
+ * A value of 0 means "no limit".
+ */
+export function createHistoryPolicy(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value));
+  return {
+    maxRevisions: number(env.REACT_APP_HISTORY_MAX_REVISIONS, 50),
+    maxAgeDays: number(env.REACT_APP_HISTORY_MAX_AGE_DAYS, 90)
+  };
+}
+
+let counter = 0;
+function revisionId() {
+  counter = (counter + 1) % 1e6;
+  return `rev_${Date.now()}_${counter}`;
+}
+
+export function revisionsOf(note) {
+  return Array.isArray(note.revisions) ? note.revisions : [];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Drop revisions the policy no longer keeps. The newest revision (the
+ * current state) is always kept.
+ */
+export function pruneRevisions(revisions, policy, now = Date.now()) {
+  if (revisions.length === 0) return revisions;
+  const latest = revisions[revisions.length - 1];
+  let kept = revisions.slice(0, -1);
+  if (policy.maxAgeDays > 0) {
+    const cutoff = now - policy.maxAgeDays * DAY_MS;
+    kept = kept.filter(rev => new Date(rev.savedAt).getTime() >= cutoff);
+  }
+  if (policy.maxRevisions > 0) kept = kept.slice(Math.max(0, kept.length - (policy.maxRevisions - 1)));
+  return [...kept, latest];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fields for a save: `changes` plus an updated `revisions` list. A revision
+ * is only added when the title or content actually changes. Notes saved
+ * before history existed first get a revision of their previous state.
+ * Pass `note` null for a note being created.
+ */
+export function withRevision(note, changes, policy, { savedAt = new Date().toISOString(), restoredFrom } = {}) {
+  const previous = note || {};
+  const title = changes.title !== undefined ? changes.title : previous.title;
+  const content = changes.content !== undefined ? changes.content : previous.content;
+  let revisions = note ? revisionsOf(note) : [];
+
+  if (note && revisions.length === 0) {
+    revisions = [{ id: revisionId(), title: note.title, content: note.content, savedAt: note.updatedAt }];
+  }
+  const latest = revisions[revisions.length - 1];
+  if (latest && latest.title === title && latest.content === content) return changes;
+
+  const revision = { id: revisionId(), title, content, savedAt };
+  if (restoredFrom) revision.restoredFrom = restoredFrom;
+  return { ...changes, revisions: pruneRevisions([...revisions, revision], policy) };
+}
@@ -0,0 +1,72 @@
+import { diffLines } from "./diff";
+import { pruneRevisions, withRevision, createHistoryPolicy } from "./revisions";
+
+const unlimited = { maxRevisions: 0, maxAgeDays: 0 };
+
+describe("diffLines", () => {
+  test("marks added, removed and unchanged lines in order", () => {
+    expect(diffLines("a\nb\nc\nd", "a\nc\nx\nd")).toEqual([
+      { type: "same", text: "a" },
+      { type: "removed", text: "b" },
+      { type: "same", text: "c" },
+      { type: "added", text: "x" },
+      { type: "same", text: "d" }
+    ]);
+  });
+
+  test("handles empty sides", () => {
+    expect(diffLines("", "new")).toEqual([
+      { type: "removed", text: "" },
+      { type: "added", text: "new" }
+    ]);
+    expect(diffLines("same", "same")).toEqual([{ type: "same", text: "same" }]);
+  });
+});
+
+describe("withRevision", () => {
+  const note = { id: "n", title: "T", content: "old", updatedAt: "2024-01-01T00:00:00.000Z" };
+
+  test("records the new state, backfilling the previous one for notes without history", () => {
+    const changes = withRevision(note, { content: "new" }, unlimited, { savedAt: "2024-01-02T00:00:00.000Z" });
+    expect(changes.content).toBe("new");
+    expect(changes.revisions.map(r => [r.title, r.content, r.savedAt])).toEqual([
+      ["T", "old", "2024-01-01T00:00:00.000Z"],
+      ["T", "new", "2024-01-02T00:00:00.000Z"]
+    ]);
+  });
+
+  test("skips saves that change neither title nor content", () => {
+    const first = { ...note, ...withRevision(note, { content: "new" }, unlimited) };
+    expect(withRevision(first, { tags: ["x"] }, unlimited)).toEqual({ tags: ["x"] });
+  });
+
+  test("marks restores and starts history for new notes", () => {
+    const created = withRevision(null, { title: "A", content: "1" }, unlimited);
+    expect(created.revisions).toHaveLength(1);
+    const restored = withRevision({ ...note, ...created }, { content: "0" }, unlimited, { restoredFrom: "rev_x" });
+    expect(restored.revisions[1]).toMatchObject({ content: "0", restoredFrom: "rev_x" });
+  });
+});
+
+describe("pruneRevisions", () => {
+  const day = n => new Date(Date.UTC(2024, 0, n)).toISOString();
+  const revs = [1, 2, 3, 4, 5].map(n => ({ id: `r${n}`, savedAt: day(n) }));
+
+  test("keeps at most maxRevisions, newest last", () => {
+    expect(pruneRevisions(revs, { maxRevisions: 2, maxAgeDays: 0 }).map(r => r.id)).toEqual(["r4", "r5"]);
+  });
+
+  test("drops revisions older than maxAgeDays but always keeps the current one", () => {
+    const now = Date.parse(day(5));
+    expect(pruneRevisions(revs, { maxRevisions: 0, maxAgeDays: 2 }, now).map(r => r.id)).toEqual(["r3", "r4", "r5"]);
+    expect(pruneRevisions(revs, { maxRevisions: 0, maxAgeDays: 2 }, now + 10 * 86400000).map(r => r.id)).toEqual(["r5"]);
+  });
+
+  test("policy comes from the environment with sane defaults", () => {
+    expect(createHistoryPolicy({})).toEqual({ maxRevisions: 50, maxAgeDays: 90 });
+    expect(createHistoryPolicy({ REACT_APP_HISTORY_MAX_REVISIONS: "5", REACT_APP_HISTORY_MAX_AGE_DAYS: "0" })).toEqual({
+      maxRevisions: 5,
+      maxAgeDays: 0
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { useEffect, useRef, useState } from "react";
+import { createCommandHistory } from "./commands";
+
+// PUBLIC_INTERFACE
+/**
+ * Command history for the lifetime of a component. `apply(changes,
+ * direction)` writes snapshots back to storage; the latest function passed
+ * is always the one used. Returns { record, undo, redo, clear, nextUndo, nextRedo, snapshots },
+ * re-rendering whenever the stacks change.
+ */
+export function useCommandHistory(apply) {
+  const [history] = useState(() => createCommandHistory());
+  const [, setVersion] = useState(0);
+  const applyRef = useRef(apply);
+  applyRef.current = apply;
+
+  useEffect(() => history.subscribe(() => setVersion(v => v + 1)), [history]);
+
+  return {
+    record: history.record,
+    clear: history.clear,
+    snapshots: history.snapshots,
+    undo: () => history.undo((changes, direction) => applyRef.current(changes, direction)),
+    redo: () => history.redo((changes, direction) => applyRef.current(changes, direction)),
+    get nextUndo() {
+      return history.nextUndo;
+    },
+    get nextRedo() {
+      return history.nextRedo;
+    }
+  };
+}
@@ -0,0 +1,572 @@
+// Arabic (right to left). Plural messages use Arabic's categories: one, two,
+// few (3–10) and other (which also covers "many", 11–99); messages missing
+// here are shown in English.
+
+const plural = (one, two, few, other) => ({ one, two, few, other });
+
+const ar = {
+  "notes.loading": "جارٍ تحميل الملاحظات…",
+  untitled: "بدون عنوان",
+  untitledTemplate: "قالب بدون اسم",
+
+  "time.justNow": "الآن",
+  "due.day.-1": "أمس {time}",
+  "due.day.0": "اليوم {time}",
+  "due.day.1": "غدًا {time}",
+  "due.due": "مستحقة {when}",
+  "due.overdue": "متأخرة · كانت مستحقة {when}",
+  "note.lastUpdated": "آخر تحديث:",
+
+  "sidebar.title": "📝 الملاحظات",
+  "sidebar.shortcuts": "اختصارات لوحة المفاتيح",
+  "sidebar.shortcutsTitle": "اختصارات لوحة المفاتيح (?)",
+  "sidebar.open": "فتح التنقل",
+  "sidebar.close": "إغلاق التنقل",
+  "sidebar.newNote": "+ ملاحظة جديدة",
+  "sidebar.newNoteLabel": "إضافة ملاحظة جديدة",
+  "sidebar.loadError": "تعذّر تحميل الملاحظات: {message}",
+  "sidebar.retry": "إعادة المحاولة",
+  "sidebar.empty": "لا توجد ملاحظات.",
+  "sidebar.select": "تحديد «{title}»",
+  "sidebar.footer": "تطبيق ملاحظات React",
+  "search.placeholder": "ابحث في الملاحظات...",
+  "search.label": "البحث في الملاحظات",
+  "search.tips": 'تلميحات: "عبارة مطابقة"، ‎-استبعاد، tag:الاسم، notebook:الاسم، before:2024-01-31، after:2024-01-01',
+  "transfer.import": "استيراد",
+  "transfer.importTitle": "استيراد ملفات Markdown أو JSON أو ZIP",
+  "transfer.exportJson": "تصدير JSON",
+  "transfer.exportJsonTitle": "تصدير كل الملاحظات بصيغة JSON (دون الملفات المرفقة)",
+  "transfer.exportZip": "تصدير ZIP",
+  "transfer.exportZipTitle": "تصدير كل الملاحظات كملف ZIP من ملفات Markdown (دون الملفات المرفقة)",
+  "transfer.skipped": plural(
+    "استُبعدت ملاحظة واحدة من التصدير لأنها مقفلة",
+    "استُبعدت ملاحظتان من التصدير لأنهما مقفلتان",
+    "استُبعدت {count} ملاحظات من التصدير لأنها مقفلة",
+    "استُبعدت {count} ملاحظة من التصدير لأنها مقفلة"
+  ),
+  "trash.retention": plural(
+    "تُحذف الملاحظات في سلة المهملات نهائيًا بعد يوم واحد.",
+    "تُحذف الملاحظات في سلة المهملات نهائيًا بعد يومين.",
+    "تُحذف الملاحظات في سلة المهملات نهائيًا بعد {count} أيام.",
+    "تُحذف الملاحظات في سلة المهملات نهائيًا بعد {count} يومًا."
+  ),
+  "trash.keep": "تبقى الملاحظات في سلة المهملات حتى تحذفها.",
+  "trash.empty": "إفراغ سلة المهملات",
+  "trash.confirmEmpty": plural(
+    "حذف ملاحظة واحدة في سلة المهملات نهائيًا؟",
+    "حذف ملاحظتين في سلة المهملات نهائيًا؟",
+    "حذف {count} ملاحظات في سلة المهملات نهائيًا؟",
+    "حذف {count} ملاحظة في سلة المهملات نهائيًا؟"
+  ),
+  "sort.label": "الترتيب",
+  "sort.searching": "نتائج البحث مرتبة حسب الأفضل تطابقًا",
+  "sort.dragHint": "اسحب الملاحظات لإعادة ترتيبها",
+  "sort.updated": "آخر تحديث",
+  "sort.created": "تاريخ الإنشاء",
+  "sort.title": "العنوان أ–ي",
+  "sort.manual": "يدوي",
+  "flags.encrypted": "مشفّرة",
+  "flags.encryptedLocked": "مشفّرة، مقفلة",
+  "flags.pinned": "مثبّتة",
+  "flags.favorite": "مفضّلة",
+  "language.label": "اللغة",
+  "language.auto": "لغة المتصفح",
+  "theme.label": "المظهر",
+  "theme.system": "النظام",
+  "theme.light": "فاتح",
+  "theme.dark": "داكن",
+  "theme.high-contrast": "تباين عالٍ",
+
+  "tree.all": "كل الملاحظات",
+  "tree.favorites": "★ المفضلة",
+  "tree.upcoming": "⏰ القادمة",
+  "tree.overdue": "⚠ المتأخرة",
+  "tree.notebooks": "الدفاتر",
+  "tree.tags": "الوسوم",
+  "tree.archive": "🗄 الأرشيف",
+  "tree.trash": "🗑 سلة المهملات",
+  "tree.empty.notebook": "لا توجد دفاتر بعد",
+  "tree.empty.tag": "لا توجد وسوم بعد",
+  "tree.rename.notebook": "إعادة تسمية الدفتر",
+  "tree.rename.tag": "إعادة تسمية الوسم",
+  "tree.renameNamed.notebook": "إعادة تسمية الدفتر {name}",
+  "tree.renameNamed.tag": "إعادة تسمية الوسم {name}",
+  "tree.delete.notebook": "حذف الدفتر",
+  "tree.delete.tag": "حذف الوسم",
+  "tree.deleteNamed.notebook": "حذف الدفتر {name}",
+  "tree.deleteNamed.tag": "حذف الوسم {name}",
+
+  "sync.pending": plural("تغيير واحد معلّق", "تغييران معلّقان", "{count} تغييرات معلّقة", "{count} تغييرًا معلّقًا"),
+  "sync.local": "محفوظة على هذا الجهاز",
+  "sync.syncing": "جارٍ المزامنة…",
+  "sync.offline": "غير متصل",
+  "sync.offlinePending": "غير متصل · {changes}",
+  "sync.failed": "فشلت المزامنة: {message}",
+  "sync.unknownError": "خطأ غير معروف",
+  "sync.synced": "تمت مزامنة كل التغييرات",
+
+  "palette.label": "لوحة الأوامر",
+  "palette.placeholder": "ابحث في الملاحظات والإجراءات…",
+  "palette.search": "البحث في الملاحظات والإجراءات",
+  "palette.results": "النتائج",
+  "palette.empty": "لا شيء يطابق «{query}»",
+  "palette.actions": "الإجراءات",
+  "palette.templates": "القوالب",
+  "palette.notes": "الملاحظات",
+  "palette.newFromTemplate": "ملاحظة جديدة من «{name}»",
+  "palette.manageTemplates": "إدارة القوالب",
+  "palette.update": "إعادة التحميل إلى الإصدار الجديد",
+  "palette.install": "تثبيت التطبيق",
+  "command.help": "عرض اختصارات لوحة المفاتيح",
+  "command.newNote": "ملاحظة جديدة",
+  "command.focusSearch": "البحث في الملاحظات",
+  "command.nextNote": "الملاحظة التالية",
+  "command.previousNote": "الملاحظة السابقة",
+  "command.edit": "تعديل الملاحظة",
+  "command.save": "حفظ الملاحظة",
+  "command.delete": "نقل الملاحظة إلى سلة المهملات",
+  "command.togglePin": "تثبيت الملاحظة أو إلغاء تثبيتها",
+  "command.toggleFavorite": "إضافة إلى المفضلة أو إزالة منها",
+  "command.toggleArchive": "أرشفة الملاحظة أو إلغاء أرشفتها",
+  "command.moveUp": "تحريك الملاحظة لأعلى (الترتيب اليدوي)",
+  "command.moveDown": "تحريك الملاحظة لأسفل (الترتيب اليدوي)",
+  "command.toggleSidebar": "إظهار الشريط الجانبي أو إخفاؤه",
+  "command.undo": "تراجع",
+  "command.redo": "إعادة",
+
+  "undo.undo": "تراجع",
+  "undo.redo": "إعادة",
+  "undo.undone": "تم التراجع: {label}",
+  "undo.redone": "تمت الإعادة: {label}",
+  "history.create": "إنشاء ملاحظة",
+  "history.edit": "تعديل ملاحظة",
+  "history.trash": "نقل إلى سلة المهملات",
+  "history.restoreFromTrash": "استعادة من سلة المهملات",
+  "history.deleteForever": "حذف نهائي",
+  "history.emptyTrash": "إفراغ سلة المهملات",
+  "history.pin": "تثبيت الملاحظة",
+  "history.unpin": "إلغاء تثبيت الملاحظة",
+  "history.favorite": "إضافة إلى المفضلة",
+  "history.unfavorite": "إزالة من المفضلة",
+  "history.archive": "أرشفة الملاحظة",
+  "history.unarchive": "إلغاء أرشفة الملاحظة",
+  "history.reorder": "إعادة ترتيب الملاحظات",
+  "history.encrypt": "تشفير الملاحظة",
+  "history.decrypt": "إزالة التشفير",
+  "history.removeAttachment": "إزالة مرفق",
+  "history.markDone": "تحديد كمنجزة",
+  "history.toggleTask": "تبديل مهمة",
+  "history.restoreRevision": "استعادة نسخة",
+  "history.rename.tag": "إعادة تسمية وسم",
+  "history.rename.notebook": "إعادة تسمية دفتر",
+  "history.remove.tag": "إزالة وسم",
+  "history.remove.notebook": "إزالة دفتر",
+  "history.import": plural("استيراد ملاحظة واحدة", "استيراد ملاحظتين", "استيراد {count} ملاحظات", "استيراد {count} ملاحظة"),
+
+  "bulk.toolbar": "الملاحظات المحددة",
+  "bulk.count": plural(
+    "حُددت ملاحظة واحدة من {total}",
+    "حُددت ملاحظتان من {total}",
+    "حُددت {count} ملاحظات من {total}",
+    "حُددت {count} ملاحظة من {total}"
+  ),
+  "bulk.selectAll": "تحديد الكل",
+  "bulk.clear": "مسح التحديد",
+  "bulk.deleteTitle": "نقل إلى سلة المهملات",
+  "bulk.archiveButton": "أرشفة",
+  "bulk.addTag": "+ وسم",
+  "bulk.addTagTitle": "إضافة وسم",
+  "bulk.removeTag": "− وسم",
+  "bulk.removeTagTitle": "إزالة وسم",
+  "bulk.moveButton": "نقل إلى…",
+  "bulk.moveTitle": "نقل إلى دفتر",
+  "bulk.export": "تصدير",
+  "bulk.exportTitle": "تنزيل كملف ZIP من ملفات Markdown",
+  "bulk.exportHtml": "تصدير HTML",
+  "bulk.exportHtmlTitle": "تنزيل كصفحة ويب واحدة",
+  "bulk.confirmTrash": plural(
+    "نقل ملاحظة واحدة إلى سلة المهملات؟",
+    "نقل ملاحظتين إلى سلة المهملات؟",
+    "نقل {count} ملاحظات إلى سلة المهملات؟",
+    "نقل {count} ملاحظة إلى سلة المهملات؟"
+  ),
+  "bulk.confirmTrashDiscarding": plural(
+    "نقل ملاحظة واحدة إلى سلة المهملات؟ ستفقد التغييرات غير المحفوظة على الملاحظة المفتوحة.",
+    "نقل ملاحظتين إلى سلة المهملات؟ ستفقد التغييرات غير المحفوظة على الملاحظة المفتوحة.",
+    "نقل {count} ملاحظات إلى سلة المهملات؟ ستفقد التغييرات غير المحفوظة على الملاحظة المفتوحة.",
+    "نقل {count} ملاحظة إلى سلة المهملات؟ ستفقد التغييرات غير المحفوظة على الملاحظة المفتوحة."
+  ),
+  "bulk.trash": plural(
+    "نقل ملاحظة واحدة إلى سلة المهملات",
+    "نقل ملاحظتين إلى سلة المهملات",
+    "نقل {count} ملاحظات إلى سلة المهملات",
+    "نقل {count} ملاحظة إلى سلة المهملات"
+  ),
+  "bulk.trashed": plural(
+    "نُقلت ملاحظة واحدة إلى سلة المهملات",
+    "نُقلت ملاحظتان إلى سلة المهملات",
+    "نُقلت {count} ملاحظات إلى سلة المهملات",
+    "نُقلت {count} ملاحظة إلى سلة المهملات"
+  ),
+  "bulk.archive": plural("أرشفة ملاحظة واحدة", "أرشفة ملاحظتين", "أرشفة {count} ملاحظات", "أرشفة {count} ملاحظة"),
+  "bulk.unarchive": plural(
+    "إلغاء أرشفة ملاحظة واحدة",
+    "إلغاء أرشفة ملاحظتين",
+    "إلغاء أرشفة {count} ملاحظات",
+    "إلغاء أرشفة {count} ملاحظة"
+  ),
+  "bulk.archived": plural("أُرشفت ملاحظة واحدة", "أُرشفت ملاحظتان", "أُرشفت {count} ملاحظات", "أُرشفت {count} ملاحظة"),
+  "bulk.unarchived": plural(
+    "أُخرجت ملاحظة واحدة من الأرشيف",
+    "أُخرجت ملاحظتان من الأرشيف",
+    "أُخرجت {count} ملاحظات من الأرشيف",
+    "أُخرجت {count} ملاحظة من الأرشيف"
+  ),
+  "bulk.addTagPrompt": plural(
+    "الوسم المراد إضافته إلى ملاحظة واحدة:",
+    "الوسم المراد إضافته إلى ملاحظتين:",
+    "الوسم المراد إضافته إلى {count} ملاحظات:",
+    "الوسم المراد إضافته إلى {count} ملاحظة:"
+  ),
+  "bulk.tag": plural("وسم ملاحظة واحدة", "وسم ملاحظتين", "وسم {count} ملاحظات", "وسم {count} ملاحظة"),
+  "bulk.tagged": plural(
+    "أُضيف الوسم #{tag} إلى ملاحظة واحدة",
+    "أُضيف الوسم #{tag} إلى ملاحظتين",
+    "أُضيف الوسم #{tag} إلى {count} ملاحظات",
+    "أُضيف الوسم #{tag} إلى {count} ملاحظة"
+  ),
+  "bulk.noTags": "لا توجد وسوم على أي من الملاحظات المحددة.",
+  "bulk.removeTagPrompt": plural(
+    "الوسم المراد إزالته من ملاحظة واحدة ({tags}):",
+    "الوسم المراد إزالته من ملاحظتين ({tags}):",
+    "الوسم المراد إزالته من {count} ملاحظات ({tags}):",
+    "الوسم المراد إزالته من {count} ملاحظة ({tags}):"
+  ),
+  "bulk.untag": plural(
+    "إزالة وسم من ملاحظة واحدة",
+    "إزالة وسم من ملاحظتين",
+    "إزالة وسم من {count} ملاحظات",
+    "إزالة وسم من {count} ملاحظة"
+  ),
+  "bulk.untagged": plural(
+    "أُزيل الوسم #{tag} من ملاحظة واحدة",
+    "أُزيل الوسم #{tag} من ملاحظتين",
+    "أُزيل الوسم #{tag} من {count} ملاحظات",
+    "أُزيل الوسم #{tag} من {count} ملاحظة"
+  ),
+  "bulk.movePrompt": plural(
+    "نقل ملاحظة واحدة إلى دفتر (اتركه فارغًا لعدم التحديد):",
+    "نقل ملاحظتين إلى دفتر (اتركه فارغًا لعدم التحديد):",
+    "نقل {count} ملاحظات إلى دفتر (اتركه فارغًا لعدم التحديد):",
+    "نقل {count} ملاحظة إلى دفتر (اتركه فارغًا لعدم التحديد):"
+  ),
+  "bulk.move": plural("نقل ملاحظة واحدة", "نقل ملاحظتين", "نقل {count} ملاحظات", "نقل {count} ملاحظة"),
+  "bulk.moved": plural(
+    "نُقلت ملاحظة واحدة إلى {notebook}",
+    "نُقلت ملاحظتان إلى {notebook}",
+    "نُقلت {count} ملاحظات إلى {notebook}",
+    "نُقلت {count} ملاحظة إلى {notebook}"
+  ),
+  "bulk.movedOut": plural(
+    "أُخرجت ملاحظة واحدة من دفترها",
+    "أُخرجت ملاحظتان من دفاترهما",
+    "أُخرجت {count} ملاحظات من دفاترها",
+    "أُخرجت {count} ملاحظة من دفاترها"
+  ),
+  "bulk.restore": plural("استعادة ملاحظة واحدة", "استعادة ملاحظتين", "استعادة {count} ملاحظات", "استعادة {count} ملاحظة"),
+  "bulk.restored": plural("استُعيدت ملاحظة واحدة", "استُعيدت ملاحظتان", "استُعيدت {count} ملاحظات", "استُعيدت {count} ملاحظة"),
+  "bulk.confirmDeleteForever": plural(
+    "حذف ملاحظة واحدة نهائيًا؟",
+    "حذف ملاحظتين نهائيًا؟",
+    "حذف {count} ملاحظات نهائيًا؟",
+    "حذف {count} ملاحظة نهائيًا؟"
+  ),
+  "bulk.deleteForever": plural(
+    "حذف ملاحظة واحدة نهائيًا",
+    "حذف ملاحظتين نهائيًا",
+    "حذف {count} ملاحظات نهائيًا",
+    "حذف {count} ملاحظة نهائيًا"
+  ),
+  "bulk.deletedForever": plural(
+    "حُذفت ملاحظة واحدة نهائيًا",
+    "حُذفت ملاحظتان نهائيًا",
+    "حُذفت {count} ملاحظات نهائيًا",
+    "حُذفت {count} ملاحظة نهائيًا"
+  ),
+
+  "note.trashed": "نُقلت «{title}» إلى سلة المهملات",
+  "note.archived": "أُرشفت «{title}»",
+  "note.unarchived": "أُخرجت «{title}» من الأرشيف",
+  "note.confirmDeleteForever": "حذف «{title}» نهائيًا؟",
+  "note.deletedElsewhere": "حُذفت «{title}» في علامة تبويب أخرى",
+  "note.linksUpdated": plural(
+    "حُدّثت الروابط في ملاحظة واحدة",
+    "حُدّثت الروابط في ملاحظتين",
+    "حُدّثت الروابط في {count} ملاحظات",
+    "حُدّثت الروابط في {count} ملاحظة"
+  ),
+  "note.confirmCreateLink": "لا توجد ملاحظة باسم «{title}» بعد. هل تريد إنشاءها؟",
+  "note.reminder": "تذكير",
+  "labels.renamePrompt.tag": "إعادة تسمية الوسم «{name}» إلى:",
+  "labels.renamePrompt.notebook": "إعادة تسمية الدفتر «{name}» إلى:",
+  "labels.confirmRemove.tag": "إزالة الوسم «{name}» من كل الملاحظات؟ ستبقى الملاحظات نفسها.",
+  "labels.confirmRemove.notebook": "إزالة الدفتر «{name}» من كل الملاحظات؟ ستبقى الملاحظات نفسها.",
+  "template.namePrompt": "اسم القالب:",
+  "template.saved": "حُفظ القالب «{name}»",
+  "template.deleted": "حُذف القالب «{name}»",
+  "vault.lockedTitle": "ملاحظة مقفلة",
+  "vault.lock": "قفل الملاحظات المشفّرة",
+  "vault.unlockFirst": "افتح قفل هذه الملاحظة قبل تغييرها.",
+  "vault.idleLocked": "قُفلت الملاحظات المشفّرة بعد فترة من عدم النشاط",
+  "vault.encrypted": "شُفّرت «{title}»",
+  "vault.hasAttachments": "في «{title}» مرفقات لا يمكن تشفيرها. أزلها قبل تشفير الملاحظة.",
+  "vault.confirmDecrypt": "إزالة التشفير من «{title}»؟ ستُخزَّن كنص عادي.",
+  "error.locked": "افتح قفل ملاحظاتك المشفّرة أولًا.",
+  "error.wrong-passphrase": "عبارة مرور خاطئة.",
+  "error.tampered": "تغيّرت البيانات المشفّرة لهذه الملاحظة أو تلفت، لذا يتعذّر فك تشفيرها.",
+  "error.unsupported": "لا يستطيع هذا المتصفح تشفير الملاحظات (Web Crypto غير متاح).",
+  "error.server-unreachable": "تعذّر الوصول إلى خادم الملاحظات",
+  "error.server-status": "ردّ خادم الملاحظات بالرمز {status}",
+  "error.bad-response": "أرسل خادم الملاحظات ردًا تعذّرت قراءته",
+  "error.local-storage": "تعذّر الوصول إلى تخزين الملاحظات المحلي",
+  "error.note-not-found": "الملاحظة {id} غير موجودة",
+  "error.attachments-read": "تعذّرت قراءة المرفقات",
+  "error.attachment-read": "تعذّرت قراءة المرفق",
+  "error.attachment-delete": "تعذّر حذف المرفق",
+  "error.attachment-save": "تعذّر حفظ «{name}»",
+  "error.front-matter-quote": "السطر {line} من الترويسة: نص بين علامتي اقتباس غير مغلق أو غير صالح",
+  "error.front-matter-unclosed": "الترويسة غير مغلقة بـ '---'",
+  "error.front-matter-pair": "السطر {line} من الترويسة: المتوقع \"مفتاح: قيمة\"",
+  "error.front-matter-list": "السطر {line} من الترويسة: قائمة غير مغلقة",
+  "error.not-a-note": "الملاحظة ليست كائنًا",
+  "error.no-title": "الملاحظة بلا عنوان",
+  "error.content-not-text": "«{title}»: يجب أن يكون المحتوى نصًا",
+  "error.invalid-date": "«{title}»: {field} ليس تاريخًا صالحًا",
+  "error.tags-not-list": "«{title}»: يجب أن تكون الوسوم قائمة",
+  "error.revisions-not-list": "«{title}»: يجب أن تكون النسخ قائمة",
+  "error.invalid-json": "ليس JSON صالحًا",
+  "error.not-an-export": "ملف JSON ليس تصديرًا من منظّم الملاحظات",
+  "error.newer-export": "إصدار التصدير {version} أحدث مما يدعمه هذا التطبيق",
+  "error.invalid-zip": "ليس أرشيف ZIP مقروءًا",
+  "error.unsupported-file": "نوع ملف غير مدعوم",
+  "error.unreadable-file": "تعذّرت قراءة الملف",
+  "reminders.heading": "التذكيرات",
+  "reminders.open": "فتح",
+  "reminders.snooze": "تأجيل {label}",
+  "reminders.snoozeTitle": "ذكّرني مجددًا بعد {label}",
+  "reminders.dismiss": "تجاهل تذكير {title}",
+  "snooze.10": "10 دقائق",
+  "snooze.60": "ساعة",
+  "snooze.1440": "يوم",
+  "toast.dismiss": "إغلاق",
+  "pwa.updateReady": "إصدار جديد من منظّم الملاحظات جاهز.",
+  "pwa.reload": "إعادة التحميل",
+  "pwa.later": "لاحقًا",
+  "pwa.installPrompt": "ثبّت منظّم الملاحظات لتفتحه كتطبيق وتستخدمه دون اتصال.",
+  "pwa.install": "تثبيت",
+  "pwa.notNow": "ليس الآن",
+
+  "form.create": "إنشاء ملاحظة",
+  "form.edit": "تعديل الملاحظة",
+  "form.confirmDiscard": "لديك تغييرات غير محفوظة. هل تريد تجاهلها؟",
+  "form.titleRequired": "لا يمكن أن يكون عنوان الملاحظة فارغًا",
+  "form.clean": "لا توجد تغييرات غير محفوظة",
+  "form.unsaved": "تغييرات غير محفوظة",
+  "form.draftSaved": "غير محفوظة · حُفظت المسودة {time}",
+  "form.draftRestored": "استُعيدت التغييرات غير المحفوظة من {time}.",
+  "form.discardDraft": "تجاهل التغييرات",
+  "form.draftOutdated": "حُفظت هذه الملاحظة مجددًا عند {time}، بعد إجراء هذه التغييرات غير المحفوظة.",
+  "form.remoteChanged": "تغيّرت هذه الملاحظة في علامة تبويب أخرى عند {time}.",
+  "form.loadTheirs": "تحميل نسختهم",
+  "form.keepMine": "الإبقاء على نسختي",
+  "form.title": "العنوان",
+  "form.titleLabel": "حقل عنوان الملاحظة",
+  "form.notebook": "الدفتر",
+  "form.tags": "الوسوم، مفصولة بفواصل",
+  "form.tagsLabel": "الوسوم",
+  "form.due": "الاستحقاق",
+  "form.remind": "ذكّرني",
+  "form.dueFirst": "حدّد تاريخ الاستحقاق أولًا",
+  "form.noReminder": "بدون تذكير",
+  "form.editorView": "عرض المحرر",
+  "form.view.write": "كتابة",
+  "form.view.split": "مقسوم",
+  "form.view.preview": "معاينة",
+  "form.content": "اكتب ملاحظتك هنا... اربط ملاحظات أخرى بـ [[عنوان الملاحظة]].",
+  "form.contentLabel": "حقل محتوى الملاحظة",
+  "form.linkSuggestions": "ربط بملاحظة",
+  "form.editorKeys": "‏Tab يضيف مسافة بادئة. اضغط Escape ثم Tab لمغادرة الملاحظة.",
+  "editor.applied": "طُبّق {format}",
+  "editor.removed": "أُزيل {format}",
+  "editor.tabLeaves": "‏Tab ينقل التركيز الآن خارج الملاحظة",
+  "editor.indented": "أُضيفت مسافة بادئة",
+  "editor.outdented": "أُزيلت مسافة بادئة",
+  "editor.listEnded": "انتهت القائمة",
+  "editor.listItem": "عنصر قائمة جديد",
+  "markdown.missingLink": "«{title}» غير موجودة بعد. انقر لإنشائها.",
+  "markdown.missingAttachment": "المرفق غير موجود",
+  "markdown.image": "صورة",
+  "markdown.taskDone": "تحديد المهمة كمنجزة",
+  "markdown.taskUndone": "تحديد المهمة كغير منجزة",
+  "stats.words": plural("كلمة واحدة", "كلمتان", "{count} كلمات", "{count} كلمة"),
+  "stats.characters": plural("حرف واحد", "حرفان", "{count} أحرف", "{count} حرفًا"),
+  "stats.reading": plural("قراءة في دقيقة واحدة", "قراءة في دقيقتين", "قراءة في {count} دقائق", "قراءة في {count} دقيقة"),
+  "format.toolbar": "التنسيق",
+  "format.bold": "غامق",
+  "format.italic": "مائل",
+  "format.heading": "عنوان",
+  "format.list": "قائمة نقطية",
+  "format.checklist": "قائمة مهام",
+  "format.code": "شيفرة",
+  "format.link": "رابط",
+  "templates.picker": "ابدأ من قالب:",
+  "templates.pickerLabel": "ابدأ من قالب",
+  "templates.manage": "إدارة…",
+  "form.attach": "📎 إرفاق ملفات",
+  "form.attachHint": "أو أسقطها / الصقها في الملاحظة",
+  "attachments.heading": "المرفقات",
+  "attachments.missing": "مرفق مفقود",
+  "attachments.download": "تنزيل",
+  "attachments.remove": "إزالة",
+  "attachments.removeNamed": "إزالة {name}",
+  "attachments.removeMissing": "إزالة المرفق المفقود",
+  "attachments.tooBig": "حجم «{name}» ‏{size}؛ الحد الأقصى للملف {max}.",
+  "attachments.noteFull": "سيتجاوز «{name}» حد مرفقات هذه الملاحظة البالغ {max}.",
+  "attachments.encryptedNote": "لا يمكن إرفاق ملفات بالملاحظات المشفّرة: تُخزَّن الملفات على هذا الجهاز دون تشفير.",
+  "attachments.deviceOnly":
+    "تُحفظ الملفات المرفقة في هذا المتصفح فقط. لا تُزامَن مع أجهزتك الأخرى، ولا يتضمنها التصدير بصيغة JSON أو ZIP؛ أما تصدير ‎.html فيتضمنها.",
+  "form.save": "حفظ",
+  "form.saving": "جارٍ الحفظ…",
+  "form.cancel": "إلغاء",
+
+  // مربعات الحوار
+  "dialog.close": "إغلاق",
+  "shortcuts.intro": "تُتجاهل الاختصارات التي لا تستخدم Ctrl/⌘ أثناء الكتابة في حقل.",
+  "shortcuts.recording": "اضغط المفاتيح…",
+  "shortcuts.change": "تغيير",
+  "shortcuts.changeFor": "تغيير اختصار {command}",
+  "shortcuts.conflict": "‏{keys} مستخدم بالفعل لـ «{command}».",
+  "shortcuts.reset": "استعادة الإعدادات الافتراضية",
+  "templates.name": "اسم القالب",
+  "templates.noteTitle": "عنوان الملاحظة",
+  "templates.content": "المحتوى",
+  "templates.contentLabel": "محتوى القالب",
+  "templates.placeholders": "العناصر النائبة: {list}.",
+  "templates.save": "حفظ القالب",
+  "templates.empty": "لا توجد قوالب بعد. أضف واحدًا هنا، أو استخدم «حفظ كقالب» على ملاحظة.",
+  "templates.builtIn": "مدمج",
+  "templates.editNamed": "تعديل القالب {name}",
+  "templates.deleteNamed": "حذف القالب {name}",
+  "templates.restoreBuiltIns": "استعادة القوالب المدمجة",
+  "templates.new": "قالب جديد",
+  "vault.createHeading": "اختر عبارة مرور",
+  "vault.unlockHeading": "فتح قفل الملاحظات المشفّرة",
+  "vault.createHint": "لا يمكن قراءة الملاحظات المشفّرة إلا بعبارة المرور هذه. لا تُخزَّن أبدًا، ولا يمكن استعادتها إذا نسيتها.",
+  "vault.unlockHint": "أدخل عبارة المرور التي اخترتها لملاحظاتك المشفّرة.",
+  "vault.passphrase": "عبارة المرور",
+  "vault.repeat": "أعد كتابة عبارة المرور",
+  "vault.tooShort": plural(
+    "استخدم حرفًا واحدًا على الأقل.",
+    "استخدم حرفين على الأقل.",
+    "استخدم {count} أحرف على الأقل.",
+    "استخدم {count} حرفًا على الأقل."
+  ),
+  "vault.mismatch": "عبارتا المرور غير متطابقتين.",
+  "vault.checking": "جارٍ التحقق…",
+  "vault.encrypt": "تشفير",
+  "conflict.heading": "تغيّرت «{title}» في مكانين",
+  "conflict.body": "حُرّرت هذه الملاحظة هنا وعلى الخادم منذ آخر مزامنة.",
+  "conflict.more": plural(
+    "تعارض واحد آخر في الانتظار.",
+    "تعارضان آخران في الانتظار.",
+    "{count} تعارضات أخرى في الانتظار.",
+    "{count} تعارضًا آخر في الانتظار."
+  ),
+  "conflict.local": "هذا الجهاز",
+  "conflict.remote": "الخادم",
+  "conflict.updated": "حُدّثت {time}",
+  "conflict.deleted": "محذوفة",
+  "conflict.keep": "الإبقاء على هذه النسخة",
+  "import.heading": "اكتمل الاستيراد",
+  "import.summary": "استيراد {imported}، وتخطي {duplicates}، و{errors}.",
+  "import.imported": plural("ملاحظة واحدة", "ملاحظتين", "{count} ملاحظات", "{count} ملاحظة"),
+  "import.duplicates": plural("نسخة مكررة واحدة", "نسختين مكررتين", "{count} نسخ مكررة", "{count} نسخة مكررة"),
+  "import.errors": plural("خطأ واحد", "خطآن", "{count} أخطاء", "{count} خطأ"),
+  "import.duplicatesHeading": "النسخ المكررة المتخطاة",
+  "import.errorsHeading": "تعذّر استيرادها",
+
+  // الصفحات المنشورة (تصدير HTML)
+  "export.title": plural("ملاحظة واحدة", "ملاحظتان", "{count} ملاحظات", "{count} ملاحظة"),
+  "export.contents": "المحتويات",
+
+  // التحرير المشترك
+  "collab.guest": "ضيف {number}",
+  "collab.connecting": "جارٍ الاتصال…",
+  "collab.online": "مباشر",
+  "collab.offline": "غير متصل — ستُدمج تغييراتك عند عودة الاتصال",
+  "collab.you": "أنت ({name}) — انقر لتغيير اسمك",
+  "collab.namePrompt": "اسمك كما يراه من يحررون معك:",
+  "collab.editing.title": "{name} — يحرر العنوان",
+  "collab.editing.content": "{name} — يحرر الملاحظة",
+  "reminder.0": "عند موعد الاستحقاق",
+  "reminder.10": "قبل 10 دقائق",
+  "reminder.60": "قبل ساعة",
+  "reminder.1440": "قبل يوم",
+
+  "main.dismissError": "إغلاق الخطأ",
+  "main.emptyTitle": "لنبدأ",
+  "main.emptyBody": "اختر ملاحظة أو أنشئ واحدة جديدة.",
+  "main.notFoundTitle": "الملاحظة غير موجودة",
+  "main.notFoundBody": "لا توجد ملاحظة بالمعرّف {id}. ربما حُذفت، أو أن الرابط غير مكتمل.",
+  "main.showAll": "عرض كل الملاحظات",
+  "note.inTrash": "في سلة المهملات.",
+  "note.inTrashUntil": "في سلة المهملات — ستُحذف نهائيًا في {date}.",
+  "note.archivedBanner": "مؤرشفة — مخفية من كل الملاحظات.",
+  "note.unarchive": "إلغاء الأرشفة",
+  "note.reminderAt": "تذكير {when}",
+  "note.done": "✓ تم",
+  "note.doneTitle": "مسح تاريخ الاستحقاق والتذكير",
+  "note.edit": "تعديل",
+  "note.delete": "حذف",
+  "note.restore": "استعادة",
+  "note.deleteForever": "حذف نهائي",
+  "note.history": "السجل ({count})",
+  "note.exportMarkdown": "تصدير ‎.md",
+  "note.exportHtml": "تصدير ‎.html",
+  "note.exportHtmlTitle": "تنزيل كصفحة ويب لمشاركتها مع من لا يستخدمون التطبيق",
+  "note.print": "🖨 طباعة / حفظ كملف PDF",
+  "note.saveAsTemplate": "حفظ كقالب",
+  "note.encrypt": "🔒 تشفير",
+  "note.encryptTitle": "تشفير العنوان والمحتوى والسجل بعبارة المرور الخاصة بك",
+  "note.decrypt": "🔓 إزالة التشفير",
+  "note.flags": "علامات الملاحظة",
+  "note.pin": "تثبيت",
+  "note.pinTitle": "تثبيت في الأعلى",
+  "note.unpinTitle": "إلغاء التثبيت",
+  "note.favoriteTitle": "إضافة إلى المفضلة",
+  "note.unfavoriteTitle": "إزالة من المفضلة",
+  "note.archive": "🗄 أرشفة",
+  "note.archiveTitle": "إخفاء من كل الملاحظات",
+  "locked.heading": "هذه الملاحظة مشفّرة",
+  "locked.wrongPassphrase": "شُفّرت بعبارة مرور غير التي أدخلتها.",
+  "locked.unchanged": "لم تتغير الملاحظة المشفّرة.",
+  "locked.decrypting": "جارٍ فك التشفير…",
+  "locked.prompt": "أدخل عبارة المرور لقراءتها وتعديلها.",
+  "locked.unlock": "فتح القفل",
+  "revisions.panel": "سجل النسخ",
+  "revisions.heading": "السجل",
+  "revisions.close": "إغلاق السجل",
+  "revisions.empty": "لا توجد نسخ بعد. تُسجَّل نسخة في كل مرة تُحفظ فيها الملاحظة.",
+  "revisions.restored": "(مستعادة)",
+  "revisions.current": "الحالية",
+  "revisions.compare": "مقارنة",
+  "revisions.with": "مع",
+  "revisions.noDifferences": "لا توجد فروق.",
+  "revisions.titleChange": "العنوان:",
+  "revisions.line.added": "مضاف:",
+  "revisions.line.removed": "محذوف:",
+  "backlinks.heading": "مرتبطة من",
+  "backlinks.empty": "لا توجد ملاحظات أخرى تربط إلى هنا بعد."
+};
+
+export default ar;
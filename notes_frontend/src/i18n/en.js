@@ -0,0 +1,445 @@
+// English, the app's own language and the fallback for anything another
+// catalog leaves out. `{name}` is filled in by t(); a message that is an
+// object is pluralized on `count` (keys are Intl.PluralRules categories).
+
+const en = {
+  // Notes
+  "notes.loading": "Loading notes…",
+  untitled: "Untitled",
+  untitledTemplate: "Untitled template",
+
+  // Dates
+  "time.justNow": "just now",
+  "due.day.-1": "yesterday {time}",
+  "due.day.0": "today {time}",
+  "due.day.1": "tomorrow {time}",
+  "due.due": "Due {when}",
+  "due.overdue": "Overdue · due {when}",
+  "note.lastUpdated": "Last updated:",
+
+  // Sidebar
+  "sidebar.title": "📝 Notes",
+  "sidebar.shortcuts": "Keyboard shortcuts",
+  "sidebar.shortcutsTitle": "Keyboard shortcuts (?)",
+  "sidebar.open": "Open navigation",
+  "sidebar.close": "Close navigation",
+  "sidebar.newNote": "+ New Note",
+  "sidebar.newNoteLabel": "Add new note",
+  "sidebar.loadError": "Couldn't load notes: {message}",
+  "sidebar.retry": "Retry",
+  "sidebar.empty": "No notes found.",
+  "sidebar.select": "Select “{title}”",
+  "sidebar.footer": "React Notes App",
+  "search.placeholder": "Search notes...",
+  "search.label": "Search notes",
+  "search.tips": 'Tips: "exact phrase", -exclude, tag:name, notebook:name, before:2024-01-31, after:2024-01-01',
+  "transfer.import": "Import",
+  "transfer.importTitle": "Import Markdown, JSON or ZIP files",
+  "transfer.exportJson": "Export JSON",
+  "transfer.exportJsonTitle": "Export all notes as JSON (without attached files)",
+  "transfer.exportZip": "Export ZIP",
+  "transfer.exportZipTitle": "Export all notes as a ZIP of Markdown files (without attached files)",
+  "transfer.skipped": {
+    one: "{count} note left out of the export because it is locked",
+    other: "{count} notes left out of the export because they are locked"
+  },
+  "trash.retention": {
+    one: "Notes in the Trash are deleted for good after {count} day.",
+    other: "Notes in the Trash are deleted for good after {count} days."
+  },
+  "trash.keep": "Notes stay in the Trash until you delete them.",
+  "trash.empty": "Empty Trash",
+  "trash.confirmEmpty": {
+    one: "Permanently delete {count} note in the Trash?",
+    other: "Permanently delete {count} notes in the Trash?"
+  },
+  "sort.label": "Sort",
+  "sort.searching": "Search results are listed best match first",
+  "sort.dragHint": "Drag notes to reorder",
+  "flags.encrypted": "Encrypted",
+  "flags.encryptedLocked": "Encrypted, locked",
+  "flags.pinned": "Pinned",
+  "flags.favorite": "Favorite",
+  "language.label": "Language",
+  "language.auto": "Browser language",
+  "theme.label": "Theme",
+
+  // Organizer tree
+  "tree.all": "All notes",
+  "tree.favorites": "★ Favorites",
+  "tree.upcoming": "⏰ Upcoming",
+  "tree.overdue": "⚠ Overdue",
+  "tree.notebooks": "Notebooks",
+  "tree.tags": "Tags",
+  "tree.archive": "🗄 Archive",
+  "tree.trash": "🗑 Trash",
+  "tree.empty.notebook": "No notebooks yet",
+  "tree.empty.tag": "No tags yet",
+  "tree.rename.notebook": "Rename notebook",
+  "tree.rename.tag": "Rename tag",
+  "tree.renameNamed.notebook": "Rename notebook {name}",
+  "tree.renameNamed.tag": "Rename tag {name}",
+  "tree.delete.notebook": "Delete notebook",
+  "tree.delete.tag": "Delete tag",
+  "tree.deleteNamed.notebook": "Delete notebook {name}",
+  "tree.deleteNamed.tag": "Delete tag {name}",
+
+  // Sync status
+  "sync.pending": { one: "{count} change pending", other: "{count} changes pending" },
+  "sync.local": "Saved on this device",
+  "sync.syncing": "Syncing…",
+  "sync.offline": "Offline",
+  "sync.offlinePending": "Offline · {changes}",
+  "sync.failed": "Sync failed: {message}",
+  "sync.unknownError": "unknown error",
+  "sync.synced": "All changes synced",
+
+  // Command palette
+  "palette.label": "Command palette",
+  "palette.placeholder": "Search notes and actions…",
+  "palette.search": "Search notes and actions",
+  "palette.results": "Results",
+  "palette.empty": "Nothing matches “{query}”",
+  "palette.actions": "Actions",
+  "palette.templates": "Templates",
+  "palette.notes": "Notes",
+  "palette.newFromTemplate": "New note from “{name}”",
+  "palette.manageTemplates": "Manage templates",
+  "palette.update": "Reload into the new version",
+  "palette.install": "Install the app",
+
+  // Undo history: the names of the steps, and what the toasts say
+  "undo.undo": "Undo",
+  "undo.redo": "Redo",
+  "undo.undone": "Undone: {label}",
+  "undo.redone": "Redone: {label}",
+  "history.create": "Create note",
+  "history.edit": "Edit note",
+  "history.trash": "Move to Trash",
+  "history.restoreFromTrash": "Restore from Trash",
+  "history.deleteForever": "Delete permanently",
+  "history.emptyTrash": "Empty Trash",
+  "history.pin": "Pin note",
+  "history.unpin": "Unpin note",
+  "history.favorite": "Add to Favorites",
+  "history.unfavorite": "Remove from Favorites",
+  "history.archive": "Archive note",
+  "history.unarchive": "Unarchive note",
+  "history.reorder": "Reorder notes",
+  "history.encrypt": "Encrypt note",
+  "history.decrypt": "Remove encryption",
+  "history.removeAttachment": "Remove attachment",
+  "history.markDone": "Mark done",
+  "history.toggleTask": "Toggle task",
+  "history.restoreRevision": "Restore revision",
+  "history.rename.tag": "Rename tag",
+  "history.rename.notebook": "Rename notebook",
+  "history.remove.tag": "Remove tag",
+  "history.remove.notebook": "Remove notebook",
+  "history.import": { one: "Import {count} note", other: "Import {count} notes" },
+
+  // Bulk actions on the selected notes
+  "bulk.toolbar": "Selected notes",
+  "bulk.count": "{count} of {total} selected",
+  "bulk.selectAll": "Select all",
+  "bulk.clear": "Clear",
+  "bulk.deleteTitle": "Move to the Trash",
+  "bulk.archiveButton": "Archive",
+  "bulk.addTag": "+ Tag",
+  "bulk.addTagTitle": "Add a tag",
+  "bulk.removeTag": "− Tag",
+  "bulk.removeTagTitle": "Remove a tag",
+  "bulk.moveButton": "Move to…",
+  "bulk.moveTitle": "Move to a notebook",
+  "bulk.export": "Export",
+  "bulk.exportTitle": "Download as a ZIP of Markdown files",
+  "bulk.exportHtml": "Export HTML",
+  "bulk.exportHtmlTitle": "Download as one web page",
+  "bulk.confirmTrash": { one: "Move {count} note to the Trash?", other: "Move {count} notes to the Trash?" },
+  "bulk.confirmTrashDiscarding": {
+    one: "Move {count} note to the Trash? Your unsaved changes to the open note will be lost.",
+    other: "Move {count} notes to the Trash? Your unsaved changes to the open note will be lost."
+  },
+  "bulk.trash": { one: "Move {count} note to Trash", other: "Move {count} notes to Trash" },
+  "bulk.trashed": { one: "Moved {count} note to Trash", other: "Moved {count} notes to Trash" },
+  "bulk.archive": { one: "Archive {count} note", other: "Archive {count} notes" },
+  "bulk.unarchive": { one: "Unarchive {count} note", other: "Unarchive {count} notes" },
+  "bulk.archived": { one: "Archived {count} note", other: "Archived {count} notes" },
+  "bulk.unarchived": {
+    one: "Moved {count} note out of the Archive",
+    other: "Moved {count} notes out of the Archive"
+  },
+  "bulk.addTagPrompt": { one: "Tag to add to {count} note:", other: "Tag to add to {count} notes:" },
+  "bulk.tag": { one: "Tag {count} note", other: "Tag {count} notes" },
+  "bulk.tagged": { one: "Tagged {count} note #{tag}", other: "Tagged {count} notes #{tag}" },
+  "bulk.noTags": "None of the selected notes have tags.",
+  "bulk.removeTagPrompt": {
+    one: "Tag to remove from {count} note ({tags}):",
+    other: "Tag to remove from {count} notes ({tags}):"
+  },
+  "bulk.untag": { one: "Untag {count} note", other: "Untag {count} notes" },
+  "bulk.untagged": { one: "Removed #{tag} from {count} note", other: "Removed #{tag} from {count} notes" },
+  "bulk.movePrompt": {
+    one: "Move {count} note to notebook (leave empty for none):",
+    other: "Move {count} notes to notebook (leave empty for none):"
+  },
+  "bulk.move": { one: "Move {count} note", other: "Move {count} notes" },
+  "bulk.moved": { one: "Moved {count} note to {notebook}", other: "Moved {count} notes to {notebook}" },
+  "bulk.movedOut": { one: "Took {count} note out of its notebook", other: "Took {count} notes out of their notebooks" },
+  "bulk.restore": { one: "Restore {count} note", other: "Restore {count} notes" },
+  "bulk.restored": { one: "Restored {count} note", other: "Restored {count} notes" },
+  "bulk.confirmDeleteForever": { one: "Permanently delete {count} note?", other: "Permanently delete {count} notes?" },
+  "bulk.deleteForever": { one: "Delete {count} note permanently", other: "Delete {count} notes permanently" },
+  "bulk.deletedForever": { one: "Deleted {count} note permanently", other: "Deleted {count} notes permanently" },
+
+  // Notes: toasts and questions
+  "note.trashed": "Moved “{title}” to Trash",
+  "note.archived": "Archived “{title}”",
+  "note.unarchived": "Moved “{title}” out of the Archive",
+  "note.confirmDeleteForever": "Delete “{title}” permanently?",
+  "note.deletedElsewhere": "“{title}” was deleted in another tab",
+  "note.linksUpdated": { one: "Updated links in {count} note", other: "Updated links in {count} notes" },
+  "note.confirmCreateLink": "There is no note called “{title}” yet. Create it?",
+  "note.reminder": "Reminder",
+  "labels.renamePrompt.tag": 'Rename tag "{name}" to:',
+  "labels.renamePrompt.notebook": 'Rename notebook "{name}" to:',
+  "labels.confirmRemove.tag": 'Remove the tag "{name}" from all notes? The notes themselves are kept.',
+  "labels.confirmRemove.notebook": 'Remove the notebook "{name}" from all notes? The notes themselves are kept.',
+  "template.namePrompt": "Template name:",
+  "template.saved": "Saved template “{name}”",
+  "template.deleted": "Deleted template “{name}”",
+  "vault.lockedTitle": "Locked note",
+  "vault.lock": "Lock encrypted notes",
+  "vault.unlockFirst": "Unlock this note before changing it.",
+  "vault.idleLocked": "Encrypted notes were locked after a while without activity",
+  "vault.encrypted": "Encrypted “{title}”",
+  "vault.hasAttachments": "“{title}” has attachments, which can't be encrypted. Remove them before encrypting the note.",
+  "vault.confirmDecrypt": "Remove the encryption from “{title}”? It will be stored as plain text.",
+  "error.locked": "Unlock your encrypted notes first.",
+  "error.wrong-passphrase": "Wrong passphrase.",
+  "error.tampered": "This note's encrypted data has been changed or damaged, so it can't be decrypted.",
+  "error.unsupported": "This browser can't encrypt notes (Web Crypto is unavailable).",
+  "error.server-unreachable": "Could not reach the notes server",
+  "error.server-status": "Notes server responded with {status}",
+  "error.bad-response": "The notes server sent a response that could not be read",
+  "error.local-storage": "Could not access local note storage",
+  "error.note-not-found": "Note {id} not found",
+  "error.attachments-read": "Could not read attachments",
+  "error.attachment-read": "Could not read the attachment",
+  "error.attachment-delete": "Could not delete the attachment",
+  "error.attachment-save": "Could not save “{name}”",
+  "error.front-matter-quote": "Front-matter line {line}: unterminated or invalid quoted string",
+  "error.front-matter-unclosed": "Front-matter is not closed with '---'",
+  "error.front-matter-pair": "Front-matter line {line}: expected \"key: value\"",
+  "error.front-matter-list": "Front-matter line {line}: unterminated list",
+  "error.not-a-note": "Note is not an object",
+  "error.no-title": "Note has no title",
+  "error.content-not-text": "\"{title}\": content must be text",
+  "error.invalid-date": "\"{title}\": {field} is not a valid date",
+  "error.tags-not-list": "\"{title}\": tags must be a list",
+  "error.revisions-not-list": "\"{title}\": revisions must be a list",
+  "error.invalid-json": "Not valid JSON",
+  "error.not-an-export": "JSON is not a Note Organizer export",
+  "error.newer-export": "Export version {version} is newer than this app supports",
+  "error.invalid-zip": "Not a readable ZIP archive",
+  "error.unsupported-file": "Unsupported file type",
+  "error.unreadable-file": "Could not read the file",
+  "reminders.heading": "Reminders",
+  "reminders.open": "Open",
+  "reminders.snooze": "Snooze {label}",
+  "reminders.snoozeTitle": "Remind me again in {label}",
+  "reminders.dismiss": "Dismiss reminder for {title}",
+  "toast.dismiss": "Dismiss",
+  "pwa.updateReady": "A new version of Note Organizer is ready.",
+  "pwa.reload": "Reload",
+  "pwa.later": "Later",
+  "pwa.installPrompt": "Install Note Organizer to open it like an app and use it offline.",
+  "pwa.install": "Install",
+  "pwa.notNow": "Not now",
+
+  // Note form
+  "form.create": "Create Note",
+  "form.edit": "Edit Note",
+  "form.confirmDiscard": "You have unsaved changes. Discard them?",
+  "form.titleRequired": "Note title cannot be empty",
+  "form.clean": "No unsaved changes",
+  "form.unsaved": "Unsaved changes",
+  "form.draftSaved": "Unsaved · draft saved {time}",
+  "form.draftRestored": "Restored unsaved changes from {time}.",
+  "form.discardDraft": "Discard changes",
+  "form.draftOutdated": "This note was saved again at {time}, after these unsaved changes were made.",
+  "form.remoteChanged": "This note was changed in another tab at {time}.",
+  "form.loadTheirs": "Load their version",
+  "form.keepMine": "Keep mine",
+  "form.title": "Title",
+  "form.titleLabel": "Note title input",
+  "form.notebook": "Notebook",
+  "form.tags": "Tags, separated by commas",
+  "form.tagsLabel": "Tags",
+  "form.due": "Due",
+  "form.remind": "Remind me",
+  "form.dueFirst": "Set a due date first",
+  "form.noReminder": "No reminder",
+  "form.editorView": "Editor view",
+  "form.view.write": "Write",
+  "form.view.split": "Split",
+  "form.view.preview": "Preview",
+  "form.content": "Write your note here... Link other notes with [[Note title]].",
+  "form.contentLabel": "Note content input",
+  "form.linkSuggestions": "Link to note",
+  "form.editorKeys": "Tab indents. Press Escape, then Tab, to leave the note.",
+  "editor.applied": "{format} applied",
+  "editor.removed": "{format} removed",
+  "editor.tabLeaves": "Tab now moves focus out of the note",
+  "editor.indented": "Indented",
+  "editor.outdented": "Outdented",
+  "editor.listEnded": "List ended",
+  "editor.listItem": "New list item",
+  "markdown.missingLink": "“{title}” doesn't exist yet. Click to create it.",
+  "markdown.missingAttachment": "Attachment not found",
+  "markdown.image": "image",
+  "markdown.taskDone": "Mark task as done",
+  "markdown.taskUndone": "Mark task as not done",
+  "format.toolbar": "Formatting",
+  "templates.picker": "Start from a template:",
+  "templates.pickerLabel": "Start from a template",
+  "templates.manage": "Manage…",
+  "stats.words": { one: "{count} word", other: "{count} words" },
+  "stats.characters": { one: "{count} character", other: "{count} characters" },
+  "stats.reading": "{count} min read",
+  "form.attach": "📎 Attach files",
+  "form.attachHint": "or drop / paste them into the note",
+  "attachments.heading": "Attachments",
+  "attachments.missing": "Missing attachment",
+  "attachments.download": "Download",
+  "attachments.remove": "Remove",
+  "attachments.removeNamed": "Remove {name}",
+  "attachments.removeMissing": "Remove missing attachment",
+  "attachments.tooBig": "“{name}” is {size}; files can be up to {max}.",
+  "attachments.encryptedNote": "Encrypted notes can't have attachments: files are stored on this device without encryption.",
+  "attachments.noteFull": "“{name}” would take this note's attachments over {max}.",
+  "attachments.deviceOnly":
+    "Attached files are kept in this browser only. They aren't synced to your other devices, and JSON and ZIP exports leave them out; Export .html includes them.",
+  "form.save": "Save",
+  "form.saving": "Saving…",
+  "form.cancel": "Cancel",
+
+  // Dialogs
+  "dialog.close": "Close",
+  "shortcuts.intro": "Shortcuts without Ctrl/⌘ are ignored while you type in a field.",
+  "shortcuts.recording": "Press keys…",
+  "shortcuts.change": "Change",
+  "shortcuts.changeFor": "Change shortcut for {command}",
+  "shortcuts.conflict": "{keys} is already used by “{command}”.",
+  "shortcuts.reset": "Reset to defaults",
+  "templates.name": "Template name",
+  "templates.noteTitle": "Note title",
+  "templates.content": "Content",
+  "templates.contentLabel": "Template content",
+  "templates.placeholders": "Placeholders: {list}.",
+  "templates.save": "Save template",
+  "templates.empty": "No templates yet. Add one here, or use “Save as template” on a note.",
+  "templates.builtIn": "built-in",
+  "templates.editNamed": "Edit template {name}",
+  "templates.deleteNamed": "Delete template {name}",
+  "templates.restoreBuiltIns": "Restore built-in templates",
+  "templates.new": "New template",
+  "vault.createHeading": "Choose a passphrase",
+  "vault.unlockHeading": "Unlock encrypted notes",
+  "vault.createHint":
+    "Encrypted notes can only be read with this passphrase. It is never stored, and it can't be recovered if you forget it.",
+  "vault.unlockHint": "Enter the passphrase you chose for your encrypted notes.",
+  "vault.passphrase": "Passphrase",
+  "vault.repeat": "Repeat passphrase",
+  "vault.tooShort": { one: "Use at least {count} character.", other: "Use at least {count} characters." },
+  "vault.mismatch": "The passphrases don't match.",
+  "vault.checking": "Checking…",
+  "vault.encrypt": "Encrypt",
+  "conflict.heading": "“{title}” was changed in two places",
+  "conflict.body": "This note was edited here and on the server since the last sync.",
+  "conflict.more": { one: "{count} more conflict waiting.", other: "{count} more conflicts waiting." },
+  "conflict.local": "This device",
+  "conflict.remote": "Server",
+  "conflict.updated": "Updated {time}",
+  "conflict.deleted": "Deleted",
+  "conflict.keep": "Keep this version",
+  "import.heading": "Import finished",
+  "import.summary": "{imported} imported, {duplicates} skipped, {errors}.",
+  "import.imported": { one: "{count} note", other: "{count} notes" },
+  "import.duplicates": { one: "{count} duplicate", other: "{count} duplicates" },
+  "import.errors": { one: "{count} error", other: "{count} errors" },
+  "import.duplicatesHeading": "Skipped duplicates",
+  "import.errorsHeading": "Could not import",
+
+  // Published pages (HTML export)
+  "export.title": { one: "{count} note", other: "{count} notes" },
+  "export.contents": "Contents",
+
+  // Editing together
+  "collab.guest": "Guest {number}",
+  "collab.connecting": "Connecting…",
+  "collab.online": "Live",
+  "collab.offline": "Offline — your changes will merge when you reconnect",
+  "collab.you": "You ({name}) — click to change your name",
+  "collab.namePrompt": "Your name, as the others editing with you see it:",
+  "collab.editing.title": "{name} — editing the title",
+  "collab.editing.content": "{name} — editing the note",
+
+  // Main view
+  "main.dismissError": "Dismiss error",
+  "main.emptyTitle": "Get Started",
+  "main.emptyBody": "Select a note or create a new one.",
+  "main.notFoundTitle": "Note not found",
+  "main.notFoundBody": "There is no note with the id {id}. It may have been deleted, or the link is incomplete.",
+  "main.showAll": "Show all notes",
+  "note.inTrash": "In the Trash.",
+  "note.inTrashUntil": "In the Trash — deleted for good on {date}.",
+  "note.archivedBanner": "Archived — hidden from All notes.",
+  "note.unarchive": "Unarchive",
+  "note.reminderAt": "Reminder {when}",
+  "note.done": "✓ Done",
+  "note.doneTitle": "Clear the due date and reminder",
+  "note.edit": "Edit",
+  "note.delete": "Delete",
+  "note.restore": "Restore",
+  "note.deleteForever": "Delete forever",
+  "note.history": "History ({count})",
+  "note.exportMarkdown": "Export .md",
+  "note.exportHtml": "Export .html",
+  "note.exportHtmlTitle": "Download as a web page to share with people who don't use the app",
+  "note.print": "🖨 Print / Save as PDF",
+  "note.saveAsTemplate": "Save as template",
+  "note.encrypt": "🔒 Encrypt",
+  "note.encryptTitle": "Encrypt the title, content and history with your passphrase",
+  "note.decrypt": "🔓 Remove encryption",
+  "note.flags": "Note flags",
+  "note.pin": "Pin",
+  "note.pinTitle": "Pin to top",
+  "note.unpinTitle": "Unpin",
+  "note.favoriteTitle": "Add to Favorites",
+  "note.unfavoriteTitle": "Remove from Favorites",
+  "note.archive": "🗄 Archive",
+  "note.archiveTitle": "Hide from All notes",
+  "locked.heading": "This note is encrypted",
+  "locked.wrongPassphrase": "It was encrypted with a different passphrase than the one you entered.",
+  "locked.unchanged": "The encrypted note has not been changed.",
+  "locked.decrypting": "Decrypting…",
+  "locked.prompt": "Enter your passphrase to read and edit it.",
+  "locked.unlock": "Unlock",
+  "revisions.panel": "Version history",
+  "revisions.heading": "History",
+  "revisions.close": "Close history",
+  "revisions.empty": "No revisions yet. A revision is recorded every time the note is saved.",
+  "revisions.restored": "(restored)",
+  "revisions.current": "Current",
+  "revisions.compare": "Compare",
+  "revisions.with": "with",
+  "revisions.noDifferences": "No differences.",
+  "revisions.titleChange": "Title:",
+  "revisions.line.added": "added:",
+  "revisions.line.removed": "removed:",
+  "backlinks.heading": "Linked from",
+  "backlinks.empty": "No other notes link here yet."
+};
+
+export default en;
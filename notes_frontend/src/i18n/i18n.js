@@ -0,0 +1,108 @@
+// The app's languages and everything locale-dependent about showing text:
+// messages (with plurals), dates and numbers. English is the fallback for
+// messages a catalog doesn't have.
+
+import en from "./en";
+import ar from "./ar";
+import { loadPreference, savePreference } from "../storage/preferences";
+
+export const LANGUAGES = [
+  { id: "en", label: "English", dir: "ltr", messages: en },
+  { id: "ar", label: "العربية", dir: "rtl", messages: ar }
+];
+
+const STORAGE_KEY = "note-organizer:locale";
+const RELATIVE_UNITS = [
+  ["minute", 60],
+  ["hour", 60 * 60],
+  ["day", 24 * 60 * 60]
+];
+const RELATIVE_LIMIT = 7 * 24 * 60 * 60; // older dates are shown as dates
+
+const languageOf = id => LANGUAGES.find(language => language.id === id);
+
+// PUBLIC_INTERFACE
+/**
+ * The saved language, or "auto" (follow the browser) when there is none.
+ */
+export function loadLocalePreference(storage) {
+  return loadPreference(STORAGE_KEY, id => Boolean(languageOf(id)), "auto", storage);
+}
+
+// PUBLIC_INTERFACE
+export function saveLocalePreference(preference, storage) {
+  savePreference(STORAGE_KEY, preference, "auto", storage);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The locale to use for a preference: a language id, or "auto" for the
+ * first of the browser's `languages` (e.g. navigator.languages) that the app
+ * has. The browser's full tag is kept ("en-GB", not "en") so dates follow
+ * its regional conventions. Falls back to English.
+ */
+export function resolveLocale(preference, languages = []) {
+  if (languageOf(preference)) return preference;
+  const match = languages.find(tag => languageOf(String(tag).split("-")[0].toLowerCase()));
+  return match || "en";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Text and formatting for `locale` (a BCP 47 tag such as "ar" or "en-US"):
+ *
+ * t(key, values)       the message `key` with `{name}` placeholders filled
+ *                      from `values` (numbers formatted for the locale). A
+ *                      plural message picks its form by `values.count`.
+ * label(key, fallback) the message `key` if this language has one, else
+ *                      `fallback` (for labels defined alongside other code,
+ *                      like sort orders, which are in English there)
+ * errorMessage(err)    the catalog message "error.<err.code>" filled from
+ *                      `err.values`, or `err.message` for errors without one
+ * formatDate(iso), formatTime(iso), formatDateTime(iso)
+ * formatRelative(iso, now)  "just now", "5 minutes ago", "yesterday"…;
+ *                      dates more than a week away are shown as dates
+ * dir                  "ltr" or "rtl"
+ */
+export function createI18n(locale = "en") {
+  const language = languageOf(String(locale).split("-")[0].toLowerCase()) || LANGUAGES[0];
+  const messages = language.messages;
+  const plurals = new window.Intl.PluralRules(locale);
+  const numbers = new window.Intl.NumberFormat(locale);
+  const relative = new window.Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+
+  const fill = (text, values) =>
+    text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in values)) return placeholder;
+      const value = values[name];
+      return typeof value === "number" ? numbers.format(value) : String(value);
+    });
+
+  function t(key, values = {}) {
+    const message = key in messages ? messages[key] : key in en ? en[key] : key;
+    if (typeof message === "string") return fill(message, values);
+    const form = plurals.select(values.count);
+    return fill(message[form] || message.other, values);
+  }
+
+  const format = options => iso => new Date(iso).toLocaleString(locale, options);
+  const formatDate = format({ dateStyle: "medium" });
+
+  return {
+    locale,
+    dir: language.dir,
+    t,
+    label: (key, fallback) => (key in messages ? t(key) : fallback),
+    errorMessage: err => (err.code && `error.${err.code}` in en ? t(`error.${err.code}`, err.values || {}) : err.message),
+    formatDate,
+    formatTime: format({ hour: "2-digit", minute: "2-digit" }),
+    formatDateTime: format({ dateStyle: "medium", timeStyle: "short" }),
+    formatRelative(iso, now = Date.now()) {
+      const seconds = (new Date(iso).getTime() - now) / 1000;
+      if (Math.abs(seconds) >= RELATIVE_LIMIT) return formatDate(iso);
+      if (Math.abs(seconds) < 60) return t("time.justNow");
+      const [unit, size] = [...RELATIVE_UNITS].reverse().find(([, size]) => Math.abs(seconds) >= size);
+      return relative.format(Math.round(seconds / size), unit);
+    }
+  };
+}
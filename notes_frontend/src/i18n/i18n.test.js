@@ -0,0 +1,63 @@
+import { createI18n, loadLocalePreference, resolveLocale, saveLocalePreference } from "./i18n";
+import { StorageError } from "../storage/errors";
+import { ImportError } from "../transfer/frontMatter";
+
+test("messages are filled in and pluralized by each language's rules", () => {
+  const en = createI18n("en-US");
+  expect(en.t("bulk.trash", { count: 1 })).toBe("Move 1 note to Trash");
+  expect(en.t("bulk.trash", { count: 1200 })).toBe("Move 1,200 notes to Trash");
+  expect(en.t("note.trashed", { title: "Groceries" })).toBe("Moved “Groceries” to Trash");
+  expect(en.t("main.notFoundBody")).toContain("{id}"); // placeholders without a value are left alone
+
+  const ar = createI18n("ar");
+  const digits = n => new window.Intl.NumberFormat("ar").format(n); // Arabic-Indic or Latin, by ICU version
+  expect(ar.dir).toBe("rtl");
+  expect(ar.t("bulk.trash", { count: 1 })).toBe("نقل ملاحظة واحدة إلى سلة المهملات");
+  expect(ar.t("bulk.trash", { count: 2 })).toBe("نقل ملاحظتين إلى سلة المهملات");
+  expect(ar.t("bulk.trash", { count: 3 })).toBe(`نقل ${digits(3)} ملاحظات إلى سلة المهملات`);
+  expect(ar.t("bulk.trash", { count: 11 })).toBe(`نقل ${digits(11)} ملاحظة إلى سلة المهملات`);
+});
+
+test("missing messages fall back to English; label() falls back to the given text", () => {
+  const ar = createI18n("ar");
+  expect(ar.t("no.such.message")).toBe("no.such.message");
+  expect(ar.label("sort.manual", "Manual")).toBe("يدوي");
+  expect(createI18n("en").label("sort.manual", "Manual")).toBe("Manual");
+  expect(createI18n("fr").t("form.save")).toBe("Save");
+});
+
+test("errors with a code are shown from the catalog, others by their message", () => {
+  const ar = createI18n("ar");
+  expect(ar.errorMessage(new ImportError("Note has no title", "no-title"))).toBe("الملاحظة بلا عنوان");
+  expect(ar.errorMessage(new StorageError("Could not save “a.png”", { code: "attachment-save", values: { name: "a.png" } }))).toBe(
+    "تعذّر حفظ «a.png»"
+  );
+  expect(ar.errorMessage(new Error("Something else"))).toBe("Something else");
+});
+
+test("dates within a week are relative, older ones are dates", () => {
+  const now = new Date("2024-03-10T12:00:00Z").getTime();
+  const ago = seconds => new Date(now - seconds * 1000).toISOString();
+  const en = createI18n("en-US");
+  expect(en.formatRelative(ago(20), now)).toBe("just now");
+  expect(en.formatRelative(ago(5 * 60), now)).toBe("5 minutes ago");
+  expect(en.formatRelative(ago(3 * 60 * 60), now)).toBe("3 hours ago");
+  expect(en.formatRelative(ago(26 * 60 * 60), now)).toBe("yesterday");
+  expect(en.formatRelative(ago(30 * 24 * 60 * 60), now)).toBe("Feb 9, 2024");
+  expect(createI18n("ar").formatRelative(ago(5 * 60), now)).toMatch(/^قبل (5|٥) دقائق$/);
+});
+
+test("the language follows the browser unless one was chosen", () => {
+  expect(resolveLocale("auto", ["fr-FR", "ar-EG", "en"])).toBe("ar-EG");
+  expect(resolveLocale("auto", ["fr-FR"])).toBe("en");
+  expect(resolveLocale("ar", ["en-GB"])).toBe("ar");
+
+  window.localStorage.clear();
+  expect(loadLocalePreference()).toBe("auto");
+  saveLocalePreference("ar");
+  expect(loadLocalePreference()).toBe("ar");
+  saveLocalePreference("auto");
+  expect(window.localStorage.getItem("note-organizer:locale")).toBeNull();
+  window.localStorage.setItem("note-organizer:locale", "xx");
+  expect(loadLocalePreference()).toBe("auto");
+});
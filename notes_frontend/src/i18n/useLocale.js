@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { createI18n, loadLocalePreference, resolveLocale, saveLocalePreference } from "./i18n";
+
+function browserLanguages() {
+  const { languages, language } = window.navigator;
+  return languages && languages.length ? languages : [language].filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Language preference saved across sessions ("auto" follows the browser).
+ * Returns { preference, i18n, setPreference }, where `i18n` is
+ * createI18n() for the chosen locale. The page's lang and dir attributes
+ * follow it, so right-to-left languages are laid out that way.
+ */
+export function useLocale() {
+  const [preference, setPreferenceState] = useState(() => loadLocalePreference());
+  const [languages, setLanguages] = useState(browserLanguages);
+  const locale = resolveLocale(preference, languages);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+
+  useEffect(() => {
+    const update = () => setLanguages(browserLanguages());
+    window.addEventListener("languagechange", update);
+    return () => window.removeEventListener("languagechange", update);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
+
+  const setPreference = useCallback(next => {
+    saveLocalePreference(next);
+    setPreferenceState(next);
+  }, []);
+
+  return { preference, i18n, setPreference };
+}
@@ -0,0 +1,80 @@
+import { useLayoutEffect, useMemo, useRef, useState } from "react";
+import { completeLink, linkQuery, suggestTitles } from "./wikiLinks";
+
+const CARET_KEYS = ["ArrowLeft", "ArrowRight", "Home", "End", "PageUp", "PageDown"];
+
+// PUBLIC_INTERFACE
+/**
+ * Title suggestions for [[links]] typed into a textarea. Wire the returned
+ * `textareaProps` into the textarea (alongside its own value and ref) and
+ * call `accept(title)` when a suggestion is picked with the mouse (on
+ * mousedown, so the textarea keeps focus). ↑/↓ move through the
+ * list, Enter or Tab accept, Escape closes it.
+ * Returns { suggestions, active, accept, textareaProps }.
+ */
+export function useLinkAutocomplete({ textareaRef, value, onChange, titles }) {
+  const [open, setOpen] = useState(null); // { start, query }
+  const [active, setActive] = useState(0);
+  const pendingCaret = useRef(null);
+
+  const suggestions = useMemo(() => (open ? suggestTitles(titles, open.query) : []), [open, titles]);
+
+  // Put the caret after an accepted link once the new value is rendered
+  useLayoutEffect(() => {
+    if (pendingCaret.current === null || !textareaRef.current) return;
+    textareaRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+    pendingCaret.current = null;
+  });
+
+  function update(el) {
+    const next = linkQuery(el.value, el.selectionStart);
+    if (!next || !open || open.query !== next.query) setActive(0);
+    setOpen(next);
+  }
+
+  function accept(title) {
+    const el = textareaRef.current;
+    const result = completeLink(value, el ? el.selectionStart : value.length, title);
+    pendingCaret.current = result.caret;
+    onChange(result.text);
+    setOpen(null);
+    if (el) el.focus();
+  }
+
+  function onKeyDown(e) {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive(index => (index + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      accept(suggestions[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      setOpen(null);
+    }
+  }
+
+  const listId = "link-suggestions";
+  return {
+    suggestions,
+    active,
+    accept,
+    listId,
+    textareaProps: {
+      onChange: e => {
+        onChange(e.target.value);
+        update(e.target);
+      },
+      onKeyDown,
+      onKeyUp: e => CARET_KEYS.includes(e.key) && update(e.target),
+      onClick: e => update(e.target),
+      onBlur: () => setOpen(null),
+      "aria-autocomplete": "list",
+      "aria-controls": suggestions.length ? listId : undefined,
+      "aria-activedescendant": suggestions.length ? `${listId}-${active}` : undefined
+    }
+  };
+}
@@ -0,0 +1,119 @@
+import { parseMarkdown } from "../markdown/parser";
+import { fuzzyFilter } from "../shortcuts/fuzzy";
+
+// [[Note title]] links between notes. A link names its target by title
+// (matched case-insensitively, ignoring extra spaces) and may carry its own
+// text after a pipe: [[Note title|shown text]].
+
+// PUBLIC_INTERFACE
+export function normalizeTitle(title) {
+  return String(title || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Map of normalized title → note for resolving links. When several notes
+ * share a title, the oldest one wins so links don't jump around.
+ */
+export function createTitleIndex(notes) {
+  const index = new Map();
+  [...notes]
+    .sort((a, b) => (Date.parse(a.createdAt) || 0) - (Date.parse(b.createdAt) || 0))
+    .forEach(note => {
+      const key = normalizeTitle(note.title);
+      if (key && !index.has(key)) index.set(key, note);
+    });
+  return index;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The note a link target refers to, or null.
+ */
+export function resolveLink(index, target) {
+  return index.get(normalizeTitle(target)) || null;
+}
+
+function collectTargets(nodes, targets) {
+  nodes.forEach(node => {
+    if (node.type === "wikilink") targets.push(node.target);
+    if (node.children) collectTargets(node.children, targets);
+    if (node.header) node.header.forEach(cell => collectTargets(cell, targets));
+    if (node.rows) node.rows.forEach(row => row.forEach(cell => collectTargets(cell, targets)));
+    if (node.items) node.items.forEach(item => collectTargets(item.children, targets));
+  });
+  return targets;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The link targets in markdown `content`, in order (code is skipped).
+ */
+export function linksIn(content) {
+  return collectTargets(parseMarkdown(content), []);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Notes (other than `note` itself) whose content links to `note`, resolved
+ * through `index`.
+ */
+export function findBacklinks(notes, note, index) {
+  return notes.filter(
+    other => other.id !== note.id && linksIn(other.content).some(target => resolveLink(index, target) === note)
+  );
+}
+
+// Code spans and fenced blocks are left alone when rewriting links.
+const CODE = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/;
+const LINK = /\[\[([^[\]|\n]+)(\|[^[\]\n]+)?\]\]/g;
+
+// PUBLIC_INTERFACE
+/**
+ * `content` with links to title `from` pointing at `to` instead. Shown text
+ * after a pipe is kept; a bare link gets the new title.
+ */
+export function renameLinks(content, from, to) {
+  const key = normalizeTitle(from);
+  return String(content || "")
+    .split(CODE)
+    .map((part, i) =>
+      i % 2 ? part : part.replace(LINK, (link, target, label) => (normalizeTitle(target) === key ? `[[${to}${label || ""}]]` : link))
+    )
+    .join("");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The unfinished link being typed just before `caret` ("[[Meet" → { start,
+ * query: "Meet" }), or null when the caret isn't inside one.
+ */
+export function linkQuery(text, caret) {
+  const m = text.slice(0, caret).match(/\[\[([^[\]|\n]*)$/);
+  return m ? { start: caret - m[1].length, query: m[1] } : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Finish the link being typed at `caret` with `title`. Returns the new text
+ * and the caret position after the closing brackets.
+ */
+export function completeLink(text, caret, title) {
+  const open = linkQuery(text, caret);
+  if (!open) return { text, caret };
+  // Swallow the rest of a link that is already there ("[[Mee|]]" → "[[Meeting]]")
+  const rest = text.slice(caret).match(/^[^[\]|\n]*(\|[^[\]\n]*)?\]\]/);
+  const after = rest ? text.slice(caret + rest[0].length) : text.slice(caret);
+  const link = `${title}${rest && rest[1] ? rest[1] : ""}]]`;
+  return { text: text.slice(0, open.start) + link + after, caret: open.start + link.length };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Titles for the autocomplete list, best match first.
+ */
+export function suggestTitles(titles, query, limit = 8) {
+  return fuzzyFilter(titles, query, title => title)
+    .slice(0, limit)
+    .map(result => result.item);
+}
@@ -0,0 +1,54 @@
+import {
+  completeLink,
+  createTitleIndex,
+  findBacklinks,
+  linkQuery,
+  linksIn,
+  renameLinks,
+  resolveLink,
+  suggestTitles
+} from "./wikiLinks";
+
+const note = (id, title, content = "", createdAt = "2024-01-01T00:00:00.000Z") => ({ id, title, content, createdAt });
+
+test("links resolve by title, ignoring case and spacing, oldest note first", () => {
+  const older = note("a", "Meeting  Notes", "", "2024-01-01T00:00:00.000Z");
+  const newer = note("b", "meeting notes", "", "2024-02-01T00:00:00.000Z");
+  const index = createTitleIndex([newer, older]);
+  expect(resolveLink(index, " meeting notes ")).toBe(older);
+  expect(resolveLink(index, "Missing")).toBeNull();
+});
+
+test("linksIn finds links outside code, with or without shown text", () => {
+  const content = "See [[Plan]] and [[Budget|the budget]].\n\n- [[In a list]]\n\n`[[not code]]`\n\n```\n[[nor this]]\n```";
+  expect(linksIn(content)).toEqual(["Plan", "Budget", "In a list"]);
+  expect(linksIn("[[ ]] and [[]]")).toEqual([]);
+});
+
+test("findBacklinks lists the other notes linking to a note", () => {
+  const target = note("t", "Target", "[[Target]] links to itself");
+  const notes = [target, note("x", "X", "about [[target]]"), note("y", "Y", "nothing"), note("z", "Z", "[[Target|alias]]")];
+  const index = createTitleIndex(notes);
+  expect(findBacklinks(notes, target, index).map(n => n.id)).toEqual(["x", "z"]);
+});
+
+test("renameLinks rewrites links to the old title and keeps shown text and code", () => {
+  const content = "[[Old]] [[old|alias]] [[Older]] `[[Old]]`\n```\n[[Old]]\n```";
+  expect(renameLinks(content, "Old", "New")).toBe("[[New]] [[New|alias]] [[Older]] `[[Old]]`\n```\n[[Old]]\n```");
+});
+
+test("linkQuery and completeLink handle the link being typed", () => {
+  expect(linkQuery("see [[Mee", 9)).toEqual({ start: 6, query: "Mee" });
+  expect(linkQuery("see [[Done]] x", 14)).toBeNull();
+  expect(linkQuery("[[a\nb", 5)).toBeNull();
+
+  expect(completeLink("see [[Mee", 9, "Meeting notes")).toEqual({ text: "see [[Meeting notes]]", caret: 21 });
+  expect(completeLink("[[Mee]] after", 5, "Meeting")).toEqual({ text: "[[Meeting]] after", caret: 11 });
+  expect(completeLink("[[Me|shown]]", 4, "Meeting")).toEqual({ text: "[[Meeting|shown]]", caret: 17 });
+  expect(completeLink("no link", 3, "X")).toEqual({ text: "no link", caret: 3 });
+});
+
+test("suggestTitles ranks fuzzy matches and limits the list", () => {
+  expect(suggestTitles(["Budget", "Meeting notes", "Main menu"], "mn")).toEqual(["Main menu", "Meeting notes"]);
+  expect(suggestTitles(["a", "b", "c"], "", 2)).toEqual(["a", "b"]);
+});
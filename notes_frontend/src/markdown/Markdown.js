@@ -0,0 +1,224 @@
+import React from "react";
+import { parseMarkdown, sanitizeUrl } from "./parser";
+import { ATTACHMENT_SCHEME } from "../attachments/attachments";
+
+// undefined for ordinary URLs; for attachment: URLs the attachment, or null when it is missing
+function attachmentFor(url, options) {
+  if (!url || !url.startsWith(ATTACHMENT_SCHEME)) return undefined;
+  const { resolve } = options.attachments || {};
+  return (resolve && resolve(url.slice(ATTACHMENT_SCHEME.length))) || null;
+}
+
+function renderInline(nodes, options, keyPrefix = "") {
+  const { t } = options.i18n;
+  return nodes.map((node, i) => {
+    const key = keyPrefix + i;
+    switch (node.type) {
+      case "code":
+        return <code key={key}>{node.value}</code>;
+      case "strong":
+        return <strong key={key}>{renderInline(node.children, options, key + ".")}</strong>;
+      case "em":
+        return <em key={key}>{renderInline(node.children, options, key + ".")}</em>;
+      case "del":
+        return <del key={key}>{renderInline(node.children, options, key + ".")}</del>;
+      case "break":
+        return <br key={key} />;
+      case "wikilink": {
+        const { resolve, open } = options.wikiLinks || {};
+        const target = resolve ? resolve(node.target) : null;
+        if (!open) {
+          return (
+            <span key={key} className={"Markdown-wikilink" + (resolve && !target ? " Markdown-wikilink--missing" : "")}>
+              {node.label}
+            </span>
+          );
+        }
+        if (!target) {
+          return (
+            <button
+              key={key}
+              type="button"
+              className="Markdown-wikilink Markdown-wikilink--missing"
+              onClick={() => open(node.target)}
+              title={t("markdown.missingLink", { title: node.target })}
+              data-testid="wikilink-missing"
+            >
+              {node.label}
+            </button>
+          );
+        }
+        return (
+          <a
+            key={key}
+            className="Markdown-wikilink"
+            href={target.href}
+            onClick={e => {
+              if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return; // let the browser open a new tab
+              e.preventDefault();
+              open(node.target);
+            }}
+            data-testid="wikilink"
+          >
+            {node.label}
+          </a>
+        );
+      }
+      case "image": {
+        const attachment = attachmentFor(node.src, options);
+        const src = attachment === undefined ? sanitizeUrl(node.src) : attachment && attachment.url;
+        if (!src) {
+          return (
+            <span key={key} className="Markdown-missing" title={attachment === null ? t("markdown.missingAttachment") : undefined}>
+              🖼 {node.alt || t("markdown.image")}
+            </span>
+          );
+        }
+        return <img key={key} className="Markdown-image" src={src} alt={node.alt} title={node.title || undefined} loading="lazy" />;
+      }
+      case "link": {
+        const children = renderInline(node.children, options, key + ".");
+        const attachment = attachmentFor(node.href, options);
+        if (attachment !== undefined) {
+          if (!attachment || !attachment.url) {
+            return (
+              <span key={key} className="Markdown-missing" title={t("markdown.missingAttachment")}>
+                {children}
+              </span>
+            );
+          }
+          return (
+            <a key={key} className="Markdown-attachment" href={attachment.url} download={attachment.name}>
+              {children}
+            </a>
+          );
+        }
+        const href = sanitizeUrl(node.href);
+        if (!href) return <span key={key}>{children}</span>;
+        const external = /^(https?:)?\/\//i.test(href);
+        return (
+          <a
+            key={key}
+            href={href}
+            title={node.title || undefined}
+            target={external ? "_blank" : undefined}
+            rel={external ? "noopener noreferrer" : undefined}
+          >
+            {children}
+          </a>
+        );
+      }
+      default:
+        return <React.Fragment key={key}>{node.value}</React.Fragment>;
+    }
+  });
+}
+
+function renderBlocks(blocks, options, keyPrefix = "", tight = false) {
+  return blocks.map((block, i) => {
+    const key = keyPrefix + i;
+    switch (block.type) {
+      case "heading": {
+        const Tag = `h${block.level}`;
+        return <Tag key={key}>{renderInline(block.children, options, key + ".")}</Tag>;
+      }
+      case "paragraph":
+        return tight ? (
+          <React.Fragment key={key}>{renderInline(block.children, options, key + ".")}</React.Fragment>
+        ) : (
+          <p key={key}>{renderInline(block.children, options, key + ".")}</p>
+        );
+      case "code":
+        return (
+          <pre key={key}>
+            <code className={block.lang ? `language-${block.lang}` : undefined}>{block.value}</code>
+          </pre>
+        );
+      case "hr":
+        return <hr key={key} />;
+      case "blockquote":
+        return <blockquote key={key}>{renderBlocks(block.children, options, key + ".")}</blockquote>;
+      case "table":
+        return (
+          <div className="Markdown-table" key={key}>
+            <table>
+              <thead>
+                <tr>
+                  {block.header.map((cell, c) => (
+                    <th key={c} style={block.align[c] ? { textAlign: block.align[c] } : undefined}>
+                      {renderInline(cell, options, `${key}.h${c}.`)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, r) => (
+                  <tr key={r}>
+                    {row.map((cell, c) => (
+                      <td key={c} style={block.align[c] ? { textAlign: block.align[c] } : undefined}>
+                        {renderInline(cell, options, `${key}.${r}.${c}.`)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case "list": {
+        const Tag = block.ordered ? "ol" : "ul";
+        const isTaskList = block.items.some(item => item.task);
+        return (
+          <Tag
+            key={key}
+            start={block.ordered && block.start !== 1 ? block.start : undefined}
+            className={isTaskList ? "Markdown-tasklist" : undefined}
+          >
+            {block.items.map((item, n) => (
+              <li key={n} className={item.task ? "Markdown-task" : undefined}>
+                {item.task && (
+                  <input
+                    type="checkbox"
+                    checked={item.task.checked}
+                    disabled={!options.onToggleTask}
+                    onChange={() => options.onToggleTask(item.task.line)}
+                    onClick={e => e.stopPropagation()}
+                    aria-label={options.i18n.t(item.task.checked ? "markdown.taskUndone" : "markdown.taskDone")}
+                    data-testid={`task-checkbox-${item.task.line}`}
+                  />
+                )}
+                {renderBlocks(item.children, options, `${key}.${n}.`, true)}
+              </li>
+            ))}
+          </Tag>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Render markdown note content as React elements. Raw HTML is never
+ * interpreted and link targets are restricted to safe schemes.
+ * When `onToggleTask(line)` is given, task-list checkboxes are clickable and
+ * report the 0-based source line of the task that was toggled.
+ * `wikiLinks` ({ resolve(target) → { href } | null, open?(target) }) turns
+ * [[Note title]] links into links to other notes; without `open` they are
+ * shown but not clickable.
+ * `attachments` ({ resolve(id) → { url, name } | null }) supplies the files
+ * behind attachment:<id> images and links. `i18n` gives the language of the
+ * labels and hints around the content.
+ */
+function Markdown({ source, onToggleTask, wikiLinks, attachments, i18n, className = "", ...rest }) {
+  const blocks = React.useMemo(() => parseMarkdown(source), [source]);
+  return (
+    <div className={`Markdown ${className}`.trim()} {...rest}>
+      {renderBlocks(blocks, { onToggleTask, wikiLinks, attachments, i18n })}
+    </div>
+  );
+}
+
+export default Markdown;
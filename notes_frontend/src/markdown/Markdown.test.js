@@ -0,0 +1,156 @@
+import React from "react";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Markdown from "./Markdown";
+import { parseMarkdown, toggleTask, sanitizeUrl } from "./parser";
+import { createI18n } from "../i18n/i18n";
+
+const i18n = createI18n("en");
+
+describe("parseMarkdown", () => {
+  test("parses headings, paragraphs, fenced code and rules", () => {
+    expect(parseMarkdown("# Title\n\nSome *text*\n\n```js\nconst a = 1;\n```\n---")).toEqual([
+      { type: "heading", level: 1, children: [{ type: "text", value: "Title" }] },
+      {
+        type: "paragraph",
+        children: [
+          { type: "text", value: "Some " },
+          { type: "em", children: [{ type: "text", value: "text" }] }
+        ]
+      },
+      { type: "code", lang: "js", value: "const a = 1;" },
+      { type: "hr" }
+    ]);
+  });
+
+  test("nests lists and records the source line of task items", () => {
+    const [list] = parseMarkdown("- [ ] one\n  - [x] nested\n- plain");
+    expect(list.items[0].task).toEqual({ checked: false, line: 0 });
+    expect(list.items[0].children[1].items[0].task).toEqual({ checked: true, line: 1 });
+    expect(list.items[1].task).toBeNull();
+  });
+
+  test("parses tables with column alignment", () => {
+    const [table] = parseMarkdown("| a | b |\n|:--|--:|\n| 1 | 2 |");
+    expect(table.type).toBe("table");
+    expect(table.align).toEqual(["left", "right"]);
+    expect(table.rows).toEqual([[[{ type: "text", value: "1" }], [{ type: "text", value: "2" }]]]);
+  });
+
+  test("leaves snake_case identifiers alone", () => {
+    expect(parseMarkdown("call my_func_name now")[0].children).toEqual([
+      { type: "text", value: "call my_func_name now" }
+    ]);
+  });
+
+  test("parses [[wiki links]] with optional shown text", () => {
+    expect(parseMarkdown("see [[ Plan ]] or [[Plan|it]], not \\[[this]] or `[[code]]`")[0].children).toEqual([
+      { type: "text", value: "see " },
+      { type: "wikilink", target: "Plan", label: "Plan" },
+      { type: "text", value: " or " },
+      { type: "wikilink", target: "Plan", label: "it" },
+      { type: "text", value: ", not [[this]] or " },
+      { type: "code", value: "[[code]]" }
+    ]);
+  });
+});
+
+describe("toggleTask", () => {
+  test("flips only the checkbox on the given line", () => {
+    const source = "- [ ] a\n- [x] b\n> 1. [ ] quoted";
+    expect(toggleTask(source, 0)).toBe("- [x] a\n- [x] b\n> 1. [ ] quoted");
+    expect(toggleTask(source, 1)).toBe("- [ ] a\n- [ ] b\n> 1. [ ] quoted");
+    expect(toggleTask(source, 2)).toBe("- [ ] a\n- [x] b\n> 1. [x] quoted");
+    expect(toggleTask("plain line", 0)).toBe("plain line");
+  });
+});
+
+describe("sanitizeUrl", () => {
+  test("allows web, mail, anchor and relative links", () => {
+    ["https://a.io", "http://a.io", "mailto:x@y.z", "#top", "/notes/1", "docs/readme.md"].forEach(url =>
+      expect(sanitizeUrl(url)).toBe(url)
+    );
+  });
+
+  test("rejects script and data URLs, even when obfuscated", () => {
+    ["javascript:alert(1)", " JaVaScRiPt:alert(1)", "java\tscript:alert(1)", "data:text/html,x", "vbscript:x"].forEach(url =>
+      expect(sanitizeUrl(url)).toBeNull()
+    );
+  });
+});
+
+describe("<Markdown i18n={i18n} />", () => {
+  test("renders markdown as elements and never as raw HTML", () => {
+    const { container } = render(
+      <Markdown i18n={i18n} source={'## Hi\n\n<img src=x onerror="alert(1)">\n\n[bad](javascript:alert(1)) [good](https://example.com)'} />
+    );
+    expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("Hi");
+    expect(container.querySelector("img")).toBeNull();
+    expect(container).toHaveTextContent('<img src=x onerror="alert(1)">');
+    expect(screen.getByText("bad").closest("a")).toBeNull();
+    expect(screen.getByRole("link", { name: "good" })).toHaveAttribute("href", "https://example.com");
+    expect(screen.getByRole("link", { name: "good" })).toHaveAttribute("rel", "noopener noreferrer");
+  });
+
+  test("task checkboxes are read-only unless a toggle handler is given", async () => {
+    const onToggleTask = jest.fn();
+    const user = userEvent.setup();
+    const { rerender } = render(<Markdown i18n={i18n} source={"- [ ] a\n- [x] b"} />);
+    expect(screen.getAllByRole("checkbox")[0]).toBeDisabled();
+
+    rerender(<Markdown i18n={i18n} source={"- [ ] a\n- [x] b"} onToggleTask={onToggleTask} />);
+    const [first, second] = screen.getAllByRole("checkbox");
+    expect(first).not.toBeChecked();
+    expect(second).toBeChecked();
+    await user.click(second);
+    expect(onToggleTask).toHaveBeenCalledWith(1);
+  });
+
+  test("renders tables", () => {
+    render(<Markdown i18n={i18n} source={"| Name | Qty |\n|---|--:|\n| Milk | 2 |"} />);
+    const table = screen.getByRole("table");
+    expect(within(table).getAllByRole("columnheader").map(th => th.textContent)).toEqual(["Name", "Qty"]);
+    expect(within(table).getByRole("cell", { name: "2" })).toHaveStyle({ textAlign: "right" });
+  });
+
+  test("renders [[wiki links]] as note links, or create buttons when the note is missing", async () => {
+    const open = jest.fn();
+    const resolve = target => (target === "Plan" ? { href: "/notes/p1" } : null);
+    const user = userEvent.setup();
+    const { rerender } = render(<Markdown i18n={i18n} source="[[Plan|the plan]] and [[Budget]]" wikiLinks={{ resolve, open }} />);
+
+    const link = screen.getByTestId("wikilink");
+    expect(link).toHaveTextContent("the plan");
+    expect(link).toHaveAttribute("href", "/notes/p1");
+    await user.click(link);
+    expect(open).toHaveBeenCalledWith("Plan");
+    await user.click(screen.getByTestId("wikilink-missing"));
+    expect(open).toHaveBeenCalledWith("Budget");
+
+    rerender(<Markdown i18n={i18n} source="[[Plan]]" wikiLinks={{ resolve }} />);
+    expect(screen.queryByRole("link")).toBeNull();
+    expect(screen.getByText("Plan")).toHaveClass("Markdown-wikilink");
+  });
+
+  test("renders images, attachment images and attachment downloads", () => {
+    const resolve = id => (id === "att_1" ? { url: "blob:shot", name: "shot.png" } : null);
+    render(
+      <Markdown
+        i18n={i18n}
+        source={"![logo](https://a.io/logo.png \"Logo\") ![bad](javascript:x)\n![shot](attachment:att_1) ![gone](attachment:att_9)\n[📎 shot](attachment:att_1)"}
+        attachments={{ resolve }}
+      />
+    );
+    const images = screen.getAllByRole("img");
+    expect(images.map(img => [img.getAttribute("alt"), img.getAttribute("src")])).toEqual([
+      ["logo", "https://a.io/logo.png"],
+      ["shot", "blob:shot"]
+    ]);
+    expect(images[0]).toHaveAttribute("title", "Logo");
+    expect(screen.getByText("🖼 bad")).toHaveClass("Markdown-missing");
+    expect(screen.getByText("🖼 gone")).toHaveAttribute("title", "Attachment not found");
+    const download = screen.getByRole("link", { name: "📎 shot" });
+    expect(download).toHaveAttribute("href", "blob:shot");
+    expect(download).toHaveAttribute("download", "shot.png");
+  });
+});
@@ -0,0 +1,333 @@
+// A small markdown parser producing a plain AST that the Markdown component
+// renders with React elements, so note content never reaches innerHTML.
+//
+// Blocks:  heading, paragraph, code, list (with task items), blockquote, hr, table
+// Inline:  text, code, strong, em, del, link, break
+//
+// Task items carry the source line they came from so a checkbox click can be
+// written back with toggleTask().
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(.*)$/;
+const TASK_RE = /^\[([ xX])\](?:\s+|$)(.*)$/;
+const TABLE_DELIMITER_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+}
+
+function stripIndent(line, count) {
+  let i = 0;
+  let width = 0;
+  while (i < line.length && width < count && (line[i] === " " || line[i] === "\t")) {
+    width += line[i] === "\t" ? 4 : 1;
+    i++;
+  }
+  return line.slice(i);
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes("|") && i + 1 < lines.length && TABLE_DELIMITER_RE.test(lines[i + 1]) && lines[i + 1].includes("-");
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return (
+    FENCE_RE.test(line) ||
+    HEADING_RE.test(line) ||
+    HR_RE.test(line) ||
+    QUOTE_RE.test(line) ||
+    LIST_ITEM_RE.test(line) ||
+    isTableStart(lines, i)
+  );
+}
+
+function splitRow(line) {
+  const cells = [];
+  let current = "";
+  let trimmed = line.trim().replace(/^\|/, "");
+  if (trimmed.endsWith("|") && !trimmed.endsWith("\\|")) trimmed = trimmed.slice(0, -1);
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === "\\" && trimmed[i + 1] === "|") {
+      current += "|";
+      i++;
+    } else if (trimmed[i] === "|") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += trimmed[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function parseTable(lines, i) {
+  const header = splitRow(lines[i]);
+  const align = splitRow(lines[i + 1]).map(cell => {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    return left && right ? "center" : right ? "right" : left ? "left" : null;
+  });
+  const rows = [];
+  let j = i + 2;
+  while (j < lines.length && lines[j].trim() && lines[j].includes("|")) {
+    const cells = splitRow(lines[j]);
+    rows.push(header.map((_, k) => parseInline(cells[k] || "")));
+    j++;
+  }
+  return {
+    node: { type: "table", align: header.map((_, k) => align[k] || null), header: header.map(cell => parseInline(cell)), rows },
+    next: j
+  };
+}
+
+function parseList(lines, i, base) {
+  const first = lines[i].match(LIST_ITEM_RE);
+  const indent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const list = { type: "list", ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] };
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM_RE);
+    if (!match || indentOf(match[1]) !== indent || /\d/.test(match[2]) !== ordered) break;
+
+    const contentIndent = indent + match[2].length + Math.min(match[3].length, 4);
+    const startLine = i;
+    const itemLines = [match[4]];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        // A blank line only continues the item if indented content follows.
+        let k = i;
+        while (k < lines.length && !lines[k].trim()) k++;
+        if (k >= lines.length || indentOf(lines[k]) < contentIndent) break;
+        itemLines.push("");
+        i++;
+        continue;
+      }
+      const lineIndent = indentOf(line);
+      if (lineIndent <= indent) break;
+      itemLines.push(stripIndent(line, Math.min(lineIndent, contentIndent)));
+      i++;
+    }
+
+    let task = null;
+    const taskMatch = itemLines[0].match(TASK_RE);
+    if (taskMatch) {
+      task = { checked: taskMatch[1] !== " ", line: base + startLine };
+      itemLines[0] = taskMatch[2];
+    }
+    list.items.push({ task, children: parseBlocks(itemLines, base + startLine) });
+
+    // Blank lines between sibling items.
+    let k = i;
+    while (k < lines.length && !lines[k].trim()) k++;
+    const sibling = k < lines.length && lines[k].match(LIST_ITEM_RE);
+    if (k > i && sibling && indentOf(sibling[1]) === indent) i = k;
+  }
+  return { node: list, next: i };
+}
+
+function parseBlocks(lines, base) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const body = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: "code", lang: fence[2] || null, value: body.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: "hr" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const start = i;
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE_RE, ""));
+      blocks.push({ type: "blockquote", children: parseBlocks(quoted, base + start) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const { node, next } = parseTable(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    if (LIST_ITEM_RE.test(line)) {
+      const { node, next } = parseList(lines, i, base);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) paragraph.push(lines[i++].trim());
+    blocks.push({ type: "paragraph", children: parseInline(paragraph.join("\n")) });
+  }
+  return blocks;
+}
+
+// --- Inline ---
+
+const INLINE_RULES = [
+  {
+    re: /^\\([\\`*_{}[\]()#+\-.!|~>])/,
+    node: m => ({ type: "text", value: m[1] })
+  },
+  {
+    re: /^(`+)([\s\S]*?[^`])\1(?!`)/,
+    node: m => ({ type: "code", value: m[2].trim() })
+  },
+  {
+    re: /^!\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s()<>]*)>?(?:\s+"([^"]*)")?\s*\)/,
+    node: m => ({ type: "image", src: m[2], alt: m[1].replace(/\\(.)/g, "$1"), title: m[3] || null })
+  },
+  {
+    // [[Note title]] or [[Note title|shown text]]
+    re: /^\[\[[^\S\n]*([^[\]|\s][^[\]|\n]*)(?:\|([^[\]\n]+))?\]\]/,
+    node: m => ({ type: "wikilink", target: m[1].trim(), label: (m[2] || m[1]).trim() })
+  },
+  {
+    re: /^\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s()<>]*(?:\([^\s()<>]*\))?[^\s()<>]*)>?(?:\s+"([^"]*)")?\s*\)/,
+    node: m => ({ type: "link", href: m[2], title: m[3] || null, children: parseInline(m[1]) })
+  },
+  {
+    re: /^<(https?:\/\/[^\s>]+|mailto:[^\s>]+)>/,
+    node: m => ({ type: "link", href: m[1], title: null, children: [{ type: "text", value: m[1].replace(/^mailto:/, "") }] })
+  },
+  {
+    re: /^https?:\/\/[^\s<]*[^\s<.,:;"')\]]/,
+    node: m => ({ type: "link", href: m[0], title: null, children: [{ type: "text", value: m[0] }] })
+  },
+  {
+    re: /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/,
+    node: m => ({ type: "strong", children: parseInline(m[2]) })
+  },
+  {
+    re: /^~~(?=\S)([\s\S]*?\S)~~/,
+    node: m => ({ type: "del", children: parseInline(m[1]) })
+  },
+  {
+    re: /^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/,
+    node: m => ({ type: "em", children: parseInline(m[1]) })
+  },
+  {
+    re: /^_(?=[^\s_])([\s\S]*?[^\s_])_(?![A-Za-z0-9_])/,
+    node: m => ({ type: "em", children: parseInline(m[1]) }),
+    // Intra-word underscores (snake_case) stay literal.
+    when: prev => !/[A-Za-z0-9]/.test(prev)
+  },
+  {
+    re: /^\n/,
+    node: () => ({ type: "break" })
+  }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a run of inline markdown into inline nodes.
+ */
+export function parseInline(source) {
+  const nodes = [];
+  let text = "";
+  let i = 0;
+  const flush = () => {
+    if (text) nodes.push({ type: "text", value: text });
+    text = "";
+  };
+
+  outer: while (i < source.length) {
+    const rest = source.slice(i);
+    const prev = i > 0 ? source[i - 1] : "";
+    for (const rule of INLINE_RULES) {
+      if (rule.when && !rule.when(prev)) continue;
+      const m = rest.match(rule.re);
+      if (m) {
+        const node = rule.node(m);
+        if (node.type === "text") {
+          text += node.value;
+        } else {
+          flush();
+          nodes.push(node);
+        }
+        i += m[0].length;
+        continue outer;
+      }
+    }
+    text += source[i];
+    i++;
+  }
+  flush();
+  return nodes;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse markdown source into a list of block nodes.
+ */
+export function parseMarkdown(source) {
+  return parseBlocks((source || "").replace(/\r\n?/g, "\n").split("\n"), 0);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Flip the task checkbox on the given (0-based) source line and return the
+ * new source. Lines without a task marker are returned unchanged.
+ */
+export function toggleTask(source, line) {
+  const lines = source.split("\n");
+  if (line < 0 || line >= lines.length) return source;
+  lines[line] = lines[line].replace(
+    /^((?:\s*>)*\s*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])\]/,
+    (_, prefix, mark) => `${prefix}${mark === " " ? "x" : " "}]`
+  );
+  return lines.join("\n");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Only allow link targets that cannot run script: http(s), mailto, in-page
+ * anchors and relative paths. Returns null for anything else.
+ */
+export function sanitizeUrl(url) {
+  const value = (url || "").trim();
+  // Drop whitespace and control characters, which browsers ignore inside a
+  // scheme ("java\tscript:").
+  const normalized = Array.from(value)
+    .filter(ch => ch.charCodeAt(0) > 0x20 && ch.charCodeAt(0) !== 0x7f)
+    .join("")
+    .toLowerCase();
+  if (/^(https?:|mailto:)/.test(normalized)) return value;
+  if (/^[a-z][a-z0-9+.-]*:/.test(normalized)) return null;
+  return value;
+}
@@ -0,0 +1,18 @@
+// Per-note flags, stored as optional booleans on the note: `pinned` keeps a
+// note at the top of the list, `favorite` lists it under Favorites and
+// `archived` hides it from everything but the Archive.
+
+// PUBLIC_INTERFACE
+export function isPinned(note) {
+  return Boolean(note.pinned);
+}
+
+// PUBLIC_INTERFACE
+export function isFavorite(note) {
+  return Boolean(note.favorite);
+}
+
+// PUBLIC_INTERFACE
+export function isArchived(note) {
+  return Boolean(note.archived);
+}
@@ -0,0 +1,21 @@
+// Multi-selection in the note list: { ids, anchor }. Ctrl/⌘-click (or the
+// checkbox) toggles one note; Shift-click selects the run from the anchor,
+// the note last toggled, to the clicked one, as file managers do.
+
+export const EMPTY_SELECTION = { ids: [], anchor: null };
+
+// PUBLIC_INTERFACE
+/**
+ * The selection after clicking note `id` in the list `orderedIds`.
+ * range: Shift was held; add: keep what was selected (Ctrl/⌘ with Shift).
+ */
+export function clickSelection(selection, orderedIds, id, { range = false, add = false } = {}) {
+  const from = orderedIds.indexOf(selection.anchor);
+  const to = orderedIds.indexOf(id);
+  if (range && from !== -1 && to !== -1) {
+    const run = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    return { ids: add ? [...new Set([...selection.ids, ...run])] : run, anchor: selection.anchor };
+  }
+  const ids = selection.ids.includes(id) ? selection.ids.filter(other => other !== id) : [...selection.ids, id];
+  return { ids, anchor: id };
+}
@@ -0,0 +1,23 @@
+import { EMPTY_SELECTION, clickSelection } from "./selection";
+
+const ids = ["a", "b", "c", "d", "e"];
+
+test("clicks toggle single notes and move the anchor", () => {
+  let selection = clickSelection(EMPTY_SELECTION, ids, "b");
+  expect(selection).toEqual({ ids: ["b"], anchor: "b" });
+  selection = clickSelection(selection, ids, "d");
+  expect(selection).toEqual({ ids: ["b", "d"], anchor: "d" });
+  expect(clickSelection(selection, ids, "b")).toEqual({ ids: ["d"], anchor: "b" });
+});
+
+test("shift-clicks select the run from the anchor, in either direction", () => {
+  const start = { ids: ["a", "d"], anchor: "d" };
+  expect(clickSelection(start, ids, "b", { range: true })).toEqual({ ids: ["b", "c", "d"], anchor: "d" });
+  expect(clickSelection(start, ids, "e", { range: true })).toEqual({ ids: ["d", "e"], anchor: "d" });
+  expect(clickSelection(start, ids, "b", { range: true, add: true }).ids).toEqual(["a", "d", "b", "c"]);
+});
+
+test("without a usable anchor a shift-click just toggles", () => {
+  expect(clickSelection(EMPTY_SELECTION, ids, "c", { range: true })).toEqual({ ids: ["c"], anchor: "c" });
+  expect(clickSelection({ ids: [], anchor: "gone" }, ids, "c", { range: true })).toEqual({ ids: ["c"], anchor: "c" });
+});
@@ -0,0 +1,89 @@
+import { isPinned } from "./flags";
+import { loadPreference, savePreference } from "../storage/preferences";
+
+// Orderings for the note list. Pinned notes always come first. The manual
+// order uses an optional `position` number on each note; notes that have
+// never been placed come before placed ones, newest first.
+
+export const SORT_ORDERS = [
+  { id: "updated", label: "Last updated" },
+  { id: "created", label: "Date created" },
+  { id: "title", label: "Title A–Z" },
+  { id: "manual", label: "Manual" }
+];
+
+const STORAGE_KEY = "note-organizer:sort";
+const DEFAULT_ORDER = "updated";
+const POSITION_STEP = 1024;
+const isKnown = id => SORT_ORDERS.some(order => order.id === id);
+
+const time = value => Date.parse(value) || 0;
+const hasPosition = note => typeof note.position === "number" && Number.isFinite(note.position);
+const byCreated = (a, b) => time(b.createdAt) - time(a.createdAt);
+
+const COMPARE = {
+  updated: (a, b) => time(b.updatedAt) - time(a.updatedAt),
+  created: byCreated,
+  title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: "base", numeric: true }),
+  manual: (a, b) => {
+    if (hasPosition(a) && hasPosition(b)) return a.position - b.position;
+    if (hasPosition(a) !== hasPosition(b)) return hasPosition(a) ? 1 : -1;
+    return byCreated(a, b);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The saved sort order, or "updated" when there is none.
+ */
+export function loadSortOrder(storage) {
+  return loadPreference(STORAGE_KEY, isKnown, DEFAULT_ORDER, storage);
+}
+
+// PUBLIC_INTERFACE
+export function saveSortOrder(order, storage) {
+  savePreference(STORAGE_KEY, order, DEFAULT_ORDER, storage);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A sorted copy of `notes`: pinned first, then by `order`.
+ */
+export function sortNotes(notes, order = DEFAULT_ORDER) {
+  const compare = COMPARE[order] || COMPARE[DEFAULT_ORDER];
+  return [...notes].sort((a, b) => isPinned(b) - isPinned(a) || compare(a, b));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Move note `id` to `toIndex` in `list` (a manually sorted list). Notes stay
+ * within their group, pinned or not. Returns the position updates this needs,
+ * [{ note, position }]: usually just the moved note, placed between its new
+ * neighbours, or the whole list renumbered when there is no room.
+ */
+export function moveNote(list, id, toIndex) {
+  const from = list.findIndex(note => note.id === id);
+  if (from === -1) return [];
+  const moved = list[from];
+  const group = list.map((note, i) => (isPinned(note) === isPinned(moved) ? i : -1)).filter(i => i !== -1);
+  const to = Math.max(group[0], Math.min(group[group.length - 1], toIndex));
+  if (to === from) return [];
+
+  const order = list.filter(note => note.id !== id);
+  order.splice(to, 0, moved);
+  const before = order[to - 1];
+  const after = order[to + 1];
+  let position = null;
+  if (before && after && hasPosition(before) && hasPosition(after) && after.position - before.position > 1e-6) {
+    position = (before.position + after.position) / 2;
+  } else if (!before && after && hasPosition(after)) {
+    position = after.position - POSITION_STEP;
+  } else if (before && !after && hasPosition(before)) {
+    position = before.position + POSITION_STEP;
+  }
+  if (position !== null) return [{ note: moved, position }];
+
+  return order
+    .map((note, i) => ({ note, position: (i + 1) * POSITION_STEP }))
+    .filter(({ note, position }) => note.position !== position);
+}
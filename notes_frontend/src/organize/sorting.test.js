@@ -0,0 +1,71 @@
+import { loadSortOrder, moveNote, saveSortOrder, sortNotes } from "./sorting";
+
+const note = (id, fields = {}) => ({
+  id,
+  title: id,
+  createdAt: "2024-01-01T00:00:00.000Z",
+  updatedAt: "2024-01-01T00:00:00.000Z",
+  ...fields
+});
+const ids = list => list.map(n => n.id);
+
+test("sortNotes orders by each field with pinned notes first, without touching the input", () => {
+  const notes = [
+    note("b", { createdAt: "2024-01-03T00:00:00.000Z", updatedAt: "2024-01-04T00:00:00.000Z" }),
+    note("a", { createdAt: "2024-01-05T00:00:00.000Z", updatedAt: "2024-01-02T00:00:00.000Z" }),
+    note("Note 10", { updatedAt: "2024-01-03T00:00:00.000Z" }),
+    note("note 9", { pinned: true })
+  ];
+  const copy = [...notes];
+  expect(ids(sortNotes(notes, "updated"))).toEqual(["note 9", "b", "Note 10", "a"]);
+  expect(ids(sortNotes(notes, "created"))).toEqual(["note 9", "a", "b", "Note 10"]);
+  expect(ids(sortNotes(notes, "title"))).toEqual(["note 9", "a", "b", "Note 10"]);
+  expect(ids(sortNotes(notes, "bogus"))).toEqual(ids(sortNotes(notes, "updated")));
+  expect(notes).toEqual(copy);
+});
+
+test("manual order puts unplaced notes first, newest first, then by position", () => {
+  const notes = [
+    note("placed2", { position: 2048 }),
+    note("placed1", { position: 1024 }),
+    note("old"),
+    note("new", { createdAt: "2024-02-01T00:00:00.000Z" })
+  ];
+  expect(ids(sortNotes(notes, "manual"))).toEqual(["new", "old", "placed1", "placed2"]);
+});
+
+test("moveNote places a note between its neighbours with one update", () => {
+  const list = [note("a", { position: 1024 }), note("b", { position: 2048 }), note("c", { position: 3072 })];
+  expect(moveNote(list, "c", 1)).toEqual([{ note: list[2], position: 1536 }]);
+  expect(moveNote(list, "c", 0)).toEqual([{ note: list[2], position: 0 }]);
+  expect(moveNote(list, "a", 2)).toEqual([{ note: list[0], position: 4096 }]);
+  expect(moveNote(list, "b", 1)).toEqual([]);
+  expect(moveNote(list, "missing", 0)).toEqual([]);
+});
+
+test("moveNote renumbers the list when notes have no positions yet", () => {
+  const list = [note("a"), note("b", { position: 2048 }), note("c")];
+  const changes = moveNote(list, "c", 0);
+  expect(changes.map(({ note, position }) => [note.id, position])).toEqual([
+    ["c", 1024],
+    ["a", 2048],
+    ["b", 3072]
+  ]);
+});
+
+test("moveNote keeps notes within their pinned or unpinned group", () => {
+  const list = [note("p", { pinned: true, position: 1024 }), note("a", { position: 2048 }), note("b", { position: 3072 })];
+  expect(moveNote(list, "b", 0)).toEqual([{ note: list[2], position: 1536 }]);
+  expect(moveNote(list, "p", 2)).toEqual([]);
+});
+
+test("the sort order is remembered, with the default stored as nothing", () => {
+  window.localStorage.clear();
+  expect(loadSortOrder()).toBe("updated");
+  saveSortOrder("title");
+  expect(loadSortOrder()).toBe("title");
+  saveSortOrder("updated");
+  expect(window.localStorage.getItem("note-organizer:sort")).toBeNull();
+  window.localStorage.setItem("note-organizer:sort", "nonsense");
+  expect(loadSortOrder()).toBe("updated");
+});
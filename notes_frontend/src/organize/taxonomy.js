@@ -0,0 +1,126 @@
+import { isArchived, isFavorite } from "./flags";
+import { isTrashed } from "./trash";
+import { isOverdue, isUpcoming } from "../reminders/reminders";
+
+// Tags (many per note) and notebooks (at most one per note).
+// Notes store them as `tags: string[]` and `notebook: string | null`;
+// both fields are optional so notes saved before they existed still work.
+
+// PUBLIC_INTERFACE
+/**
+ * Turn user input ("work, #urgent, Work") into a clean tag list:
+ * trimmed, without leading "#", de-duplicated case-insensitively.
+ */
+export function parseTags(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  const seen = new Set();
+  const tags = [];
+  list.forEach(raw => {
+    const tag = String(raw).trim().replace(/^#+/, "").trim();
+    const key = tag.toLowerCase();
+    if (tag && !seen.has(key)) {
+      seen.add(key);
+      tags.push(tag);
+    }
+  });
+  return tags;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize a notebook name; empty input means "no notebook" (null).
+ */
+export function parseNotebook(input) {
+  const name = String(input || "").trim();
+  return name || null;
+}
+
+export function tagsOf(note) {
+  return Array.isArray(note.tags) ? note.tags : [];
+}
+
+export function notebookOf(note) {
+  return note.notebook || null;
+}
+
+// Entries that only differ by `normalize` are merged under the first spelling seen.
+function countBy(notes, keysOf, normalize = key => key) {
+  const counts = new Map();
+  notes.forEach(note =>
+    keysOf(note).forEach(name => {
+      const key = normalize(name);
+      const entry = counts.get(key) || { name, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    })
+  );
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * All notebooks in use, with the number of notes in each, sorted by name.
+ */
+export function collectNotebooks(notes) {
+  return countBy(notes, note => (notebookOf(note) ? [notebookOf(note)] : []));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * All tags in use, with the number of notes carrying each, sorted by name.
+ */
+export function collectTags(notes) {
+  return countBy(notes, tagsOf, tag => tag.toLowerCase());
+}
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// PUBLIC_INTERFACE
+/**
+ * Does the note pass the sidebar filter? Trashed notes only pass the trash
+ * filter, archived ones only the archive filter. Upcoming and overdue are
+ * judged against `now` (ms).
+ * filter: { type: "all" } | { type: "notebook", value } | { type: "tag", value }
+ *   | { type: "favorites" } | { type: "upcoming" } | { type: "overdue" }
+ *   | { type: "archive" } | { type: "trash" }
+ */
+export function matchesFilter(note, filter, now = Date.now()) {
+  if (filter && filter.type === "trash") return isTrashed(note);
+  if (isTrashed(note)) return false;
+  if (filter && filter.type === "archive") return isArchived(note);
+  if (isArchived(note)) return false;
+  if (!filter || filter.type === "all") return true;
+  if (filter.type === "favorites") return isFavorite(note);
+  if (filter.type === "upcoming") return isUpcoming(note, now);
+  if (filter.type === "overdue") return isOverdue(note, now);
+  if (filter.type === "notebook") return notebookOf(note) === filter.value;
+  if (filter.type === "tag") return tagsOf(note).some(tag => sameTag(tag, filter.value));
+  return true;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Field changes that rename (or, with `to` null, remove) a tag or notebook on
+ * one note, or null when the note doesn't use it.
+ * kind: "tag" | "notebook"
+ */
+export function relabel(note, kind, from, to) {
+  if (kind === "notebook") {
+    if (notebookOf(note) !== from) return null;
+    return { notebook: parseNotebook(to) };
+  }
+  const tags = tagsOf(note);
+  if (!tags.some(tag => sameTag(tag, from))) return null;
+  const next = to ? tags.map(tag => (sameTag(tag, from) ? to : tag)) : tags.filter(tag => !sameTag(tag, from));
+  return { tags: parseTags(next) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Field changes that add `tag` to one note, or null when it already has it.
+ */
+export function withTag(note, tag) {
+  const tags = tagsOf(note);
+  if (tags.some(existing => sameTag(existing, tag))) return null;
+  return { tags: parseTags([...tags, tag]) };
+}
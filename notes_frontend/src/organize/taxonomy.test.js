@@ -0,0 +1,72 @@
+import { collectNotebooks, collectTags, matchesFilter, parseTags, parseNotebook, relabel, withTag } from "./taxonomy";
+
+const note = (tags, notebook = null) => ({ id: Math.random().toString(36), tags, notebook });
+
+test("parseTags trims, strips '#' and drops duplicates case-insensitively", () => {
+  expect(parseTags(" work, #urgent ,, Work, ideas ")).toEqual(["work", "urgent", "ideas"]);
+  expect(parseTags(["a", "A", " b "])).toEqual(["a", "b"]);
+  expect(parseTags("")).toEqual([]);
+});
+
+test("parseNotebook treats blank input as no notebook", () => {
+  expect(parseNotebook("  Projects ")).toBe("Projects");
+  expect(parseNotebook("  ")).toBeNull();
+});
+
+test("collects notebooks and tags with counts, tolerating notes without them", () => {
+  const notes = [note(["b", "a"], "Work"), note(["A"], "Home"), note(undefined, "Work"), { id: "old" }];
+  expect(collectNotebooks(notes)).toEqual([
+    { name: "Home", count: 1 },
+    { name: "Work", count: 2 }
+  ]);
+  expect(collectTags(notes)).toEqual([
+    { name: "a", count: 2 },
+    { name: "b", count: 1 }
+  ]);
+});
+
+test("matchesFilter checks notebook and tag membership", () => {
+  const n = note(["Urgent"], "Work");
+  expect(matchesFilter(n, { type: "all" })).toBe(true);
+  expect(matchesFilter(n, { type: "notebook", value: "Work" })).toBe(true);
+  expect(matchesFilter(n, { type: "notebook", value: "Home" })).toBe(false);
+  expect(matchesFilter(n, { type: "tag", value: "urgent" })).toBe(true);
+  expect(matchesFilter({ id: "old" }, { type: "tag", value: "urgent" })).toBe(false);
+});
+
+test("matchesFilter keeps trashed notes out of every view but the Trash", () => {
+  const trashed = { ...note(["urgent"], "Work"), deletedAt: "2024-01-01T00:00:00.000Z" };
+  expect(matchesFilter(trashed, { type: "all" })).toBe(false);
+  expect(matchesFilter(trashed, { type: "tag", value: "urgent" })).toBe(false);
+  expect(matchesFilter(trashed, { type: "trash" })).toBe(true);
+  expect(matchesFilter(note([]), { type: "trash" })).toBe(false);
+});
+
+test("matchesFilter shows archived notes only in the Archive and favorites under Favorites", () => {
+  const archived = { ...note([], "Work"), archived: true, favorite: true };
+  const favorite = { ...note([]), favorite: true };
+  expect(matchesFilter(archived, { type: "all" })).toBe(false);
+  expect(matchesFilter(archived, { type: "notebook", value: "Work" })).toBe(false);
+  expect(matchesFilter(archived, { type: "favorites" })).toBe(false);
+  expect(matchesFilter(archived, { type: "archive" })).toBe(true);
+  expect(matchesFilter({ ...archived, deletedAt: "2024-01-01T00:00:00.000Z" }, { type: "archive" })).toBe(false);
+  expect(matchesFilter(favorite, { type: "favorites" })).toBe(true);
+  expect(matchesFilter(note([]), { type: "favorites" })).toBe(false);
+});
+
+test("relabel renames or removes a tag or notebook on a note", () => {
+  const n = note(["draft", "urgent"], "Work");
+  expect(relabel(n, "tag", "Draft", "final")).toEqual({ tags: ["final", "urgent"] });
+  expect(relabel(n, "tag", "draft", "urgent")).toEqual({ tags: ["urgent"] });
+  expect(relabel(n, "tag", "draft", null)).toEqual({ tags: ["urgent"] });
+  expect(relabel(n, "tag", "missing", "x")).toBeNull();
+  expect(relabel(n, "notebook", "Work", "Job")).toEqual({ notebook: "Job" });
+  expect(relabel(n, "notebook", "Work", null)).toEqual({ notebook: null });
+  expect(relabel(n, "notebook", "Home", "Job")).toBeNull();
+});
+
+test("withTag adds a tag unless the note already has it", () => {
+  expect(withTag(note(["draft"]), "urgent")).toEqual({ tags: ["draft", "urgent"] });
+  expect(withTag(note(["Draft"]), "draft")).toBeNull();
+  expect(withTag({}, "x")).toEqual({ tags: ["x"] });
+});
@@ -0,0 +1,39 @@
+// Deleted notes are moved to the Trash by setting `deletedAt` (ISO string).
+// They stay there for the policy's retention period and are then purged.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Default trash policy; override with REACT_APP_TRASH_RETENTION_DAYS or the
+ * `trashPolicy` prop on App. A value of 0 keeps trashed notes forever.
+ */
+export function createTrashPolicy(env = process.env) {
+  const value = env.REACT_APP_TRASH_RETENTION_DAYS;
+  return { retentionDays: value === undefined || value === "" || Number.isNaN(Number(value)) ? 30 : Number(value) };
+}
+
+// PUBLIC_INTERFACE
+export function isTrashed(note) {
+  return Boolean(note.deletedAt);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * When a trashed note will be purged (a Date), or null if it never is.
+ */
+export function purgeDate(note, policy) {
+  if (!isTrashed(note) || !(policy.retentionDays > 0)) return null;
+  return new Date(new Date(note.deletedAt).getTime() + policy.retentionDays * DAY_MS);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Trashed notes whose retention period is over.
+ */
+export function expiredTrash(notes, policy, now = Date.now()) {
+  return notes.filter(note => {
+    const date = purgeDate(note, policy);
+    return date !== null && date.getTime() <= now;
+  });
+}
@@ -0,0 +1,81 @@
+// Registration of the service worker (src/service-worker.js, built to
+// /service-worker.js). A new version installs in the background and then
+// waits; the app offers to reload into it instead of switching mid-session.
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000; // long-lived tabs look for a new version hourly
+
+function defaultContainer() {
+  return (window.navigator && window.navigator.serviceWorker) || null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The app's service worker: register(onUpdate) and applyUpdate().
+ *
+ * register() registers the worker once the page has loaded and calls
+ * `onUpdate()` whenever a new version is installed and waiting (not on the
+ * very first install). It returns a function that stops listening.
+ * applyUpdate() tells the waiting version to take over and reloads the page
+ * into it. Registration only happens in production builds, where react-scripts
+ * builds the worker; elsewhere, and in browsers without service workers, both
+ * do nothing (applyUpdate() just reloads).
+ */
+export function createServiceWorkerClient({
+  container = defaultContainer(),
+  url = `${process.env.PUBLIC_URL}/service-worker.js`,
+  enabled = process.env.NODE_ENV === "production",
+  reload = () => window.location.reload()
+} = {}) {
+  let registration = null;
+
+  return {
+    register(onUpdate) {
+      if (!enabled || !container) return () => {};
+      let active = true;
+      let timer = null;
+      const reportWaiting = () => {
+        // Without a controller this is the first install, not an update
+        if (active && registration.waiting && container.controller) onUpdate();
+      };
+
+      const start = () => {
+        container
+          .register(url)
+          .then(reg => {
+            if (!active) return;
+            registration = reg;
+            reportWaiting();
+            reg.addEventListener("updatefound", () => {
+              const worker = reg.installing;
+              if (!worker) return;
+              worker.addEventListener("statechange", () => {
+                if (worker.state === "installed") reportWaiting();
+              });
+            });
+            timer = window.setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+          })
+          .catch(() => {
+            // offline support is an extra; the app works without it
+          });
+      };
+
+      if (document.readyState === "complete") start();
+      else window.addEventListener("load", start, { once: true });
+      return () => {
+        active = false;
+        window.removeEventListener("load", start);
+        window.clearInterval(timer);
+      };
+    },
+
+    applyUpdate() {
+      const waiting = registration && registration.waiting;
+      if (!waiting) {
+        reload();
+        return;
+      }
+      container.addEventListener("controllerchange", () => reload(), { once: true });
+      waiting.postMessage({ type: "SKIP_WAITING" });
+    }
+  };
+}
@@ -0,0 +1,81 @@
+import { createServiceWorkerClient } from "./serviceWorker";
+
+// Just enough of ServiceWorkerContainer / Registration / ServiceWorker.
+class FakeTarget extends window.EventTarget {
+  emit(type) {
+    this.dispatchEvent(new window.Event(type));
+  }
+}
+
+function fakeWorker(state = "installing") {
+  const worker = new FakeTarget();
+  worker.state = state;
+  worker.postMessage = jest.fn();
+  return worker;
+}
+
+function fakeContainer({ controller = {}, waiting = null } = {}) {
+  const container = new FakeTarget();
+  const registration = new FakeTarget();
+  registration.waiting = waiting;
+  registration.installing = null;
+  registration.update = jest.fn(() => Promise.resolve());
+  container.controller = controller;
+  container.register = jest.fn(() => Promise.resolve(registration));
+  return { container, registration };
+}
+
+const settle = () => new Promise(resolve => window.setTimeout(resolve, 0));
+
+describe("createServiceWorkerClient", () => {
+  test("Reports a new version once it has installed, but not the first install", async () => {
+    const { container, registration } = fakeContainer({ controller: null });
+    const onUpdate = jest.fn();
+    createServiceWorkerClient({ container, enabled: true, url: "/sw.js" }).register(onUpdate);
+    await settle();
+    expect(container.register).toHaveBeenCalledWith("/sw.js");
+
+    const first = fakeWorker();
+    registration.installing = first;
+    registration.emit("updatefound");
+    first.state = "installed";
+    registration.waiting = first;
+    first.emit("statechange");
+    expect(onUpdate).not.toHaveBeenCalled();
+
+    container.controller = {};
+    const next = fakeWorker();
+    registration.installing = next;
+    registration.emit("updatefound");
+    next.state = "installed";
+    registration.waiting = next;
+    next.emit("statechange");
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test("A version already waiting on load is reported; applying it hands over and reloads", async () => {
+    const waiting = fakeWorker("installed");
+    const { container } = fakeContainer({ waiting });
+    const reload = jest.fn();
+    const onUpdate = jest.fn();
+    const client = createServiceWorkerClient({ container, enabled: true, reload });
+    client.register(onUpdate);
+    await settle();
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+
+    client.applyUpdate();
+    expect(waiting.postMessage).toHaveBeenCalledWith({ type: "SKIP_WAITING" });
+    expect(reload).not.toHaveBeenCalled();
+    container.emit("controllerchange");
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+
+  test("Does nothing outside production builds or without service workers", async () => {
+    const { container } = fakeContainer();
+    const stop = createServiceWorkerClient({ container, enabled: false }).register(jest.fn());
+    createServiceWorkerClient({ container: null, enabled: true }).register(jest.fn());
+    await settle();
+    expect(container.register).not.toHaveBeenCalled();
+    expect(stop).not.toThrow();
+  });
+});
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadPreference, savePreference } from "../storage/preferences";
+
+const INSTALL_DISMISSED_KEY = "note-organizer:install-dismissed";
+
+const installDismissed = () => loadPreference(INSTALL_DISMISSED_KEY, saved => saved === "1", null) === "1";
+
+// PUBLIC_INTERFACE
+/**
+ * Update and install state of the app (see createServiceWorkerClient).
+ *
+ * updateReady:  a new version is waiting; applyUpdate() reloads into it
+ *               and dismissUpdate() hides the offer until the next one
+ * canInstall:   the browser offered to install the app (beforeinstallprompt)
+ *               and it wasn't turned down before; install() shows the
+ *               browser's prompt and dismissInstall() stops offering
+ */
+export function usePwa(serviceWorker) {
+  const [updateReady, setUpdateReady] = useState(false);
+  const [installEvent, setInstallEvent] = useState(null);
+
+  useEffect(() => serviceWorker.register(() => setUpdateReady(true)), [serviceWorker]);
+
+  useEffect(() => {
+    const onPrompt = e => {
+      e.preventDefault(); // offer it in the app instead of the browser's mini-infobar
+      if (!installDismissed()) setInstallEvent(e);
+    };
+    const onInstalled = () => setInstallEvent(null);
+    window.addEventListener("beforeinstallprompt", onPrompt);
+    window.addEventListener("appinstalled", onInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onPrompt);
+      window.removeEventListener("appinstalled", onInstalled);
+    };
+  }, []);
+
+  const install = useCallback(async () => {
+    if (!installEvent) return;
+    setInstallEvent(null); // the prompt can only be shown once
+    installEvent.prompt();
+    try {
+      await installEvent.userChoice;
+    } catch {
+      // the browser closed the prompt
+    }
+  }, [installEvent]);
+
+  const dismissInstall = useCallback(() => {
+    savePreference(INSTALL_DISMISSED_KEY, "1", null); // if it can't be saved, it's asked again next visit
+    setInstallEvent(null);
+  }, []);
+
+  return {
+    updateReady,
+    applyUpdate: useCallback(() => serviceWorker.applyUpdate(), [serviceWorker]),
+    dismissUpdate: useCallback(() => setUpdateReady(false), []),
+    canInstall: Boolean(installEvent),
+    install,
+    dismissInstall
+  };
+}
@@ -0,0 +1,38 @@
+// Every open tab of the app schedules the same reminders, but only one of
+// them should notify. When a reminder comes due, a tab claims it on the tab
+// channel (see createTabChannel) and waits a moment for rival claims: a tab
+// that has already seen someone else's claim backs off at once, and of tabs
+// claiming at the same time the one with the lowest id wins.
+
+const CLAIM_WAIT = 250; // ms; long enough for a message to reach the other tabs
+
+function newTabId() {
+  return `tab_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Reminder claims over `channel`: claim(key) resolves to true if this tab
+ * should handle the reminder `key` (e.g. note id plus remindAt), and close()
+ * stops listening. Without other tabs every claim is won.
+ */
+export function createReminderClaims(channel, { wait = CLAIM_WAIT, tab = newTabId() } = {}) {
+  const claimants = new Map(); // key -> Set of tab ids that claimed it
+
+  const unsubscribe = channel.subscribe(message => {
+    if (!message || message.type !== "reminder-claim" || message.tab === tab) return;
+    if (!claimants.has(message.key)) claimants.set(message.key, new Set());
+    claimants.get(message.key).add(message.tab);
+  });
+
+  return {
+    claim(key) {
+      if (claimants.has(key)) return Promise.resolve(false);
+      channel.post({ type: "reminder-claim", key, tab });
+      return new Promise(resolve =>
+        window.setTimeout(() => resolve([...(claimants.get(key) || [])].every(other => other > tab)), wait)
+      );
+    },
+    close: unsubscribe
+  };
+}
@@ -0,0 +1,45 @@
+// Browser notifications for reminders. Everything degrades to a no-op where
+// the Notification API is missing or permission hasn't been granted; the
+// in-app reminder alert is shown either way.
+
+// PUBLIC_INTERFACE
+/**
+ * "granted" | "denied" | "default" (not asked yet) | "unsupported"
+ */
+export function notificationPermission() {
+  return typeof window.Notification === "function" ? window.Notification.permission : "unsupported";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Ask for permission if it hasn't been asked yet; resolves to the permission.
+ * Browsers only show the prompt in response to a user action.
+ */
+export async function requestNotificationPermission() {
+  if (notificationPermission() !== "default") return notificationPermission();
+  try {
+    return await window.Notification.requestPermission();
+  } catch {
+    return notificationPermission();
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Show a notification; clicking it focuses the app and calls `onClick`.
+ * Returns the notification, or null when it can't be shown.
+ */
+export function showNotification(title, { body, tag, onClick } = {}) {
+  if (notificationPermission() !== "granted") return null;
+  try {
+    const notification = new window.Notification(title, { body, tag });
+    notification.onclick = () => {
+      window.focus();
+      if (onClick) onClick();
+      notification.close();
+    };
+    return notification;
+  } catch {
+    return null; // e.g. mobile browsers that only allow them from a service worker
+  }
+}
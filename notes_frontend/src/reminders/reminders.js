@@ -0,0 +1,127 @@
+import { isArchived } from "../organize/flags";
+import { isTrashed } from "../organize/trash";
+
+// Due dates and reminders, stored as optional fields on the note:
+//   dueAt     ISO time the note is due
+//   reminder  minutes before dueAt to be reminded (0 = at the due time)
+//   remindAt  ISO time the next reminder fires; cleared once it has fired,
+//             moved later by snoozing
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const REMINDER_LEADS = [
+  { minutes: 0, label: "At due time" },
+  { minutes: 10, label: "10 minutes before" },
+  { minutes: 60, label: "1 hour before" },
+  { minutes: 24 * 60, label: "1 day before" }
+];
+
+export const SNOOZE_OPTIONS = [
+  { minutes: 10, label: "10 min" },
+  { minutes: 60, label: "1 hour" },
+  { minutes: 24 * 60, label: "1 day" }
+];
+
+function time(iso) {
+  const ms = iso ? Date.parse(iso) : NaN;
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * When the note is due, in milliseconds, or null without a due date.
+ */
+export function dueTime(note) {
+  return time(note.dueAt);
+}
+
+// PUBLIC_INTERFACE
+export function isOverdue(note, now = Date.now()) {
+  const due = dueTime(note);
+  return due !== null && due <= now;
+}
+
+// PUBLIC_INTERFACE
+export function isUpcoming(note, now = Date.now()) {
+  const due = dueTime(note);
+  return due !== null && due > now;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Sort comparator: soonest due first.
+ */
+export function byDueDate(a, b) {
+  return (dueTime(a) ?? Infinity) - (dueTime(b) ?? Infinity);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The schedule fields for a due date and reminder lead (minutes, or null for
+ * no reminder): { dueAt, reminder, remindAt }.
+ */
+export function scheduleFields(dueAt, reminder) {
+  const due = time(dueAt);
+  if (due === null) return { dueAt: null, reminder: null, remindAt: null };
+  if (reminder === null || reminder === undefined) return { dueAt, reminder: null, remindAt: null };
+  return { dueAt, reminder, remindAt: new Date(due - reminder * MINUTE).toISOString() };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Notes with a reminder still to fire. Archived and trashed notes stay quiet.
+ */
+export function pendingReminders(notes) {
+  return notes.filter(note => time(note.remindAt) !== null && !isTrashed(note) && !isArchived(note));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * ISO time → the "YYYY-MM-DDTHH:MM" local time a datetime-local input shows.
+ */
+export function toLocalInput(iso) {
+  const ms = time(iso);
+  if (ms === null) return "";
+  const date = new Date(ms);
+  const pad = n => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A datetime-local input value → ISO time, or null when empty or invalid.
+ */
+export function fromLocalInput(value) {
+  if (!value) return null;
+  const date = new Date(value); // no zone: read as local time
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "today 14:30", "tomorrow 09:00", "yesterday 18:00" or, further away, the
+ * date and time, in the language of `i18n` (see createI18n).
+ */
+export function formatDue(iso, i18n, now = Date.now()) {
+  const startOf = ms => {
+    const date = new Date(ms);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  };
+  const days = Math.round((startOf(Date.parse(iso)) - startOf(now)) / DAY);
+  if (Math.abs(days) > 1) return i18n.formatDateTime(iso);
+  return i18n.t(`due.day.${days}`, { time: i18n.formatTime(iso) });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * "Due tomorrow 09:00" or "Overdue · due yesterday 18:00"; null without a due date.
+ */
+export function describeDue(note, i18n, now = Date.now()) {
+  if (dueTime(note) === null) return null;
+  const when = formatDue(note.dueAt, i18n, now);
+  return i18n.t(isOverdue(note, now) ? "due.overdue" : "due.due", { when });
+}
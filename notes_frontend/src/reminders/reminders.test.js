@@ -0,0 +1,205 @@
+import {
+  byDueDate,
+  describeDue,
+  fromLocalInput,
+  isOverdue,
+  isUpcoming,
+  pendingReminders,
+  scheduleFields,
+  toLocalInput
+} from "./reminders";
+import { createReminderScheduler } from "./scheduler";
+import { createReminderClaims } from "./claims";
+import { notificationPermission, requestNotificationPermission, showNotification } from "./notifications";
+import { matchesFilter } from "../organize/taxonomy";
+import { createI18n } from "../i18n/i18n";
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse("2024-06-10T12:00:00.000Z");
+const at = offset => new Date(NOW + offset).toISOString();
+
+describe("due dates", () => {
+  test("notes are upcoming or overdue by their due date, soonest first", () => {
+    const later = { id: "later", dueAt: at(60 * MINUTE) };
+    const past = { id: "past", dueAt: at(-MINUTE) };
+    const none = { id: "none" };
+    expect([isUpcoming(later, NOW), isOverdue(later, NOW)]).toEqual([true, false]);
+    expect([isUpcoming(past, NOW), isOverdue(past, NOW)]).toEqual([false, true]);
+    expect([isUpcoming(none, NOW), isOverdue(none, NOW)]).toEqual([false, false]);
+    expect([none, later, past].sort(byDueDate).map(note => note.id)).toEqual(["past", "later", "none"]);
+
+    expect(matchesFilter(later, { type: "upcoming" }, NOW)).toBe(true);
+    expect(matchesFilter(past, { type: "overdue" }, NOW)).toBe(true);
+    expect(matchesFilter({ ...past, archived: true }, { type: "overdue" }, NOW)).toBe(false);
+  });
+
+  test("reminders are scheduled ahead of the due date", () => {
+    expect(scheduleFields(at(0), 10)).toEqual({ dueAt: at(0), reminder: 10, remindAt: at(-10 * MINUTE) });
+    expect(scheduleFields(at(0), null)).toEqual({ dueAt: at(0), reminder: null, remindAt: null });
+    expect(scheduleFields(null, 10)).toEqual({ dueAt: null, reminder: null, remindAt: null });
+  });
+
+  test("datetime-local values round-trip in local time", () => {
+    const iso = fromLocalInput("2024-06-10T09:30");
+    expect(new Date(iso).getHours()).toBe(9);
+    expect(toLocalInput(iso)).toBe("2024-06-10T09:30");
+    expect(fromLocalInput("")).toBeNull();
+    expect(toLocalInput(undefined)).toBe("");
+  });
+
+  test("due dates are described relative to today", () => {
+    const en = createI18n("en");
+    expect(describeDue({ dueAt: at(24 * 60 * MINUTE) }, en, NOW)).toMatch(/^Due tomorrow /);
+    expect(describeDue({ dueAt: at(-24 * 60 * MINUTE) }, en, NOW)).toMatch(/^Overdue · due yesterday /);
+    expect(describeDue({ dueAt: at(10 * 24 * 60 * MINUTE) }, en, NOW)).toBe(`Due ${en.formatDateTime(at(10 * 24 * 60 * MINUTE))}`);
+    expect(describeDue({}, en, NOW)).toBeNull();
+    expect(describeDue({ dueAt: at(24 * 60 * MINUTE) }, createI18n("ar"), NOW)).toMatch(/^مستحقة غدًا /);
+  });
+});
+
+describe("createReminderScheduler", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("fires due reminders at once and later ones on time, each only once", () => {
+    const onFire = jest.fn();
+    const scheduler = createReminderScheduler({ onFire });
+    const notes = [
+      { id: "now", remindAt: at(-MINUTE) },
+      { id: "soon", remindAt: at(5 * MINUTE) },
+      { id: "gone", remindAt: at(MINUTE), deletedAt: at(-MINUTE) },
+      { id: "none" }
+    ];
+    expect(pendingReminders(notes).map(note => note.id)).toEqual(["now", "soon"]);
+
+    scheduler.update(notes);
+    expect(onFire.mock.calls.map(([note]) => note.id)).toEqual(["now"]);
+    jest.advanceTimersByTime(5 * MINUTE - 1);
+    expect(onFire).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(onFire.mock.calls.map(([note]) => note.id)).toEqual(["now", "soon"]);
+
+    // Before the app has cleared remindAt, the same reminder doesn't fire again…
+    scheduler.update(notes);
+    expect(onFire).toHaveBeenCalledTimes(2);
+    // …but a snoozed one does
+    scheduler.update([{ id: "now", remindAt: at(15 * MINUTE) }]);
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(onFire).toHaveBeenCalledTimes(3);
+    scheduler.stop();
+  });
+
+  test("updates replace the schedule and far-off reminders wait in steps", () => {
+    const onFire = jest.fn();
+    const scheduler = createReminderScheduler({ onFire });
+    scheduler.update([{ id: "a", remindAt: at(MINUTE) }]);
+    scheduler.update([{ id: "a", remindAt: at(3 * MINUTE) }]);
+    jest.advanceTimersByTime(2 * MINUTE);
+    expect(onFire).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(MINUTE);
+    expect(onFire).toHaveBeenCalledTimes(1);
+
+    const days = 40 * 24 * 60 * MINUTE; // past setTimeout's ~24.8 day limit
+    scheduler.update([{ id: "b", remindAt: at(days) }]);
+    jest.advanceTimersByTime(30 * 24 * 60 * MINUTE);
+    expect(onFire).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(10 * 24 * 60 * MINUTE);
+    expect(onFire).toHaveBeenCalledTimes(2);
+
+    scheduler.update([{ id: "c", remindAt: new Date(Date.now() + MINUTE).toISOString() }]);
+    scheduler.stop();
+    jest.advanceTimersByTime(2 * MINUTE);
+    expect(onFire).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("createReminderClaims", () => {
+  // Channels that deliver to each other a moment later, like tabs of the app
+  function createTabs(count) {
+    const listeners = Array.from({ length: count }, () => new Set());
+    const deliver = (own, message) =>
+      listeners.forEach(other => other !== own && other.forEach(listener => listener(message)));
+    return listeners.map(own => ({
+      post: message => window.setTimeout(() => deliver(own, message), 10),
+      subscribe(listener) {
+        own.add(listener);
+        return () => own.delete(listener);
+      }
+    }));
+  }
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test("of tabs claiming a reminder together, the one with the lowest id wins", async () => {
+    const [a, b, c] = createTabs(3);
+    const claims = [createReminderClaims(a, { tab: "tab_2" }), createReminderClaims(b, { tab: "tab_1" })];
+    const results = Promise.all(claims.map(claims => claims.claim("n1@2024")));
+    jest.advanceTimersByTime(250);
+    expect(await results).toEqual([false, true]);
+
+    const late = createReminderClaims(c, { tab: "tab_0" });
+    claims.forEach(claims => claims.close());
+    // c has missed the claims above; alone now, it wins the next reminder
+    const next = late.claim("n1@2025");
+    jest.advanceTimersByTime(250);
+    expect(await next).toBe(true);
+  });
+
+  test("a tab that has seen another tab's claim backs off without waiting", async () => {
+    const [a, b] = createTabs(2);
+    const first = createReminderClaims(a, { tab: "tab_9" });
+    const second = createReminderClaims(b, { tab: "tab_1" });
+    const won = first.claim("n1@2024");
+    jest.advanceTimersByTime(10);
+    expect(await second.claim("n1@2024")).toBe(false);
+    jest.advanceTimersByTime(250);
+    expect(await won).toBe(true);
+  });
+});
+
+describe("notifications", () => {
+  afterEach(() => {
+    delete window.Notification;
+  });
+
+  test("do nothing without the Notification API or permission", async () => {
+    expect(notificationPermission()).toBe("unsupported");
+    expect(await requestNotificationPermission()).toBe("unsupported");
+    expect(showNotification("Hi")).toBeNull();
+  });
+
+  test("ask once and show clickable notifications when granted", async () => {
+    const shown = [];
+    window.Notification = jest.fn(function (title, options) {
+      this.title = title;
+      this.options = options;
+      this.close = jest.fn();
+      shown.push(this);
+    });
+    window.Notification.permission = "default";
+    window.Notification.requestPermission = jest.fn(async () => {
+      window.Notification.permission = "granted";
+      return "granted";
+    });
+    window.focus = jest.fn();
+
+    expect(showNotification("Hi")).toBeNull();
+    expect(await requestNotificationPermission()).toBe("granted");
+    expect(await requestNotificationPermission()).toBe("granted");
+    expect(window.Notification.requestPermission).toHaveBeenCalledTimes(1);
+
+    const onClick = jest.fn();
+    showNotification("⏰ Call", { body: "Due today", tag: "reminder-1", onClick });
+    expect(shown[0].options).toEqual({ body: "Due today", tag: "reminder-1" });
+    shown[0].onclick();
+    expect(onClick).toHaveBeenCalled();
+    expect(shown[0].close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+import { pendingReminders } from "./reminders";
+
+// setTimeout fires at once for delays past 2^31-1 ms (~24.8 days), so far-off
+// reminders are approached in steps of at most that long.
+const MAX_DELAY = 2 ** 31 - 1;
+
+const keyOf = note => `${note.id}@${note.remindAt}`;
+
+// PUBLIC_INTERFACE
+/**
+ * Fires `onFire(note)` when a note's `remindAt` comes round. Call
+ * update(notes) whenever the notes change: reminders already due fire right
+ * away, and a single timer waits for the next one. Each reminder (note id
+ * plus remindAt) fires once, even if the note hasn't been updated yet.
+ * `now` is injectable for tests; timers are the window's, so fake timers work.
+ */
+export function createReminderScheduler({ onFire, now = () => Date.now() }) {
+  let waiting = []; // [{ note, at }]
+  let timer = null;
+  const fired = new Set();
+
+  function clear() {
+    if (timer !== null) window.clearTimeout(timer);
+    timer = null;
+  }
+
+  function run() {
+    clear();
+    const current = now();
+    const due = waiting.filter(entry => entry.at <= current);
+    waiting = waiting.filter(entry => entry.at > current);
+    due.forEach(({ note }) => {
+      fired.add(keyOf(note));
+      onFire(note);
+    });
+    if (waiting.length === 0) return;
+    const next = Math.min(...waiting.map(entry => entry.at));
+    timer = window.setTimeout(run, Math.min(next - current, MAX_DELAY));
+  }
+
+  return {
+    update(notes) {
+      waiting = pendingReminders(notes)
+        .filter(note => !fired.has(keyOf(note)))
+        .map(note => ({ note, at: Date.parse(note.remindAt) }));
+      run();
+    },
+    stop() {
+      clear();
+      waiting = [];
+    }
+  };
+}
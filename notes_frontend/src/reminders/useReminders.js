@@ -0,0 +1,30 @@
+import { useEffect, useRef, useState } from "react";
+import { createReminderScheduler } from "./scheduler";
+
+// PUBLIC_INTERFACE
+/**
+ * Calls `onFire(note)` when a reminder on one of `notes` is due (see
+ * createReminderScheduler). The latest `onFire` is always the one used.
+ */
+export function useReminders(notes, onFire) {
+  const fire = useRef(onFire);
+  fire.current = onFire;
+  const [scheduler] = useState(() => createReminderScheduler({ onFire: note => fire.current(note) }));
+
+  useEffect(() => scheduler.update(notes), [scheduler, notes]);
+  useEffect(() => () => scheduler.stop(), [scheduler]);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The current time (ms), refreshed every `interval` ms, for views that
+ * depend on it (e.g. what counts as overdue).
+ */
+export function useNow(interval = 60 * 1000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = window.setInterval(() => setNow(Date.now()), interval);
+    return () => window.clearInterval(timer);
+  }, [interval]);
+  return now;
+}
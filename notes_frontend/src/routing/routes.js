@@ -0,0 +1,68 @@
+// App URLs:
+//   /                  no note selected
+//   /notes/:id         view a note
+//   /notes/:id/edit    edit a note
+//   /new               create a note
+// plus query parameters that work on every page:
+//   ?q=<search>  &notebook=<name> | &tag=<name> | &favorites | &upcoming | &overdue | &archive | &trash
+// and ?launch=new-note, used by the installed app's "New note" shortcut. A
+// launch action is carried out once on start-up and never written back.
+
+const FLAG_FILTERS = ["favorites", "upcoming", "overdue", "archive", "trash"];
+const LAUNCH_ACTIONS = ["new-note"];
+const BASE = (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+
+// PUBLIC_INTERFACE
+/**
+ * Read a location ({ pathname, search }) into a route:
+ * { page: "home" | "note" | "edit" | "new" | "unknown", noteId, q, filter, launch },
+ * where launch is a launch action or null.
+ */
+export function parseLocation({ pathname, search }) {
+  let path = pathname || "/";
+  if (BASE && path.startsWith(BASE)) path = path.slice(BASE.length);
+  const segments = path.split("/").filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  });
+
+  const params = new window.URLSearchParams(search || "");
+  const q = params.get("q") || "";
+  let filter = { type: "all" };
+  const flag = FLAG_FILTERS.find(type => params.has(type));
+  if (flag) filter = { type: flag };
+  else if (params.get("notebook")) filter = { type: "notebook", value: params.get("notebook") };
+  else if (params.get("tag")) filter = { type: "tag", value: params.get("tag") };
+
+  const launch = LAUNCH_ACTIONS.includes(params.get("launch")) ? params.get("launch") : null;
+
+  const route = { page: "unknown", noteId: null, q, filter, launch };
+  if (segments.length === 0) route.page = "home";
+  else if (segments.length === 1 && segments[0] === "new") route.page = "new";
+  else if (segments[0] === "notes" && segments.length === 2) route.page = "note";
+  else if (segments[0] === "notes" && segments.length === 3 && segments[2] === "edit") route.page = "edit";
+  if (route.page === "note" || route.page === "edit") route.noteId = segments[1];
+  return route;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The URL (path and query) for a route; the inverse of parseLocation().
+ */
+export function formatRoute({ page, noteId, q, filter }) {
+  let path = "/";
+  if (page === "new") path = "/new";
+  else if (page === "note") path = `/notes/${encodeURIComponent(noteId)}`;
+  else if (page === "edit") path = `/notes/${encodeURIComponent(noteId)}/edit`;
+
+  const params = [];
+  if (q) params.push(`q=${encodeURIComponent(q)}`);
+  if (filter && FLAG_FILTERS.includes(filter.type)) params.push(filter.type);
+  else if (filter && (filter.type === "notebook" || filter.type === "tag")) {
+    params.push(`${filter.type}=${encodeURIComponent(filter.value)}`);
+  }
+  return BASE + path + (params.length ? `?${params.join("&")}` : "");
+}
@@ -0,0 +1,44 @@
+import { formatRoute, parseLocation } from "./routes";
+
+const parse = url => {
+  const [pathname, search = ""] = url.split("?");
+  return parseLocation({ pathname, search: search ? `?${search}` : "" });
+};
+
+test("paths map to pages", () => {
+  expect(parse("/")).toMatchObject({ page: "home", noteId: null });
+  expect(parse("/new")).toMatchObject({ page: "new" });
+  expect(parse("/notes/note_1")).toMatchObject({ page: "note", noteId: "note_1" });
+  expect(parse("/notes/note_1/edit/")).toMatchObject({ page: "edit", noteId: "note_1" });
+  expect(parse("/notes/a%2Fb")).toMatchObject({ page: "note", noteId: "a/b" });
+  expect(parse("/settings")).toMatchObject({ page: "unknown" });
+  expect(parse("/notes/x/y")).toMatchObject({ page: "unknown" });
+});
+
+test("query parameters carry the search and filter", () => {
+  expect(parse("/?q=trip+plan&tag=work")).toMatchObject({ q: "trip plan", filter: { type: "tag", value: "work" } });
+  expect(parse("/new?notebook=Side%20projects")).toMatchObject({ filter: { type: "notebook", value: "Side projects" } });
+  expect(parse("/?trash")).toMatchObject({ filter: { type: "trash" } });
+  expect(parse("/notes/n1?archive")).toMatchObject({ page: "note", filter: { type: "archive" } });
+  expect(parse("/?favorites")).toMatchObject({ filter: { type: "favorites" } });
+  expect(parse("/")).toMatchObject({ q: "", filter: { type: "all" } });
+});
+
+test("launch actions are recognised but never written back", () => {
+  expect(parse("/?launch=new-note")).toMatchObject({ page: "home", launch: "new-note" });
+  expect(parse("/?launch=format-disk").launch).toBe(null);
+  expect(parse("/").launch).toBe(null);
+  expect(formatRoute(parse("/?launch=new-note&tag=work"))).toBe("/?tag=work");
+});
+
+test("formatRoute is the inverse of parseLocation", () => {
+  [
+    "/",
+    "/new",
+    "/notes/note_1",
+    "/notes/note_1/edit?q=a%20%26%20b",
+    "/notes/a%2Fb?notebook=Work",
+    "/?q=x&trash",
+    "/?favorites"
+  ].forEach(url => expect(formatRoute(parse(url))).toBe(url));
+});
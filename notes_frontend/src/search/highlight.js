@@ -0,0 +1,57 @@
+import { tokenize } from "./tokenize";
+
+// PUBLIC_INTERFACE
+/**
+ * Reduce markdown note content to plain running text for snippets.
+ */
+export function plainText(content) {
+  return String(content || "")
+    .replace(/^ {0,3}(`{3,}|~{3,}).*$/gm, "")
+    .replace(/^\s*(?:>\s*)*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+(?:\[[ xX]\]\s+)?)?/gm, "")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_~`|]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split text into [{ text, match }] segments, marking the words whose
+ * normalized form is in `terms` (a Set from the search results).
+ */
+export function highlightSegments(text, terms) {
+  const segments = [];
+  let last = 0;
+  if (terms && terms.size) {
+    tokenize(text).forEach(({ term, start, end }) => {
+      if (!terms.has(term)) return;
+      if (start > last) segments.push({ text: text.slice(last, start), match: false });
+      segments.push({ text: text.slice(start, end), match: true });
+      last = end;
+    });
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A short excerpt of the note body around its first matching word, as
+ * highlight segments. Falls back to the start of the note when only the
+ * title matched.
+ */
+export function makeSnippet(content, terms, { radius = 40 } = {}) {
+  const text = plainText(content);
+  if (!text) return [];
+  const first = tokenize(text).find(token => terms && terms.has(token.term));
+  let start = first ? Math.max(0, first.start - radius) : 0;
+  let end = first ? Math.min(text.length, first.end + radius * 2) : Math.min(text.length, radius * 3);
+  // Don't cut words in half.
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(" ", end) > start ? text.lastIndexOf(" ", end) : end;
+
+  const segments = highlightSegments(text.slice(start, end), terms);
+  if (start > 0) segments.unshift({ text: "…", match: false });
+  if (end < text.length) segments.push({ text: "…", match: false });
+  return segments;
+}
@@ -0,0 +1,88 @@
+import { terms } from "./tokenize";
+
+const FILTER_RE = /^(tag|notebook|before|after):(.+)$/i;
+
+function parseDay(value) {
+  const m = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a search box query into its parts:
+ *
+ *   banana bread          notes containing both words (typos and prefixes tolerated)
+ *   "exact phrase"        words next to each other, in order
+ *   -word  -"a phrase"    leave out notes containing it
+ *   tag:work              notes tagged "work"
+ *   notebook:Projects     notes in that notebook
+ *   before:2024-05-01     last updated before that day (local time)
+ *   after:2024-05-01      last updated on or after that day
+ *
+ * Returns { terms, phrases, excludedTerms, excludedPhrases, tags, notebooks, before, after }.
+ * Filter values that don't parse (e.g. a bad date) are ignored.
+ */
+export function parseQuery(input) {
+  const query = {
+    terms: [],
+    phrases: [],
+    excludedTerms: [],
+    excludedPhrases: [],
+    tags: [],
+    notebooks: [],
+    before: null,
+    after: null
+  };
+  const source = String(input || "");
+  let i = 0;
+
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+      continue;
+    }
+    const negated = source[i] === "-" && i + 1 < source.length && !/\s/.test(source[i + 1]);
+    if (negated) i++;
+
+    if (source[i] === '"') {
+      const close = source.indexOf('"', i + 1);
+      const end = close === -1 ? source.length : close;
+      const words = terms(source.slice(i + 1, end));
+      i = end + 1;
+      if (words.length === 0) continue;
+      if (words.length === 1) (negated ? query.excludedTerms : query.terms).push(words[0]);
+      else (negated ? query.excludedPhrases : query.phrases).push(words);
+      continue;
+    }
+
+    let end = i;
+    while (end < source.length && !/\s/.test(source[end])) end++;
+    const word = source.slice(i, end);
+    i = end;
+
+    const filter = !negated && word.match(FILTER_RE);
+    if (filter) {
+      const [, key, value] = filter;
+      const name = key.toLowerCase();
+      if (name === "tag") query.tags.push(value.replace(/^#/, ""));
+      else if (name === "notebook") query.notebooks.push(value);
+      else if (parseDay(value)) query[name] = parseDay(value);
+      continue;
+    }
+    const words = terms(word);
+    if (negated) query.excludedTerms.push(...words);
+    else if (words.length > 1) query.phrases.push(words);
+    else query.terms.push(...words);
+  }
+  return query;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True when the query has no text to match, only filters (or nothing at all).
+ */
+export function isFilterOnly(query) {
+  return query.terms.length === 0 && query.phrases.length === 0;
+}
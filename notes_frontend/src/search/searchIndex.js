@@ -0,0 +1,200 @@
+import { terms } from "./tokenize";
+import { parseQuery, isFilterOnly } from "./query";
+import { matchesFilter } from "../organize/taxonomy";
+
+// A title hit outweighs any amount of body hits.
+const TITLE_WEIGHT = 10;
+const PHRASE_BONUS = { title: 5, body: 2 };
+const MATCH_WEIGHT = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+
+function maxTypos(term) {
+  if (term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `limit`.
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      best = Math.min(best, value);
+    }
+    if (best > limit) return limit + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function containsPhrase(tokens, phrase) {
+  outer: for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    for (let k = 0; k < phrase.length; k++) {
+      if (tokens[i + k] !== phrase[k]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+function sameContent(a, b) {
+  return a.updatedAt === b.updatedAt && a.title === b.title && a.content === b.content;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * In-memory inverted index over note titles and bodies.
+ *
+ * Keep it current with add/remove, or sync(notes) after any change: only
+ * notes whose title, content or updatedAt changed are re-indexed.
+ * search(query) understands the syntax documented in parseQuery() and returns
+ * [{ note, score, terms }] best first, where `terms` are the indexed words
+ * that matched (for highlighting).
+ */
+export function createSearchIndex() {
+  const docs = new Map(); // id -> { note, title: string[], body: string[] }
+  const postings = new Map(); // term -> Map<id, { title, body }>
+
+  function unindex(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    new Set([...doc.title, ...doc.body]).forEach(term => {
+      const entries = postings.get(term);
+      entries.delete(id);
+      if (entries.size === 0) postings.delete(term);
+    });
+    docs.delete(id);
+  }
+
+  function add(note) {
+    unindex(note.id);
+    const doc = { note, title: terms(note.title), body: terms(note.content) };
+    docs.set(note.id, doc);
+    const bump = (term, field) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const entries = postings.get(term);
+      const counts = entries.get(note.id) || { title: 0, body: 0 };
+      counts[field]++;
+      entries.set(note.id, counts);
+    };
+    doc.title.forEach(term => bump(term, "title"));
+    doc.body.forEach(term => bump(term, "body"));
+  }
+
+  function sync(notes) {
+    const seen = new Set();
+    notes.forEach(note => {
+      seen.add(note.id);
+      const doc = docs.get(note.id);
+      if (doc && sameContent(doc.note, note)) doc.note = note;
+      else add(note);
+    });
+    [...docs.keys()].forEach(id => {
+      if (!seen.has(id)) unindex(id);
+    });
+  }
+
+  // Index terms a query word stands for, with how closely each matches.
+  function expand(word) {
+    const matches = [];
+    const limit = maxTypos(word);
+    postings.forEach((_, term) => {
+      if (term === word) matches.push({ term, weight: MATCH_WEIGHT.exact });
+      else if (term.startsWith(word)) matches.push({ term, weight: MATCH_WEIGHT.prefix });
+      else if (limit > 0) {
+        const distance = editDistance(word, term, limit);
+        if (distance <= limit) matches.push({ term, weight: MATCH_WEIGHT.fuzzy - 0.1 * (distance - 1) });
+      }
+    });
+    return matches;
+  }
+
+  function passesFilters(note, query) {
+    if (!query.tags.every(tag => matchesFilter(note, { type: "tag", value: tag }))) return false;
+    if (!query.notebooks.every(name => (note.notebook || "").toLowerCase() === name.toLowerCase())) return false;
+    const updated = new Date(note.updatedAt);
+    if (query.before && !(updated < query.before)) return false;
+    if (query.after && !(updated >= query.after)) return false;
+    return true;
+  }
+
+  function search(input) {
+    const query = typeof input === "string" ? parseQuery(input) : input;
+    const total = docs.size || 1;
+    const results = new Map(); // id -> { score, terms: Set }
+    let candidates = null; // ids matching every word so far
+
+    const narrow = ids => {
+      candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+    };
+
+    query.terms.forEach(word => {
+      const hits = new Map(); // id -> { score, terms }
+      expand(word).forEach(({ term, weight }) => {
+        const entries = postings.get(term);
+        const idf = Math.log(1 + total / entries.size);
+        entries.forEach((counts, id) => {
+          const fieldScore = (counts.title ? TITLE_WEIGHT : 0) + (counts.body ? 1 + Math.log(counts.body) : 0);
+          const hit = hits.get(id) || { score: 0, terms: new Set() };
+          hit.score = Math.max(hit.score, weight * fieldScore * idf);
+          hit.terms.add(term);
+          hits.set(id, hit);
+        });
+      });
+      narrow(new Set(hits.keys()));
+      hits.forEach((hit, id) => {
+        const result = results.get(id) || { score: 0, terms: new Set() };
+        result.score += hit.score;
+        hit.terms.forEach(term => result.terms.add(term));
+        results.set(id, result);
+      });
+    });
+
+    query.phrases.forEach(phrase => {
+      const ids = new Set();
+      docs.forEach((doc, id) => {
+        const inTitle = containsPhrase(doc.title, phrase);
+        const inBody = containsPhrase(doc.body, phrase);
+        if (!inTitle && !inBody) return;
+        ids.add(id);
+        const result = results.get(id) || { score: 0, terms: new Set() };
+        result.score += (inTitle ? PHRASE_BONUS.title : 0) + (inBody ? PHRASE_BONUS.body : 0);
+        phrase.forEach(term => result.terms.add(term));
+        results.set(id, result);
+      });
+      narrow(ids);
+    });
+
+    if (isFilterOnly(query)) candidates = new Set(docs.keys());
+
+    return [...candidates]
+      .map(id => ({ note: docs.get(id).note, doc: docs.get(id), ...(results.get(id) || { score: 0, terms: new Set() }) }))
+      .filter(({ note, doc }) => {
+        const words = new Set([...doc.title, ...doc.body]);
+        if (query.excludedTerms.some(term => words.has(term))) return false;
+        if (query.excludedPhrases.some(p => containsPhrase(doc.title, p) || containsPhrase(doc.body, p))) return false;
+        return passesFilters(note, query);
+      })
+      .sort((a, b) => b.score - a.score || new Date(b.note.updatedAt) - new Date(a.note.updatedAt))
+      .map(({ note, score, terms }) => ({ note, score, terms }));
+  }
+
+  return {
+    add,
+    remove: unindex,
+    sync,
+    search,
+    get size() {
+      return docs.size;
+    }
+  };
+}
@@ -0,0 +1,113 @@
+import { createSearchIndex } from "./searchIndex";
+import { parseQuery } from "./query";
+import { highlightSegments, makeSnippet } from "./highlight";
+
+const note = (id, title, content = "", extra = {}) => ({
+  id,
+  title,
+  content,
+  tags: [],
+  notebook: null,
+  createdAt: "2024-01-01T00:00:00.000Z",
+  updatedAt: "2024-01-01T00:00:00.000Z",
+  ...extra
+});
+
+function indexOf(...notes) {
+  const index = createSearchIndex();
+  index.sync(notes);
+  return index;
+}
+
+const ids = results => results.map(r => r.note.id);
+
+describe("parseQuery", () => {
+  test("splits words, phrases, exclusions and filters", () => {
+    const q = parseQuery('Banana "quick brown fox" -draft -"old stuff" tag:#work notebook:Home after:2024-02-01 before:nope');
+    expect(q.terms).toEqual(["banana"]);
+    expect(q.phrases).toEqual([["quick", "brown", "fox"]]);
+    expect(q.excludedTerms).toEqual(["draft"]);
+    expect(q.excludedPhrases).toEqual([["old", "stuff"]]);
+    expect(q.tags).toEqual(["work"]);
+    expect(q.notebooks).toEqual(["Home"]);
+    expect(q.after).toEqual(new Date(2024, 1, 1));
+    expect(q.before).toBeNull();
+  });
+});
+
+describe("createSearchIndex", () => {
+  test("ranks title hits above body hits", () => {
+    const index = indexOf(
+      note("body", "Shopping", "bread bread bread and more bread"),
+      note("title", "Bread recipe", "flour and water")
+    );
+    expect(ids(index.search("bread"))).toEqual(["title", "body"]);
+  });
+
+  test("requires every word and tolerates typos and unfinished words", () => {
+    const index = indexOf(note("a", "Banana bread"), note("b", "Banana split"), note("c", "Café notes"));
+    expect(ids(index.search("banana bread"))).toEqual(["a"]);
+    expect(ids(index.search("bananna"))).toEqual(expect.arrayContaining(["a", "b"]));
+    expect(ids(index.search("ban spl"))).toEqual(["b"]);
+    expect(ids(index.search("cafe"))).toEqual(["c"]);
+    expect(index.search("kiwi")).toEqual([]);
+  });
+
+  test("matches quoted phrases only in order", () => {
+    const index = indexOf(note("a", "Notes", "the quick brown fox"), note("b", "Notes", "brown quick fox"));
+    expect(ids(index.search('"quick brown"'))).toEqual(["a"]);
+  });
+
+  test("excludes words and phrases", () => {
+    const index = indexOf(note("a", "Plan", "draft version"), note("b", "Plan", "final version"));
+    expect(ids(index.search("plan -draft"))).toEqual(["b"]);
+    expect(ids(index.search('plan -"final version"'))).toEqual(["a"]);
+  });
+
+  test("filters by tag, notebook and date, with or without search words", () => {
+    const index = indexOf(
+      note("old", "Report", "", { tags: ["Work"], updatedAt: new Date(2024, 0, 10).toISOString() }),
+      note("new", "Report", "", { tags: ["work"], notebook: "Q1", updatedAt: new Date(2024, 2, 10).toISOString() }),
+      note("home", "Report", "", { tags: ["home"], updatedAt: new Date(2024, 2, 10).toISOString() })
+    );
+    expect(ids(index.search("report tag:work")).sort()).toEqual(["new", "old"]);
+    expect(ids(index.search("tag:work after:2024-02-01"))).toEqual(["new"]);
+    expect(ids(index.search("tag:work before:2024-02-01"))).toEqual(["old"]);
+    expect(ids(index.search("notebook:q1"))).toEqual(["new"]);
+  });
+
+  test("sync re-indexes changed notes and drops removed ones", () => {
+    const first = note("a", "Apples");
+    const index = indexOf(first, note("b", "Pears"));
+    index.sync([{ ...first, title: "Oranges", updatedAt: "2024-02-01T00:00:00.000Z" }]);
+    expect(index.size).toBe(1);
+    expect(index.search("apples")).toEqual([]);
+    expect(ids(index.search("oranges"))).toEqual(["a"]);
+    expect(index.search("pears")).toEqual([]);
+  });
+
+  test("reports the indexed words that matched", () => {
+    const index = indexOf(note("a", "Banana bread"));
+    expect([...index.search("banan")[0].terms]).toEqual(["banana"]);
+  });
+});
+
+describe("highlighting", () => {
+  test("marks matching words, ignoring case and accents", () => {
+    expect(highlightSegments("Visit the Café today", new Set(["cafe"]))).toEqual([
+      { text: "Visit the ", match: false },
+      { text: "Café", match: true },
+      { text: " today", match: false }
+    ]);
+  });
+
+  test("snippets show plain text around the first match", () => {
+    const content = "# Intro\n\n" + "filler words ".repeat(10) + "the **secret** ingredient is love " + "more words ".repeat(10);
+    const segments = makeSnippet(content, new Set(["secret"]), { radius: 20 });
+    const text = segments.map(s => s.text).join("");
+    expect(text.startsWith("…")).toBe(true);
+    expect(text.endsWith("…")).toBe(true);
+    expect(text).not.toMatch(/[#*]/);
+    expect(segments.filter(s => s.match).map(s => s.text)).toEqual(["secret"]);
+  });
+});
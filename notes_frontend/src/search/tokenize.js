@@ -0,0 +1,36 @@
+// Word splitting shared by the index, the query parser and highlighting, so
+// all three agree on what a "term" is: lower-cased letters/digits with
+// diacritics folded ("Café" -> "cafe").
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+const DIACRITICS_RE = /[\u0300-\u036f]/g;
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize one word to its index form.
+ */
+export function normalizeTerm(word) {
+  return word.normalize("NFKD").replace(DIACRITICS_RE, "").toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split text into tokens with their position in the original string:
+ * [{ term, start, end }].
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || "").matchAll(WORD_RE)) {
+    const term = normalizeTerm(match[0]);
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Just the normalized terms of a text, in order.
+ */
+export function terms(text) {
+  return tokenize(text).map(token => token.term);
+}
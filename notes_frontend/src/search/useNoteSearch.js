@@ -0,0 +1,19 @@
+import { useMemo, useRef } from "react";
+import { createSearchIndex } from "./searchIndex";
+
+// PUBLIC_INTERFACE
+/**
+ * Keep a search index in step with `notes` and run `query` against it.
+ * Returns null when the query is blank, otherwise the ranked results
+ * ([{ note, score, terms }]).
+ */
+export function useNoteSearch(notes, query) {
+  const indexRef = useRef(null);
+  if (!indexRef.current) indexRef.current = createSearchIndex();
+
+  return useMemo(() => {
+    // Cheap when nothing changed: only edited notes are re-indexed.
+    indexRef.current.sync(notes);
+    return query.trim() ? indexRef.current.search(query) : null;
+  }, [notes, query]);
+}
@@ -0,0 +1,28 @@
+/* eslint-disable no-restricted-globals */
+// The service worker. react-scripts builds it (Workbox InjectManifest) in
+// production builds only, filling in self.__WB_MANIFEST with the files of the
+// build. They are precached, so the app shell loads offline, and the app's
+// own URLs (/notes/…, /new) are answered with index.html. Notes are not
+// cached here; they live wherever the storage adapter keeps them.
+//
+// A new version waits until a tab asks it to take over (see pwa/serviceWorker),
+// so no tab is switched to new code halfway through.
+
+import { clientsClaim } from "workbox-core";
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { NavigationRoute, registerRoute } from "workbox-routing";
+
+clientsClaim();
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+registerRoute(
+  new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), {
+    // Leave /__ internal URLs and real files (anything with an extension) alone
+    denylist: [/^\/_/, /\/[^/?]+\.[^/]+$/]
+  })
+);
+
+self.addEventListener("message", event => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
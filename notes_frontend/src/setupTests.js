@@ -3,3 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from "util";
+import { webcrypto } from "crypto";
+
+// jsdom has no Web Crypto or TextEncoder; borrow Node's for the vault tests.
+if (!window.TextEncoder) Object.assign(window, { TextEncoder, TextDecoder });
+if (!window.crypto || !window.crypto.subtle) {
+  Object.defineProperty(window, "crypto", { value: webcrypto, configurable: true });
+}
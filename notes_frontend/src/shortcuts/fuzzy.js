@@ -0,0 +1,61 @@
+// Fuzzy matching for the command palette: every character of the query must
+// appear in the text, in order. Consecutive characters and word starts score
+// higher, so "mtn" ranks "Meeting notes" above "main content".
+
+// PUBLIC_INTERFACE
+/**
+ * Match `query` against `text`. Returns { score, indices } (indices are the
+ * matched character positions, for highlighting) or null when it does not match.
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+  const haystack = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    if (char === " ") continue;
+    const at = haystack.indexOf(char, from);
+    if (at === -1) return null;
+    const previous = indices[indices.length - 1];
+    score += 1;
+    if (previous !== undefined && at === previous + 1) score += 3;
+    if (at === 0 || /[\s\-_/.]/.test(haystack[at - 1])) score += 2;
+    indices.push(at);
+    from = at + 1;
+  }
+  // Prefer tighter and earlier matches
+  score -= (indices[indices.length - 1] - indices[0]) * 0.1 + indices[0] * 0.05;
+  return { score, indices };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Items whose `getText(item)` matches `query`, best first:
+ * [{ item, score, indices }]. Ties keep their original order.
+ */
+export function fuzzyFilter(items, query, getText) {
+  return items
+    .map((item, order) => ({ item, order, match: fuzzyMatch(query, getText(item)) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+    .map(({ item, match }) => ({ item, score: match.score, indices: match.indices }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split `text` into [{ text, match }] segments around matched `indices`, in
+ * the shape used by search highlighting.
+ */
+export function fuzzySegments(text, indices) {
+  const matched = new Set(indices);
+  const segments = [];
+  for (let i = 0; i < text.length; i++) {
+    const match = matched.has(i);
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) last.text += text[i];
+    else segments.push({ text: text[i], match });
+  }
+  return segments;
+}
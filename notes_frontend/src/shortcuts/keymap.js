@@ -0,0 +1,126 @@
+// Keyboard shortcuts. A shortcut is written as a combo string such as
+// "Mod+K", "Shift+Delete" or "?": modifiers first (Mod, Alt, Shift), then the
+// key. "Mod" is Ctrl, or Cmd on macOS. Commands marked `inFields` also fire
+// while focus is in a text field; the rest leave typing alone.
+
+import { loadPreference, savePreference } from "../storage/preferences";
+
+export const COMMANDS = [
+  { id: "palette", label: "Open command palette", keys: ["Mod+K"], inFields: true },
+  { id: "help", label: "Show keyboard shortcuts", keys: ["?"] },
+  { id: "newNote", label: "New note", keys: ["N"] },
+  { id: "focusSearch", label: "Search notes", keys: ["/"] },
+  { id: "nextNote", label: "Next note", keys: ["J"] },
+  { id: "previousNote", label: "Previous note", keys: ["K"] },
+  { id: "edit", label: "Edit note", keys: ["E"] },
+  { id: "save", label: "Save note", keys: ["Mod+S"], inFields: true },
+  { id: "delete", label: "Move note to Trash", keys: ["Delete"] },
+  { id: "togglePin", label: "Pin or unpin note", keys: ["P"] },
+  { id: "toggleFavorite", label: "Add to or remove from Favorites", keys: ["F"] },
+  { id: "toggleArchive", label: "Archive or unarchive note", keys: ["A"] },
+  { id: "moveUp", label: "Move note up (manual order)", keys: ["Alt+ArrowUp"] },
+  { id: "moveDown", label: "Move note down (manual order)", keys: ["Alt+ArrowDown"] },
+  { id: "toggleSidebar", label: "Toggle sidebar", keys: ["Mod+\\"], inFields: true },
+  { id: "undo", label: "Undo", keys: ["Mod+Z"] },
+  { id: "redo", label: "Redo", keys: ["Mod+Shift+Z", "Mod+Y"] }
+];
+
+const STORAGE_KEY = "note-organizer:shortcuts";
+const MODIFIER_KEYS = ["Control", "Meta", "Alt", "Shift", "AltGraph", "CapsLock"];
+const KEY_NAMES = { " ": "Space", Esc: "Escape", Del: "Delete", Up: "ArrowUp", Down: "ArrowDown" };
+// Mac keyboards label Backspace "delete" (⌫); what other systems call Delete is ⌦
+const MAC_KEY_LABELS = { Delete: "⌦", Backspace: "⌫" };
+
+// PUBLIC_INTERFACE
+/**
+ * The combo string for a keydown event, or null for a lone modifier key.
+ * Letters are upper-cased; Shift is only written for letters and named keys,
+ * since it is already part of symbols like "?".
+ */
+export function comboFromEvent(e) {
+  if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+  let key = KEY_NAMES[e.key] || e.key;
+  const single = key.length === 1;
+  if (single) key = key.toUpperCase();
+  const letter = single && key !== key.toLowerCase();
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push("Mod");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey && (letter || !single)) parts.push("Shift");
+  parts.push(key);
+  return parts.join("+");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A combo as shown to the user, e.g. "Ctrl+Shift+Z" or "⌘K" on macOS.
+ */
+export function formatCombo(combo, mac = isMac()) {
+  const parts = combo.split("+");
+  const key = parts.pop() || "+"; // "Mod++" ends in an empty part
+  const names = mac ? { Mod: "⌘", Alt: "⌥", Shift: "⇧" } : { Mod: "Ctrl", Alt: "Alt", Shift: "Shift" };
+  const labels = [...parts.filter(Boolean).map(part => names[part]), (mac && MAC_KEY_LABELS[key]) || key];
+  return labels.join(mac ? "" : "+");
+}
+
+function isMac() {
+  return /Mac|iPhone|iPad/.test(window.navigator.platform || "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The default keymap with the user's saved overrides applied:
+ * { [commandId]: [combo, ...] }.
+ */
+export function loadKeymap(storage) {
+  const keymap = defaultKeymap();
+  try {
+    const saved = JSON.parse(loadPreference(STORAGE_KEY, () => true, "{}", storage));
+    Object.keys(saved).forEach(id => {
+      if (id in keymap && Array.isArray(saved[id])) keymap[id] = saved[id].filter(combo => typeof combo === "string");
+    });
+  } catch {
+    // Unreadable overrides are ignored; the defaults apply.
+  }
+  return keymap;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Save the bindings that differ from the defaults.
+ */
+export function saveKeymap(keymap, storage) {
+  const defaults = defaultKeymap();
+  const overrides = {};
+  Object.keys(keymap).forEach(id => {
+    if (keymap[id].join() !== (defaults[id] || []).join()) overrides[id] = keymap[id];
+  });
+  savePreference(STORAGE_KEY, JSON.stringify(overrides), "{}", storage);
+}
+
+// PUBLIC_INTERFACE
+export function defaultKeymap() {
+  return Object.fromEntries(COMMANDS.map(command => [command.id, [...command.keys]]));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The command bound to `combo`, or null. Pass `exceptId` to ignore one
+ * command (the one being remapped).
+ */
+export function commandForCombo(keymap, combo, exceptId) {
+  return COMMANDS.find(command => command.id !== exceptId && (keymap[command.id] || []).includes(combo)) || null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True when the event comes from somewhere the user types: text inputs,
+ * textareas, selects and contenteditable elements.
+ */
+export function isTypingTarget(target) {
+  if (!target || !target.closest) return false;
+  const field = target.closest("input, textarea, select, [contenteditable]");
+  if (!field) return false;
+  if (field.tagName !== "INPUT") return true;
+  return !["button", "checkbox", "radio", "submit", "reset", "file", "range", "color"].includes(field.type);
+}
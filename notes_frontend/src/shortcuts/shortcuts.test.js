@@ -0,0 +1,82 @@
+import { comboFromEvent, commandForCombo, defaultKeymap, formatCombo, isTypingTarget, loadKeymap, saveKeymap } from "./keymap";
+import { fuzzyFilter, fuzzyMatch, fuzzySegments } from "./fuzzy";
+
+const key = (k, modifiers = {}) => ({ key: k, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers });
+
+describe("keymap", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test("comboFromEvent normalizes modifiers and keys", () => {
+    expect(comboFromEvent(key("k", { ctrlKey: true }))).toBe("Mod+K");
+    expect(comboFromEvent(key("k", { metaKey: true }))).toBe("Mod+K");
+    expect(comboFromEvent(key("Z", { ctrlKey: true, shiftKey: true }))).toBe("Mod+Shift+Z");
+    expect(comboFromEvent(key("?", { shiftKey: true }))).toBe("?");
+    expect(comboFromEvent(key("Delete", { shiftKey: true }))).toBe("Shift+Delete");
+    expect(comboFromEvent(key(" "))).toBe("Space");
+    expect(comboFromEvent(key("Shift", { shiftKey: true }))).toBeNull();
+  });
+
+  test("formatCombo shows platform names", () => {
+    expect(formatCombo("Mod+Shift+Z", false)).toBe("Ctrl+Shift+Z");
+    expect(formatCombo("Mod+K", true)).toBe("⌘K");
+    expect(formatCombo("Mod++", false)).toBe("Ctrl++");
+    expect(formatCombo("Delete", true)).toBe("⌦");
+    expect(formatCombo("Backspace", true)).toBe("⌫");
+    expect(formatCombo("Delete", false)).toBe("Delete");
+  });
+
+  test("overrides are saved apart from the defaults and loaded back", () => {
+    const keymap = { ...defaultKeymap(), newNote: ["Alt+N"] };
+    saveKeymap(keymap);
+    expect(JSON.parse(window.localStorage.getItem("note-organizer:shortcuts"))).toEqual({ newNote: ["Alt+N"] });
+    expect(loadKeymap()).toEqual(keymap);
+    expect(commandForCombo(loadKeymap(), "Alt+N").id).toBe("newNote");
+    expect(commandForCombo(loadKeymap(), "N")).toBeNull();
+
+    saveKeymap(defaultKeymap());
+    expect(window.localStorage.getItem("note-organizer:shortcuts")).toBeNull();
+  });
+
+  test("unknown commands and unreadable storage fall back to defaults", () => {
+    window.localStorage.setItem("note-organizer:shortcuts", JSON.stringify({ nope: ["X"], edit: "E" }));
+    expect(loadKeymap()).toEqual(defaultKeymap());
+    window.localStorage.setItem("note-organizer:shortcuts", "{");
+    expect(loadKeymap()).toEqual(defaultKeymap());
+  });
+
+  test("isTypingTarget covers text fields but not buttons or checkboxes", () => {
+    document.body.innerHTML =
+      '<input id="text"><input id="box" type="checkbox"><textarea id="area"></textarea><div contenteditable="true"><b id="rich">x</b></div><button id="btn">ok</button>';
+    const byId = id => document.getElementById(id);
+    expect(isTypingTarget(byId("text"))).toBe(true);
+    expect(isTypingTarget(byId("area"))).toBe(true);
+    expect(isTypingTarget(byId("rich"))).toBe(true);
+    expect(isTypingTarget(byId("box"))).toBe(false);
+    expect(isTypingTarget(byId("btn"))).toBe(false);
+    expect(isTypingTarget(document.body)).toBe(false);
+  });
+});
+
+describe("fuzzy matching", () => {
+  test("characters must appear in order", () => {
+    expect(fuzzyMatch("wlc", "Welcome")).toMatchObject({ indices: [0, 2, 3] });
+    expect(fuzzyMatch("clw", "Welcome")).toBeNull();
+    expect(fuzzyMatch("", "anything")).toEqual({ score: 0, indices: [] });
+  });
+
+  test("word starts and runs rank higher", () => {
+    const items = ["main content", "Meeting notes", "Trip plan"];
+    expect(fuzzyFilter(items, "mtn", item => item).map(result => result.item)).toEqual(["Meeting notes", "main content"]);
+    expect(fuzzyFilter(items, "plan", item => item)[0].item).toBe("Trip plan");
+    expect(fuzzyFilter(items, "", item => item).map(result => result.item)).toEqual(items);
+  });
+
+  test("fuzzySegments marks matched characters", () => {
+    expect(fuzzySegments("Features", [0, 1, 4])).toEqual([
+      { text: "Fe", match: true },
+      { text: "at", match: false },
+      { text: "u", match: true },
+      { text: "res", match: false }
+    ]);
+  });
+});
@@ -0,0 +1,27 @@
+import { useCallback, useState } from "react";
+import { defaultKeymap, loadKeymap, saveKeymap } from "./keymap";
+
+// PUBLIC_INTERFACE
+/**
+ * The keymap saved across sessions. Returns
+ * { keymap, setBinding(commandId, combos), resetKeymap() }.
+ */
+export function useKeymap() {
+  const [keymap, setKeymap] = useState(() => loadKeymap());
+
+  const setBinding = useCallback((id, combos) => {
+    setKeymap(current => {
+      const next = { ...current, [id]: combos };
+      saveKeymap(next);
+      return next;
+    });
+  }, []);
+
+  const resetKeymap = useCallback(() => {
+    const next = defaultKeymap();
+    saveKeymap(next);
+    setKeymap(next);
+  }, []);
+
+  return { keymap, setBinding, resetKeymap };
+}
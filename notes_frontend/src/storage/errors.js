@@ -0,0 +1,17 @@
+// PUBLIC_INTERFACE
+/**
+ * Error raised by storage adapters when a read or write cannot be completed.
+ * `status` carries the HTTP status for REST failures (0 for network errors).
+ * `code` and `values` name the catalog message that explains it (see
+ * i18n.errorMessage); `message` is the English text.
+ */
+export class StorageError extends Error {
+  constructor(message, { status = 0, cause, code, values = {} } = {}) {
+    super(message);
+    this.name = "StorageError";
+    this.status = status;
+    this.code = code;
+    this.values = values;
+    if (cause) this.cause = cause;
+  }
+}
@@ -0,0 +1,75 @@
+// Minimal promise helpers over the IndexedDB API.
+
+export const NOTES_STORE = "notes";
+export const OUTBOX_STORE = "outbox";
+export const CONFLICTS_STORE = "conflicts";
+export const ATTACHMENTS_STORE = "attachments";
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Open (and create or upgrade if needed) the app database.
+ * Each store is keyed by `id` (the note id, or the attachment id).
+ */
+export function openNotesDatabase({ name = "note-organizer", indexedDB = window.indexedDB } = {}) {
+  if (!indexedDB) return Promise.reject(new Error("IndexedDB is not available in this browser"));
+  const request = indexedDB.open(name, 2);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    [NOTES_STORE, OUTBOX_STORE, CONFLICTS_STORE, ATTACHMENTS_STORE].forEach(store => {
+      if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, { keyPath: "id" });
+    });
+  };
+  return promisify(request);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Key/value access to one object store of an opened (or opening) database.
+ */
+export function createObjectStore(dbPromise, storeName) {
+  async function run(mode, operation) {
+    const db = await dbPromise;
+    const tx = db.transaction(storeName, mode);
+    const result = promisify(operation(tx.objectStore(storeName)));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  return {
+    getAll: () => run("readonly", store => store.getAll()),
+    get: key => run("readonly", store => store.get(key)),
+    put: value => run("readwrite", store => store.put(value)),
+    delete: key => run("readwrite", store => store.delete(key))
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Same interface as createObjectStore, kept in memory. Used where
+ * IndexedDB is unavailable and in tests.
+ */
+export function createMemoryObjectStore() {
+  const values = new Map();
+  return {
+    getAll: async () => [...values.values()].map(v => ({ ...v })),
+    get: async key => (values.has(key) ? { ...values.get(key) } : undefined),
+    put: async value => {
+      values.set(value.id, { ...value });
+      return value.id;
+    },
+    delete: async key => {
+      values.delete(key);
+    }
+  };
+}
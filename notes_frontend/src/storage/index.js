@@ -0,0 +1,61 @@
+import { createMemoryAdapter } from "./memoryAdapter";
+import { createRestAdapter } from "./restAdapter";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { createOfflineAdapter } from "./offlineAdapter";
+import { openNotesDatabase, createObjectStore, OUTBOX_STORE, CONFLICTS_STORE } from "./idb";
+
+export { StorageError } from "./errors";
+export { createMemoryAdapter } from "./memoryAdapter";
+export { createRestAdapter } from "./restAdapter";
+export { createIndexedDbAdapter } from "./indexedDbAdapter";
+export { createOfflineAdapter } from "./offlineAdapter";
+
+// PUBLIC_INTERFACE
+/**
+ * Sample notes used by the in-memory adapter so a fresh, backend-less
+ * install has something to show.
+ */
+export function createSampleNotes() {
+  const now = new Date().toISOString();
+  return [
+    {
+      id: "note1",
+      title: "Welcome to Note Organizer",
+      content: "This is your first note. Start organizing your thoughts!",
+      createdAt: now,
+      updatedAt: now
+    },
+    {
+      id: "note2",
+      title: "Features",
+      content: "- Create, edit, delete notes\n- Search instantly\n- Beautiful, responsive UI",
+      createdAt: now,
+      updatedAt: now
+    }
+  ];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pick the storage adapter for this build:
+ * - REACT_APP_STORAGE_MODE=local: IndexedDB on this device, replicated to
+ *   REACT_APP_API_BASE_URL (if set) whenever it is reachable;
+ * - otherwise the REST client when REACT_APP_API_BASE_URL is set;
+ * - otherwise an in-memory store with sample notes.
+ */
+export function createNotesStorage(env = process.env) {
+  const apiBaseUrl = env.REACT_APP_API_BASE_URL;
+  if (env.REACT_APP_STORAGE_MODE === "local") {
+    const db = openNotesDatabase();
+    return createOfflineAdapter({
+      local: createIndexedDbAdapter(db),
+      remote: apiBaseUrl ? createRestAdapter({ baseUrl: apiBaseUrl }) : null,
+      outbox: createObjectStore(db, OUTBOX_STORE),
+      conflicts: createObjectStore(db, CONFLICTS_STORE)
+    });
+  }
+  if (apiBaseUrl) {
+    return createRestAdapter({ baseUrl: env.REACT_APP_API_BASE_URL });
+  }
+  return createMemoryAdapter(createSampleNotes());
+}
@@ -0,0 +1,33 @@
+import { StorageError } from "./errors";
+import { createObjectStore, NOTES_STORE } from "./idb";
+
+// PUBLIC_INTERFACE
+/**
+ * Storage adapter that keeps notes in the browser's IndexedDB, so they
+ * survive reloads without a backend. `dbPromise` comes from openNotesDatabase().
+ */
+export function createIndexedDbAdapter(dbPromise) {
+  const store = createObjectStore(dbPromise, NOTES_STORE);
+
+  async function guard(operation) {
+    try {
+      return await operation();
+    } catch (err) {
+      throw new StorageError("Could not access local note storage", { cause: err, code: "local-storage" });
+    }
+  }
+
+  return {
+    list: () => guard(() => store.getAll()),
+    get: id => guard(() => store.get(id)),
+    async create(note) {
+      await guard(() => store.put(note));
+      return note;
+    },
+    async update(note) {
+      await guard(() => store.put(note));
+      return note;
+    },
+    remove: id => guard(() => store.delete(id))
+  };
+}
@@ -0,0 +1,48 @@
+import { StorageError } from "./errors";
+import { mergeTabChange } from "./tabSync";
+
+// PUBLIC_INTERFACE
+/**
+ * In-memory storage adapter. Keeps notes for the lifetime of the page only;
+ * used when no backend is configured and as a test double.
+ *
+ * Every adapter implements the same async interface:
+ *   list()        -> Promise<Note[]>
+ *   create(note)  -> Promise<Note>
+ *   update(note)  -> Promise<Note>
+ *   remove(id)    -> Promise<void>
+ * Local adapters (memory, IndexedDB) also provide get(id) -> Promise<Note|undefined>.
+ *
+ * Since its notes live in this page only, it also takes in changes saved in
+ * other tabs with receive(change) (see tabSync), so they can be edited here.
+ */
+export function createMemoryAdapter(initialNotes = []) {
+  let notes = initialNotes.map(n => ({ ...n }));
+
+  return {
+    async list() {
+      return notes.map(n => ({ ...n }));
+    },
+    async get(id) {
+      const note = notes.find(n => n.id === id);
+      return note && { ...note };
+    },
+    async create(note) {
+      notes = [{ ...note }, ...notes];
+      return { ...note };
+    },
+    async update(note) {
+      if (!notes.some(n => n.id === note.id)) {
+        throw new StorageError(`Note ${note.id} not found`, { status: 404, code: "note-not-found", values: { id: note.id } });
+      }
+      notes = notes.map(n => (n.id === note.id ? { ...note } : n));
+      return { ...note };
+    },
+    async remove(id) {
+      notes = notes.filter(n => n.id !== id);
+    },
+    receive(change) {
+      notes = mergeTabChange(notes, change).map(n => ({ ...n }));
+    }
+  };
+}
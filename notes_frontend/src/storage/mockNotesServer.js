@@ -0,0 +1,77 @@
+// PUBLIC_INTERFACE
+/**
+ * A local mock of the notes REST API for tests and offline development.
+ * Returns a fetch-compatible function backed by an in-memory collection,
+ * so the REST adapter can be exercised without a real backend.
+ *
+ *   const server = createMockNotesServer({ notes: [...] });
+ *   const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch });
+ */
+export function createMockNotesServer({ baseUrl: rawBaseUrl = "http://mock.local/notes", notes = [] } = {}) {
+  const baseUrl = rawBaseUrl.replace(/\/+$/, "");
+  let db = notes.map(n => ({ ...n }));
+  let offline = false;
+  let failures = [];
+  const requests = [];
+
+  function respond(status, body) {
+    const text = body === undefined ? "" : JSON.stringify(body);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      async text() {
+        return text;
+      },
+      async json() {
+        return JSON.parse(text);
+      }
+    };
+  }
+
+  async function fetch(url, { method = "GET", body } = {}) {
+    requests.push({ method, url, body: body ? JSON.parse(body) : undefined });
+    if (offline) throw new TypeError("Failed to fetch");
+    if (failures.length) return respond(failures.shift(), { error: "Injected failure" });
+    if (!url.startsWith(baseUrl)) return respond(404, { error: "Not found" });
+
+    const id = decodeURIComponent(url.slice(baseUrl.length).replace(/^\//, ""));
+    const payload = body ? JSON.parse(body) : null;
+
+    if (!id && method === "GET") return respond(200, db);
+    if (!id && method === "POST") {
+      db = [payload, ...db];
+      return respond(201, payload);
+    }
+    const existing = db.find(n => n.id === id);
+    if (method === "GET") return existing ? respond(200, existing) : respond(404, { error: "Not found" });
+    if (method === "PUT") {
+      if (!existing) return respond(404, { error: "Not found" });
+      db = db.map(n => (n.id === id ? payload : n));
+      return respond(200, payload);
+    }
+    if (method === "DELETE") {
+      if (!existing) return respond(404, { error: "Not found" });
+      db = db.filter(n => n.id !== id);
+      return respond(204);
+    }
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  return {
+    baseUrl,
+    fetch,
+    requests,
+    /** Current server-side notes. */
+    get notes() {
+      return db.map(n => ({ ...n }));
+    },
+    /** Simulate losing (true) or regaining (false) the network. */
+    setOffline(value) {
+      offline = value;
+    },
+    /** Make the next request(s) respond with the given HTTP status codes. */
+    failNext(...statuses) {
+      failures = failures.concat(statuses);
+    }
+  };
+}
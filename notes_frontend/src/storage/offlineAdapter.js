@@ -0,0 +1,253 @@
+import { createMemoryObjectStore } from "./idb";
+
+// PUBLIC_INTERFACE
+/**
+ * Offline-first storage adapter. Every mutation is written to `local`
+ * (IndexedDB in the browser) first and queued in `outbox`; the queue is
+ * replayed against `remote` whenever it is reachable.
+ *
+ * Every tab of the app shares the IndexedDB outbox, so a sync holds the
+ * Web Lock `lockName` (from `locks`, navigator.locks by default): tabs
+ * replay the queue one after another, and a tab that waited finds the
+ * operations the other one sent already gone. Without Web Locks each tab
+ * syncs on its own.
+ *
+ * The outbox holds at most one pending operation per note. Each operation
+ * remembers the `updatedAt` the edit was based on; if the server copy has
+ * moved on since, the change is not pushed but recorded in `conflicts`
+ * until the user picks a version with resolveConflict().
+ *
+ * Besides the usual list/create/update/remove it exposes:
+ *   sync()                      replay the outbox and pull server changes
+ *   resolveConflict(id, keep)   keep: "local" | "remote"
+ *   getSyncState()              { status, pending, conflicts, error }
+ *   subscribe(listener)         listener("notes" | "sync"); returns unsubscribe
+ *   start() / stop()            retry on reconnect and on an interval
+ */
+export function createOfflineAdapter({
+  local,
+  remote = null,
+  outbox = createMemoryObjectStore(),
+  conflicts = createMemoryObjectStore(),
+  retryInterval = 30000,
+  locks = window.navigator.locks || null,
+  lockName = "note-organizer:outbox"
+}) {
+  const listeners = new Set();
+  let state = { status: remote ? "idle" : "local", pending: 0, conflicts: [], error: null };
+  let rev = 0;
+  let running = null;
+  let again = false;
+  let cleanup = null;
+
+  function emit(event) {
+    listeners.forEach(listener => listener(event));
+  }
+
+  async function setState(changes) {
+    const [ops, open] = await Promise.all([outbox.getAll(), conflicts.getAll()]);
+    state = { ...state, ...changes, pending: ops.length, conflicts: open };
+    emit("sync");
+  }
+
+  async function writeLocal(note) {
+    const existing = await local.get(note.id);
+    return existing ? local.update(note) : local.create(note);
+  }
+
+  // Fold a new operation into whatever is already queued for the same note.
+  async function enqueue(op) {
+    if (!remote) return;
+    const queued = await outbox.get(op.id);
+    let next = { ...op, queuedAt: Date.now(), rev: ++rev };
+    if (queued) {
+      next.queuedAt = queued.queuedAt;
+      next.baseUpdatedAt = queued.baseUpdatedAt;
+      if (queued.type === "create" && op.type === "delete") {
+        await outbox.delete(op.id);
+        return;
+      }
+      if (queued.type === "create") next.type = "create";
+      if (queued.type === "delete" && op.type !== "delete") next.type = "update";
+    }
+    await outbox.put(next);
+  }
+
+  // Drop a replayed operation unless the note was edited again meanwhile,
+  // in which case rebase the newer operation onto what the server now has.
+  async function settle(op, serverNote) {
+    const current = await outbox.get(op.id);
+    if (!current) return;
+    if (current.rev === op.rev) {
+      await outbox.delete(op.id);
+      return;
+    }
+    const type = current.type === "delete" ? "delete" : serverNote ? "update" : "create";
+    await outbox.put({ ...current, type, baseUpdatedAt: serverNote ? serverNote.updatedAt : undefined });
+  }
+
+  async function recordConflict(id, serverNote) {
+    const mine = (await local.get(id)) || null;
+    await conflicts.put({ id, local: mine, remote: serverNote || null, detectedAt: new Date().toISOString() });
+    await outbox.delete(id);
+  }
+
+  async function replay(op, serverNote, serverById) {
+    const serverChanged = serverNote ? serverNote.updatedAt !== op.baseUpdatedAt : op.baseUpdatedAt !== undefined;
+
+    if (op.type === "delete") {
+      if (!serverNote) return settle(op, null);
+      if (serverChanged) return recordConflict(op.id, serverNote);
+      await remote.remove(op.id);
+      serverById.delete(op.id);
+      return settle(op, null);
+    }
+
+    if (serverChanged) {
+      if (serverNote && serverNote.updatedAt === op.note.updatedAt) return settle(op, serverNote);
+      return recordConflict(op.id, serverNote);
+    }
+    const saved = serverNote ? await remote.update(op.note) : await remote.create(op.note);
+    serverById.set(saved.id, saved);
+    return settle(op, saved);
+  }
+
+  // Bring local notes in line with the server, leaving alone anything that
+  // still has a pending change or an open conflict.
+  async function pull(serverById) {
+    const [ops, open, localNotes] = await Promise.all([outbox.getAll(), conflicts.getAll(), local.list()]);
+    const busy = new Set([...ops, ...open].map(entry => entry.id));
+    const localById = new Map(localNotes.map(n => [n.id, n]));
+    let changed = false;
+
+    for (const serverNote of serverById.values()) {
+      if (busy.has(serverNote.id)) continue;
+      const mine = localById.get(serverNote.id);
+      if (!mine || mine.updatedAt !== serverNote.updatedAt) {
+        await writeLocal(serverNote);
+        changed = true;
+      }
+    }
+    for (const mine of localNotes) {
+      if (!busy.has(mine.id) && !serverById.has(mine.id)) {
+        await local.remove(mine.id);
+        changed = true;
+      }
+    }
+    if (changed) emit("notes");
+  }
+
+  async function syncOnce() {
+    await setState({ status: "syncing" });
+    try {
+      const serverById = new Map((await remote.list()).map(n => [n.id, n]));
+      const ops = (await outbox.getAll()).sort((a, b) => a.queuedAt - b.queuedAt);
+      for (const op of ops) {
+        await replay(op, serverById.get(op.id), serverById);
+      }
+      await pull(serverById);
+      await setState({ status: "idle", error: null });
+    } catch (err) {
+      const offline = err && err.status === 0;
+      await setState({ status: offline ? "offline" : "error", error: offline ? null : err });
+    }
+  }
+
+  function sync() {
+    if (!remote) return Promise.resolve();
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        again = false;
+        await (locks ? locks.request(lockName, syncOnce) : syncOnce());
+      } while (again);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  function syncInBackground() {
+    sync().catch(() => {});
+  }
+
+  return {
+    list: () => local.list(),
+
+    async create(note) {
+      await local.create(note);
+      await enqueue({ type: "create", id: note.id, note });
+      syncInBackground();
+      return note;
+    },
+
+    async update(note) {
+      const previous = await local.get(note.id);
+      await writeLocal(note);
+      await enqueue({ type: "update", id: note.id, note, baseUpdatedAt: previous && previous.updatedAt });
+      syncInBackground();
+      return note;
+    },
+
+    async remove(id) {
+      const previous = await local.get(id);
+      await local.remove(id);
+      await enqueue({ type: "delete", id, baseUpdatedAt: previous && previous.updatedAt });
+      syncInBackground();
+    },
+
+    sync,
+
+    async resolveConflict(id, keep) {
+      const conflict = await conflicts.get(id);
+      if (!conflict) return;
+      const queuedAt = Date.now();
+      if (keep === "local") {
+        const base = conflict.remote ? conflict.remote.updatedAt : undefined;
+        if (conflict.local) {
+          const note = { ...conflict.local, updatedAt: new Date().toISOString() };
+          await writeLocal(note);
+          await outbox.put({ id, type: conflict.remote ? "update" : "create", note, baseUpdatedAt: base, queuedAt, rev: ++rev });
+        } else {
+          await outbox.put({ id, type: "delete", baseUpdatedAt: base, queuedAt, rev: ++rev });
+        }
+      } else if (conflict.remote) {
+        await writeLocal(conflict.remote);
+      } else {
+        await local.remove(id);
+      }
+      await conflicts.delete(id);
+      emit("notes");
+      await setState({});
+      syncInBackground();
+    },
+
+    getSyncState: () => state,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    start() {
+      if (cleanup || !remote) return;
+      const timer = window.setInterval(() => {
+        if (state.pending > 0 || state.status === "offline") syncInBackground();
+      }, retryInterval);
+      window.addEventListener("online", syncInBackground);
+      cleanup = () => {
+        window.clearInterval(timer);
+        window.removeEventListener("online", syncInBackground);
+        cleanup = null;
+      };
+      setState({}).then(syncInBackground);
+    },
+
+    stop() {
+      if (cleanup) cleanup();
+    }
+  };
+}
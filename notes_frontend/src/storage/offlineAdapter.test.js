@@ -0,0 +1,150 @@
+import "fake-indexeddb/auto";
+import { createOfflineAdapter } from "./offlineAdapter";
+import { createMemoryAdapter } from "./memoryAdapter";
+import { createRestAdapter } from "./restAdapter";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { openNotesDatabase, createObjectStore, createMemoryObjectStore, OUTBOX_STORE, CONFLICTS_STORE } from "./idb";
+import { createMockNotesServer } from "./mockNotesServer";
+
+const note = (id, title, updatedAt = "2024-01-01T00:00:00.000Z") => ({
+  id,
+  title,
+  content: "",
+  createdAt: "2024-01-01T00:00:00.000Z",
+  updatedAt
+});
+
+function setup({ localNotes = [], serverNotes = [] } = {}) {
+  const server = createMockNotesServer({ notes: serverNotes });
+  const adapter = createOfflineAdapter({
+    local: createMemoryAdapter(localNotes),
+    remote: createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch })
+  });
+  return { server, adapter };
+}
+
+test("mutations made offline are queued and replayed once the server is reachable", async () => {
+  const { server, adapter } = setup();
+  server.setOffline(true);
+
+  await adapter.create(note("a", "A"));
+  await adapter.create(note("b", "B"));
+  await adapter.update(note("a", "A2", "2024-01-02T00:00:00.000Z"));
+  await adapter.remove("b");
+  await adapter.sync();
+
+  expect(adapter.getSyncState()).toMatchObject({ status: "offline", pending: 1 });
+  expect((await adapter.list()).map(n => n.title)).toEqual(["A2"]);
+
+  server.setOffline(false);
+  await adapter.sync();
+
+  expect(adapter.getSyncState()).toMatchObject({ status: "idle", pending: 0 });
+  expect(server.notes).toEqual([note("a", "A2", "2024-01-02T00:00:00.000Z")]);
+});
+
+test("tabs sharing an outbox replay it one at a time, so each change is sent once", async () => {
+  const server = createMockNotesServer();
+  server.setOffline(true);
+  // Web Locks: a held lock makes the next request wait
+  let held = Promise.resolve();
+  const locks = {
+    request(name, callback) {
+      const run = held.then(() => callback());
+      held = run.catch(() => {});
+      return run;
+    }
+  };
+  const shared = {
+    local: createMemoryAdapter([]),
+    outbox: createMemoryObjectStore(),
+    conflicts: createMemoryObjectStore()
+  };
+  const tab = () =>
+    createOfflineAdapter({ ...shared, remote: createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch }), locks });
+  const [first, second] = [tab(), tab()];
+  await first.create(note("a", "A"));
+  await second.create(note("b", "B"));
+
+  server.setOffline(false);
+  await Promise.all([first.sync(), second.sync()]); // both tabs come back online
+  const posts = server.requests.filter(request => request.method === "POST").map(request => request.body.id);
+  expect(posts.sort()).toEqual(["a", "b"]);
+  expect(second.getSyncState()).toMatchObject({ status: "idle", pending: 0 });
+});
+
+test("sync pulls server-side changes into local storage", async () => {
+  const { server, adapter } = setup({ localNotes: [note("a", "A"), note("gone", "Gone")] });
+  const events = [];
+  adapter.subscribe(event => events.push(event));
+  await createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch }).create(note("a", "A from server", "2024-02-01T00:00:00.000Z"));
+
+  await adapter.sync();
+
+  expect(await adapter.list()).toEqual([note("a", "A from server", "2024-02-01T00:00:00.000Z")]);
+  expect(events).toContain("notes");
+});
+
+test("an edit based on a stale version is held as a conflict instead of overwriting", async () => {
+  const original = note("a", "Original");
+  const { server, adapter } = setup({ localNotes: [original], serverNotes: [original] });
+  server.setOffline(true);
+  await adapter.update({ ...original, title: "Mine", updatedAt: "2024-01-03T00:00:00.000Z" });
+
+  // Meanwhile someone else saves the same note on the server.
+  server.setOffline(false);
+  const theirs = { ...original, title: "Theirs", updatedAt: "2024-01-02T00:00:00.000Z" };
+  await createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch }).update(theirs);
+
+  await adapter.sync();
+
+  const { conflicts, pending } = adapter.getSyncState();
+  expect(pending).toBe(0);
+  expect(conflicts).toHaveLength(1);
+  expect(conflicts[0]).toMatchObject({ id: "a", local: { title: "Mine" }, remote: { title: "Theirs" } });
+  expect(server.notes[0].title).toBe("Theirs");
+  expect((await adapter.list())[0].title).toBe("Mine");
+});
+
+test("resolving a conflict keeps the chosen version on both sides", async () => {
+  const original = note("a", "Original");
+  const { server, adapter } = setup({ localNotes: [original], serverNotes: [original] });
+  server.setOffline(true);
+  await adapter.update({ ...original, title: "Mine", updatedAt: "2024-01-03T00:00:00.000Z" });
+  server.setOffline(false);
+  await createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch }).update({
+    ...original,
+    title: "Theirs",
+    updatedAt: "2024-01-02T00:00:00.000Z"
+  });
+  await adapter.sync();
+
+  await adapter.resolveConflict("a", "local");
+  await adapter.sync();
+
+  expect(adapter.getSyncState().conflicts).toEqual([]);
+  expect(server.notes[0].title).toBe("Mine");
+  expect((await adapter.list())[0].title).toBe("Mine");
+});
+
+test("IndexedDB keeps notes and pending changes across page loads", async () => {
+  const server = createMockNotesServer();
+  server.setOffline(true);
+  const open = () => {
+    const db = openNotesDatabase({ name: "offline-adapter-test" });
+    return createOfflineAdapter({
+      local: createIndexedDbAdapter(db),
+      remote: createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch }),
+      outbox: createObjectStore(db, OUTBOX_STORE),
+      conflicts: createObjectStore(db, CONFLICTS_STORE)
+    });
+  };
+
+  await open().create(note("a", "Written offline"));
+
+  const reloaded = open();
+  expect(await reloaded.list()).toEqual([note("a", "Written offline")]);
+  server.setOffline(false);
+  await reloaded.sync();
+  expect(server.notes).toEqual([note("a", "Written offline")]);
+});
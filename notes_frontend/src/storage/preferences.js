@@ -0,0 +1,46 @@
+// Small settings kept in localStorage: the theme, the language, the sort order
+// and so on. Storage can be missing or refuse access (some private modes
+// block it, and merely reading window.localStorage then throws): loading
+// gives the default and saving does nothing, so a choice lasts until reload.
+
+// PUBLIC_INTERFACE
+/**
+ * window.localStorage, or null where it is missing or blocked. The default
+ * storage of everything the app keeps there (drafts, templates, the tab
+ * channel fallback).
+ */
+export function browserStorage() {
+  try {
+    return window.localStorage || null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The string saved under `key` if `isValid` accepts it, otherwise `fallback`.
+ */
+export function loadPreference(key, isValid, fallback, storage = browserStorage()) {
+  try {
+    const saved = storage ? storage.getItem(key) : null;
+    return saved !== null && isValid(saved) ? saved : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Saves `value` under `key`. The default (`fallback`) is stored as nothing,
+ * so that a later change of default applies to it.
+ */
+export function savePreference(key, value, fallback, storage = browserStorage()) {
+  try {
+    if (!storage) return;
+    if (value === fallback) storage.removeItem(key);
+    else storage.setItem(key, value);
+  } catch {
+    // full or blocked: the value still applies until reload
+  }
+}
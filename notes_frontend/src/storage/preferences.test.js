@@ -0,0 +1,38 @@
+import { loadPreference, savePreference } from "./preferences";
+
+const isColour = value => ["red", "blue"].includes(value);
+
+beforeEach(() => window.localStorage.clear());
+
+test("preferences are saved in localStorage, with the default stored as nothing", () => {
+  expect(loadPreference("colour", isColour, "red")).toBe("red");
+  savePreference("colour", "blue", "red");
+  expect(loadPreference("colour", isColour, "red")).toBe("blue");
+  savePreference("colour", "red", "red");
+  expect(window.localStorage.getItem("colour")).toBeNull();
+  window.localStorage.setItem("colour", "green");
+  expect(loadPreference("colour", isColour, "red")).toBe("red");
+});
+
+test("blocked storage gives the default and ignores saves", () => {
+  const descriptor = Object.getOwnPropertyDescriptor(window, "localStorage");
+  Object.defineProperty(window, "localStorage", {
+    configurable: true,
+    get() {
+      throw new Error("SecurityError");
+    }
+  });
+  try {
+    expect(() => savePreference("colour", "blue", "red")).not.toThrow();
+    expect(loadPreference("colour", isColour, "red")).toBe("red");
+  } finally {
+    Object.defineProperty(window, "localStorage", descriptor);
+  }
+  const full = {
+    getItem: () => null,
+    setItem() {
+      throw new Error("QuotaExceededError");
+    }
+  };
+  expect(() => savePreference("colour", "blue", "red", full)).not.toThrow();
+});
@@ -0,0 +1,63 @@
+import { StorageError } from "./errors";
+
+// PUBLIC_INTERFACE
+/**
+ * REST storage adapter. `baseUrl` points at the notes collection
+ * (e.g. https://api.example.com/notes):
+ *   GET    {baseUrl}       -> Note[]
+ *   POST   {baseUrl}       -> Note
+ *   PUT    {baseUrl}/{id}  -> Note
+ *   DELETE {baseUrl}/{id}
+ * `fetchImpl` defaults to window.fetch and can be swapped for a mock server.
+ */
+export function createRestAdapter({ baseUrl, fetchImpl } = {}) {
+  if (!baseUrl) throw new Error("createRestAdapter requires a baseUrl");
+  const root = baseUrl.replace(/\/+$/, "");
+  const doFetch = fetchImpl || ((...args) => window.fetch(...args));
+
+  async function request(method, path, body) {
+    let res;
+    try {
+      res = await doFetch(root + path, {
+        method,
+        headers: body ? { "Content-Type": "application/json", Accept: "application/json" } : { Accept: "application/json" },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (err) {
+      throw new StorageError("Could not reach the notes server", { cause: err, code: "server-unreachable" });
+    }
+    if (!res.ok) {
+      throw new StorageError(`Notes server responded with ${res.status}`, {
+        status: res.status,
+        code: "server-status",
+        values: { status: res.status }
+      });
+    }
+    if (res.status === 204) return null;
+    try {
+      const text = await res.text();
+      return text ? JSON.parse(text) : null;
+    } catch (err) {
+      throw new StorageError("The notes server sent a response that could not be read", {
+        status: res.status,
+        cause: err,
+        code: "bad-response"
+      });
+    }
+  }
+
+  return {
+    async list() {
+      return (await request("GET", "")) || [];
+    },
+    async create(note) {
+      return (await request("POST", "", note)) || note;
+    },
+    async update(note) {
+      return (await request("PUT", `/${encodeURIComponent(note.id)}`, note)) || note;
+    },
+    async remove(id) {
+      await request("DELETE", `/${encodeURIComponent(id)}`);
+    }
+  };
+}
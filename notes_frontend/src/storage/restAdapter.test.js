@@ -0,0 +1,61 @@
+import { createRestAdapter } from "./restAdapter";
+import { createMockNotesServer } from "./mockNotesServer";
+import { StorageError } from "./errors";
+
+const note = (id, title) => ({
+  id,
+  title,
+  content: "",
+  createdAt: "2024-01-01T00:00:00.000Z",
+  updatedAt: "2024-01-01T00:00:00.000Z"
+});
+
+function setup(notes = []) {
+  const server = createMockNotesServer({ baseUrl: "http://mock.local/api/notes/", notes });
+  const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetch });
+  return { server, adapter };
+}
+
+test("maps list/create/update/remove onto GET/POST/PUT/DELETE", async () => {
+  const { server, adapter } = setup([note("a", "A")]);
+
+  expect(await adapter.list()).toEqual([note("a", "A")]);
+  await adapter.create(note("b", "B"));
+  await adapter.update({ ...note("a", "A2") });
+  await adapter.remove("b");
+
+  expect(server.requests.map(r => `${r.method} ${r.url}`)).toEqual([
+    "GET http://mock.local/api/notes",
+    "POST http://mock.local/api/notes",
+    "PUT http://mock.local/api/notes/a",
+    "DELETE http://mock.local/api/notes/b"
+  ]);
+  expect(server.notes).toEqual([note("a", "A2")]);
+});
+
+test("HTTP errors reject with a StorageError carrying the status", async () => {
+  const { server, adapter } = setup();
+  server.failNext(503);
+  await expect(adapter.list()).rejects.toMatchObject({ name: "StorageError", status: 503 });
+  await expect(adapter.update(note("missing", "x"))).rejects.toMatchObject({ status: 404 });
+});
+
+test("network failures reject with a StorageError", async () => {
+  const { server, adapter } = setup();
+  server.setOffline(true);
+  const err = await adapter.list().catch(e => e);
+  expect(err).toBeInstanceOf(StorageError);
+  expect(err.status).toBe(0);
+  expect(err.message).toMatch(/could not reach/i);
+});
+
+test("a response that isn't JSON rejects with a StorageError", async () => {
+  const adapter = createRestAdapter({
+    baseUrl: "http://mock.local/api/notes",
+    fetchImpl: async () => ({ ok: true, status: 200, text: async () => "<html>Proxy error</html>" })
+  });
+  const err = await adapter.list().catch(e => e);
+  expect(err).toBeInstanceOf(StorageError);
+  expect(err).toMatchObject({ status: 200, code: "bad-response" });
+  expect(err.cause).toBeInstanceOf(SyntaxError);
+});
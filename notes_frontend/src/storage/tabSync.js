@@ -0,0 +1,90 @@
+// Keeps tabs of the app in step. Every saved change is broadcast to the other
+// tabs as a small message:
+//   { type: "put", note }     a note was created or updated
+//   { type: "remove", id }    a note was deleted for good
+// Tabs talk over a BroadcastChannel, or through `storage` events on a
+// localStorage key in browsers without one. Other features can use the
+// channel for messages of their own (see reminders/claims.js).
+
+import { browserStorage } from "./preferences";
+
+const CHANNEL_NAME = "note-organizer:notes";
+
+// PUBLIC_INTERFACE
+/**
+ * `notes` with a change from another tab applied. A note is only replaced
+ * by a copy that is at least as new (by updatedAt), so a late message can't
+ * undo a newer edit. Returns `notes` itself when nothing changes.
+ */
+export function mergeTabChange(notes, change) {
+  if (change.type === "remove") {
+    return notes.some(note => note.id === change.id) ? notes.filter(note => note.id !== change.id) : notes;
+  }
+  if (change.type !== "put" || !change.note || !change.note.id) return notes;
+  const incoming = change.note;
+  const index = notes.findIndex(note => note.id === incoming.id);
+  if (index === -1) return [incoming, ...notes];
+  const current = notes[index];
+  if (Date.parse(incoming.updatedAt) < Date.parse(current.updatedAt)) return notes;
+  if (JSON.stringify(current) === JSON.stringify(incoming)) return notes;
+  return notes.map(note => (note.id === incoming.id ? incoming : note));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A channel to the app's other tabs: post(change), subscribe(listener)
+ * (returns unsubscribe) and close(). Messages are never delivered back to
+ * the tab that posted them. Uses BroadcastChannel when available, otherwise
+ * `storage` events; with neither it quietly does nothing.
+ */
+export function createTabChannel({
+  name = CHANNEL_NAME,
+  BroadcastChannelImpl = window.BroadcastChannel,
+  storage = browserStorage(),
+  target = window
+} = {}) {
+  const listeners = new Set();
+  const deliver = message => listeners.forEach(listener => listener(message));
+  let post = () => {};
+  let close = () => {};
+
+  if (BroadcastChannelImpl) {
+    const channel = new BroadcastChannelImpl(name);
+    channel.onmessage = e => deliver(e.data);
+    post = message => channel.postMessage(message);
+    close = () => channel.close();
+  } else if (storage) {
+    // Writing the key fires a `storage` event in every other tab; removing it
+    // straight away keeps localStorage clean (its own event has no newValue).
+    const onStorage = e => {
+      if (e.key !== name || !e.newValue) return;
+      try {
+        deliver(JSON.parse(e.newValue).message);
+      } catch {
+        // not one of ours
+      }
+    };
+    target.addEventListener("storage", onStorage);
+    post = message => {
+      try {
+        storage.setItem(name, JSON.stringify({ message, sentAt: Date.now(), nonce: Math.random() }));
+        storage.removeItem(name);
+      } catch {
+        // storage full or disabled: other tabs catch up on their next load
+      }
+    };
+    close = () => target.removeEventListener("storage", onStorage);
+  }
+
+  return {
+    post: message => post(message),
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close() {
+      listeners.clear();
+      close();
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { createTabChannel, mergeTabChange } from "./tabSync";
+import { createMemoryAdapter } from "./memoryAdapter";
+
+// Delivers to every other open channel with the same name, like the real one.
+class FakeBroadcastChannel {
+  static open = new Set();
+  constructor(name) {
+    this.name = name;
+    FakeBroadcastChannel.open.add(this);
+  }
+  postMessage(data) {
+    FakeBroadcastChannel.open.forEach(other => {
+      if (other !== this && other.name === this.name && other.onmessage) other.onmessage({ data: structuredCopy(data) });
+    });
+  }
+  close() {
+    FakeBroadcastChannel.open.delete(this);
+  }
+}
+
+const structuredCopy = data => JSON.parse(JSON.stringify(data));
+const note = (id, updatedAt, title = id) => ({ id, title, content: "", updatedAt });
+
+describe("mergeTabChange", () => {
+  const notes = [note("a", "2024-01-02T00:00:00.000Z"), note("b", "2024-01-01T00:00:00.000Z")];
+
+  test("adds new notes, takes newer copies and drops removed notes", () => {
+    expect(mergeTabChange(notes, { type: "put", note: note("c", "2024-01-03T00:00:00.000Z") }).map(n => n.id)).toEqual([
+      "c",
+      "a",
+      "b"
+    ]);
+    const newer = note("b", "2024-01-05T00:00:00.000Z", "B2");
+    expect(mergeTabChange(notes, { type: "put", note: newer })[1]).toBe(newer);
+    expect(mergeTabChange(notes, { type: "remove", id: "a" }).map(n => n.id)).toEqual(["b"]);
+  });
+
+  test("ignores older copies, repeats and unknown messages", () => {
+    expect(mergeTabChange(notes, { type: "put", note: note("a", "2024-01-01T00:00:00.000Z", "old") })).toBe(notes);
+    expect(mergeTabChange(notes, { type: "put", note: { ...notes[0] } })).toBe(notes);
+    expect(mergeTabChange(notes, { type: "remove", id: "zzz" })).toBe(notes);
+    expect(mergeTabChange(notes, { type: "other" })).toBe(notes);
+  });
+
+  test("the in-memory adapter takes in changes from other tabs", async () => {
+    const adapter = createMemoryAdapter(notes);
+    adapter.receive({ type: "put", note: note("c", "2024-01-03T00:00:00.000Z") });
+    adapter.receive({ type: "remove", id: "a" });
+    await adapter.update({ ...note("c", "2024-01-04T00:00:00.000Z"), title: "edited here" });
+    expect((await adapter.list()).map(n => n.title)).toEqual(["edited here", "b"]);
+  });
+});
+
+describe("createTabChannel", () => {
+  test("sends messages to other tabs over BroadcastChannel, never back to the sender", () => {
+    const mine = createTabChannel({ BroadcastChannelImpl: FakeBroadcastChannel });
+    const theirs = createTabChannel({ BroadcastChannelImpl: FakeBroadcastChannel });
+    const received = { mine: [], theirs: [] };
+    mine.subscribe(message => received.mine.push(message));
+    theirs.subscribe(message => received.theirs.push(message));
+
+    mine.post({ type: "remove", id: "a" });
+    expect(received).toEqual({ mine: [], theirs: [{ type: "remove", id: "a" }] });
+
+    theirs.close();
+    mine.post({ type: "remove", id: "b" });
+    expect(received.theirs).toHaveLength(1);
+    mine.close();
+  });
+
+  test("falls back to storage events and leaves nothing behind in storage", () => {
+    // Two tabs: each has its own window, and they share localStorage.
+    const tabs = [new window.EventTarget(), new window.EventTarget()];
+    const items = new Map();
+    const notify = (from, key, newValue) =>
+      tabs.filter(tab => tab !== from).forEach(tab => tab.dispatchEvent(Object.assign(new window.Event("storage"), { key, newValue })));
+    const sharedStorage = from => ({
+      setItem(key, value) {
+        items.set(key, value);
+        notify(from, key, value);
+      },
+      removeItem(key) {
+        items.delete(key);
+        notify(from, key, null);
+      }
+    });
+    const [mine, theirs] = tabs.map(target =>
+      createTabChannel({ BroadcastChannelImpl: null, storage: sharedStorage(target), target })
+    );
+    const received = [];
+    theirs.subscribe(message => received.push(message));
+    mine.subscribe(message => received.push({ echo: message }));
+
+    mine.post({ type: "put", note: note("a", "2024-01-01T00:00:00.000Z") });
+    expect(received).toEqual([{ type: "put", note: note("a", "2024-01-01T00:00:00.000Z") }]);
+    expect(items.size).toBe(0);
+
+    theirs.close();
+    mine.post({ type: "remove", id: "a" });
+    expect(received).toHaveLength(1);
+  });
+});
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { mergeTabChange } from "./tabSync";
+
+// Timestamp plus a random suffix, so notes created in the same millisecond
+// (e.g. by an import) still get distinct ids.
+function newNoteId() {
+  return `note_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * React hook that loads notes from a storage adapter and exposes
+ * create/update/delete operations that persist through it.
+ *
+ * With a `channel` (see createTabChannel), saved changes are broadcast to
+ * the app's other tabs and theirs are merged in as they arrive.
+ *
+ * status:       "loading" | "ready" | "error" (initial load)
+ * saving:       true while a mutation is in flight
+ * error:        the last load, refresh or mutation error, or null
+ * remoteChange: the last change merged in from another tab, or null
+ *
+ * updateNote(note, changes, { touch }) sets updatedAt to now unless `touch`
+ * is false, for bookkeeping that isn't an edit (e.g. a reminder going off).
+ */
+export function useNotes(storage, channel = null) {
+  const [notes, setNotes] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [remoteChange, setRemoteChange] = useState(null);
+  const latest = useRef(notes);
+  latest.current = notes;
+
+  const reload = useCallback(() => {
+    let cancelled = false;
+    setStatus("loading");
+    setError(null);
+    storage
+      .list()
+      .then(list => {
+        if (cancelled) return;
+        setNotes(list);
+        setStatus("ready");
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err);
+        setStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage]);
+
+  useEffect(() => reload(), [reload]);
+
+  // Adapters that change notes on their own (e.g. after a background sync)
+  // announce it with a "notes" event; refresh quietly when they do.
+  useEffect(() => {
+    if (!storage.subscribe) return;
+    let active = true;
+    const unsubscribe = storage.subscribe(event => {
+      if (event !== "notes") return;
+      storage
+        .list()
+        .then(list => {
+          if (active) setNotes(list);
+        })
+        .catch(err => {
+          if (active) setError(err);
+        });
+    });
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [storage]);
+
+  // Changes saved in other tabs
+  useEffect(() => {
+    if (!channel) return;
+    return channel.subscribe(change => {
+      if (storage.receive) storage.receive(change);
+      const next = mergeTabChange(latest.current, change);
+      if (next === latest.current) return;
+      latest.current = next;
+      setNotes(next);
+      setRemoteChange(change);
+    });
+  }, [storage, channel]);
+
+  const mutate = useCallback(
+    async (operation, applyResult, broadcast) => {
+      setSaving(true);
+      setError(null);
+      try {
+        const result = await operation();
+        setNotes(applyResult(result));
+        if (channel) channel.post(broadcast(result));
+        return result;
+      } catch (err) {
+        setError(err);
+        throw err;
+      } finally {
+        setSaving(false);
+      }
+    },
+    [channel]
+  );
+
+  const createNote = useCallback(
+    fields => {
+      const now = new Date().toISOString();
+      const note = { id: newNoteId(), createdAt: now, updatedAt: now, ...fields };
+      return mutate(
+        () => storage.create(note),
+        saved => notes => [saved, ...notes],
+        saved => ({ type: "put", note: saved })
+      );
+    },
+    [storage, mutate]
+  );
+
+  const updateNote = useCallback(
+    (note, changes, { touch = true } = {}) =>
+      mutate(
+        () => storage.update({ ...note, ...changes, updatedAt: touch ? new Date().toISOString() : note.updatedAt }),
+        saved => notes => notes.map(n => (n.id === saved.id ? saved : n)),
+        saved => ({ type: "put", note: saved })
+      ),
+    [storage, mutate]
+  );
+
+  const deleteNote = useCallback(
+    id =>
+      mutate(
+        () => storage.remove(id),
+        () => notes => notes.filter(n => n.id !== id),
+        () => ({ type: "remove", id })
+      ),
+    [storage, mutate]
+  );
+
+  return {
+    notes,
+    status,
+    saving,
+    error,
+    remoteChange,
+    reload,
+    clearError: () => setError(null),
+    createNote,
+    updateNote,
+    deleteNote
+  };
+}
@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * Follow the sync state of an offline-first adapter and keep its background
+ * replay running while mounted. Returns null for adapters that don't sync.
+ */
+export function useSyncState(storage) {
+  const syncs = typeof storage.getSyncState === "function";
+  const [state, setState] = useState(() => (syncs ? storage.getSyncState() : null));
+
+  useEffect(() => {
+    if (!syncs) return;
+    const unsubscribe = storage.subscribe(event => {
+      if (event === "sync") setState(storage.getSyncState());
+    });
+    storage.start();
+    return () => {
+      unsubscribe();
+      storage.stop();
+    };
+  }, [storage, syncs]);
+
+  return state;
+}
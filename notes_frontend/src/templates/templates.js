@@ -0,0 +1,154 @@
+// Note templates: starting points for new notes, kept in localStorage.
+//   { id, name, title, content, tags: string[], notebook: string | null, builtIn? }
+// `title` and `content` may contain placeholders filled in when a note is
+// created from the template: {{date}}, {{time}}, {{datetime}}, {{weekday}}
+// and {{title}} (the new note's title).
+
+import { browserStorage } from "../storage/preferences";
+
+const STORAGE_KEY = "note-organizer:templates";
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "builtin-meeting",
+    name: "Meeting notes",
+    title: "Meeting notes {{date}}",
+    content:
+      "# {{title}}\n\n**When:** {{weekday}} {{date}}, {{time}}\n**Attendees:** \n\n## Agenda\n- \n\n## Notes\n\n\n## Action items\n- [ ] ",
+    tags: ["meeting"],
+    notebook: null,
+    builtIn: true
+  },
+  {
+    id: "builtin-standup",
+    name: "Daily standup",
+    title: "Standup {{date}}",
+    content: "## Yesterday\n- \n\n## Today\n- \n\n## Blockers\n- None",
+    tags: ["standup"],
+    notebook: null,
+    builtIn: true
+  },
+  {
+    id: "builtin-bug",
+    name: "Bug report",
+    title: "Bug: ",
+    content:
+      "## Summary\n\n\n## Steps to reproduce\n1. \n\n## Expected\n\n\n## Actual\n\n\n## Environment\n- Reported {{datetime}}",
+    tags: ["bug"],
+    notebook: null,
+    builtIn: true
+  }
+];
+
+const pad = n => String(n).padStart(2, "0");
+
+// PUBLIC_INTERFACE
+/**
+ * The values of the date and time placeholders at `now`, in local time.
+ */
+export function templateVariables(now = new Date()) {
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  return {
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    weekday: now.toLocaleDateString([], { weekday: "long" })
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Replace {{name}} placeholders (any case, spaces allowed inside the braces)
+ * with `variables`; unknown ones are left as they are.
+ */
+export function fillPlaceholders(text, variables) {
+  return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    const value = variables[name.toLowerCase()];
+    return value === undefined ? placeholder : value;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The new-note fields from a template: { title, content, tags, notebook }.
+ * `title`, when given, is used instead of the template's own title.
+ */
+export function applyTemplate(template, { now = new Date(), title } = {}) {
+  const base = templateVariables(now);
+  const filledTitle = title || fillPlaceholders(template.title, base);
+  return {
+    title: filledTitle,
+    content: fillPlaceholders(template.content, { ...base, title: filledTitle }),
+    tags: [...(template.tags || [])],
+    notebook: template.notebook || null
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A template made from an existing note.
+ */
+export function templateFromNote(note) {
+  return {
+    name: note.title || "Untitled",
+    title: note.title || "",
+    content: note.content || "",
+    tags: Array.isArray(note.tags) ? [...note.tags] : [],
+    notebook: note.notebook || null
+  };
+}
+
+function newTemplateId() {
+  return `tpl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Template persistence: list(), save(template) (adds an id to new ones and
+ * returns the saved template), remove(id) and restoreBuiltIns() (brings back
+ * built-in templates that were deleted). Until anything is saved the library
+ * is just the built-in templates. Storage errors never reach the caller; the
+ * library is then kept in memory for the session.
+ */
+export function createTemplateStore({ storage = browserStorage(), storageKey = STORAGE_KEY } = {}) {
+  let memory = null;
+
+  function read() {
+    if (memory) return memory;
+    try {
+      const data = storage && JSON.parse(storage.getItem(storageKey));
+      return Array.isArray(data) ? data : BUILT_IN_TEMPLATES;
+    } catch {
+      return BUILT_IN_TEMPLATES;
+    }
+  }
+
+  function write(templates) {
+    try {
+      storage.setItem(storageKey, JSON.stringify(templates));
+      memory = null;
+    } catch {
+      memory = templates;
+    }
+  }
+
+  return {
+    list: () => read(),
+    save(template) {
+      const saved = { ...template, id: template.id || newTemplateId() };
+      const templates = read();
+      const exists = templates.some(existing => existing.id === saved.id);
+      write(exists ? templates.map(existing => (existing.id === saved.id ? saved : existing)) : [...templates, saved]);
+      return saved;
+    },
+    remove(id) {
+      write(read().filter(template => template.id !== id));
+    },
+    restoreBuiltIns() {
+      const templates = read();
+      const missing = BUILT_IN_TEMPLATES.filter(builtIn => !templates.some(template => template.id === builtIn.id));
+      if (missing.length) write([...missing, ...templates]);
+    }
+  };
+}
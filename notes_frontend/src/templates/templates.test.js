@@ -0,0 +1,80 @@
+import {
+  BUILT_IN_TEMPLATES,
+  applyTemplate,
+  createTemplateStore,
+  fillPlaceholders,
+  templateFromNote
+} from "./templates";
+
+const NOW = new Date(2024, 5, 10, 9, 5); // Monday 10 June 2024, 09:05 local time
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+describe("placeholders", () => {
+  test("are filled in any case, unknown ones are left alone", () => {
+    const vars = { date: "2024-06-10", title: "Plan" };
+    expect(fillPlaceholders("{{date}} · {{ Title }} · {{unknown}}", vars)).toBe("2024-06-10 · Plan · {{unknown}}");
+    expect(fillPlaceholders(undefined, vars)).toBe("");
+  });
+
+  test("a template gives the new note's fields, with {{title}} taken from the title", () => {
+    const template = { title: "Meeting {{date}}", content: "# {{title}}\n{{weekday}} {{time}}", tags: ["meeting"] };
+    expect(applyTemplate(template, { now: NOW })).toEqual({
+      title: "Meeting 2024-06-10",
+      content: "# Meeting 2024-06-10\nMonday 09:05",
+      tags: ["meeting"],
+      notebook: null
+    });
+    expect(applyTemplate(template, { now: NOW, title: "Kickoff" }).content).toBe("# Kickoff\nMonday 09:05");
+  });
+
+  test("a note becomes a template with its own copy of the tags", () => {
+    const note = { id: "n1", title: "Retro", content: "Went well", tags: ["team"], notebook: "Work" };
+    const template = templateFromNote(note);
+    expect(template).toEqual({ name: "Retro", title: "Retro", content: "Went well", tags: ["team"], notebook: "Work" });
+    expect(template.tags).not.toBe(note.tags);
+  });
+});
+
+describe("createTemplateStore", () => {
+  test("starts with the built-in templates and keeps what is saved", () => {
+    const storage = memoryStorage();
+    const store = createTemplateStore({ storage });
+    expect(store.list()).toEqual(BUILT_IN_TEMPLATES);
+
+    const saved = store.save({ name: "Journal", title: "{{date}}", content: "", tags: [], notebook: null });
+    expect(saved.id).toBeTruthy();
+    store.save({ ...saved, name: "Diary" });
+    store.remove("builtin-standup");
+    const names = createTemplateStore({ storage }).list().map(template => template.name);
+    expect(names).toEqual(["Meeting notes", "Bug report", "Diary"]);
+  });
+
+  test("deleted built-in templates can be restored", () => {
+    const store = createTemplateStore({ storage: memoryStorage() });
+    BUILT_IN_TEMPLATES.forEach(template => store.remove(template.id));
+    expect(store.list()).toEqual([]);
+    store.restoreBuiltIns();
+    expect(store.list().map(template => template.id)).toEqual(BUILT_IN_TEMPLATES.map(template => template.id));
+  });
+
+  test("falls back to memory when storage fails", () => {
+    const storage = {
+      getItem: () => {
+        throw new Error("denied");
+      },
+      setItem: () => {
+        throw new Error("quota");
+      }
+    };
+    const store = createTemplateStore({ storage });
+    store.save({ id: "t1", name: "Kept" });
+    expect(store.list().map(template => template.id)).toContain("t1");
+  });
+});
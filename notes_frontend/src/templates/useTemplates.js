@@ -0,0 +1,35 @@
+import { useCallback, useState } from "react";
+
+// PUBLIC_INTERFACE
+/**
+ * The template library in `store` (see createTemplateStore). Returns
+ * { templates, saveTemplate(template), removeTemplate(id), restoreBuiltIns() };
+ * saveTemplate returns the saved template.
+ */
+export function useTemplates(store) {
+  const [templates, setTemplates] = useState(() => store.list());
+
+  const saveTemplate = useCallback(
+    template => {
+      const saved = store.save(template);
+      setTemplates(store.list());
+      return saved;
+    },
+    [store]
+  );
+
+  const removeTemplate = useCallback(
+    id => {
+      store.remove(id);
+      setTemplates(store.list());
+    },
+    [store]
+  );
+
+  const restoreBuiltIns = useCallback(() => {
+    store.restoreBuiltIns();
+    setTemplates(store.list());
+  }, [store]);
+
+  return { templates, saveTemplate, removeTemplate, restoreBuiltIns };
+}
@@ -0,0 +1,39 @@
+// Colour themes. The chosen theme is applied as a `theme--<name>` class on
+// the app root; App.theme.css defines the colour variables for each one.
+// "system" is not a theme of its own: it follows the OS preference.
+
+import { loadPreference, savePreference } from "../storage/preferences";
+
+export const THEMES = [
+  { id: "system", label: "System" },
+  { id: "light", label: "Light" },
+  { id: "dark", label: "Dark" },
+  { id: "high-contrast", label: "High contrast" }
+];
+
+const STORAGE_KEY = "note-organizer:theme";
+const isKnown = id => THEMES.some(theme => theme.id === id);
+
+// PUBLIC_INTERFACE
+/**
+ * The saved theme preference, or "system" when there is none.
+ */
+export function loadThemePreference(storage) {
+  return loadPreference(STORAGE_KEY, isKnown, "system", storage);
+}
+
+// PUBLIC_INTERFACE
+export function saveThemePreference(preference, storage) {
+  savePreference(STORAGE_KEY, preference, "system", storage);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The theme to show for a preference. `system` is { dark, highContrast }
+ * from the prefers-color-scheme and prefers-contrast media queries.
+ */
+export function resolveTheme(preference, system) {
+  if (preference !== "system" && isKnown(preference)) return preference;
+  if (system.highContrast) return "high-contrast";
+  return system.dark ? "dark" : "light";
+}
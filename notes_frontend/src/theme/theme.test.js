@@ -0,0 +1,20 @@
+import { loadThemePreference, resolveTheme, saveThemePreference } from "./theme";
+
+test("system preference follows the OS colour scheme and contrast settings", () => {
+  expect(resolveTheme("system", { dark: false, highContrast: false })).toBe("light");
+  expect(resolveTheme("system", { dark: true, highContrast: false })).toBe("dark");
+  expect(resolveTheme("system", { dark: true, highContrast: true })).toBe("high-contrast");
+  expect(resolveTheme("light", { dark: true, highContrast: true })).toBe("light");
+  expect(resolveTheme("sepia", { dark: true, highContrast: false })).toBe("dark");
+});
+
+test("the preference is saved, and unknown values fall back to system", () => {
+  window.localStorage.clear();
+  expect(loadThemePreference()).toBe("system");
+  saveThemePreference("high-contrast");
+  expect(loadThemePreference()).toBe("high-contrast");
+  saveThemePreference("system");
+  expect(window.localStorage.getItem("note-organizer:theme")).toBeNull();
+  window.localStorage.setItem("note-organizer:theme", "neon");
+  expect(loadThemePreference()).toBe("system");
+});
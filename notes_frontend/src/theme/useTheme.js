@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadThemePreference, resolveTheme, saveThemePreference } from "./theme";
+
+const QUERIES = { dark: "(prefers-color-scheme: dark)", highContrast: "(prefers-contrast: more)" };
+
+function mediaQuery(query) {
+  return typeof window.matchMedia === "function" ? window.matchMedia(query) : null;
+}
+
+function readSystem() {
+  const matches = query => Boolean(mediaQuery(query) && mediaQuery(query).matches);
+  return { dark: matches(QUERIES.dark), highContrast: matches(QUERIES.highContrast) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Theme preference saved across sessions, resolved against the OS settings
+ * (and kept in step when those change). Returns
+ * { preference, theme, setPreference }.
+ */
+export function useTheme() {
+  const [preference, setPreferenceState] = useState(() => loadThemePreference());
+  const [system, setSystem] = useState(readSystem);
+
+  useEffect(() => {
+    const lists = Object.values(QUERIES).map(mediaQuery).filter(Boolean);
+    const update = () => setSystem(readSystem());
+    lists.forEach(list =>
+      list.addEventListener ? list.addEventListener("change", update) : list.addListener(update)
+    );
+    return () =>
+      lists.forEach(list =>
+        list.removeEventListener ? list.removeEventListener("change", update) : list.removeListener(update)
+      );
+  }, []);
+
+  const setPreference = useCallback(next => {
+    saveThemePreference(next);
+    setPreferenceState(next);
+  }, []);
+
+  return { preference, theme: resolveTheme(preference, system), setPreference };
+}
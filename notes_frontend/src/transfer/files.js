@@ -0,0 +1,52 @@
+// Browser file helpers. FileReader rather than Blob.text() so they also work
+// in older browsers and jsdom.
+
+function read(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a File or Blob as UTF-8 text.
+ */
+export function readAsText(file) {
+  return read(file, "readAsText");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a File or Blob as a Uint8Array.
+ */
+export async function readAsArrayBuffer(file) {
+  return new Uint8Array(await read(file, "readAsArrayBuffer"));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a File or Blob as a data: URL, to embed it in a page.
+ */
+export function readAsDataUrl(file) {
+  return read(file, "readAsDataURL");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Offer `data` (string, Uint8Array or Blob) to the user as a download.
+ */
+export function downloadFile(name, data, type = "application/octet-stream") {
+  const blob = data instanceof window.Blob ? data : new window.Blob([data], { type });
+  const url = window.URL.createObjectURL(blob);
+  const link = window.document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.style.display = "none";
+  window.document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => window.URL.revokeObjectURL(url), 0);
+}
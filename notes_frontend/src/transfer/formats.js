@@ -0,0 +1,194 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from "fflate";
+import { ImportError, parseFrontMatter, stringifyFrontMatter } from "./frontMatter";
+import { parseNotebook, parseTags } from "../organize/taxonomy";
+
+export const EXPORT_FORMAT = "note-organizer";
+export const EXPORT_VERSION = 1;
+
+// Note fields that are not written to Markdown front-matter (the body is the
+// content; revision history only travels in JSON exports).
+const BODY_ONLY_FIELDS = ["content", "revisions"];
+// Friendlier front-matter names for the timestamps.
+const FRONT_MATTER_NAMES = { createdAt: "created", updatedAt: "updated" };
+
+function isValidDate(value) {
+  return typeof value === "string" && !Number.isNaN(new Date(value).getTime());
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Check an imported note and bring it into the app's note shape. Unknown
+ * fields are kept so newer exports survive a round trip.
+ * Throws ImportError when the note can't be used.
+ */
+export function validateNote(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new ImportError("Note is not an object", "not-a-note");
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  if (!title) throw new ImportError("Note has no title", "no-title");
+  if (raw.content !== undefined && raw.content !== null && typeof raw.content !== "string") {
+    throw new ImportError(`"${title}": content must be text`, "content-not-text", { title });
+  }
+  ["createdAt", "updatedAt"].forEach(field => {
+    if (raw[field] !== undefined && raw[field] !== null && !isValidDate(raw[field])) {
+      throw new ImportError(`"${title}": ${field} is not a valid date`, "invalid-date", { title, field });
+    }
+  });
+  if (raw.tags !== undefined && raw.tags !== null && !Array.isArray(raw.tags) && typeof raw.tags !== "string") {
+    throw new ImportError(`"${title}": tags must be a list`, "tags-not-list", { title });
+  }
+  if (raw.revisions !== undefined && !Array.isArray(raw.revisions)) {
+    throw new ImportError(`"${title}": revisions must be a list`, "revisions-not-list", { title });
+  }
+
+  const note = { ...raw, title: raw.title, content: raw.content || "" };
+  if (raw.id === undefined || raw.id === null || raw.id === "") delete note.id;
+  else note.id = String(raw.id);
+  if (!raw.createdAt) delete note.createdAt;
+  if (!raw.updatedAt) delete note.updatedAt;
+  // Only normalize labels that are there, so notes without them round-trip exactly.
+  if (raw.tags !== undefined) note.tags = parseTags(raw.tags || []);
+  if (raw.notebook !== undefined) note.notebook = typeof raw.notebook === "string" ? parseNotebook(raw.notebook) : null;
+  return note;
+}
+
+// --- Markdown ---
+
+// PUBLIC_INTERFACE
+/**
+ * File name for a note: its title made safe for file systems, plus
+ * `extension`.
+ */
+export function noteFileName(note, extension = ".md") {
+  const base = Array.from(String(note.title || "untitled"))
+    .map(ch => (ch.charCodeAt(0) < 0x20 || '\\/:*?"<>|'.includes(ch) ? " " : ch))
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80);
+  return `${base || "untitled"}${extension}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * One note as Markdown with YAML front-matter (id, title, timestamps,
+ * notebook, tags and any other simple fields).
+ */
+export function noteToMarkdown(note) {
+  const fields = {};
+  Object.entries(note).forEach(([key, value]) => {
+    if (BODY_ONLY_FIELDS.includes(key)) return;
+    const simple =
+      value === null ||
+      ["string", "number", "boolean"].includes(typeof value) ||
+      (Array.isArray(value) && value.every(item => typeof item === "string"));
+    if (simple) fields[FRONT_MATTER_NAMES[key] || key] = value;
+  });
+  return stringifyFrontMatter(fields, note.content || "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a Markdown file back into note fields. Files without front-matter
+ * are imported whole, titled by their first "# heading" or their file name.
+ * `folder` (the containing directory in an archive) becomes the notebook of
+ * such plain files.
+ */
+export function markdownToNote(text, fileName = "", folder = null) {
+  const { data, body } = parseFrontMatter(text);
+  if (!data) {
+    const heading = body.match(/^\s*#\s+(.+?)\s*#*\s*$/m);
+    const fromName = fileName.replace(/^.*\//, "").replace(/\.(md|markdown|txt)$/i, "");
+    const note = { title: heading ? heading[1] : fromName, content: body };
+    return validateNote(folder ? { ...note, notebook: folder } : note);
+  }
+  const raw = { ...data, content: body };
+  Object.entries(FRONT_MATTER_NAMES).forEach(([field, name]) => {
+    if (name in raw) {
+      raw[field] = raw[name];
+      delete raw[name];
+    }
+  });
+  return validateNote(raw);
+}
+
+// --- JSON ---
+
+// PUBLIC_INTERFACE
+/**
+ * The whole collection as a JSON document, everything included.
+ */
+export function notesToJson(notes, exportedAt = new Date().toISOString()) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt, notes }, null, 2);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a JSON export (or a bare array of notes). Returns an array of
+ * { note } or { error } entries so one bad note doesn't sink the file.
+ */
+export function jsonToNotes(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError("Not valid JSON", "invalid-json");
+  }
+  const list = Array.isArray(data) ? data : data && data.format === EXPORT_FORMAT ? data.notes : null;
+  if (!Array.isArray(list)) throw new ImportError("JSON is not a Note Organizer export", "not-an-export");
+  if (!Array.isArray(data) && data.version > EXPORT_VERSION) {
+    throw new ImportError(`Export version ${data.version} is newer than this app supports`, "newer-export", {
+      version: data.version
+    });
+  }
+  return list.map(raw => {
+    try {
+      return { note: validateNote(raw) };
+    } catch (err) {
+      return { error: err };
+    }
+  });
+}
+
+// --- ZIP ---
+
+function uniquePath(path, used) {
+  let candidate = path;
+  let n = 2;
+  while (used.has(candidate.toLowerCase())) {
+    candidate = path.replace(/\.md$/, ` (${n++}).md`);
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A ZIP archive with one Markdown file per note, in a folder per notebook.
+ */
+export function notesToZip(notes) {
+  const used = new Set();
+  const files = {};
+  notes.forEach(note => {
+    const folder = note.notebook ? noteFileName({ title: note.notebook }).replace(/\.md$/, "") + "/" : "";
+    // Fixed timestamp so the same notes always give the same archive.
+    files[uniquePath(folder + noteFileName(note), used)] = [strToU8(noteToMarkdown(note)), { mtime: new Date(1980, 0, 1) }];
+  });
+  return zipSync(files, { level: 6 });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Unpack a ZIP archive into [{ path, text }] for every file in it.
+ * Throws ImportError when the archive is damaged.
+ */
+export function unzipFiles(bytes) {
+  let entries;
+  try {
+    entries = unzipSync(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  } catch {
+    throw new ImportError("Not a readable ZIP archive", "invalid-zip");
+  }
+  return Object.entries(entries)
+    .filter(([path]) => !path.endsWith("/") && !path.startsWith("__MACOSX/") && !/(^|\/)\./.test(path))
+    .map(([path, data]) => ({ path, text: strFromU8(data) }));
+}
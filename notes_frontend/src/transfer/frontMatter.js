@@ -0,0 +1,126 @@
+// YAML front-matter for exported Markdown notes. Only the subset we write is
+// supported: `key: scalar`, `key: [flow, list]` and block lists (`- item`).
+
+const FRONT_MATTER_RE = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// PUBLIC_INTERFACE
+/**
+ * Error for files that look like notes but can't be read. `code` and
+ * `values` name the catalog message that explains it (see
+ * i18n.errorMessage); `message` is the English text.
+ */
+export class ImportError extends Error {
+  constructor(message, code, values = {}) {
+    super(message);
+    this.name = "ImportError";
+    this.code = code;
+    this.values = values;
+  }
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean" || typeof value === "number") return String(value);
+  return JSON.stringify(String(value));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Prepend `fields` as YAML front-matter to `body`.
+ */
+export function stringifyFrontMatter(fields, body) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) =>
+      Array.isArray(value) ? `${key}: [${value.map(formatScalar).join(", ")}]` : `${key}: ${formatScalar(value)}`
+    );
+  return `---\n${lines.join("\n")}\n---\n${body}`;
+}
+
+function parseScalar(raw, lineNo) {
+  const value = raw.trim();
+  if (value === "" || value === "null" || value === "~") return null;
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new ImportError(`Front-matter line ${lineNo}: unterminated or invalid quoted string`, "front-matter-quote", {
+        line: lineNo
+      });
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) {
+      throw new ImportError(`Front-matter line ${lineNo}: unterminated quoted string`, "front-matter-quote", { line: lineNo });
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  const plain = value.replace(/\s+#.*$/, "");
+  if (plain === "true" || plain === "false") return plain === "true";
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+function splitFlowList(raw, lineNo) {
+  const items = [];
+  let current = "";
+  let quote = null;
+  for (const ch of raw) {
+    if (quote) {
+      current += ch;
+      if (ch === quote && !current.endsWith(`\\${quote}`)) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === ",") {
+      items.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (quote) throw new ImportError(`Front-matter line ${lineNo}: unterminated quoted string`, "front-matter-quote", { line: lineNo });
+  if (current.trim()) items.push(current);
+  return items.map(item => parseScalar(item, lineNo)).filter(item => item !== null);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split a Markdown file into { data, body }. Files without front-matter
+ * return data null. Throws ImportError on front-matter we can't read.
+ */
+export function parseFrontMatter(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  if (!/^---[ \t]*\r?\n/.test(source)) return { data: null, body: source };
+  const match = source.match(FRONT_MATTER_RE);
+  if (!match) throw new ImportError("Front-matter is not closed with '---'", "front-matter-unclosed");
+
+  const data = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((line, i) => {
+    const lineNo = i + 2;
+    if (!line.trim() || line.trim().startsWith("#")) return;
+    const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s*(.*)$/));
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1], lineNo));
+      return;
+    }
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    if (!pair) throw new ImportError(`Front-matter line ${lineNo}: expected "key: value"`, "front-matter-pair", { line: lineNo });
+    const [, key, rest] = pair;
+    const value = rest.trim();
+    listKey = null;
+    if (value === "") {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith("[")) {
+      if (!value.endsWith("]")) {
+        throw new ImportError(`Front-matter line ${lineNo}: unterminated list`, "front-matter-list", { line: lineNo });
+      }
+      data[key] = splitFlowList(value.slice(1, -1), lineNo);
+    } else {
+      data[key] = parseScalar(value, lineNo);
+    }
+  });
+  return { data, body: source.slice(match[0].length) };
+}
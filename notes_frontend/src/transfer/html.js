@@ -0,0 +1,153 @@
+// Notes published as one self-contained HTML page, for people who don't use
+// the app: rendered content, a table of contents and the app's own styles,
+// with attached files embedded. The same notes always give the same page
+// (no export time, ids by position), so it can be compared and snapshot-tested.
+
+import React from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import Markdown from "../markdown/Markdown";
+import { createI18n } from "../i18n/i18n";
+import { notebookOf, tagsOf } from "../organize/taxonomy";
+
+// On top of the app's styles: a readable page instead of the app's layout
+const EXPORT_CSS = `
+.HtmlExport { display: block; }
+.HtmlExport-main { max-width: 52rem; margin: 0 auto; padding: 2.5rem 1.5rem; }
+.HtmlExport-title { margin: 0 0 1.5rem; color: var(--primary); }
+.HtmlExport-toc { margin-bottom: 2.5rem; padding: 1rem 1.5rem; border: 1px solid var(--border-color); border-radius: 7px; }
+.HtmlExport-toc h2 { margin: 0 0 0.5rem; font-size: 1.1rem; }
+.HtmlExport-toc ol { margin: 0; padding-inline-start: 1.4rem; }
+.HtmlExport-toc a { color: var(--primary); text-decoration: none; }
+.HtmlExport-note + .HtmlExport-note { margin-top: 3rem; padding-top: 2rem; border-top: 1px solid var(--border-color); }
+@media print {
+  .HtmlExport-main { max-width: none; padding: 0; }
+  .HtmlExport-note + .HtmlExport-note { margin-top: 0; padding-top: 0; border-top: none; break-before: page; }
+}
+`;
+
+const HEADING = /<h([1-6])>([\s\S]*?)<\/h\1>/g;
+
+// The note's content, with ids on its headings so the contents can link to them
+function renderContent(note, id, attachments, i18n) {
+  const headings = [];
+  const html = renderToStaticMarkup(
+    <Markdown
+      className="NoteDisplay-content"
+      source={note.content}
+      i18n={i18n}
+      attachments={{ resolve: attachmentId => attachments.get(attachmentId) || null }}
+    />
+  ).replace(HEADING, (match, level, inner) => {
+    const headingId = `${id}-${headings.length + 1}`;
+    headings.push({ id: headingId, html: inner.replace(/<[^>]*>/g, "") });
+    return `<h${level} id="${headingId}">${inner}</h${level}>`;
+  });
+  return { html, headings };
+}
+
+function NoteArticle({ note, id, content, t }) {
+  const notebook = notebookOf(note);
+  const tags = tagsOf(note);
+  return (
+    <article className="NoteDisplay HtmlExport-note" id={id}>
+      <h2 className="NoteDisplay-title">{note.title || t("untitled")}</h2>
+      <div className="NoteDisplay-meta">
+        <div className="NoteDisplay-date">
+          {t("note.lastUpdated")} <time dateTime={note.updatedAt}>{String(note.updatedAt).slice(0, 10)}</time>
+        </div>
+        {(notebook || tags.length > 0) && (
+          <div className="NoteDisplay-labels">
+            {notebook && <span className="NoteDisplay-notebook">📁 {notebook}</span>}
+            {tags.map(tag => (
+              <span className="Tag" key={tag}>
+                #{tag}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <div dangerouslySetInnerHTML={{ __html: content.html }} />
+    </article>
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * `notes` as a complete HTML document (a string), in the given order.
+ *
+ * title        the page title; by default the note's title, or "3 notes"
+ * css          styles to embed, normally the app's (see pageStyles)
+ * i18n         the language of the page's own text (see createI18n)
+ * attachments  Map(id → { url, name }) of the files the notes link to, with
+ *              data: URLs so the page needs nothing else
+ */
+export function notesToHtml(notes, { title, css = "", i18n = createI18n("en"), attachments = new Map() } = {}) {
+  const { t } = i18n;
+  const pageTitle = title || (notes.length === 1 ? notes[0].title || t("untitled") : t("export.title", { count: notes.length }));
+  const articles = notes.map((note, i) => {
+    const id = `note-${i + 1}`;
+    return { note, id, content: renderContent(note, id, attachments, i18n) };
+  });
+  // "</style" would end the style element early
+  const styles = `${css}\n${EXPORT_CSS}`.replace(/<\/style/gi, "<\\/style");
+
+  const page = renderToStaticMarkup(
+    <html lang={i18n.locale} dir={i18n.dir}>
+      <head>
+        <meta charSet="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="generator" content="Note Organizer" />
+        <title>{pageTitle}</title>
+        <style dangerouslySetInnerHTML={{ __html: styles }} />
+      </head>
+      <body>
+        <div className="NotesApp theme--light HtmlExport">
+          <main className="HtmlExport-main">
+            <h1 className="HtmlExport-title">{pageTitle}</h1>
+            <nav className="HtmlExport-toc" aria-labelledby="contents">
+              <h2 id="contents">{t("export.contents")}</h2>
+              <ol>
+                {articles.map(({ note, id, content }) => (
+                  <li key={id}>
+                    <a href={`#${id}`}>{note.title || t("untitled")}</a>
+                    {content.headings.length > 0 && (
+                      <ol>
+                        {content.headings.map(heading => (
+                          <li key={heading.id}>
+                            <a href={`#${heading.id}`} dangerouslySetInnerHTML={{ __html: heading.html }} />
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </nav>
+            {articles.map(article => (
+              <NoteArticle key={article.id} {...article} t={t} />
+            ))}
+          </main>
+        </div>
+      </body>
+    </html>
+  );
+  return `<!DOCTYPE html>\n${page}\n`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The CSS of the page's stylesheets (the app's, App.theme.css among them),
+ * for notesToHtml. Stylesheets from elsewhere that can't be read are skipped.
+ */
+export function pageStyles(doc = document) {
+  return Array.from(doc.styleSheets || [])
+    .map(sheet => {
+      try {
+        return Array.from(sheet.cssRules, rule => rule.cssText).join("\n");
+      } catch {
+        return "";
+      }
+    })
+    .filter(Boolean)
+    .join("\n");
+}
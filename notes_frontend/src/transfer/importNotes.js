@@ -0,0 +1,120 @@
+import { ImportError } from "./frontMatter";
+import { jsonToNotes, markdownToNote, unzipFiles } from "./formats";
+import { readAsArrayBuffer, readAsText } from "./files";
+
+export const IMPORT_ACCEPT = ".md,.markdown,.txt,.json,.zip";
+
+function kindOf(name) {
+  const ext = (name.match(/\.([^./]+)$/) || [])[1];
+  const lower = (ext || "").toLowerCase();
+  if (["md", "markdown", "txt"].includes(lower)) return "markdown";
+  if (lower === "json") return "json";
+  if (lower === "zip") return "zip";
+  return null;
+}
+
+function contentKey(note) {
+  return `${note.title.trim()}\u0000${(note.content || "").trim()}`;
+}
+
+function readError(err) {
+  return err instanceof ImportError ? err : new ImportError("Could not read the file", "unreadable-file");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Work out which parsed notes to add to `existingNotes`.
+ *
+ * `entries` is a list of { source, note } or { source, error }, where
+ * `source` names the file (and archive path) the entry came from. A note is
+ * a duplicate when its id already exists, or, for notes without an id, when
+ * a note with the same title and content exists. Returns
+ * { notes, report: { imported, duplicates, errors } }, where `report` lists
+ * { source, title } / { source, error } entries (`error` is an ImportError) for the import summary.
+ */
+export function planImport(entries, existingNotes) {
+  const ids = new Set(existingNotes.map(note => note.id));
+  const contents = new Set(existingNotes.map(contentKey));
+  const notes = [];
+  const report = { imported: [], duplicates: [], errors: [] };
+
+  entries.forEach(({ source, note, error }) => {
+    if (error) {
+      report.errors.push({ source, error: readError(error) });
+      return;
+    }
+    const duplicate = note.id ? ids.has(note.id) : contents.has(contentKey(note));
+    if (duplicate) {
+      report.duplicates.push({ source, title: note.title });
+      return;
+    }
+    if (note.id) ids.add(note.id);
+    contents.add(contentKey(note));
+    notes.push(note);
+    report.imported.push({ source, title: note.title });
+  });
+  return { notes, report };
+}
+
+function parseMarkdownFile(source, text, folder) {
+  try {
+    return [{ source, note: markdownToNote(text, source, folder) }];
+  } catch (error) {
+    return [{ source, error }];
+  }
+}
+
+function parseJsonFile(source, text) {
+  try {
+    return jsonToNotes(text).map((entry, i) => ({ source: `${source} #${i + 1}`, ...entry }));
+  } catch (error) {
+    return [{ source, error }];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse one file's contents. `data` is text for Markdown and JSON files and
+ * an ArrayBuffer/Uint8Array for ZIP archives. Returns the entries planImport()
+ * expects.
+ */
+export function parseImportFile(name, data) {
+  const kind = kindOf(name);
+  if (kind === "markdown") return parseMarkdownFile(name, data, null);
+  if (kind === "json") return parseJsonFile(name, data);
+  if (kind === "zip") {
+    let files;
+    try {
+      files = unzipFiles(data);
+    } catch (error) {
+      return [{ source: name, error }];
+    }
+    return files.flatMap(({ path, text }) => {
+      const source = `${name}/${path}`;
+      const fileKind = kindOf(path);
+      const folder = path.includes("/") ? path.slice(0, path.indexOf("/")) : null;
+      if (fileKind === "markdown") return parseMarkdownFile(source, text, folder);
+      if (fileKind === "json") return parseJsonFile(source, text);
+      return [{ source, error: new ImportError("Unsupported file type", "unsupported-file") }];
+    });
+  }
+  return [{ source: name, error: new ImportError("Unsupported file type", "unsupported-file") }];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read browser File objects and plan their import against `existingNotes`.
+ * Never rejects: unreadable files end up in report.errors.
+ */
+export async function importFiles(files, existingNotes) {
+  const entries = [];
+  for (const file of Array.from(files)) {
+    try {
+      const data = kindOf(file.name) === "zip" ? await readAsArrayBuffer(file) : await readAsText(file);
+      entries.push(...parseImportFile(file.name, data));
+    } catch (error) {
+      entries.push({ source: file.name, error });
+    }
+  }
+  return planImport(entries, existingNotes);
+}
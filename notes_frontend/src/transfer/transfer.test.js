@@ -0,0 +1,182 @@
+import { strToU8, zipSync } from "fflate";
+import { ImportError, parseFrontMatter, stringifyFrontMatter } from "./frontMatter";
+import { jsonToNotes, markdownToNote, noteToMarkdown, notesToJson, notesToZip, unzipFiles } from "./formats";
+import { parseImportFile, planImport } from "./importNotes";
+import { notesToHtml } from "./html";
+import { createI18n } from "../i18n/i18n";
+
+const notes = [
+  {
+    id: "n1",
+    title: "Groceries: \"weekly\"",
+    content: "---\n- [ ] milk\n- [x] bread\n",
+    createdAt: "2024-01-01T10:00:00.000Z",
+    updatedAt: "2024-01-02T10:00:00.000Z",
+    tags: ["home", "list"],
+    notebook: "Personal",
+    revisions: [{ id: "r1", title: "Groceries", content: "milk", savedAt: "2024-01-01T10:00:00.000Z" }]
+  },
+  {
+    id: "n2",
+    title: "Plain",
+    content: "",
+    createdAt: "2024-02-01T10:00:00.000Z",
+    updatedAt: "2024-02-01T10:00:00.000Z",
+    tags: [],
+    notebook: null
+  }
+];
+
+const withoutRevisions = note => {
+  const rest = { ...note };
+  delete rest.revisions;
+  return rest;
+};
+
+describe("front-matter", () => {
+  test("round-trips strings, lists, booleans and null", () => {
+    const fields = { title: "a: b # c", tags: ["x, y", "z"], pinned: true, notebook: null, count: 3 };
+    const text = stringifyFrontMatter(fields, "Body\n");
+    expect(parseFrontMatter(text)).toEqual({ data: fields, body: "Body\n" });
+  });
+
+  test("reads hand-written YAML with block lists and single quotes", () => {
+    const text = "\uFEFF---\ntitle: 'It''s here'\ntags:\n  - one\n  - two\n# comment\n---\ntext";
+    expect(parseFrontMatter(text)).toEqual({ data: { title: "It's here", tags: ["one", "two"] }, body: "text" });
+  });
+
+  test("returns null data when there is no front-matter", () => {
+    expect(parseFrontMatter("# Heading")).toEqual({ data: null, body: "# Heading" });
+  });
+
+  test("reports malformed front-matter with the line number", () => {
+    expect(() => parseFrontMatter("---\ntitle: x\n")).toThrow(ImportError);
+    expect(() => parseFrontMatter('---\ntitle: x\nnot a pair\n---\n')).toThrow(/line 3/);
+    expect(() => parseFrontMatter('---\ntitle: "open\n---\n')).toThrow(/line 2/);
+  });
+});
+
+describe("formats", () => {
+  test("Markdown round trip keeps everything but revisions", () => {
+    notes.forEach(note => {
+      expect(markdownToNote(noteToMarkdown(note))).toEqual(withoutRevisions(note));
+    });
+  });
+
+  test("Markdown without front-matter is titled by its heading or file name", () => {
+    expect(markdownToNote("Intro\n\n# Trip plan\nPack", "x.md")).toMatchObject({ title: "Trip plan", content: "Intro\n\n# Trip plan\nPack" });
+    expect(markdownToNote("just text", "folder/Ideas.markdown", "Work")).toMatchObject({
+      title: "Ideas",
+      notebook: "Work"
+    });
+  });
+
+  test("JSON round trip reproduces the notes exactly", () => {
+    const entries = jsonToNotes(notesToJson(notes, "2024-03-01T00:00:00.000Z"));
+    expect(entries.map(entry => entry.note)).toEqual(notes);
+  });
+
+  test("JSON rejects other documents and flags bad notes individually", () => {
+    expect(() => jsonToNotes("{oops")).toThrow("Not valid JSON");
+    expect(() => jsonToNotes('{"hello": 1}')).toThrow(/not a Note Organizer export/);
+    const entries = jsonToNotes(JSON.stringify([{ title: "ok" }, { title: "" }, { title: "x", updatedAt: "soon" }]));
+    expect(entries[0].note.title).toBe("ok");
+    expect(entries[1].error.message).toBe("Note has no title");
+    expect(entries[2].error.message).toMatch(/updatedAt is not a valid date/);
+  });
+
+  test("ZIP round trip puts notes in notebook folders and reads them back", () => {
+    const zip = notesToZip([...notes, { ...notes[1], id: "n3" }]);
+    const files = unzipFiles(zip);
+    expect(files.map(file => file.path).sort()).toEqual([
+      "Personal/Groceries weekly.md",
+      "Plain (2).md",
+      "Plain.md"
+    ]);
+    const restored = files.map(file => markdownToNote(file.text, file.path)).sort((a, b) => a.id.localeCompare(b.id));
+    expect(restored).toEqual([withoutRevisions(notes[0]), notes[1], { ...notes[1], id: "n3" }]);
+  });
+
+  test("the same notes always give the same archive", () => {
+    expect(notesToZip(notes)).toEqual(notesToZip(notes));
+  });
+});
+
+describe("planImport", () => {
+  test("skips notes whose id or title and content already exist", () => {
+    const entries = [
+      ...parseImportFile("all.json", notesToJson(notes)),
+      ...parseImportFile("copy.md", "# Plain again\n"),
+      ...parseImportFile("dupe.md", "---\ntitle: Shopping\n---\nmilk"),
+      ...parseImportFile("dupe2.md", "---\ntitle: Shopping\n---\nmilk")
+    ];
+    const { notes: added, report } = planImport(entries, [notes[0]]);
+    expect(added.map(note => note.title)).toEqual(["Plain", "Plain again", "Shopping"]);
+    expect(report.duplicates).toEqual([
+      { source: "all.json #1", title: notes[0].title },
+      { source: "dupe2.md", title: "Shopping" }
+    ]);
+    expect(report.errors).toEqual([]);
+  });
+
+  test("reports malformed and unsupported files without stopping", () => {
+    const entries = [
+      ...parseImportFile("broken.md", "---\ntitle: [unclosed\n---\n"),
+      ...parseImportFile("notes.json", "not json"),
+      ...parseImportFile("photo.png", ""),
+      ...parseImportFile("archive.zip", new Uint8Array([1, 2, 3])),
+      ...parseImportFile("good.md", "Fine")
+    ];
+    const { notes: added, report } = planImport(entries, []);
+    expect(added.map(note => note.title)).toEqual(["good"]);
+    expect(report.errors.map(({ source, error }) => ({ source, message: error.message, code: error.code }))).toEqual([
+      { source: "broken.md", message: "Front-matter line 2: unterminated list", code: "front-matter-list" },
+      { source: "notes.json", message: "Not valid JSON", code: "invalid-json" },
+      { source: "photo.png", message: "Unsupported file type", code: "unsupported-file" },
+      { source: "archive.zip", message: "Not a readable ZIP archive", code: "invalid-zip" }
+    ]);
+    expect(report.errors[0].error.values).toEqual({ line: 2 });
+  });
+
+  test("reads every file inside an archive", () => {
+    const zip = zipSync({
+      "Work/plan.md": strToU8("# Plan\nShip it"),
+      "export.json": strToU8(notesToJson([notes[1]])),
+      "readme.pdf": strToU8("%PDF")
+    });
+    const { notes: added, report } = planImport(parseImportFile("backup.zip", zip), []);
+    expect(added).toEqual([{ title: "Plan", content: "# Plan\nShip it", notebook: "Work" }, notes[1]]);
+    expect(report.errors.map(({ source, error }) => [source, error.message])).toEqual([
+      ["backup.zip/readme.pdf", "Unsupported file type"]
+    ]);
+  });
+});
+
+describe("HTML pages", () => {
+  const published = [
+    { ...notes[0], content: "# Shopping\n- [ ] milk\n- [x] bread\n\n## Later <maybe>\nSee [the shop](https://shop.example)" },
+    { ...notes[1], content: "![map](attachment:a1) and [[Groceries]]" }
+  ];
+  const attachments = new Map([["a1", { name: "map.png", url: "data:image/png;base64,AAAA" }]]);
+
+  test("are the same for the same notes", () => {
+    const html = notesToHtml(published, { css: ".Tag { color: red; }", attachments });
+    expect(html).toBe(notesToHtml(published, { css: ".Tag { color: red; }", attachments }));
+    expect(html).toMatchSnapshot();
+  });
+
+  test("list every note and heading in the contents, and escape what could break out", () => {
+    const html = notesToHtml(published, { css: "a::after { content: '</style><script>'; }", attachments });
+    expect(html).toContain('<title>2 notes</title>');
+    expect(html).toContain('<a href="#note-1">Groceries: &quot;weekly&quot;</a>');
+    expect(html).toContain('<a href="#note-1-2">Later &lt;maybe&gt;</a>');
+    expect(html).toContain('<h2 id="note-1-2">Later &lt;maybe&gt;</h2>');
+    expect(html).not.toContain("</style><script>");
+    expect(html).toContain('src="data:image/png;base64,AAAA"');
+
+    const single = notesToHtml([notes[1]], { i18n: createI18n("ar") });
+    expect(single).toContain('<html lang="ar" dir="rtl">');
+    expect(single).toContain("<title>Plain</title>");
+    expect(single).toContain("المحتويات");
+  });
+});
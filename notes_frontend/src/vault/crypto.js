@@ -0,0 +1,138 @@
+// Passphrase encryption for private notes, with Web Crypto: a key is derived
+// from the passphrase with PBKDF2 (SHA-256) and the note's private fields are
+// sealed with AES-GCM. An encrypted note stores only the payload:
+//   { v, iterations, salt, iv, data, checkIv, check }
+// `check` is a fixed text sealed with the same key, so a wrong passphrase can
+// be told apart from ciphertext that has been tampered with. The note id is
+// bound to `data` as additional data, so payloads can't be swapped between notes.
+
+export const DEFAULT_ITERATIONS = 600000;
+const VERSION = 1;
+const CHECK_TEXT = "note-organizer vault";
+
+// PUBLIC_INTERFACE
+/**
+ * Error raised by the vault. `code` says what went wrong:
+ * "unsupported" (no Web Crypto), "locked" (no passphrase entered),
+ * "wrong-passphrase" or "tampered" (the payload was altered or damaged).
+ */
+export class VaultError extends Error {
+  constructor(message, { code, cause } = {}) {
+    super(message);
+    this.name = "VaultError";
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return window.btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(window.atob(text), char => char.charCodeAt(0));
+}
+
+const tampered = cause =>
+  new VaultError("This note's encrypted data has been changed or damaged, so it can't be decrypted.", {
+    code: "tampered",
+    cause
+  });
+
+// PUBLIC_INTERFACE
+/**
+ * True for something shaped like an encrypted payload.
+ */
+export function isPayload(payload) {
+  return (
+    Boolean(payload) &&
+    ["salt", "iv", "data", "checkIv", "check"].every(field => typeof payload[field] === "string") &&
+    Number.isInteger(payload.iterations) &&
+    payload.iterations > 0
+  );
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Web Crypto primitives for the vault: newSalt(), deriveKey(passphrase,
+ * salt, iterations), encrypt(fields, key, { salt, iterations, noteId }) and
+ * decrypt(payload, key, noteId). `crypto` defaults to the browser's.
+ */
+export function createVaultCrypto({ crypto = window.crypto, iterations = DEFAULT_ITERATIONS } = {}) {
+  const subtle = crypto && crypto.subtle;
+  const encoder = window.TextEncoder ? new window.TextEncoder() : null;
+  const decoder = window.TextDecoder ? new window.TextDecoder() : null;
+
+  function requireSupport() {
+    if (!subtle || !encoder || !decoder) {
+      throw new VaultError("This browser can't encrypt notes (Web Crypto is unavailable).", { code: "unsupported" });
+    }
+  }
+
+  const gcm = (iv, additionalData) => ({
+    name: "AES-GCM",
+    iv,
+    ...(additionalData ? { additionalData: encoder.encode(additionalData) } : {})
+  });
+
+  async function seal(key, text, additionalData) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await subtle.encrypt(gcm(iv, additionalData), key, encoder.encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  async function open(key, iv, data, additionalData) {
+    return decoder.decode(await subtle.decrypt(gcm(fromBase64(iv), additionalData), key, fromBase64(data)));
+  }
+
+  return {
+    iterations,
+
+    newSalt() {
+      requireSupport();
+      return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    },
+
+    async deriveKey(passphrase, salt, rounds = iterations) {
+      requireSupport();
+      const material = await subtle.importKey("raw", encoder.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+      return subtle.deriveKey(
+        { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations: rounds },
+        material,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"]
+      );
+    },
+
+    async encrypt(fields, key, { salt, iterations: rounds = iterations, noteId }) {
+      requireSupport();
+      const body = await seal(key, JSON.stringify(fields), noteId);
+      const check = await seal(key, CHECK_TEXT);
+      return { v: VERSION, iterations: rounds, salt, iv: body.iv, data: body.data, checkIv: check.iv, check: check.data };
+    },
+
+    async decrypt(payload, key, noteId) {
+      requireSupport();
+      if (!isPayload(payload)) throw tampered();
+      let check = null;
+      try {
+        check = await open(key, payload.checkIv, payload.check);
+      } catch {
+        // a wrong key fails authentication
+      }
+      if (check !== CHECK_TEXT) throw new VaultError("Wrong passphrase.", { code: "wrong-passphrase" });
+      try {
+        const fields = JSON.parse(await open(key, payload.iv, payload.data, noteId));
+        if (!fields || typeof fields !== "object") throw new Error("not a note");
+        return fields;
+      } catch (cause) {
+        throw tampered(cause);
+      }
+    }
+  };
+}
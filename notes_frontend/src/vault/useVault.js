@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { isPayload } from "./crypto";
+
+const ACTIVITY_EVENTS = ["keydown", "pointerdown", "mousemove", "wheel", "touchstart"];
+
+// PUBLIC_INTERFACE
+/**
+ * The notes as the app shows them, with encrypted ones decrypted while the
+ * `vault` (see createVault) is unlocked. An encrypted note that can't be
+ * read yet is shown as { ...note, title: lockedTitle, locked: true,
+ * lockError }, where lockError is the VaultError from a failed decryption
+ * (wrong passphrase, tampered data) or null.
+ *
+ * Returns { unlocked, notes, unlock(passphrase), lock(), remember(note, fields) }.
+ * remember() hands over the plaintext of a note that was just sealed, so it
+ * isn't decrypted again. After `vault.idleMs` without keyboard or pointer
+ * activity, `onIdle` is awaited and the vault locked.
+ */
+export function useVault(vault, storedNotes, { onIdle, lockedTitle } = {}) {
+  const [unlocked, setUnlocked] = useState(() => vault.isUnlocked());
+  const [opened, setOpened] = useState(() => new Map()); // id -> { iv, fields } | { iv, error }
+  const session = useRef(0); // bumped on lock, so late decryptions are dropped
+  const pending = useRef(new Set());
+  const idle = useRef(onIdle);
+  idle.current = onIdle;
+
+  const settle = useCallback((id, entry) => setOpened(current => new Map(current).set(id, entry)), []);
+
+  useEffect(() => {
+    if (!unlocked) return;
+    const run = session.current;
+    storedNotes.forEach(note => {
+      if (!note.encrypted) return;
+      const iv = note.encrypted.iv;
+      const entry = opened.get(note.id);
+      const job = `${note.id}:${iv}`;
+      if ((entry && entry.iv === iv) || pending.current.has(job)) return;
+      pending.current.add(job);
+      vault
+        .open(note.encrypted, note.id)
+        .then(
+          fields => run === session.current && settle(note.id, { iv, fields }),
+          error => run === session.current && settle(note.id, { iv, error })
+        )
+        .finally(() => pending.current.delete(job));
+    });
+  }, [vault, unlocked, storedNotes, opened, settle]);
+
+  const notes = useMemo(
+    () =>
+      storedNotes.map(note => {
+        if (!note.encrypted) return note;
+        const entry = opened.get(note.id);
+        const current = entry && isPayload(note.encrypted) && entry.iv === note.encrypted.iv ? entry : null;
+        if (current && current.fields) return { ...note, ...current.fields, locked: false };
+        return { ...note, title: lockedTitle, locked: true, lockError: current ? current.error : null };
+      }),
+    [storedNotes, opened, lockedTitle]
+  );
+
+  const unlock = useCallback(
+    async passphrase => {
+      const sample = storedNotes.find(note => isPayload(note.encrypted));
+      await vault.unlock(passphrase, sample && { id: sample.id, payload: sample.encrypted });
+      setOpened(new Map());
+      setUnlocked(true);
+    },
+    [vault, storedNotes]
+  );
+
+  const lock = useCallback(() => {
+    vault.lock();
+    session.current++;
+    pending.current = new Set();
+    setOpened(new Map());
+    setUnlocked(false);
+  }, [vault]);
+
+  const remember = useCallback(
+    (note, fields) => {
+      if (note.encrypted) settle(note.id, { iv: note.encrypted.iv, fields });
+    },
+    [settle]
+  );
+
+  // Lock again after a while without activity
+  useEffect(() => {
+    if (!unlocked) return;
+    let timer;
+    const restart = () => {
+      window.clearTimeout(timer);
+      timer = window.setTimeout(() => {
+        Promise.resolve(idle.current && idle.current()).then(lock, lock);
+      }, vault.idleMs);
+    };
+    restart();
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, restart, { passive: true }));
+    return () => {
+      window.clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, restart));
+    };
+  }, [vault, unlocked, lock]);
+
+  return { unlocked, notes, unlock, lock, remember };
+}
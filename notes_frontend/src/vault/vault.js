@@ -0,0 +1,85 @@
+import { DEFAULT_ITERATIONS, VaultError, createVaultCrypto, isPayload } from "./crypto";
+
+// The note fields that are encrypted. Everything else (tags, notebook, flags,
+// dates) stays readable so a locked note can still be listed, filed and
+// reminded about.
+export const SECRET_FIELDS = ["title", "content", "revisions"];
+
+// PUBLIC_INTERFACE
+/**
+ * The passphrase session for encrypted notes. One passphrase unlocks every
+ * encrypted note until lock() is called (or the app locks itself after
+ * `idleMinutes` without activity).
+ *
+ * unlock(passphrase, sample) checks the passphrase against `sample`
+ * ({ id, payload }, an existing encrypted note) when there is one, and
+ * rejects with a "wrong-passphrase" VaultError if it doesn't match. Without
+ * a (well-formed) sample the passphrase starts a new vault.
+ * seal(fields, noteId) encrypts the SECRET_FIELDS of a note and
+ * open(payload, noteId) decrypts them again. Keys are derived once per salt
+ * and kept in memory only until lock().
+ */
+export function createVault({ crypto, iterations = DEFAULT_ITERATIONS, idleMinutes = 5 } = {}) {
+  const primitives = createVaultCrypto({ crypto, iterations });
+  let session = null; // { passphrase, salt }
+  let keys = new Map(); // "salt:iterations" -> Promise<CryptoKey>
+
+  function keyFor(passphrase, salt, rounds, cache) {
+    const id = `${salt}:${rounds}`;
+    if (cache && cache.has(id)) return cache.get(id);
+    const key = primitives.deriveKey(passphrase, salt, rounds);
+    if (cache) {
+      cache.set(id, key);
+      key.catch(() => cache.delete(id));
+    }
+    return key;
+  }
+
+  function requireSession() {
+    if (!session) throw new VaultError("Unlock your encrypted notes first.", { code: "locked" });
+    return session;
+  }
+
+  return {
+    idleMs: idleMinutes * 60 * 1000,
+
+    isUnlocked: () => session !== null,
+
+    async unlock(passphrase, sample = null) {
+      if (!passphrase) throw new VaultError("Enter your passphrase.", { code: "wrong-passphrase" });
+      const cache = new Map();
+      if (sample && isPayload(sample.payload)) {
+        const { salt, iterations: rounds } = sample.payload;
+        try {
+          await primitives.decrypt(sample.payload, await keyFor(passphrase, salt, rounds, cache), sample.id);
+        } catch (err) {
+          // A damaged sample still proves the passphrase (its check passed)
+          if (err.code !== "tampered") throw err;
+        }
+        session = { passphrase, salt };
+      } else {
+        session = { passphrase, salt: primitives.newSalt() };
+      }
+      keys = cache;
+    },
+
+    lock() {
+      session = null;
+      keys = new Map();
+    },
+
+    async seal(fields, noteId) {
+      const { passphrase, salt } = requireSession();
+      const secret = Object.fromEntries(SECRET_FIELDS.map(field => [field, fields[field]]));
+      const key = await keyFor(passphrase, salt, iterations, keys);
+      return primitives.encrypt(secret, key, { salt, iterations, noteId });
+    },
+
+    async open(payload, noteId) {
+      const { passphrase } = requireSession();
+      // decrypt() rejects a malformed payload before it needs the key
+      const key = isPayload(payload) ? await keyFor(passphrase, payload.salt, payload.iterations, keys) : null;
+      return primitives.decrypt(payload, key, noteId);
+    }
+  };
+}
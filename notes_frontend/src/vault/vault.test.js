@@ -0,0 +1,70 @@
+import { VaultError, createVaultCrypto, isPayload } from "./crypto";
+import { createVault } from "./vault";
+
+// Few PBKDF2 rounds keep the tests fast; the app uses DEFAULT_ITERATIONS.
+const ITERATIONS = 1000;
+const secret = { title: "Diary", content: "Dear diary…", revisions: [] };
+
+async function sealed(passphrase = "correct horse") {
+  const vault = createVault({ iterations: ITERATIONS });
+  await vault.unlock(passphrase);
+  return { vault, payload: await vault.seal({ ...secret, tags: ["private"] }, "n1") };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected a rejection");
+}
+
+describe("createVault", () => {
+  test("Seals only the private fields and opens them again with the same passphrase", async () => {
+    const { payload } = await sealed();
+    expect(isPayload(payload)).toBe(true);
+    expect(JSON.stringify(payload)).not.toContain("diary");
+
+    const other = createVault({ iterations: ITERATIONS });
+    await other.unlock("correct horse", { id: "n1", payload });
+    expect(await other.open(payload, "n1")).toEqual(secret);
+  });
+
+  test("A wrong passphrase is rejected without touching the payload", async () => {
+    const { payload } = await sealed();
+    const copy = JSON.stringify(payload);
+    const other = createVault({ iterations: ITERATIONS });
+
+    const err = await rejection(other.unlock("battery staple", { id: "n1", payload }));
+    expect(err).toBeInstanceOf(VaultError);
+    expect(err.code).toBe("wrong-passphrase");
+    expect(other.isUnlocked()).toBe(false);
+    expect(JSON.stringify(payload)).toBe(copy);
+  });
+
+  test("Tampered, damaged or swapped payloads are reported as tampered", async () => {
+    const { vault, payload } = await sealed();
+    const bytes = window.atob(payload.data);
+    const flipped = { ...payload, data: window.btoa(String.fromCharCode(bytes.charCodeAt(0) ^ 1) + bytes.slice(1)) };
+    expect((await rejection(vault.open(flipped, "n1"))).code).toBe("tampered");
+    expect((await rejection(vault.open({ ...payload, iv: undefined }, "n1"))).code).toBe("tampered");
+    // Bound to its note: copying the payload onto another note doesn't open it
+    expect((await rejection(vault.open(payload, "n2"))).code).toBe("tampered");
+  });
+
+  test("Locking forgets the passphrase", async () => {
+    const { vault, payload } = await sealed();
+    vault.lock();
+    expect(vault.isUnlocked()).toBe(false);
+    expect((await rejection(vault.open(payload, "n1"))).code).toBe("locked");
+    expect((await rejection(vault.seal(secret, "n1"))).code).toBe("locked");
+  });
+
+  test("Without Web Crypto it says so instead of storing anything", async () => {
+    const primitives = createVaultCrypto({ crypto: null });
+    expect(() => primitives.newSalt()).toThrow(VaultError);
+    const vault = createVault({ crypto: null });
+    expect((await rejection(vault.unlock("correct horse"))).code).toBe("unsupported");
+  });
+});